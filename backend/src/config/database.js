@@ -19,6 +19,22 @@ const db = new Database(dbPath, {
 db.pragma('foreign_keys = ON');
 db.pragma('journal_mode = WAL');
 
+/**
+ * Add a column to an existing table if it is not already present.
+ * CREATE TABLE IF NOT EXISTS never alters tables created by an older
+ * release, so columns added later are applied here as well.
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
 // Create tables
 function initializeDatabase() {
   // Templates Table
@@ -28,6 +44,7 @@ function initializeDatabase() {
       name VARCHAR(255) NOT NULL,
       subject VARCHAR(500) NOT NULL,
       body TEXT NOT NULL,
+      text_body TEXT,
       type VARCHAR(10) DEFAULT 'html',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -41,6 +58,8 @@ function initializeDatabase() {
       name VARCHAR(255) NOT NULL,
       description TEXT,
       custom_fields TEXT,
+      double_opt_in INTEGER DEFAULT 0,
+      confirmation_template_id INTEGER REFERENCES templates(id) ON DELETE SET NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
@@ -54,6 +73,8 @@ function initializeDatabase() {
       first_name VARCHAR(100),
       last_name VARCHAR(100),
       status VARCHAR(20) DEFAULT 'active',
+      timezone VARCHAR(64),
+      timezone_source VARCHAR(10),
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
@@ -68,6 +89,12 @@ function initializeDatabase() {
       custom_field_values TEXT,
       subscribed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       status VARCHAR(20) DEFAULT 'subscribed',
+      signup_ip VARCHAR(45),
+      signup_user_agent TEXT,
+      confirmation_sent_at TIMESTAMP,
+      confirmed_at TIMESTAMP,
+      confirmation_ip VARCHAR(45),
+      confirmation_user_agent TEXT,
       FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
       FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
       UNIQUE(list_id, contact_id)
@@ -84,6 +111,15 @@ function initializeDatabase() {
       from_email VARCHAR(255) NOT NULL,
       from_name VARCHAR(255),
       reply_to VARCHAR(255),
+      smtp_config_id INTEGER,
+      sandbox INTEGER DEFAULT 0,
+      track_replies INTEGER DEFAULT 0,
+      send_time_optimization INTEGER DEFAULT 0,
+      local_send_time VARCHAR(20),
+      subject VARCHAR(500),
+      parent_campaign_id INTEGER,
+      exclude_clickers INTEGER DEFAULT 0,
+      recurring_campaign_id INTEGER,
       status VARCHAR(20) DEFAULT 'draft',
       scheduled_at TIMESTAMP,
       started_at TIMESTAMP,
@@ -91,7 +127,9 @@ function initializeDatabase() {
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (template_id) REFERENCES templates(id),
-      FOREIGN KEY (list_id) REFERENCES lists(id)
+      FOREIGN KEY (list_id) REFERENCES lists(id),
+      FOREIGN KEY (parent_campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL,
+      FOREIGN KEY (recurring_campaign_id) REFERENCES recurring_campaigns(id) ON DELETE SET NULL
     )
   `);
 
@@ -107,6 +145,12 @@ function initializeDatabase() {
       sent_at TIMESTAMP,
       delivered_at TIMESTAMP,
       error_message TEXT,
+      smtp_config_id INTEGER,
+      failover_reason TEXT,
+      scheduled_for TIMESTAMP,
+      variant_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
       FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
     )
@@ -135,12 +179,278 @@ function initializeDatabase() {
       bounce_type VARCHAR(10) NOT NULL,
       bounce_reason TEXT,
       bounce_code VARCHAR(10),
+      source VARCHAR(10) DEFAULT 'smtp',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
       FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL
     )
   `);
 
+  // Replies Table (inbound replies to campaign messages)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS replies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER,
+      campaign_id INTEGER,
+      contact_id INTEGER,
+      from_email VARCHAR(255) NOT NULL,
+      from_name VARCHAR(255),
+      subject VARCHAR(500),
+      text_body TEXT,
+      html_body TEXT,
+      header_message_id VARCHAR(255),
+      in_reply_to VARCHAR(255),
+      is_auto_reply INTEGER DEFAULT 0,
+      auto_reply_reason VARCHAR(100),
+      received_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL,
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL
+    )
+  `);
+
+  // A/B Tests (one per campaign; variants are sent to a test group, the winner to the rest)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ab_tests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id INTEGER NOT NULL UNIQUE,
+      test_percentage INTEGER NOT NULL DEFAULT 20,
+      winner_metric VARCHAR(20) NOT NULL DEFAULT 'open_rate',
+      wait_hours INTEGER NOT NULL DEFAULT 4,
+      status VARCHAR(20) DEFAULT 'draft',
+      winner_variant_id INTEGER,
+      winner_reason VARCHAR(20),
+      last_test_message_id INTEGER,
+      test_started_at TIMESTAMP,
+      decide_at TIMESTAMP,
+      decided_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+    )
+  `);
+
+  // A/B Test Variants (overrides of the campaign's subject, from name or template)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ab_test_variants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ab_test_id INTEGER NOT NULL,
+      name VARCHAR(50) NOT NULL,
+      subject VARCHAR(500),
+      from_name VARCHAR(255),
+      template_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ab_test_id) REFERENCES ab_tests(id) ON DELETE CASCADE,
+      FOREIGN KEY (template_id) REFERENCES templates(id)
+    )
+  `);
+
+  // Recurring Campaigns (an RRULE series; each occurrence sends a new campaign)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recurring_campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name VARCHAR(255) NOT NULL,
+      template_id INTEGER NOT NULL,
+      list_id INTEGER NOT NULL,
+      from_email VARCHAR(255) NOT NULL,
+      from_name VARCHAR(255),
+      reply_to VARCHAR(255),
+      subject VARCHAR(500),
+      smtp_config_id INTEGER,
+      sandbox INTEGER DEFAULT 0,
+      track_replies INTEGER DEFAULT 0,
+      rrule VARCHAR(500) NOT NULL,
+      start_at VARCHAR(20) NOT NULL,
+      timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+      ends_on VARCHAR(10),
+      status VARCHAR(20) DEFAULT 'active',
+      next_run_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (template_id) REFERENCES templates(id),
+      FOREIGN KEY (list_id) REFERENCES lists(id)
+    )
+  `);
+
+  // Recurring Campaign Occurrences (history; one row per due occurrence)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recurring_campaign_occurrences (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recurring_campaign_id INTEGER NOT NULL,
+      scheduled_for TIMESTAMP NOT NULL,
+      campaign_id INTEGER,
+      status VARCHAR(20) NOT NULL,
+      error_message TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(recurring_campaign_id, scheduled_for),
+      FOREIGN KEY (recurring_campaign_id) REFERENCES recurring_campaigns(id) ON DELETE CASCADE,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Contact Tags (free-form labels; adding one can trigger workflows)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contact_tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contact_id INTEGER NOT NULL,
+      tag VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(contact_id, tag),
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Workflows (automations: a trigger enrolls a list's contacts into a sequence of steps)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS workflows (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      list_id INTEGER NOT NULL,
+      trigger_type VARCHAR(30) NOT NULL,
+      trigger_config TEXT,
+      from_email VARCHAR(255) NOT NULL,
+      from_name VARCHAR(255),
+      reply_to VARCHAR(255),
+      smtp_config_id INTEGER,
+      allow_reentry INTEGER DEFAULT 0,
+      status VARCHAR(20) DEFAULT 'draft',
+      activated_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (list_id) REFERENCES lists(id)
+    )
+  `);
+
+  // Workflow Steps (send_email steps send through a campaign with status 'automation')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS workflow_steps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      workflow_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      step_type VARCHAR(30) NOT NULL,
+      config TEXT,
+      campaign_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Workflow Enrollments (a contact's progress through a workflow)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS workflow_enrollments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      workflow_id INTEGER NOT NULL,
+      contact_id INTEGER NOT NULL,
+      status VARCHAR(20) DEFAULT 'active',
+      current_step_id INTEGER,
+      next_run_at TIMESTAMP,
+      trigger_key VARCHAR(100),
+      trigger_data TEXT,
+      error_message TEXT,
+      enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE,
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Workflow Step Events (what each step did for each enrollment)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS workflow_step_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      enrollment_id INTEGER NOT NULL,
+      step_id INTEGER NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      message_id INTEGER,
+      detail TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (enrollment_id) REFERENCES workflow_enrollments(id) ON DELETE CASCADE,
+      FOREIGN KEY (step_id) REFERENCES workflow_steps(id) ON DELETE CASCADE,
+      FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Signup Forms (embeddable and hosted public signup forms for a list)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS signup_forms (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      list_id INTEGER NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      fields TEXT NOT NULL DEFAULT '[]',
+      title VARCHAR(255),
+      description TEXT,
+      button_text VARCHAR(100),
+      success_message TEXT,
+      redirect_url VARCHAR(500),
+      status VARCHAR(20) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Signup Form Stats (daily views, submissions and blocked spam per form)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS signup_form_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      form_id INTEGER NOT NULL,
+      day DATE NOT NULL,
+      views INTEGER DEFAULT 0,
+      submissions INTEGER DEFAULT 0,
+      spam_blocked INTEGER DEFAULT 0,
+      FOREIGN KEY (form_id) REFERENCES signup_forms(id) ON DELETE CASCADE,
+      UNIQUE(form_id, day)
+    )
+  `);
+
+  // Transactional Messages (one-off emails sent through the API, kept apart from campaign messages)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transactional_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id VARCHAR(255),
+      tracking_token VARCHAR(255) UNIQUE,
+      contact_id INTEGER,
+      template_id INTEGER,
+      to_email VARCHAR(255) NOT NULL,
+      from_email VARCHAR(255),
+      from_name VARCHAR(255),
+      reply_to VARCHAR(255),
+      subject TEXT NOT NULL,
+      tag VARCHAR(100),
+      metadata TEXT,
+      links TEXT NOT NULL DEFAULT '[]',
+      status VARCHAR(20) DEFAULT 'queued',
+      error_message TEXT,
+      smtp_config_id INTEGER,
+      failover_reason TEXT,
+      sent_at TIMESTAMP,
+      delivered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL,
+      FOREIGN KEY (template_id) REFERENCES templates(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Transactional Message Events (sends, opens, clicks and bounces of transactional messages)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transactional_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transactional_message_id INTEGER NOT NULL,
+      event_type VARCHAR(20) NOT NULL,
+      event_data TEXT,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (transactional_message_id) REFERENCES transactional_messages(id) ON DELETE CASCADE
+    )
+  `);
+
   // Links Table (for click tracking)
   db.exec(`
     CREATE TABLE IF NOT EXISTS links (
@@ -167,12 +477,49 @@ function initializeDatabase() {
       from_email VARCHAR(255),
       from_name VARCHAR(255),
       max_rate INTEGER DEFAULT 100,
+      priority INTEGER DEFAULT 0,
       is_active INTEGER DEFAULT 1,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
   `);
 
+  // DKIM Signing Keys (private keys encrypted, one active key per domain)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS dkim_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      domain VARCHAR(255) NOT NULL,
+      selector VARCHAR(63) NOT NULL,
+      private_key TEXT NOT NULL,
+      public_key TEXT NOT NULL,
+      key_size INTEGER DEFAULT 2048,
+      status VARCHAR(20) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      rotated_at TIMESTAMP,
+      retired_at TIMESTAMP,
+      UNIQUE(domain, selector)
+    )
+  `);
+
+  // Attachments (files on disk, linked to a template or a campaign)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      template_id INTEGER,
+      campaign_id INTEGER,
+      filename VARCHAR(255) NOT NULL,
+      content_type VARCHAR(100) NOT NULL,
+      size INTEGER NOT NULL,
+      file_path TEXT NOT NULL,
+      content_id VARCHAR(255),
+      is_inline INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (template_id) REFERENCES templates(id) ON DELETE CASCADE,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+    )
+  `);
+
   // Unsubscribe Tokens (RFC 8058)
   db.exec(`
     CREATE TABLE IF NOT EXISTS unsubscribe_tokens (
@@ -201,6 +548,8 @@ function initializeDatabase() {
       started_at TIMESTAMP,
       completed_at TIMESTAMP,
       error_message TEXT,
+      recipient_domain VARCHAR(255),
+      campaign_id INTEGER,
       retry_count INTEGER DEFAULT 0,
       max_retries INTEGER DEFAULT 3,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -218,22 +567,172 @@ function initializeDatabase() {
     )
   `);
 
+  // API Keys (scoped keys for server-to-server integrations; only a hash of the key is stored)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name VARCHAR(255) NOT NULL,
+      key_prefix VARCHAR(20) NOT NULL,
+      key_hash VARCHAR(64) NOT NULL UNIQUE,
+      scopes TEXT NOT NULL DEFAULT '[]',
+      rate_limit INTEGER NOT NULL DEFAULT 100,
+      expires_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      last_used_ip VARCHAR(45),
+      created_by VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Webhooks (endpoints notified of email events; the signing secret is encrypted)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name VARCHAR(255) NOT NULL,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL DEFAULT '[]',
+      secret TEXT NOT NULL,
+      is_active INTEGER DEFAULT 1,
+      failure_count INTEGER DEFAULT 0,
+      failing_since TIMESTAMP,
+      last_success_at TIMESTAMP,
+      last_failure_at TIMESTAMP,
+      disabled_at TIMESTAMP,
+      disabled_reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Webhook Events (kept so they can be replayed)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_type VARCHAR(50) NOT NULL,
+      payload TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Webhook Deliveries (one row per attempt)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      webhook_event_id INTEGER NOT NULL,
+      attempt INTEGER DEFAULT 1,
+      status VARCHAR(20) NOT NULL,
+      response_code INTEGER,
+      response_body TEXT,
+      error_message TEXT,
+      duration_ms INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+      FOREIGN KEY (webhook_event_id) REFERENCES webhook_events(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Columns added after the initial schema
+  addColumnIfMissing('campaigns', 'smtp_config_id', 'INTEGER');
+  addColumnIfMissing('smtp_configs', 'priority', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('campaigns', 'sandbox', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('messages', 'smtp_config_id', 'INTEGER');
+  addColumnIfMissing('messages', 'failover_reason', 'TEXT');
+  addColumnIfMissing('messages', 'created_at', 'TIMESTAMP');
+  addColumnIfMissing('messages', 'updated_at', 'TIMESTAMP');
+  addColumnIfMissing('job_queue', 'recipient_domain', 'VARCHAR(255)');
+  addColumnIfMissing('templates', 'text_body', 'TEXT');
+  addColumnIfMissing('bounces', 'source', "VARCHAR(10) DEFAULT 'smtp'");
+  addColumnIfMissing('campaigns', 'track_replies', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('campaigns', 'send_time_optimization', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('messages', 'scheduled_for', 'TIMESTAMP');
+  addColumnIfMissing('contacts', 'timezone', 'VARCHAR(64)');
+  addColumnIfMissing('contacts', 'timezone_source', 'VARCHAR(10)');
+  addColumnIfMissing('campaigns', 'local_send_time', 'VARCHAR(20)');
+  addColumnIfMissing('messages', 'variant_id', 'INTEGER');
+  addColumnIfMissing('job_queue', 'campaign_id', 'INTEGER');
+  addColumnIfMissing('campaigns', 'subject', 'VARCHAR(500)');
+  addColumnIfMissing('campaigns', 'parent_campaign_id', 'INTEGER REFERENCES campaigns(id) ON DELETE SET NULL');
+  addColumnIfMissing('campaigns', 'exclude_clickers', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('campaigns', 'recurring_campaign_id', 'INTEGER REFERENCES recurring_campaigns(id) ON DELETE SET NULL');
+  addColumnIfMissing('lists', 'double_opt_in', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('lists', 'confirmation_template_id', 'INTEGER REFERENCES templates(id) ON DELETE SET NULL');
+  addColumnIfMissing('list_subscribers', 'signup_ip', 'VARCHAR(45)');
+  addColumnIfMissing('list_subscribers', 'signup_user_agent', 'TEXT');
+  addColumnIfMissing('list_subscribers', 'confirmation_sent_at', 'TIMESTAMP');
+  addColumnIfMissing('list_subscribers', 'confirmed_at', 'TIMESTAMP');
+  addColumnIfMissing('list_subscribers', 'confirmation_ip', 'VARCHAR(45)');
+  addColumnIfMissing('list_subscribers', 'confirmation_user_agent', 'TEXT');
+
+  // Backfill recipient domains for jobs queued before domain throttling
+  db.exec(`
+    UPDATE job_queue
+    SET recipient_domain = lower(substr(json_extract(job_data, '$.email'), instr(json_extract(job_data, '$.email'), '@') + 1))
+    WHERE recipient_domain IS NULL
+      AND status = 'pending'
+      AND json_valid(job_data)
+      AND json_extract(job_data, '$.email') LIKE '%@%'
+  `);
+
+  // Backfill campaign IDs for jobs queued before campaigns could be paused
+  db.exec(`
+    UPDATE job_queue
+    SET campaign_id = json_extract(job_data, '$.tracking.campaignId')
+    WHERE campaign_id IS NULL
+      AND status IN ('pending', 'processing')
+      AND json_valid(job_data)
+      AND json_extract(job_data, '$.tracking.campaignId') IS NOT NULL
+  `);
+
   // Create indexes for performance
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_contacts_email ON contacts(email);
     CREATE INDEX IF NOT EXISTS idx_contacts_status ON contacts(status);
     CREATE INDEX IF NOT EXISTS idx_list_subscribers_list ON list_subscribers(list_id);
     CREATE INDEX IF NOT EXISTS idx_list_subscribers_contact ON list_subscribers(contact_id);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_parent ON campaigns(parent_campaign_id);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_recurring ON campaigns(recurring_campaign_id);
+    CREATE INDEX IF NOT EXISTS idx_recurring_campaigns_due ON recurring_campaigns(status, next_run_at);
+    CREATE INDEX IF NOT EXISTS idx_contact_tags_tag ON contact_tags(tag);
+    CREATE INDEX IF NOT EXISTS idx_workflows_trigger ON workflows(status, trigger_type);
+    CREATE INDEX IF NOT EXISTS idx_workflow_steps_workflow ON workflow_steps(workflow_id, position);
+    CREATE INDEX IF NOT EXISTS idx_workflow_enrollments_workflow ON workflow_enrollments(workflow_id, status);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_workflow_enrollments_active ON workflow_enrollments(workflow_id, contact_id) WHERE status = 'active';
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_workflow_enrollments_key ON workflow_enrollments(workflow_id, contact_id, trigger_key) WHERE trigger_key IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_workflow_step_events_step ON workflow_step_events(step_id, status);
+    CREATE INDEX IF NOT EXISTS idx_workflow_step_events_enrollment ON workflow_step_events(enrollment_id);
+    CREATE INDEX IF NOT EXISTS idx_signup_forms_list ON signup_forms(list_id);
+    CREATE INDEX IF NOT EXISTS idx_transactional_messages_status ON transactional_messages(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_transactional_messages_to ON transactional_messages(to_email);
+    CREATE INDEX IF NOT EXISTS idx_transactional_messages_message_id ON transactional_messages(message_id);
+    CREATE INDEX IF NOT EXISTS idx_transactional_events_message ON transactional_events(transactional_message_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_type ON webhook_events(event_type, created_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_messages_campaign ON messages(campaign_id);
     CREATE INDEX IF NOT EXISTS idx_messages_contact ON messages(contact_id);
     CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(status);
     CREATE INDEX IF NOT EXISTS idx_messages_tracking_token ON messages(tracking_token);
+    CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages(message_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_variant ON messages(variant_id);
+    CREATE INDEX IF NOT EXISTS idx_ab_tests_status ON ab_tests(status);
+    CREATE INDEX IF NOT EXISTS idx_ab_test_variants_test ON ab_test_variants(ab_test_id);
     CREATE INDEX IF NOT EXISTS idx_message_events_message ON message_events(message_id);
     CREATE INDEX IF NOT EXISTS idx_message_events_type ON message_events(event_type);
     CREATE INDEX IF NOT EXISTS idx_bounces_contact ON bounces(contact_id);
+    CREATE INDEX IF NOT EXISTS idx_bounces_message ON bounces(message_id);
+    CREATE INDEX IF NOT EXISTS idx_replies_campaign ON replies(campaign_id);
+    CREATE INDEX IF NOT EXISTS idx_replies_contact ON replies(contact_id);
+    CREATE INDEX IF NOT EXISTS idx_replies_header_message_id ON replies(header_message_id);
     CREATE INDEX IF NOT EXISTS idx_links_campaign ON links(campaign_id);
     CREATE INDEX IF NOT EXISTS idx_links_short_code ON links(short_code);
     CREATE INDEX IF NOT EXISTS idx_job_queue_status ON job_queue(status, scheduled_at);
+    CREATE INDEX IF NOT EXISTS idx_job_queue_domain ON job_queue(recipient_domain);
+    CREATE INDEX IF NOT EXISTS idx_job_queue_campaign ON job_queue(campaign_id, status);
+    CREATE INDEX IF NOT EXISTS idx_attachments_template ON attachments(template_id);
+    CREATE INDEX IF NOT EXISTS idx_attachments_campaign ON attachments(campaign_id);
+    CREATE INDEX IF NOT EXISTS idx_dkim_keys_domain ON dkim_keys(domain, status);
   `);
 
   console.log('Database initialized successfully');
@@ -241,5 +740,6 @@ function initializeDatabase() {
 
 module.exports = {
   db,
-  initializeDatabase
+  initializeDatabase,
+  addColumnIfMissing
 };
@@ -0,0 +1,119 @@
+const AbTestModel = require('../models/ab-test.model');
+const CampaignModel = require('../models/campaign.model');
+const TemplateModel = require('../models/template.model');
+const abTestService = require('../services/ab-test.service');
+const campaignService = require('../services/campaign.service');
+const logger = require('../config/logger');
+
+/**
+ * Get a campaign's A/B test with per-variant results
+ */
+exports.getAbTest = (req, res) => {
+  try {
+    const test = AbTestModel.getByCampaign(req.params.id);
+
+    if (!test) {
+      return res.status(404).json({ error: 'Campaign has no A/B test' });
+    }
+
+    res.json({ ...test, ...abTestService.getResults(test) });
+  } catch (error) {
+    logger.error(`Error getting A/B test for campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve A/B test' });
+  }
+};
+
+/**
+ * Create or replace a campaign's A/B test
+ */
+exports.saveAbTest = (req, res) => {
+  try {
+    const { id } = req.params;
+    const { test_percentage = 20, winner_metric = 'open_rate', wait_hours = 4, variants } = req.body;
+
+    const campaign = CampaignModel.getById(id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (campaign.status !== 'draft' && campaign.status !== 'scheduled') {
+      return res.status(400).json({ error: 'A/B tests can only be changed before the campaign is sent' });
+    }
+
+    if (campaign.send_time_optimization === 1 || campaign.local_send_time) {
+      return res.status(400).json({
+        error: 'Campaign is scheduled with send time optimization or local time; A/B tests are sent at the scheduled time'
+      });
+    }
+
+    const names = new Set(variants.map(variant => variant.name.toLowerCase()));
+    if (names.size !== variants.length) {
+      return res.status(400).json({ error: 'Variant names must be unique' });
+    }
+
+    const missingTemplate = variants.find(variant => variant.template_id && !TemplateModel.getById(variant.template_id));
+    if (missingTemplate) {
+      return res.status(400).json({ error: `Template ${missingTemplate.template_id} not found` });
+    }
+
+    const test = AbTestModel.save(id, {
+      test_percentage,
+      winner_metric,
+      wait_hours,
+      variants
+    });
+
+    logger.info(`A/B test saved for campaign ${id}`);
+    res.json(test);
+  } catch (error) {
+    logger.error(`Error saving A/B test for campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to save A/B test' });
+  }
+};
+
+/**
+ * Remove a campaign's A/B test
+ */
+exports.deleteAbTest = (req, res) => {
+  try {
+    const { id } = req.params;
+    const campaign = CampaignModel.getById(id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (campaign.status !== 'draft' && campaign.status !== 'scheduled') {
+      return res.status(400).json({ error: 'A/B tests can only be removed before the campaign is sent' });
+    }
+
+    if (!AbTestModel.deleteByCampaign(id)) {
+      return res.status(404).json({ error: 'Campaign has no A/B test' });
+    }
+
+    logger.info(`A/B test removed from campaign ${id}`);
+    res.json({ message: 'A/B test removed' });
+  } catch (error) {
+    logger.error(`Error deleting A/B test for campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to remove A/B test' });
+  }
+};
+
+/**
+ * End a running A/B test now and send the winner to the rest of the list
+ * Without variant_id the winner is picked by the test's winner metric.
+ */
+exports.sendWinner = async (req, res) => {
+  try {
+    const result = await campaignService.sendAbTestWinner(req.params.id, req.body.variant_id || null);
+
+    res.json({
+      message: `Variant ${result.winner.name} sent to the remaining contacts`,
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error sending A/B test winner for campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to send A/B test winner' });
+  }
+};
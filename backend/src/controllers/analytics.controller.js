@@ -10,9 +10,13 @@ const {
   getTopLinks,
   getDeviceBreakdown,
   compareCampaigns,
+  calculateFollowUpMetrics,
   calculateEngagementScore,
   formatMetricsForExport
 } = require('../utils/analytics');
+const AbTestModel = require('../models/ab-test.model');
+const CampaignModel = require('../models/campaign.model');
+const abTestService = require('../services/ab-test.service');
 const logger = require('../config/logger');
 
 /**
@@ -42,6 +46,25 @@ exports.getCampaignAnalytics = async (req, res) => {
     // Calculate metrics
     const metrics = calculateCampaignMetrics(campaign, messages, events);
 
+    // Per-variant results of the test group, if the campaign has an A/B test
+    const abTest = AbTestModel.getByCampaign(id);
+
+    // The original campaign and its follow-ups to non-openers, reported together
+    const chain = CampaignModel.getFollowUpChain(id);
+    const followUps = chain.length > 1
+      ? calculateFollowUpMetrics(chain.map(linked => linked.id === campaign.id
+        ? { campaign: linked, messages, events }
+        : {
+          campaign: linked,
+          messages: db.prepare('SELECT * FROM messages WHERE campaign_id = ?').all(linked.id),
+          events: db.prepare(`
+            SELECT me.* FROM message_events me
+            INNER JOIN messages m ON me.message_id = m.id
+            WHERE m.campaign_id = ?
+          `).all(linked.id)
+        }))
+      : null;
+
     res.json({
       campaignId: campaign.id,
       campaignName: campaign.name,
@@ -49,7 +72,21 @@ exports.getCampaignAnalytics = async (req, res) => {
       createdAt: campaign.created_at,
       startedAt: campaign.started_at,
       completedAt: campaign.completed_at,
-      ...metrics
+      parentCampaignId: campaign.parent_campaign_id,
+      ...metrics,
+      followUps,
+      abTest: abTest ? {
+        status: abTest.status,
+        testPercentage: abTest.test_percentage,
+        winnerMetric: abTest.winner_metric,
+        waitHours: abTest.wait_hours,
+        testStartedAt: abTest.test_started_at,
+        decideAt: abTest.decide_at,
+        decidedAt: abTest.decided_at,
+        winnerVariantId: abTest.winner_variant_id,
+        winnerReason: abTest.winner_reason,
+        ...abTestService.getResults(abTest)
+      } : null
     });
   } catch (error) {
     logger.error('Error getting campaign analytics:', error);
@@ -0,0 +1,109 @@
+const ApiKeyModel = require('../models/api-key.model');
+const apiKeyService = require('../services/api-key.service');
+const logger = require('../config/logger');
+
+// Fields a client may set on an API key
+const FIELDS = ['name', 'scopes', 'rate_limit', 'expires_at'];
+
+/**
+ * Pick the API key fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function pickFields(body) {
+  const data = FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+    return fields;
+  }, {});
+
+  if (data.expires_at) {
+    data.expires_at = new Date(data.expires_at).toISOString();
+  }
+
+  return data;
+}
+
+/**
+ * Get all API keys and the scopes a key can have
+ */
+exports.getApiKeys = (req, res) => {
+  try {
+    const apiKeys = ApiKeyModel.getAll().map(apiKey => apiKeyService.withStatus(apiKey));
+
+    res.json({ apiKeys, scopes: apiKeyService.getScopes(), count: apiKeys.length });
+  } catch (error) {
+    logger.error('Error getting API keys:', error);
+    res.status(500).json({ error: 'Failed to retrieve API keys' });
+  }
+};
+
+/**
+ * Create an API key
+ * The response is the only time the key itself is returned.
+ */
+exports.createApiKey = (req, res) => {
+  try {
+    const { apiKey, key } = apiKeyService.create(pickFields(req.body), req.user.username);
+
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json({ error: error.message || 'Failed to create API key' });
+  }
+};
+
+/**
+ * Update an API key's name, scopes, rate limit or expiry
+ */
+exports.updateApiKey = (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ApiKeyModel.getById(id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(apiKeyService.withStatus(ApiKeyModel.update(id, pickFields(req.body))));
+  } catch (error) {
+    logger.error(`Error updating API key ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to update API key' });
+  }
+};
+
+/**
+ * Revoke an API key; it stops working immediately
+ */
+exports.revokeApiKey = (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ApiKeyModel.getById(id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(apiKeyService.withStatus(ApiKeyModel.revoke(id)));
+  } catch (error) {
+    logger.error(`Error revoking API key ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+};
+
+/**
+ * Delete an API key
+ */
+exports.deleteApiKey = (req, res) => {
+  try {
+    const deleted = ApiKeyModel.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting API key ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete API key' });
+  }
+};
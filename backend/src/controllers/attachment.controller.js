@@ -0,0 +1,185 @@
+const fs = require('fs');
+const AttachmentModel = require('../models/attachment.model');
+const TemplateModel = require('../models/template.model');
+const CampaignModel = require('../models/campaign.model');
+const attachmentService = require('../services/attachment.service');
+const logger = require('../config/logger');
+
+// Campaigns whose attachments are fixed: some or all recipients already have the email
+const LOCKED_CAMPAIGN_STATUSES = ['sent', 'sending', 'paused', 'cancelled'];
+
+// Templates are reused, so only a send in progress locks their attachments
+const IN_PROGRESS_CAMPAIGN_STATUSES = ['sending', 'paused'];
+
+/**
+ * Check if a campaign using the template is part way through its send
+ */
+function isTemplateLocked(templateId) {
+  return CampaignModel.countByTemplate(templateId, IN_PROGRESS_CAMPAIGN_STATUSES) > 0;
+}
+
+/**
+ * Validate and store an upload for a template or campaign
+ * Uploads are JSON: { filename, content (base64), inline, content_id }
+ */
+function storeUpload(owner, req, res) {
+  const { filename, content, inline, content_id } = req.body;
+  const buffer = Buffer.from(content || '', 'base64');
+
+  const validation = attachmentService.validate(owner, filename, buffer, content_id);
+
+  if (!validation.valid) {
+    return res.status(400).json({ error: 'Invalid attachment', errors: validation.errors });
+  }
+
+  const attachment = attachmentService.store(owner, {
+    filename,
+    content: buffer,
+    inline: inline === true,
+    contentId: content_id || null
+  });
+
+  res.status(201).json(attachment);
+}
+
+/**
+ * Get attachments of a template
+ */
+exports.getTemplateAttachments = (req, res) => {
+  try {
+    const attachments = AttachmentModel.getByTemplate(req.params.id);
+    res.json({ attachments, total: attachments.length });
+  } catch (error) {
+    logger.error(`Error getting attachments for template ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve attachments' });
+  }
+};
+
+/**
+ * Upload an attachment to a template
+ */
+exports.uploadTemplateAttachment = (req, res) => {
+  try {
+    if (!TemplateModel.getById(req.params.id)) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (isTemplateLocked(req.params.id)) {
+      return res.status(400).json({
+        error: 'Cannot add attachments to a template while a campaign using it is being sent'
+      });
+    }
+
+    storeUpload({ template_id: parseInt(req.params.id) }, req, res);
+  } catch (error) {
+    logger.error(`Error uploading attachment for template ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+};
+
+/**
+ * Get attachments of a campaign (its own, plus those inherited from its template)
+ */
+exports.getCampaignAttachments = (req, res) => {
+  try {
+    const campaign = CampaignModel.getById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({
+      attachments: AttachmentModel.getByCampaign(campaign.id),
+      templateAttachments: AttachmentModel.getByTemplate(campaign.template_id)
+    });
+  } catch (error) {
+    logger.error(`Error getting attachments for campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve attachments' });
+  }
+};
+
+/**
+ * Upload an attachment to a campaign
+ */
+exports.uploadCampaignAttachment = (req, res) => {
+  try {
+    const campaign = CampaignModel.getById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (LOCKED_CAMPAIGN_STATUSES.includes(campaign.status)) {
+      return res.status(400).json({
+        error: 'Cannot add attachments to a campaign that is being sent or has been sent'
+      });
+    }
+
+    storeUpload({ campaign_id: campaign.id }, req, res);
+  } catch (error) {
+    logger.error(`Error uploading attachment for campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+};
+
+/**
+ * Download an attachment
+ */
+exports.downloadAttachment = (req, res) => {
+  try {
+    const attachment = AttachmentModel.getById(req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const filePath = attachmentService.getFilePath(attachment);
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Attachment file is missing' });
+    }
+
+    res.setHeader('Content-Type', attachment.content_type);
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename.replace(/"/g, '')}"`);
+    res.send(fs.readFileSync(filePath));
+  } catch (error) {
+    logger.error(`Error downloading attachment ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+};
+
+/**
+ * Delete an attachment
+ */
+exports.deleteAttachment = (req, res) => {
+  try {
+    const attachment = AttachmentModel.getById(req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (attachment.campaign_id) {
+      const campaign = CampaignModel.getById(attachment.campaign_id);
+
+      if (campaign && LOCKED_CAMPAIGN_STATUSES.includes(campaign.status)) {
+        return res.status(400).json({
+          error: 'Cannot remove attachments from a campaign that is being sent or has been sent'
+        });
+      }
+    }
+
+    if (attachment.template_id && isTemplateLocked(attachment.template_id)) {
+      return res.status(400).json({
+        error: 'Cannot remove attachments from a template while a campaign using it is being sent'
+      });
+    }
+
+    attachmentService.remove(attachment);
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting attachment ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+};
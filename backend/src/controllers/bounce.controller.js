@@ -0,0 +1,32 @@
+const dsnService = require('../services/dsn.service');
+const logger = require('../config/logger');
+
+/**
+ * Ingest a bounce message posted as raw RFC 822 text
+ * For inbound MTAs that pipe the VERP mailbox to HTTP instead of a drop directory
+ */
+exports.ingestDsn = (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+      return res.status(400).json({ error: 'Raw message body is required (Content-Type: message/rfc822 or text/plain)' });
+    }
+
+    const result = dsnService.processMessage(req.body);
+    res.status(result.status === 'processed' ? 201 : 200).json(result);
+  } catch (error) {
+    logger.error('Error ingesting DSN:', error);
+    res.status(500).json({ error: 'Failed to process bounce message' });
+  }
+};
+
+/**
+ * Process the bounce drop directory now instead of waiting for the next poll
+ */
+exports.scanDropDirectory = (req, res) => {
+  try {
+    res.json(dsnService.scan());
+  } catch (error) {
+    logger.error('Error scanning bounce drop directory:', error);
+    res.status(500).json({ error: 'Failed to scan bounce drop directory' });
+  }
+};
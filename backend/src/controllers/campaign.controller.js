@@ -1,6 +1,9 @@
 const CampaignModel = require('../models/campaign.model');
+const AttachmentModel = require('../models/attachment.model');
 const campaignService = require('../services/campaign.service');
 const queueService = require('../services/queue.service');
+const attachmentService = require('../services/attachment.service');
+const htmlCompiler = require('../services/html-compiler.service');
 const linkModel = require('../models/link.model');
 const { db } = require('../config/database');
 const logger = require('../config/logger');
@@ -53,7 +56,7 @@ exports.getCampaignById = (req, res) => {
  */
 exports.createCampaign = (req, res) => {
   try {
-    const { name, template_id, list_id, from_email, from_name, reply_to } = req.body;
+    const { name, template_id, list_id, from_email, from_name, reply_to, smtp_config_id, sandbox, track_replies } = req.body;
 
     // Validation
     if (!name || !template_id || !list_id || !from_email || !from_name) {
@@ -69,6 +72,9 @@ exports.createCampaign = (req, res) => {
       from_email,
       from_name,
       reply_to: reply_to || from_email,
+      smtp_config_id: smtp_config_id || null,
+      sandbox: sandbox === true,
+      track_replies: track_replies === true,
       status: 'draft'
     });
 
@@ -92,8 +98,12 @@ exports.updateCampaign = (req, res) => {
       return res.status(404).json({ error: 'Campaign not found' });
     }
 
+    if (campaign.status === 'automation') {
+      return res.status(400).json({ error: 'Campaign sends the emails of a workflow; edit the workflow instead' });
+    }
+
     // Prevent updating sent campaigns
-    if (campaign.status === 'sent' || campaign.status === 'sending') {
+    if (['sent', 'sending', 'paused', 'cancelled'].includes(campaign.status)) {
       return res.status(400).json({
         error: 'Cannot update campaign that is being sent or has been sent'
       });
@@ -121,6 +131,10 @@ exports.deleteCampaign = (req, res) => {
       return res.status(404).json({ error: 'Campaign not found' });
     }
 
+    if (campaign.status === 'automation') {
+      return res.status(400).json({ error: 'Campaign sends the emails of a workflow; delete the workflow instead' });
+    }
+
     // Prevent deleting active campaigns
     if (campaign.status === 'sending') {
       return res.status(400).json({
@@ -128,7 +142,17 @@ exports.deleteCampaign = (req, res) => {
       });
     }
 
+    // Its queued jobs would be left behind
+    if (campaign.status === 'paused' && campaign.started_at) {
+      return res.status(400).json({
+        error: 'Cannot delete a paused campaign; abort it first'
+      });
+    }
+
+    const attachments = AttachmentModel.getByCampaign(id);
     CampaignModel.delete(id);
+    attachmentService.removeFiles(attachments);
+    htmlCompiler.invalidate(id);
     logger.info(`Campaign deleted: ${id}`);
 
     res.json({ message: 'Campaign deleted successfully' });
@@ -193,13 +217,16 @@ exports.sendTestEmail = async (req, res) => {
 exports.scheduleCampaign = async (req, res) => {
   try {
     const { id } = req.params;
-    const { scheduled_at } = req.body;
+    const { scheduled_at, send_time_optimization, local_send_time } = req.body;
 
-    if (!scheduled_at) {
-      return res.status(400).json({ error: 'scheduled_at is required (ISO 8601 format)' });
+    if (!scheduled_at && !local_send_time) {
+      return res.status(400).json({ error: 'scheduled_at (ISO 8601 format) or local_send_time is required' });
     }
 
-    const result = await campaignService.scheduleCampaign(id, scheduled_at);
+    const result = await campaignService.scheduleCampaign(id, scheduled_at, {
+      sendTimeOptimization: send_time_optimization === true,
+      localSendTime: local_send_time
+    });
 
     res.json({
       message: 'Campaign scheduled successfully',
@@ -230,6 +257,105 @@ exports.cancelSchedule = async (req, res) => {
   }
 };
 
+/**
+ * Pause a sending campaign
+ */
+exports.pauseCampaign = async (req, res) => {
+  try {
+    const result = await campaignService.pauseCampaign(req.params.id);
+
+    res.json({
+      message: 'Campaign paused',
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error pausing campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to pause campaign' });
+  }
+};
+
+/**
+ * Resume a paused campaign
+ */
+exports.resumeCampaign = async (req, res) => {
+  try {
+    const result = await campaignService.resumeCampaign(req.params.id);
+
+    res.json({
+      message: 'Campaign resumed',
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error resuming campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to resume campaign' });
+  }
+};
+
+/**
+ * Abort a sending or paused campaign
+ */
+exports.abortCampaign = async (req, res) => {
+  try {
+    const result = await campaignService.abortCampaign(req.params.id);
+
+    res.json({
+      message: 'Campaign aborted',
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error aborting campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to abort campaign' });
+  }
+};
+
+/**
+ * Count the non-openers a follow-up of a sent campaign would go to
+ */
+exports.getFollowUpAudience = (req, res) => {
+  try {
+    const { id } = req.params;
+    const campaign = CampaignModel.getById(id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const contactIds = CampaignModel.getFollowUpAudience(id, {
+      listId: campaign.list_id,
+      excludeClickers: req.query.exclude_clickers === 'true'
+    });
+
+    res.json({ audience: contactIds.length });
+  } catch (error) {
+    logger.error(`Error getting follow-up audience for campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve follow-up audience' });
+  }
+};
+
+/**
+ * Create a follow-up campaign that resends a sent campaign to its non-openers
+ */
+exports.createFollowUp = async (req, res) => {
+  try {
+    const { name, subject, delay_hours, exclude_clickers } = req.body;
+
+    const result = await campaignService.createFollowUp(req.params.id, {
+      name,
+      subject,
+      delayHours: delay_hours,
+      excludeClickers: exclude_clickers === true
+    });
+
+    res.status(201).json({
+      message: 'Follow-up campaign created',
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error creating follow-up for campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to create follow-up campaign' });
+  }
+};
+
 /**
  * Get campaign statistics
  */
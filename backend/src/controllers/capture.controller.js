@@ -0,0 +1,67 @@
+const captureService = require('../services/capture.service');
+const logger = require('../config/logger');
+
+/**
+ * List sandbox-captured messages
+ */
+exports.getCaptures = (req, res) => {
+  try {
+    const result = captureService.list({
+      campaignId: req.query.campaign_id ? parseInt(req.query.campaign_id) : null,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error listing captured messages:', error);
+    res.status(500).json({ error: 'Failed to retrieve captured messages' });
+  }
+};
+
+/**
+ * Get a captured message with its raw source
+ */
+exports.getCaptureById = (req, res) => {
+  try {
+    const capture = captureService.getById(req.params.id);
+
+    if (!capture) {
+      return res.status(404).json({ error: 'Captured message not found' });
+    }
+
+    res.json({
+      ...capture,
+      raw: captureService.getRaw(capture)
+    });
+  } catch (error) {
+    logger.error(`Error getting captured message ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve captured message' });
+  }
+};
+
+/**
+ * Download a captured message as an .eml file
+ */
+exports.downloadCapture = (req, res) => {
+  try {
+    const capture = captureService.getById(req.params.id);
+
+    if (!capture) {
+      return res.status(404).json({ error: 'Captured message not found' });
+    }
+
+    const raw = captureService.getRaw(capture);
+
+    if (raw === null) {
+      return res.status(404).json({ error: 'Captured message file is missing' });
+    }
+
+    res.setHeader('Content-Type', 'message/rfc822');
+    res.setHeader('Content-Disposition', `attachment; filename="capture-${capture.id}.eml"`);
+    res.send(raw);
+  } catch (error) {
+    logger.error(`Error downloading captured message ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to download captured message' });
+  }
+};
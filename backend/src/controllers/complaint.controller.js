@@ -0,0 +1,49 @@
+const complaintService = require('../services/complaint.service');
+const logger = require('../config/logger');
+
+/**
+ * Get recent spam complaints
+ */
+exports.getComplaints = (req, res) => {
+  try {
+    const complaints = complaintService.getComplaints({
+      campaignId: req.query.campaign_id ? parseInt(req.query.campaign_id) : null,
+      limit: req.query.limit ? parseInt(req.query.limit) : 100
+    });
+
+    res.json({ complaints, total: complaints.length });
+  } catch (error) {
+    logger.error('Error getting complaints:', error);
+    res.status(500).json({ error: 'Failed to retrieve complaints' });
+  }
+};
+
+/**
+ * Ingest a feedback report posted as raw RFC 822 text
+ * For feedback loop mailboxes piped to HTTP instead of a drop directory
+ */
+exports.ingestArf = (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+      return res.status(400).json({ error: 'Raw message body is required (Content-Type: message/rfc822 or text/plain)' });
+    }
+
+    const result = complaintService.processReport(req.body);
+    res.status(result.status === 'processed' ? 201 : 200).json(result);
+  } catch (error) {
+    logger.error('Error ingesting feedback report:', error);
+    res.status(500).json({ error: 'Failed to process feedback report' });
+  }
+};
+
+/**
+ * Process the complaint drop directory now instead of waiting for the next poll
+ */
+exports.scanDropDirectory = (req, res) => {
+  try {
+    res.json(complaintService.scan());
+  } catch (error) {
+    logger.error('Error scanning complaint drop directory:', error);
+    res.status(500).json({ error: 'Failed to scan complaint drop directory' });
+  }
+};
@@ -1,15 +1,26 @@
 const logger = require('../config/logger');
 const dnsValidator = require('../utils/dns-validator');
 const contentValidator = require('../utils/content-validator');
+const { htmlToText } = require('../utils/html-to-text');
 const blacklistChecker = require('../utils/blacklist-checker');
 const warmupService = require('../services/warmup.service');
 const spamMonitorService = require('../services/spam-monitor.service');
+const DkimKeyModel = require('../models/dkim-key.model');
 
 /**
  * Compliance Controller
  * Handles all Gmail compliance and email authentication endpoints
  */
 
+/**
+ * Selector to check when none is given: the domain's active DKIM key,
+ * otherwise the one from the environment
+ */
+function getDefaultSelector(domain) {
+  const activeKey = DkimKeyModel.getActive(domain);
+  return activeKey ? activeKey.selector : (process.env.DKIM_SELECTOR || 'default');
+}
+
 /**
  * Validate DNS records (SPF, DKIM, DMARC)
  * GET /api/compliance/dns/validate
@@ -26,7 +37,7 @@ exports.validateDNS = async (req, res) => {
 
     const result = await dnsValidator.validateDomain(
       domain,
-      dkimSelector || process.env.DKIM_SELECTOR || 'default'
+      dkimSelector || getDefaultSelector(domain)
     );
 
     res.json(result);
@@ -64,7 +75,7 @@ exports.validateDNSRecord = async (req, res) => {
       case 'dkim':
         result = await dnsValidator.validateDKIM(
           domain,
-          selector || process.env.DKIM_SELECTOR || 'default'
+          selector || getDefaultSelector(domain)
         );
         break;
 
@@ -134,7 +145,7 @@ exports.validateContent = async (req, res) => {
     const result = contentValidator.validateEmailContent({
       subject,
       html,
-      plainText: plainText || ''
+      plainText: plainText || htmlToText(html)
     });
 
     res.json(result);
@@ -164,7 +175,7 @@ exports.getContentHealthScore = async (req, res) => {
     const result = contentValidator.getContentHealthScore({
       subject,
       html,
-      plainText: plainText || ''
+      plainText: plainText || htmlToText(html)
     });
 
     res.json(result);
@@ -527,7 +538,7 @@ exports.updateSpamThresholds = async (req, res) => {
 exports.getComplianceDashboard = async (req, res) => {
   try {
     const domain = req.query.domain || process.env.DKIM_DOMAIN;
-    const dkimSelector = req.query.dkimSelector || process.env.DKIM_SELECTOR || 'default';
+    const dkimSelector = req.query.dkimSelector || (domain ? getDefaultSelector(domain) : 'default');
 
     // Gather all compliance data in parallel
     const [
@@ -1,4 +1,6 @@
 const ContactModel = require('../models/contact.model');
+const geoipService = require('../services/geoip.service');
+const workflowService = require('../services/workflow.service');
 const logger = require('../config/logger');
 
 class ContactController {
@@ -23,10 +25,11 @@ class ContactController {
         return res.status(404).json({ error: 'Contact not found' });
       }
 
-      // Get associated lists
+      // Get associated lists and tags
       const lists = ContactModel.getLists(contact.id);
+      const tags = ContactModel.getTags(contact.id);
 
-      res.json({ ...contact, lists });
+      res.json({ ...contact, lists, tags });
     } catch (error) {
       logger.error('Get contact error', { error: error.message });
       res.status(500).json({ error: 'Failed to fetch contact' });
@@ -35,7 +38,7 @@ class ContactController {
 
   static create(req, res) {
     try {
-      const { email, first_name, last_name, status } = req.body;
+      const { email, first_name, last_name, status, timezone } = req.body;
 
       // Check if email already exists
       const existing = ContactModel.getByEmail(email);
@@ -43,7 +46,7 @@ class ContactController {
         return res.status(400).json({ error: 'Email already exists' });
       }
 
-      const contact = ContactModel.create({ email, first_name, last_name, status });
+      const contact = ContactModel.create({ email, first_name, last_name, status, timezone });
 
       logger.info('Contact created', { id: contact.id, email });
       res.status(201).json(contact);
@@ -55,7 +58,7 @@ class ContactController {
 
   static update(req, res) {
     try {
-      const { email, first_name, last_name, status } = req.body;
+      const { email, first_name, last_name, status, timezone } = req.body;
       const contactId = req.params.id;
 
       const existing = ContactModel.getById(contactId);
@@ -71,7 +74,7 @@ class ContactController {
         }
       }
 
-      const contact = ContactModel.update(contactId, { email, first_name, last_name, status });
+      const contact = ContactModel.update(contactId, { email, first_name, last_name, status, timezone });
 
       logger.info('Contact updated', { id: contactId });
       res.json(contact);
@@ -100,6 +103,46 @@ class ContactController {
     }
   }
 
+  static addTag(req, res) {
+    try {
+      const contactId = req.params.id;
+      const tag = req.body.tag.trim();
+
+      if (!ContactModel.getById(contactId)) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      // Only a new tag triggers workflows
+      if (ContactModel.addTag(contactId, tag)) {
+        workflowService.handleTagAdded(Number(contactId), tag);
+      }
+
+      logger.info('Contact tagged', { id: contactId, tag });
+      res.json({ tags: ContactModel.getTags(contactId) });
+    } catch (error) {
+      logger.error('Add tag error', { error: error.message });
+      res.status(500).json({ error: 'Failed to add tag' });
+    }
+  }
+
+  static removeTag(req, res) {
+    try {
+      const contactId = req.params.id;
+
+      if (!ContactModel.getById(contactId)) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      ContactModel.removeTag(contactId, req.params.tag);
+
+      logger.info('Contact tag removed', { id: contactId, tag: req.params.tag });
+      res.json({ tags: ContactModel.getTags(contactId) });
+    } catch (error) {
+      logger.error('Remove tag error', { error: error.message });
+      res.status(500).json({ error: 'Failed to remove tag' });
+    }
+  }
+
   static bulkImport(req, res) {
     try {
       const { contacts } = req.body;
@@ -118,6 +161,20 @@ class ContactController {
     }
   }
 
+  static inferTimezones(req, res) {
+    try {
+      if (!geoipService.isEnabled()) {
+        return res.status(400).json({ error: 'GeoIP database is not configured (set GEOIP_DATABASE)' });
+      }
+
+      const result = geoipService.inferFromOpenHistory();
+      res.json({ message: 'Contact timezones inferred', ...result });
+    } catch (error) {
+      logger.error('Infer timezones error', { error: error.message });
+      res.status(500).json({ error: 'Failed to infer contact timezones' });
+    }
+  }
+
   static getStats(req, res) {
     try {
       const total = ContactModel.count();
@@ -0,0 +1,191 @@
+const DkimKeyModel = require('../models/dkim-key.model');
+const dkimService = require('../services/dkim.service');
+const logger = require('../config/logger');
+
+/**
+ * Get all DKIM keys (private keys are never returned)
+ */
+exports.getKeys = (req, res) => {
+  try {
+    const keys = DkimKeyModel.getAll({
+      domain: req.query.domain,
+      status: req.query.status
+    }).map(key => ({
+      ...key,
+      dnsRecord: key.status === 'retired' ? null : dkimService.getDnsRecord(key)
+    }));
+
+    res.json({ keys, total: keys.length });
+  } catch (error) {
+    logger.error('Error getting DKIM keys:', error);
+    res.status(500).json({ error: 'Failed to retrieve DKIM keys' });
+  }
+};
+
+/**
+ * Get a DKIM key with the DNS record to publish
+ */
+exports.getKeyById = (req, res) => {
+  try {
+    const key = DkimKeyModel.getById(req.params.id);
+
+    if (!key) {
+      return res.status(404).json({ error: 'DKIM key not found' });
+    }
+
+    res.json({
+      ...key,
+      dnsRecord: key.status === 'retired' ? null : dkimService.getDnsRecord(key)
+    });
+  } catch (error) {
+    logger.error(`Error getting DKIM key ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve DKIM key' });
+  }
+};
+
+/**
+ * Generate the first DKIM key of a sending domain
+ */
+exports.generateKey = (req, res) => {
+  try {
+    const domain = req.body.domain.trim().toLowerCase();
+    const { selector, key_size } = req.body;
+
+    if (DkimKeyModel.getActive(domain)) {
+      return res.status(409).json({
+        error: `${domain} already has an active DKIM key, rotate it instead`
+      });
+    }
+
+    const pendingKey = DkimKeyModel.getPending(domain);
+
+    if (pendingKey) {
+      return res.status(409).json({
+        error: `${domain} already has a pending key (${pendingKey.selector}), activate or retire it first`
+      });
+    }
+
+    if (selector && DkimKeyModel.getBySelector(domain, selector)) {
+      return res.status(409).json({ error: `Selector ${selector} is already used for ${domain}` });
+    }
+
+    const result = dkimService.generate({ domain, selector, keySize: key_size });
+
+    res.status(201).json({
+      ...result,
+      message: 'Publish the DNS record, then activate the key to sign mail from this domain with it'
+    });
+  } catch (error) {
+    logger.error('Error generating DKIM key:', error);
+    res.status(500).json({ error: 'Failed to generate DKIM key' });
+  }
+};
+
+/**
+ * Replace an active DKIM key with a new one under a new selector
+ */
+exports.rotateKey = (req, res) => {
+  try {
+    const key = DkimKeyModel.getById(req.params.id);
+
+    if (!key) {
+      return res.status(404).json({ error: 'DKIM key not found' });
+    }
+
+    if (key.status !== 'active') {
+      return res.status(400).json({ error: 'Only the active key of a domain can be rotated' });
+    }
+
+    const pendingKey = DkimKeyModel.getPending(key.domain);
+
+    if (pendingKey) {
+      return res.status(409).json({
+        error: `${key.domain} already has a pending key (${pendingKey.selector}), activate or retire it first`
+      });
+    }
+
+    const { selector, key_size } = req.body;
+
+    if (selector && DkimKeyModel.getBySelector(key.domain, selector)) {
+      return res.status(409).json({ error: `Selector ${selector} is already used for ${key.domain}` });
+    }
+
+    const result = dkimService.rotate(key, { selector, keySize: key_size });
+
+    res.json({
+      ...result,
+      message: `Publish the new DNS record, then activate the new key. Mail is signed with ${key.selector}._domainkey.${key.domain} until then.`
+    });
+  } catch (error) {
+    logger.error(`Error rotating DKIM key ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to rotate DKIM key' });
+  }
+};
+
+/**
+ * Start signing with a pending key once its DNS record is published
+ * The DNS check can be skipped with skip_dns_check, e.g. behind split-horizon DNS.
+ */
+exports.activateKey = async (req, res) => {
+  try {
+    const key = DkimKeyModel.getById(req.params.id);
+
+    if (!key) {
+      return res.status(404).json({ error: 'DKIM key not found' });
+    }
+
+    if (key.status !== 'pending') {
+      return res.status(400).json({ error: 'Only a pending key can be activated' });
+    }
+
+    if (!req.body.skip_dns_check) {
+      const dns = await dkimService.checkDnsRecord(key);
+
+      if (!dns.published) {
+        return res.status(409).json({
+          error: `${dns.message}. Publish the DNS record and try again once it has propagated.`,
+          dnsRecord: dkimService.getDnsRecord(key)
+        });
+      }
+    }
+
+    const result = dkimService.activate(key);
+
+    res.json({
+      ...result,
+      message: result.previousKey
+        ? `Mail is now signed with the new key. Keep ${result.previousKey.selector}._domainkey.${key.domain} published until mail signed with it has been delivered, then retire the previous key.`
+        : 'Mail is now signed with the new key'
+    });
+  } catch (error) {
+    logger.error(`Error activating DKIM key ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to activate DKIM key' });
+  }
+};
+
+/**
+ * Retire a DKIM key and discard its private key
+ */
+exports.retireKey = (req, res) => {
+  try {
+    const key = DkimKeyModel.getById(req.params.id);
+
+    if (!key) {
+      return res.status(404).json({ error: 'DKIM key not found' });
+    }
+
+    if (key.status === 'retired') {
+      return res.status(400).json({ error: 'DKIM key is already retired' });
+    }
+
+    const retired = dkimService.retire(key);
+
+    res.json({
+      key: retired,
+      message: `DKIM key retired. ${retired.selector}._domainkey.${retired.domain} can be removed from DNS.`
+    });
+  } catch (error) {
+    logger.error(`Error retiring DKIM key ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retire DKIM key' });
+  }
+};
@@ -0,0 +1,52 @@
+const domainThrottle = require('../services/domain-throttle.service');
+const logger = require('../config/logger');
+
+/**
+ * Get all domain throttle policies with live throttle state
+ */
+exports.getPolicies = (req, res) => {
+  try {
+    res.json({
+      policies: domainThrottle.getPolicies(),
+      status: domainThrottle.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error getting domain throttle policies:', error);
+    res.status(500).json({ error: 'Failed to retrieve domain throttle policies' });
+  }
+};
+
+/**
+ * Create or update the throttle policy for a domain
+ */
+exports.savePolicy = (req, res) => {
+  try {
+    const policy = domainThrottle.upsertPolicy(req.params.domain, req.body);
+    res.json(policy);
+  } catch (error) {
+    logger.error(`Error saving domain throttle policy ${req.params.domain}:`, error);
+    res.status(500).json({ error: 'Failed to save domain throttle policy' });
+  }
+};
+
+/**
+ * Delete the throttle policy for a domain
+ */
+exports.deletePolicy = (req, res) => {
+  try {
+    if (req.params.domain.trim() === '*') {
+      return res.status(400).json({ error: 'The default domain policy cannot be deleted' });
+    }
+
+    const deleted = domainThrottle.deletePolicy(req.params.domain);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Domain throttle policy not found' });
+    }
+
+    res.json({ message: 'Domain throttle policy deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting domain throttle policy ${req.params.domain}:`, error);
+    res.status(500).json({ error: 'Failed to delete domain throttle policy' });
+  }
+};
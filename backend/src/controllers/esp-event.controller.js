@@ -0,0 +1,31 @@
+const espEventService = require('../services/esp-event.service');
+const logger = require('../config/logger');
+
+/**
+ * Ingest a relay's event webhook post
+ * Requests are rejected unless the provider's credentials are configured and
+ * the request carries its signature; providers retry rejected posts.
+ */
+exports.ingestEvents = async (req, res) => {
+  const { provider } = req.params;
+
+  try {
+    if (!espEventService.getProviders().includes(provider)) {
+      return res.status(404).json({ error: `Unknown provider: ${provider}` });
+    }
+
+    if (!espEventService.isConfigured(provider)) {
+      return res.status(503).json({ error: `${provider} event webhook is not configured` });
+    }
+
+    if (!(await espEventService.verify(provider, req))) {
+      logger.warn(`Rejected ${provider} event webhook with an invalid signature`, { ip: req.ip });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    res.json(await espEventService.process(provider, req.body));
+  } catch (error) {
+    logger.error(`Error ingesting ${provider} events:`, error);
+    res.status(500).json({ error: 'Failed to process provider events' });
+  }
+};
@@ -11,11 +11,13 @@
  * - GET /api/health/metrics - Performance and operational metrics
  * - GET /api/health/database - Database health and statistics
  * - GET /api/health/queue - Email queue status
- * - GET /api/health/smtp - SMTP connection status
+ * - GET /api/health/smtp - SMTP connection status and failover pool health
  */
 
 const { db } = require('../config/database');
 const logger = require('../config/logger');
+const smtpPool = require('../services/smtp-pool.service');
+const queueService = require('../services/queue.service');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
@@ -408,7 +410,7 @@ exports.getQueueHealth = async (req, res) => {
       SELECT COUNT(*) as count
       FROM job_queue
       WHERE status = 'pending'
-      AND scheduled_at <= datetime('now')
+      AND datetime(scheduled_at) <= datetime('now')
     `).get();
 
     queueHealth.pending = pendingJobs.count;
@@ -451,6 +453,9 @@ exports.getQueueHealth = async (req, res) => {
       perMinute: (processedLastHour.count / 60).toFixed(2)
     };
 
+    // Live throughput from the queue workers
+    queueHealth.throughput = queueService.getThroughput();
+
     const statusCode = queueHealth.status === 'healthy' ? 200 : queueHealth.status === 'warning' ? 200 : 503;
     res.status(statusCode).json(queueHealth);
 
@@ -465,7 +470,8 @@ exports.getQueueHealth = async (req, res) => {
 
 /**
  * SMTP connection status
- * Returns active SMTP configuration health
+ * Returns active SMTP configuration health, the circuit state of every relay
+ * in the failover pool, and which relay each recent message went through
  */
 exports.getSmtpHealth = async (req, res) => {
   try {
@@ -490,6 +496,36 @@ exports.getSmtpHealth = async (req, res) => {
       port: activeSmtp.port
     };
 
+    // Failover pool, in the order relays are tried
+    smtpHealth.relays = smtpPool.getHealth();
+
+    // Relay used for each recent message
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    smtpHealth.recentMessages = db.prepare(`
+      SELECT
+        m.id,
+        m.message_id,
+        m.status,
+        m.sent_at,
+        m.smtp_config_id,
+        s.name as smtp_config_name,
+        m.failover_reason
+      FROM messages m
+      LEFT JOIN smtp_configs s ON m.smtp_config_id = s.id
+      WHERE m.smtp_config_id IS NOT NULL
+      ORDER BY m.updated_at DESC
+      LIMIT ?
+    `).all(limit);
+
+    const failovers = db.prepare(`
+      SELECT COUNT(*) as count
+      FROM messages
+      WHERE failover_reason IS NOT NULL
+      AND updated_at > datetime('now', '-1 hour')
+    `).get();
+
+    smtpHealth.failoversLastHour = failovers.count;
+
     // Check recent email send success rate
     const recentSends = db.prepare(`
       SELECT
@@ -516,7 +552,10 @@ exports.getSmtpHealth = async (req, res) => {
     smtpHealth.successRate = `${successRate.toFixed(2)}%`;
 
     // Set status based on success rate
-    if (totalSends === 0) {
+    if (smtpHealth.relays.every(relay => relay.circuit === 'open')) {
+      smtpHealth.status = 'unhealthy';
+      smtpHealth.message = 'All SMTP relays are in circuit-breaker cool-down';
+    } else if (totalSends === 0) {
       smtpHealth.status = 'idle';
     } else if (successRate >= 90) {
       smtpHealth.status = 'healthy';
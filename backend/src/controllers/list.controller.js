@@ -1,4 +1,6 @@
 const ListModel = require('../models/list.model');
+const TemplateModel = require('../models/template.model');
+const workflowService = require('../services/workflow.service');
 const logger = require('../config/logger');
 
 class ListController {
@@ -29,9 +31,13 @@ class ListController {
 
   static create(req, res) {
     try {
-      const { name, description, custom_fields } = req.body;
+      const { name, description, custom_fields, double_opt_in, confirmation_template_id } = req.body;
 
-      const list = ListModel.create({ name, description, custom_fields });
+      if (confirmation_template_id && !TemplateModel.getById(confirmation_template_id)) {
+        return res.status(400).json({ error: `Template ${confirmation_template_id} not found` });
+      }
+
+      const list = ListModel.create({ name, description, custom_fields, double_opt_in, confirmation_template_id });
 
       logger.info('List created', { id: list.id, name });
       res.status(201).json(list);
@@ -43,7 +49,7 @@ class ListController {
 
   static update(req, res) {
     try {
-      const { name, description, custom_fields } = req.body;
+      const { name, description, custom_fields, double_opt_in, confirmation_template_id } = req.body;
       const listId = req.params.id;
 
       const existing = ListModel.getById(listId);
@@ -51,7 +57,11 @@ class ListController {
         return res.status(404).json({ error: 'List not found' });
       }
 
-      const list = ListModel.update(listId, { name, description, custom_fields });
+      if (confirmation_template_id && !TemplateModel.getById(confirmation_template_id)) {
+        return res.status(400).json({ error: `Template ${confirmation_template_id} not found` });
+      }
+
+      const list = ListModel.update(listId, { name, description, custom_fields, double_opt_in, confirmation_template_id });
 
       logger.info('List updated', { id: listId });
       res.json(list);
@@ -83,7 +93,7 @@ class ListController {
   static getSubscribers(req, res) {
     try {
       const listId = req.params.id;
-      const subscribers = ListModel.getSubscribers(listId);
+      const subscribers = ListModel.getSubscribers(listId, req.query.status || 'subscribed');
 
       res.json({ subscribers, total: subscribers.length });
     } catch (error) {
@@ -98,6 +108,7 @@ class ListController {
       const { contact_id, custom_field_values } = req.body;
 
       ListModel.addSubscriber(listId, contact_id, custom_field_values);
+      workflowService.handleListSubscribed(listId, contact_id);
 
       logger.info('Subscriber added', { listId, contactId: contact_id });
       res.json({ message: 'Subscriber added successfully' });
@@ -0,0 +1,180 @@
+const RecurringCampaignModel = require('../models/recurring-campaign.model');
+const TemplateModel = require('../models/template.model');
+const ListModel = require('../models/list.model');
+const recurringCampaignService = require('../services/recurring-campaign.service');
+const logger = require('../config/logger');
+
+// Fields a client may set on a recurring campaign
+const FIELDS = [
+  'name', 'template_id', 'list_id', 'from_email', 'from_name', 'reply_to', 'subject',
+  'smtp_config_id', 'sandbox', 'track_replies', 'rrule', 'start_at', 'timezone', 'ends_on'
+];
+
+/**
+ * Pick the recurring campaign fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function pickFields(body) {
+  return FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === '' ? null : body[field];
+    }
+    return data;
+  }, {});
+}
+
+/**
+ * Check that the template and list a recurring campaign refers to exist
+ * @param {Object} data - Recurring campaign fields
+ * @returns {string|null} Error message, or null if they exist
+ */
+function findMissingReference(data) {
+  if (data.template_id && !TemplateModel.getById(data.template_id)) {
+    return `Template ${data.template_id} not found`;
+  }
+
+  if (data.list_id && !ListModel.getById(data.list_id)) {
+    return `List ${data.list_id} not found`;
+  }
+
+  return null;
+}
+
+/**
+ * Get all recurring campaigns
+ */
+exports.getRecurringCampaigns = (req, res) => {
+  try {
+    const recurringCampaigns = RecurringCampaignModel.getAll(req.query.status || null);
+
+    res.json({ recurringCampaigns, count: recurringCampaigns.length });
+  } catch (error) {
+    logger.error('Error getting recurring campaigns:', error);
+    res.status(500).json({ error: 'Failed to retrieve recurring campaigns' });
+  }
+};
+
+/**
+ * Get a recurring campaign with its occurrence history and next occurrences
+ */
+exports.getRecurringCampaignById = (req, res) => {
+  try {
+    const series = recurringCampaignService.getRecurringCampaign(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Recurring campaign not found' });
+    }
+
+    res.json(series);
+  } catch (error) {
+    logger.error(`Error getting recurring campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve recurring campaign' });
+  }
+};
+
+/**
+ * Create a recurring campaign
+ */
+exports.createRecurringCampaign = (req, res) => {
+  try {
+    const data = pickFields(req.body);
+    const missing = findMissingReference(data);
+
+    if (missing) {
+      return res.status(400).json({ error: missing });
+    }
+
+    const series = recurringCampaignService.createRecurringCampaign(data);
+
+    res.status(201).json(series);
+  } catch (error) {
+    logger.error('Error creating recurring campaign:', error);
+    res.status(500).json({ error: error.message || 'Failed to create recurring campaign' });
+  }
+};
+
+/**
+ * Update a recurring campaign
+ */
+exports.updateRecurringCampaign = (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!RecurringCampaignModel.getById(id)) {
+      return res.status(404).json({ error: 'Recurring campaign not found' });
+    }
+
+    const data = pickFields(req.body);
+    const missing = findMissingReference(data);
+
+    if (missing) {
+      return res.status(400).json({ error: missing });
+    }
+
+    res.json(recurringCampaignService.updateRecurringCampaign(id, data));
+  } catch (error) {
+    logger.error(`Error updating recurring campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to update recurring campaign' });
+  }
+};
+
+/**
+ * Delete a recurring campaign; campaigns it already sent are kept
+ */
+exports.deleteRecurringCampaign = (req, res) => {
+  try {
+    const deleted = RecurringCampaignModel.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Recurring campaign not found' });
+    }
+
+    res.json({ message: 'Recurring campaign deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting recurring campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete recurring campaign' });
+  }
+};
+
+/**
+ * Pause a recurring campaign
+ */
+exports.pauseRecurringCampaign = (req, res) => {
+  try {
+    const series = recurringCampaignService.pauseRecurringCampaign(req.params.id);
+
+    res.json({ message: 'Recurring campaign paused', recurringCampaign: series });
+  } catch (error) {
+    logger.error(`Error pausing recurring campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to pause recurring campaign' });
+  }
+};
+
+/**
+ * Resume a paused recurring campaign
+ */
+exports.resumeRecurringCampaign = (req, res) => {
+  try {
+    const series = recurringCampaignService.resumeRecurringCampaign(req.params.id);
+
+    res.json({ message: 'Recurring campaign resumed', recurringCampaign: series });
+  } catch (error) {
+    logger.error(`Error resuming recurring campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to resume recurring campaign' });
+  }
+};
+
+/**
+ * Skip a recurring campaign's next occurrence
+ */
+exports.skipNextOccurrence = (req, res) => {
+  try {
+    const series = recurringCampaignService.skipNextOccurrence(req.params.id);
+
+    res.json({ message: 'Next occurrence skipped', recurringCampaign: series });
+  } catch (error) {
+    logger.error(`Error skipping occurrence of recurring campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to skip occurrence' });
+  }
+};
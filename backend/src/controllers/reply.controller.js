@@ -0,0 +1,120 @@
+const ReplyModel = require('../models/reply.model');
+const CampaignModel = require('../models/campaign.model');
+const ContactModel = require('../models/contact.model');
+const replyService = require('../services/reply.service');
+const logger = require('../config/logger');
+
+/**
+ * Read the reply list filters from the query string
+ * auto_reply=true lists only auto-replies, auto_reply=false only human replies
+ */
+function getFilters(query) {
+  return {
+    auto_reply: query.auto_reply === undefined ? undefined : query.auto_reply === 'true',
+    limit: query.limit ? parseInt(query.limit) : 100,
+    offset: query.offset ? parseInt(query.offset) : 0
+  };
+}
+
+/**
+ * Get all replies
+ */
+exports.getReplies = (req, res) => {
+  try {
+    const filters = getFilters(req.query);
+    const replies = ReplyModel.getAll(filters);
+
+    res.json({ replies, counts: ReplyModel.count() });
+  } catch (error) {
+    logger.error('Error getting replies:', error);
+    res.status(500).json({ error: 'Failed to retrieve replies' });
+  }
+};
+
+/**
+ * Get a reply with its full body
+ */
+exports.getReplyById = (req, res) => {
+  try {
+    const reply = ReplyModel.getById(req.params.id);
+
+    if (!reply) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    res.json(reply);
+  } catch (error) {
+    logger.error(`Error getting reply ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve reply' });
+  }
+};
+
+/**
+ * Get replies to a campaign
+ */
+exports.getCampaignReplies = (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!CampaignModel.getById(id)) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const replies = ReplyModel.getAll({ ...getFilters(req.query), campaign_id: id });
+
+    res.json({ replies, counts: ReplyModel.count({ campaign_id: id }) });
+  } catch (error) {
+    logger.error(`Error getting replies for campaign ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve campaign replies' });
+  }
+};
+
+/**
+ * Get replies from a contact
+ */
+exports.getContactReplies = (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ContactModel.getById(id)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const replies = ReplyModel.getAll({ ...getFilters(req.query), contact_id: id });
+
+    res.json({ replies, counts: ReplyModel.count({ contact_id: id }) });
+  } catch (error) {
+    logger.error(`Error getting replies for contact ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve contact replies' });
+  }
+};
+
+/**
+ * Ingest a reply posted as raw RFC 822 text
+ * For inbound MTAs that pipe the reply mailbox to HTTP instead of a drop directory
+ */
+exports.ingestReply = (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+      return res.status(400).json({ error: 'Raw message body is required (Content-Type: message/rfc822 or text/plain)' });
+    }
+
+    const result = replyService.processReply(req.body);
+    res.status(result.status === 'processed' ? 201 : 200).json(result);
+  } catch (error) {
+    logger.error('Error ingesting reply:', error);
+    res.status(500).json({ error: 'Failed to process reply' });
+  }
+};
+
+/**
+ * Process the reply drop directory now instead of waiting for the next poll
+ */
+exports.scanDropDirectory = (req, res) => {
+  try {
+    res.json(replyService.scan());
+  } catch (error) {
+    logger.error('Error scanning reply drop directory:', error);
+    res.status(500).json({ error: 'Failed to scan reply drop directory' });
+  }
+};
@@ -0,0 +1,281 @@
+const SignupFormModel = require('../models/signup-form.model');
+const ListModel = require('../models/list.model');
+const signupFormService = require('../services/signup-form.service');
+const { getClientIp } = require('../utils/tracking');
+const logger = require('../config/logger');
+
+// Fields a client may set on a signup form
+const FIELDS = [
+  'list_id', 'name', 'fields', 'title', 'description', 'button_text', 'success_message',
+  'redirect_url', 'status'
+];
+
+/**
+ * Pick the signup form fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function pickFields(body) {
+  const data = FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+    return fields;
+  }, {});
+
+  if (Array.isArray(data.fields)) {
+    data.fields = data.fields.map(field => ({
+      name: field.name,
+      label: field.label || null,
+      required: !!field.required
+    }));
+  }
+
+  return data;
+}
+
+/**
+ * Add the snippets and URLs to a form
+ * @param {Object} form - Form
+ * @returns {Object}
+ */
+function withEmbedCode(form) {
+  const list = ListModel.getById(form.list_id);
+
+  return {
+    ...form,
+    urls: signupFormService.getUrls(form.id),
+    snippets: {
+      html: signupFormService.renderHtmlSnippet(form, list),
+      js: signupFormService.renderJsSnippet(form)
+    }
+  };
+}
+
+/**
+ * Get an active form and its list for a public request
+ * @param {number} id - Form ID
+ * @returns {Object|null} { form, list }, or null if the form is missing or disabled
+ */
+function getActiveForm(id) {
+  const form = SignupFormModel.getById(id);
+
+  if (!form || form.status !== 'active') {
+    return null;
+  }
+
+  return { form, list: ListModel.getById(form.list_id) };
+}
+
+/**
+ * Get all signup forms
+ */
+exports.getForms = (req, res) => {
+  try {
+    const forms = SignupFormModel.getAll().map(form => ({
+      ...form,
+      conversion_rate: form.views > 0 ? Math.round(form.submissions / form.views * 10000) / 100 : 0
+    }));
+
+    res.json({ forms, count: forms.length });
+  } catch (error) {
+    logger.error('Error getting signup forms:', error);
+    res.status(500).json({ error: 'Failed to retrieve signup forms' });
+  }
+};
+
+/**
+ * Get a signup form with its embed snippets
+ */
+exports.getFormById = (req, res) => {
+  try {
+    const form = SignupFormModel.getById(req.params.id);
+
+    if (!form) {
+      return res.status(404).json({ error: 'Signup form not found' });
+    }
+
+    res.json(withEmbedCode(form));
+  } catch (error) {
+    logger.error(`Error getting signup form ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve signup form' });
+  }
+};
+
+/**
+ * Create a signup form
+ */
+exports.createForm = (req, res) => {
+  try {
+    const data = pickFields(req.body);
+    const list = ListModel.getById(data.list_id);
+
+    if (!list) {
+      return res.status(400).json({ error: `List ${data.list_id} not found` });
+    }
+
+    const error = signupFormService.validate(data, list);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json(withEmbedCode(SignupFormModel.create(data)));
+  } catch (error) {
+    logger.error('Error creating signup form:', error);
+    res.status(500).json({ error: error.message || 'Failed to create signup form' });
+  }
+};
+
+/**
+ * Update a signup form
+ */
+exports.updateForm = (req, res) => {
+  try {
+    const { id } = req.params;
+    const form = SignupFormModel.getById(id);
+
+    if (!form) {
+      return res.status(404).json({ error: 'Signup form not found' });
+    }
+
+    const data = pickFields(req.body);
+    const list = ListModel.getById(data.list_id || form.list_id);
+
+    if (!list) {
+      return res.status(400).json({ error: `List ${data.list_id} not found` });
+    }
+
+    const error = signupFormService.validate({ ...form, ...data }, list);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(withEmbedCode(SignupFormModel.update(id, data)));
+  } catch (error) {
+    logger.error(`Error updating signup form ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to update signup form' });
+  }
+};
+
+/**
+ * Delete a signup form
+ */
+exports.deleteForm = (req, res) => {
+  try {
+    const deleted = SignupFormModel.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Signup form not found' });
+    }
+
+    res.json({ message: 'Signup form deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting signup form ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete signup form' });
+  }
+};
+
+/**
+ * Get a signup form's views, submissions and conversion rate
+ */
+exports.getFormStats = (req, res) => {
+  try {
+    const form = SignupFormModel.getById(req.params.id);
+
+    if (!form) {
+      return res.status(404).json({ error: 'Signup form not found' });
+    }
+
+    res.json(signupFormService.getStats(form, parseInt(req.query.days) || 30));
+  } catch (error) {
+    logger.error(`Error getting stats of signup form ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve signup form stats' });
+  }
+};
+
+/**
+ * Get a form's public definition (public); counts a view
+ */
+exports.getPublicForm = (req, res) => {
+  try {
+    const active = getActiveForm(req.params.id);
+
+    if (!active) {
+      return res.status(404).json({ error: 'Signup form not found' });
+    }
+
+    SignupFormModel.recordEvent(active.form.id, 'views');
+
+    res.set('Cache-Control', 'no-store');
+    res.json(signupFormService.getPublicForm(active.form, active.list));
+  } catch (error) {
+    logger.error(`Error getting public signup form ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to load signup form' });
+  }
+};
+
+/**
+ * Serve the script behind the JavaScript snippet (public)
+ */
+exports.getEmbedScript = (req, res) => {
+  try {
+    const active = getActiveForm(req.params.id);
+
+    if (!active) {
+      return res.status(404).type('application/javascript').send('/* Signup form not found */');
+    }
+
+    // The script is loaded from other sites
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.type('application/javascript').send(signupFormService.renderEmbedScript(active.form));
+  } catch (error) {
+    logger.error(`Error rendering embed script of signup form ${req.params.id}:`, error);
+    res.status(500).type('application/javascript').send('/* Failed to load signup form */');
+  }
+};
+
+/**
+ * Submit a signup form (public)
+ * JSON submissions (the JavaScript snippet and the hosted page) get a JSON
+ * response; plain HTML form posts are redirected to the form's redirect URL
+ * or the hosted page.
+ */
+exports.submitForm = async (req, res) => {
+  const wantsJson = req.is('application/json');
+
+  try {
+    const active = getActiveForm(req.params.id);
+
+    if (!active) {
+      return res.status(404).json({ error: 'Signup form not found' });
+    }
+
+    const { form } = active;
+    const hostedUrl = signupFormService.getUrls(form.id).hosted;
+    const result = await signupFormService.submit(form, req.body, {
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null
+    });
+
+    if (result.errors) {
+      if (!wantsJson) {
+        return res.redirect(303, `${hostedUrl}?error=${encodeURIComponent(Object.values(result.errors).join('. '))}`);
+      }
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors: result.errors });
+    }
+
+    if (!wantsJson) {
+      return res.redirect(303, form.redirect_url || `${hostedUrl}?status=${result.status}`);
+    }
+
+    res.json({
+      message: form.success_message || (result.status === 'pending'
+        ? 'Please check your inbox to confirm your subscription'
+        : 'You have been subscribed'),
+      status: result.status
+    });
+  } catch (error) {
+    logger.error(`Error submitting signup form ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to subscribe' });
+  }
+};
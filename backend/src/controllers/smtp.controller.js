@@ -1,6 +1,9 @@
 const { db } = require('../config/database');
-const { encrypt, decrypt } = require('../utils/encryption');
+const { encrypt } = require('../utils/encryption');
 const nodemailer = require('nodemailer');
+const SmtpConfigModel = require('../models/smtp-config.model');
+const emailService = require('../services/email.service');
+const smtpPool = require('../services/smtp-pool.service');
 const logger = require('../config/logger');
 
 /**
@@ -68,6 +71,7 @@ exports.createConfig = (req, res) => {
       from_email,
       from_name,
       max_rate,
+      priority,
       is_active
     } = req.body;
 
@@ -89,8 +93,8 @@ exports.createConfig = (req, res) => {
     const stmt = db.prepare(`
       INSERT INTO smtp_configs (
         name, host, port, secure, auth_type, username, password,
-        from_email, from_name, max_rate, is_active, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+        from_email, from_name, max_rate, priority, is_active, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
     `);
 
     const result = stmt.run(
@@ -104,6 +108,7 @@ exports.createConfig = (req, res) => {
       from_email,
       from_name,
       max_rate || 100,
+      parseInt(priority) || 0,
       is_active ? 1 : 0
     );
 
@@ -136,7 +141,7 @@ exports.updateConfig = (req, res) => {
     }
 
     // Build update query dynamically
-    const allowedFields = ['name', 'host', 'port', 'secure', 'auth_type', 'username', 'password', 'from_email', 'from_name', 'max_rate', 'is_active'];
+    const allowedFields = ['name', 'host', 'port', 'secure', 'auth_type', 'username', 'password', 'from_email', 'from_name', 'max_rate', 'priority', 'is_active'];
     const updateFields = [];
     const values = [];
 
@@ -149,7 +154,7 @@ exports.updateConfig = (req, res) => {
         } else if (field === 'secure' || field === 'is_active') {
           updateFields.push(`${field} = ?`);
           values.push(updates[field] ? 1 : 0);
-        } else if (field === 'port' || field === 'max_rate') {
+        } else if (field === 'port' || field === 'max_rate' || field === 'priority') {
           updateFields.push(`${field} = ?`);
           values.push(parseInt(updates[field]));
         } else {
@@ -177,6 +182,10 @@ exports.updateConfig = (req, res) => {
 
     stmt.run(...values);
 
+    // Rebuild the transporter with the new settings on next send
+    emailService.invalidateTransporter(id);
+    smtpPool.reset(id);
+
     const updatedConfig = db.prepare('SELECT * FROM smtp_configs WHERE id = ?').get(id);
 
     logger.info(`SMTP config updated: ${id}`);
@@ -215,6 +224,8 @@ exports.deleteConfig = (req, res) => {
     }
 
     db.prepare('DELETE FROM smtp_configs WHERE id = ?').run(id);
+    emailService.invalidateTransporter(id);
+    smtpPool.reset(id);
 
     logger.info(`SMTP config deleted: ${id}`);
 
@@ -243,6 +254,7 @@ exports.setActive = (req, res) => {
 
     // Activate this one
     db.prepare('UPDATE smtp_configs SET is_active = 1, updated_at = datetime(\'now\') WHERE id = ?').run(id);
+    emailService.invalidateTransporter(id);
 
     logger.info(`SMTP config ${id} set as active`);
 
@@ -266,25 +278,9 @@ exports.testConnection = async (req, res) => {
       return res.status(404).json({ error: 'SMTP configuration not found' });
     }
 
-    // Decrypt password
-    const password = config.password ? decrypt(config.password) : null;
-
-    // Create transporter
-    const transportConfig = {
-      host: config.host,
-      port: config.port,
-      secure: config.secure === 1
-    };
-
-    // Add auth if username/password provided
-    if (config.username && password) {
-      transportConfig.auth = {
-        user: config.username,
-        pass: password
-      };
-    }
-
-    const transporter = nodemailer.createTransporter(transportConfig);
+    const transporter = nodemailer.createTransport(
+      SmtpConfigModel.toTransportOptions(SmtpConfigModel.getDecrypted(id))
+    );
 
     // Verify connection
     await transporter.verify();
@@ -332,27 +328,7 @@ exports.getActiveConfig = (req, res) => {
  */
 exports.getDecryptedConfig = (id = null) => {
   try {
-    let config;
-
-    if (id) {
-      config = db.prepare('SELECT * FROM smtp_configs WHERE id = ?').get(id);
-    } else {
-      config = db.prepare('SELECT * FROM smtp_configs WHERE is_active = 1').get();
-    }
-
-    if (!config) {
-      return null;
-    }
-
-    // Decrypt password
-    const password = config.password ? decrypt(config.password) : null;
-
-    return {
-      ...config,
-      password,
-      secure: config.secure === 1,
-      is_active: config.is_active === 1
-    };
+    return SmtpConfigModel.getDecrypted(id);
   } catch (error) {
     logger.error('Error getting decrypted SMTP config:', error);
     return null;
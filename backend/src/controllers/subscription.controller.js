@@ -0,0 +1,69 @@
+const ListModel = require('../models/list.model');
+const subscriptionService = require('../services/subscription.service');
+const { getClientIp } = require('../utils/tracking');
+const logger = require('../config/logger');
+
+/**
+ * Get the consent details of a public request
+ * @param {Object} req - Request
+ * @returns {Object} { ip, userAgent }
+ */
+function getConsent(req) {
+  return {
+    ip: getClientIp(req),
+    userAgent: req.headers['user-agent'] || null
+  };
+}
+
+/**
+ * Subscribe to a list from a public signup
+ * Only custom fields defined on the list are kept.
+ */
+exports.subscribe = async (req, res) => {
+  try {
+    const list = ListModel.getById(req.params.id);
+
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const values = req.body.custom_field_values || {};
+    const customFieldValues = Object.keys(list.custom_fields)
+      .filter(field => values[field] !== undefined)
+      .reduce((fields, field) => ({ ...fields, [field]: values[field] }), {});
+
+    const result = await subscriptionService.subscribe(list, {
+      email: req.body.email,
+      first_name: req.body.first_name,
+      last_name: req.body.last_name,
+      custom_field_values: customFieldValues
+    }, getConsent(req));
+
+    res.json({
+      message: result.status === 'pending'
+        ? 'Please check your inbox to confirm your subscription'
+        : 'You have been subscribed',
+      status: result.status
+    });
+  } catch (error) {
+    logger.error('Error subscribing to list:', error);
+    res.status(500).json({ error: 'Failed to subscribe' });
+  }
+};
+
+/**
+ * Confirm a double opt-in subscription
+ */
+exports.confirm = (req, res) => {
+  try {
+    const { list, alreadyConfirmed } = subscriptionService.confirm(req.body.token, getConsent(req));
+
+    res.json({
+      message: alreadyConfirmed ? 'Your subscription was already confirmed' : 'Your subscription is confirmed',
+      list: { id: list.id, name: list.name },
+      alreadyConfirmed
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message || 'Failed to confirm subscription' });
+  }
+};
@@ -1,4 +1,6 @@
 const TemplateModel = require('../models/template.model');
+const AttachmentModel = require('../models/attachment.model');
+const attachmentService = require('../services/attachment.service');
 const logger = require('../config/logger');
 
 class TemplateController {
@@ -29,9 +31,9 @@ class TemplateController {
 
   static create(req, res) {
     try {
-      const { name, subject, body, type } = req.body;
+      const { name, subject, body, text_body, type } = req.body;
 
-      const template = TemplateModel.create({ name, subject, body, type });
+      const template = TemplateModel.create({ name, subject, body, text_body, type });
 
       logger.info('Template created', { id: template.id, name });
       res.status(201).json(template);
@@ -43,7 +45,7 @@ class TemplateController {
 
   static update(req, res) {
     try {
-      const { name, subject, body, type } = req.body;
+      const { name, subject, body, text_body, type } = req.body;
       const templateId = req.params.id;
 
       const existing = TemplateModel.getById(templateId);
@@ -51,7 +53,7 @@ class TemplateController {
         return res.status(404).json({ error: 'Template not found' });
       }
 
-      const template = TemplateModel.update(templateId, { name, subject, body, type });
+      const template = TemplateModel.update(templateId, { name, subject, body, text_body, type });
 
       logger.info('Template updated', { id: templateId });
       res.json(template);
@@ -70,7 +72,9 @@ class TemplateController {
         return res.status(404).json({ error: 'Template not found' });
       }
 
+      const attachments = AttachmentModel.getByTemplate(templateId);
       TemplateModel.delete(templateId);
+      attachmentService.removeFiles(attachments);
 
       logger.info('Template deleted', { id: templateId });
       res.json({ message: 'Template deleted successfully' });
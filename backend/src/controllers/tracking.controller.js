@@ -1,17 +1,21 @@
 /**
  * Tracking Controller
- * Handles email open tracking, click tracking, and unsubscribe requests
+ * Handles email open tracking, click tracking, conversion tracking, and unsubscribe requests
  */
 
 const messageModel = require('../models/message.model');
+const TransactionalMessageModel = require('../models/transactional-message.model');
 const linkModel = require('../models/link.model');
 const unsubscribeModel = require('../models/unsubscribe.model');
+const geoipService = require('../services/geoip.service');
+const webhookService = require('../services/webhook.service');
 const { db } = require('../config/database');
 const logger = require('../config/logger');
 const {
   isBot,
   getClientIp,
-  createTrackingPixel
+  createTrackingPixel,
+  appendConversionToken
 } = require('../utils/tracking');
 
 const trackingController = {
@@ -26,7 +30,7 @@ const trackingController = {
       const ipAddress = getClientIp(req);
 
       // Find message by tracking token
-      const message = messageModel.findByTrackingToken(token);
+      const message = messageModel.getByToken(token);
 
       if (!message) {
         logger.warn(`Open tracking: Message not found for token ${token}`);
@@ -61,6 +65,18 @@ const trackingController = {
           updateStmt.run(message.id);
         }
 
+        // Learn the contact's timezone for local-time scheduling
+        geoipService.inferContactTimezone(message.contact_id, ipAddress);
+
+        webhookService.emit('opened', {
+          message_id: message.id,
+          campaign_id: message.campaign_id,
+          contact_id: message.contact_id,
+          email: message.contact_email,
+          ip_address: ipAddress,
+          user_agent: userAgent
+        });
+
         logger.info(`Open tracked: Message ${message.id}, Campaign ${message.campaign_id}`);
       } else {
         logger.debug(`Bot detected, skipping open tracking for message ${message.id}`);
@@ -97,7 +113,7 @@ const trackingController = {
       }
 
       // Find message by tracking token
-      const message = messageModel.findByTrackingToken(token);
+      const message = messageModel.getByToken(token);
 
       if (!message) {
         logger.warn(`Click tracking: Message not found for token ${token}`);
@@ -120,10 +136,21 @@ const trackingController = {
 
       stmt.run(message.id, 'clicked', eventData, ipAddress, userAgent);
 
+      webhookService.emit('clicked', {
+        message_id: message.id,
+        campaign_id: message.campaign_id,
+        contact_id: message.contact_id,
+        email: message.contact_email,
+        url: link.original_url,
+        is_bot: isBot(userAgent),
+        ip_address: ipAddress,
+        user_agent: userAgent
+      });
+
       logger.info(`Click tracked: Message ${message.id}, Link ${link.id}, URL ${link.original_url}`);
 
       // Redirect to original URL
-      res.redirect(302, link.original_url);
+      res.redirect(302, appendConversionToken(link.original_url, token));
 
     } catch (error) {
       logger.error('Error tracking click:', error);
@@ -131,6 +158,154 @@ const trackingController = {
     }
   },
 
+  /**
+   * Track a transactional email open
+   * GET /track/transactional/open/:token.png
+   */
+  trackTransactionalOpen: async (req, res) => {
+    try {
+      const { token } = req.params;
+      const userAgent = req.headers['user-agent'];
+      const message = TransactionalMessageModel.getByToken(token);
+
+      if (!message) {
+        logger.warn(`Open tracking: Transactional message not found for token ${token}`);
+      } else if (!isBot(userAgent)) {
+        TransactionalMessageModel.addEvent(message.id, 'opened', null, getClientIp(req), userAgent);
+
+        webhookService.emit('opened', {
+          transactional_message_id: message.id,
+          contact_id: message.contact_id,
+          email: message.to_email,
+          tag: message.tag,
+          ip_address: getClientIp(req),
+          user_agent: userAgent
+        });
+
+        // An open proves delivery
+        if (message.status === 'sent') {
+          TransactionalMessageModel.updateStatus(message.id, 'delivered');
+        }
+
+        logger.info(`Open tracked: Transactional message ${message.id}`);
+      } else {
+        logger.debug(`Bot detected, skipping open tracking for transactional message ${message.id}`);
+      }
+
+      res.set('Content-Type', 'image/gif');
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+      res.send(createTrackingPixel());
+    } catch (error) {
+      logger.error('Error tracking transactional open:', error);
+      res.set('Content-Type', 'image/gif').send(createTrackingPixel());
+    }
+  },
+
+  /**
+   * Track a transactional email link click
+   * GET /track/transactional/click/:token/:index
+   */
+  trackTransactionalClick: async (req, res) => {
+    try {
+      const { token, index } = req.params;
+      const userAgent = req.headers['user-agent'];
+      const message = TransactionalMessageModel.getByToken(token);
+      const url = message && message.links[parseInt(index)];
+
+      if (!url) {
+        logger.warn(`Click tracking: Transactional link ${index} not found for token ${token}`);
+        return res.status(404).send('Link not found');
+      }
+
+      TransactionalMessageModel.addEvent(message.id, 'clicked', {
+        link_index: parseInt(index),
+        original_url: url,
+        is_bot: isBot(userAgent)
+      }, getClientIp(req), userAgent);
+
+      webhookService.emit('clicked', {
+        transactional_message_id: message.id,
+        contact_id: message.contact_id,
+        email: message.to_email,
+        tag: message.tag,
+        url,
+        is_bot: isBot(userAgent),
+        ip_address: getClientIp(req),
+        user_agent: userAgent
+      });
+
+      logger.info(`Click tracked: Transactional message ${message.id}, URL ${url}`);
+
+      res.redirect(302, url);
+    } catch (error) {
+      logger.error('Error tracking transactional click:', error);
+      res.status(500).send('Error processing click');
+    }
+  },
+
+  /**
+   * Track a conversion (purchase, signup, ...) on a landing page
+   * GET /track/conversion/:token.png?value=&order_id= (pixel)
+   * POST /track/conversion/:token { value, order_id } (server-side reporting)
+   * A repeated order_id for the same message is only counted once.
+   */
+  trackConversion: async (req, res) => {
+    const respond = () => {
+      if (req.method === 'GET') {
+        res.set('Content-Type', 'image/gif');
+        res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+        return res.send(createTrackingPixel());
+      }
+
+      res.json({ success: true });
+    };
+
+    try {
+      const { token } = req.params;
+      const params = req.method === 'GET' ? req.query : (req.body || {});
+      const value = params.value !== undefined && params.value !== '' ? parseFloat(params.value) : null;
+      const orderId = params.order_id ? String(params.order_id).slice(0, 100) : null;
+
+      const message = messageModel.getByToken(token);
+
+      if (!message) {
+        logger.warn(`Conversion tracking: Message not found for token ${token}`);
+        return req.method === 'GET' ? respond() : res.status(404).json({ success: false, message: 'Unknown token' });
+      }
+
+      if (orderId) {
+        const duplicate = db.prepare(`
+          SELECT id FROM message_events
+          WHERE message_id = ? AND event_type = 'converted'
+            AND json_extract(event_data, '$.order_id') = ?
+        `).get(message.id, orderId);
+
+        if (duplicate) {
+          return respond();
+        }
+      }
+
+      db.prepare(`
+        INSERT INTO message_events (message_id, event_type, event_data, ip_address, user_agent, created_at)
+        VALUES (?, 'converted', ?, ?, ?, datetime('now'))
+      `).run(
+        message.id,
+        JSON.stringify({ value: Number.isFinite(value) ? value : null, order_id: orderId }),
+        getClientIp(req),
+        req.headers['user-agent']
+      );
+
+      logger.info(`Conversion tracked: Message ${message.id}, Campaign ${message.campaign_id}`);
+      respond();
+    } catch (error) {
+      logger.error('Error tracking conversion:', error);
+      if (req.method === 'GET') {
+        return res.set('Content-Type', 'image/gif').send(createTrackingPixel());
+      }
+      res.status(500).json({ success: false, message: 'Error processing conversion' });
+    }
+  },
+
   /**
    * One-click unsubscribe (RFC 8058)
    * POST /track/unsubscribe/:token
@@ -164,6 +339,14 @@ const trackingController = {
         logger.info(`Contact ${tokenData.contact_id} unsubscribed globally`);
       }
 
+      webhookService.emit('unsubscribed', {
+        contact_id: tokenData.contact_id,
+        email: tokenData.email,
+        list_id: tokenData.list_id,
+        campaign_id: tokenData.campaign_id,
+        method: 'one-click'
+      });
+
       // Log unsubscribe event
       if (tokenData.campaign_id) {
         // Find any message from this campaign to this contact
@@ -273,6 +456,14 @@ const trackingController = {
         unsubscribeModel.unsubscribeGlobally(tokenData.contact_id);
       }
 
+      webhookService.emit('unsubscribed', {
+        contact_id: tokenData.contact_id,
+        email: tokenData.email,
+        list_id: tokenData.list_id,
+        campaign_id: tokenData.campaign_id,
+        method: 'web-form'
+      });
+
       // Log event
       if (tokenData.campaign_id) {
         const messageStmt = db.prepare(`
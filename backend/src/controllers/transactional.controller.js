@@ -0,0 +1,91 @@
+const TransactionalMessageModel = require('../models/transactional-message.model');
+const transactionalService = require('../services/transactional.service');
+const logger = require('../config/logger');
+
+// Fields a client may set on a send request
+const FIELDS = [
+  'to', 'template_id', 'subject', 'html', 'text', 'merge_data', 'from_email', 'from_name',
+  'reply_to', 'smtp_config_id', 'tag', 'metadata', 'track_opens', 'track_clicks', 'sandbox'
+];
+
+/**
+ * Pick the send request fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function pickFields(body) {
+  return FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined && body[field] !== '') {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+}
+
+/**
+ * Send a transactional email
+ * The email is queued on the priority lane; poll the returned ID for its
+ * status and events.
+ */
+exports.sendEmail = (req, res) => {
+  try {
+    const data = pickFields(req.body);
+
+    const error = transactionalService.validate(data);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const message = transactionalService.send(data);
+
+    res.status(202).json({
+      id: message.id,
+      message_id: message.message_id,
+      status: message.status,
+      error_message: message.error_message
+    });
+  } catch (error) {
+    logger.error('Error sending transactional email:', error);
+    res.status(500).json({ error: error.message || 'Failed to send transactional email' });
+  }
+};
+
+/**
+ * Get transactional messages
+ */
+exports.getMessages = (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    const { messages, total } = TransactionalMessageModel.getAll({
+      status: req.query.status,
+      email: req.query.email,
+      tag: req.query.tag,
+      limit,
+      offset
+    });
+
+    res.json({ messages, total, limit, offset });
+  } catch (error) {
+    logger.error('Error getting transactional messages:', error);
+    res.status(500).json({ error: 'Failed to retrieve transactional messages' });
+  }
+};
+
+/**
+ * Get a transactional message with its events
+ */
+exports.getMessageById = (req, res) => {
+  try {
+    const message = TransactionalMessageModel.getById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Transactional message not found' });
+    }
+
+    res.json({ ...message, events: TransactionalMessageModel.getEvents(message.id) });
+  } catch (error) {
+    logger.error(`Error getting transactional message ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve transactional message' });
+  }
+};
@@ -0,0 +1,166 @@
+const WebhookModel = require('../models/webhook.model');
+const webhookService = require('../services/webhook.service');
+const logger = require('../config/logger');
+
+// Fields a client may set on a webhook
+const FIELDS = ['name', 'url', 'events', 'secret', 'is_active'];
+
+/**
+ * Pick the webhook fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function pickFields(body) {
+  return FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined && body[field] !== '') {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+}
+
+/**
+ * Get all webhooks and the events they can subscribe to
+ */
+exports.getWebhooks = (req, res) => {
+  try {
+    const webhooks = WebhookModel.getAll();
+
+    res.json({ webhooks, events: webhookService.getEvents(), count: webhooks.length });
+  } catch (error) {
+    logger.error('Error getting webhooks:', error);
+    res.status(500).json({ error: 'Failed to retrieve webhooks' });
+  }
+};
+
+/**
+ * Get a webhook
+ */
+exports.getWebhookById = (req, res) => {
+  try {
+    const webhook = WebhookModel.getById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    logger.error(`Error getting webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve webhook' });
+  }
+};
+
+/**
+ * Create a webhook
+ * A secret is generated unless one is given; the response is the only time
+ * it is returned.
+ */
+exports.createWebhook = (req, res) => {
+  try {
+    const data = pickFields(req.body);
+    const secret = data.secret || webhookService.generateSecret();
+
+    const webhook = WebhookModel.create({ ...data, secret });
+
+    res.status(201).json({ ...webhook, secret });
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+    res.status(500).json({ error: error.message || 'Failed to create webhook' });
+  }
+};
+
+/**
+ * Update a webhook
+ * Setting is_active re-enables a webhook that was disabled after failing.
+ */
+exports.updateWebhook = (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!WebhookModel.getById(id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(WebhookModel.update(id, pickFields(req.body)));
+  } catch (error) {
+    logger.error(`Error updating webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to update webhook' });
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log
+ */
+exports.deleteWebhook = (req, res) => {
+  try {
+    const deleted = WebhookModel.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+};
+
+/**
+ * Get a webhook's delivery attempts
+ */
+exports.getDeliveries = (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!WebhookModel.getById(id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    const { deliveries, total } = WebhookModel.getDeliveries(id, {
+      status: req.query.status,
+      limit,
+      offset
+    });
+
+    res.json({ deliveries, total, limit, offset });
+  } catch (error) {
+    logger.error(`Error getting deliveries for webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve webhook deliveries' });
+  }
+};
+
+/**
+ * Resend past events to a webhook
+ * Body: { since, until, event_types, after_id }
+ * A truncated replay returns next_after_id; send it back as after_id for the next page.
+ */
+exports.replayEvents = (req, res) => {
+  try {
+    const webhook = WebhookModel.getById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!webhook.is_active) {
+      return res.status(400).json({ error: 'Enable the webhook before replaying events' });
+    }
+
+    const { since, until, event_types, after_id } = req.body;
+    const result = webhookService.replay(webhook.id, { since, until, event_types, after_id });
+
+    res.status(202).json({
+      message: result.truncated
+        ? `${result.queued} events queued for delivery; more events remain in this window`
+        : `${result.queued} events queued for delivery`,
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error replaying events to webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to replay webhook events' });
+  }
+};
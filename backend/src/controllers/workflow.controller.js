@@ -0,0 +1,235 @@
+const WorkflowModel = require('../models/workflow.model');
+const ContactModel = require('../models/contact.model');
+const ListModel = require('../models/list.model');
+const workflowService = require('../services/workflow.service');
+const logger = require('../config/logger');
+
+// Fields a client may set on a workflow
+const FIELDS = [
+  'name', 'description', 'list_id', 'trigger_type', 'trigger_config',
+  'from_email', 'from_name', 'reply_to', 'smtp_config_id', 'allow_reentry'
+];
+
+/**
+ * Pick the workflow fields and steps from a request body
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function pickFields(body) {
+  const data = FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+    return fields;
+  }, {});
+
+  if (Array.isArray(body.steps)) {
+    data.steps = body.steps.map(step => ({
+      id: step.id || null,
+      step_type: step.step_type,
+      config: step.config || {}
+    }));
+  }
+
+  return data;
+}
+
+/**
+ * Get all workflows
+ */
+exports.getWorkflows = (req, res) => {
+  try {
+    const workflows = WorkflowModel.getAll();
+
+    res.json({ workflows, count: workflows.length });
+  } catch (error) {
+    logger.error('Error getting workflows:', error);
+    res.status(500).json({ error: 'Failed to retrieve workflows' });
+  }
+};
+
+/**
+ * Get a workflow with its steps
+ */
+exports.getWorkflowById = (req, res) => {
+  try {
+    const workflow = workflowService.getWorkflow(req.params.id);
+
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    res.json(workflow);
+  } catch (error) {
+    logger.error(`Error getting workflow ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve workflow' });
+  }
+};
+
+/**
+ * Create a workflow (as a draft)
+ */
+exports.createWorkflow = (req, res) => {
+  try {
+    const data = pickFields(req.body);
+
+    if (!ListModel.getById(data.list_id)) {
+      return res.status(400).json({ error: `List ${data.list_id} not found` });
+    }
+
+    const errors = workflowService.validate(data, data.steps || []);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid workflow', errors });
+    }
+
+    res.status(201).json(workflowService.saveWorkflow(null, data));
+  } catch (error) {
+    logger.error('Error creating workflow:', error);
+    res.status(500).json({ error: error.message || 'Failed to create workflow' });
+  }
+};
+
+/**
+ * Update a workflow; its audience and steps can only change while it is not active
+ */
+exports.updateWorkflow = (req, res) => {
+  try {
+    const { id } = req.params;
+    const workflow = WorkflowModel.getById(id);
+
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const data = pickFields(req.body);
+
+    if (workflow.status === 'active' && (data.steps || data.list_id || data.trigger_type || data.trigger_config)) {
+      return res.status(400).json({ error: 'Pause the workflow before changing its trigger, list or steps' });
+    }
+
+    if (data.list_id && !ListModel.getById(data.list_id)) {
+      return res.status(400).json({ error: `List ${data.list_id} not found` });
+    }
+
+    const merged = { ...workflow, ...data };
+    const errors = workflowService.validate(merged, data.steps || WorkflowModel.getSteps(id));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid workflow', errors });
+    }
+
+    res.json(workflowService.saveWorkflow(id, data));
+  } catch (error) {
+    logger.error(`Error updating workflow ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to update workflow' });
+  }
+};
+
+/**
+ * Delete a workflow with its enrollments and the emails its steps sent
+ */
+exports.deleteWorkflow = (req, res) => {
+  try {
+    const deleted = workflowService.deleteWorkflow(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    res.json({ message: 'Workflow deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting workflow ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete workflow' });
+  }
+};
+
+/**
+ * Activate a draft workflow or resume a paused one
+ */
+exports.activateWorkflow = (req, res) => {
+  try {
+    const workflow = workflowService.activateWorkflow(req.params.id);
+
+    res.json({ message: 'Workflow activated', workflow });
+  } catch (error) {
+    logger.error(`Error activating workflow ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to activate workflow' });
+  }
+};
+
+/**
+ * Pause an active workflow
+ */
+exports.pauseWorkflow = (req, res) => {
+  try {
+    const workflow = workflowService.pauseWorkflow(req.params.id);
+
+    res.json({ message: 'Workflow paused', workflow });
+  } catch (error) {
+    logger.error(`Error pausing workflow ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message || 'Failed to pause workflow' });
+  }
+};
+
+/**
+ * Get per-step stats of a workflow
+ */
+exports.getWorkflowStats = (req, res) => {
+  try {
+    const stats = workflowService.getStats(req.params.id);
+
+    if (!stats) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    res.json(stats);
+  } catch (error) {
+    logger.error(`Error getting stats of workflow ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve workflow stats' });
+  }
+};
+
+/**
+ * Get a workflow's enrollments
+ */
+exports.getWorkflowEnrollments = (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, limit = 100, offset = 0 } = req.query;
+
+    if (!WorkflowModel.getById(id)) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const enrollments = WorkflowModel.getEnrollments(id, {
+      status: status || null,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({ enrollments, count: enrollments.length });
+  } catch (error) {
+    logger.error(`Error getting enrollments of workflow ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve enrollments' });
+  }
+};
+
+/**
+ * Report a custom event for a contact, enrolling them in the workflows it triggers
+ */
+exports.trackEvent = (req, res) => {
+  try {
+    const { contact_id: contactId, email, event, data } = req.body;
+    const contact = contactId ? ContactModel.getById(contactId) : ContactModel.getByEmail(email);
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const workflowIds = workflowService.handleEvent(contact.id, event, data || {});
+
+    res.json({ message: 'Event recorded', contact_id: contact.id, enrolled_in: workflowIds });
+  } catch (error) {
+    logger.error('Error recording workflow event:', error);
+    res.status(500).json({ error: 'Failed to record event' });
+  }
+};
@@ -1,14 +1,72 @@
 const jwt = require('jsonwebtoken');
+const apiKeyService = require('../services/api-key.service');
+const ApiKeyModel = require('../models/api-key.model');
+const { getClientIp } = require('../utils/tracking');
 const logger = require('../config/logger');
 
-const authenticateToken = (req, res, next) => {
+/**
+ * Get the bearer token from a request
+ * @param {Object} req - Express request
+ * @returns {string|undefined}
+ */
+const getBearerToken = (req) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+/**
+ * Attach the API key a request is made with, if it is a usable one
+ * Runs before the rate limiters so each key gets its own limit; requests
+ * are only let through by authenticateToken.
+ */
+const identifyApiKey = (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (apiKeyService.isApiKey(token)) {
+    req.apiKey = apiKeyService.authenticate(token).apiKey;
+  }
+
+  next();
+};
+
+/**
+ * Authenticate a request made with an API key
+ * Keys only reach endpoints that name the scope they need (see requireScope).
+ */
+const authenticateApiKey = (req, res, next, token) => {
+  const { apiKey, error } = req.apiKey ? { apiKey: req.apiKey } : apiKeyService.authenticate(token);
+
+  if (!apiKey) {
+    logger.warn('Invalid API key attempt', { error });
+    return res.status(401).json({ error });
+  }
+
+  if (!req.requiredScope) {
+    return res.status(403).json({ error: 'This endpoint is not available to API keys' });
+  }
+
+  if (!apiKey.scopes.includes(req.requiredScope)) {
+    return res.status(403).json({ error: `API key is missing the ${req.requiredScope} scope` });
+  }
+
+  ApiKeyModel.recordUse(apiKey.id, getClientIp(req));
+
+  req.apiKey = apiKey;
+  req.user = { apiKeyId: apiKey.id, username: `api-key:${apiKey.name}`, scopes: apiKey.scopes };
+  next();
+};
+
+const authenticateToken = (req, res, next) => {
+  const token = getBearerToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (apiKeyService.isApiKey(token)) {
+    return authenticateApiKey(req, res, next, token);
+  }
+
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
     if (err) {
       logger.warn('Invalid token attempt', { error: err.message });
@@ -20,4 +78,15 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
-module.exports = { authenticateToken };
+/**
+ * Authenticate a request to an endpoint API keys may call
+ * Admin JWTs are accepted as usual; API keys need the given scope.
+ * @param {string} scope - Scope an API key needs, e.g. contacts:write
+ * @returns {Function} Middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  req.requiredScope = scope;
+  authenticateToken(req, res, next);
+};
+
+module.exports = { authenticateToken, requireScope, identifyApiKey };
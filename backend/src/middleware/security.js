@@ -71,6 +71,7 @@ exports.generateCsrfToken = (req, res) => {
  * - Public tracking endpoints (/track/*)
  * - Health check endpoints (/health/*)
  * - Authentication endpoints (login)
+ * - Requests made with an API key
  */
 exports.csrfProtection = (req, res, next) => {
   // Skip CSRF for safe methods
@@ -82,7 +83,8 @@ exports.csrfProtection = (req, res, next) => {
   const publicPaths = [
     '/api/auth/login',
     '/track/',
-    '/health/'
+    '/health/',
+    '/public/'
   ];
 
   const isPublicPath = publicPaths.some(path => req.path.includes(path));
@@ -90,6 +92,11 @@ exports.csrfProtection = (req, res, next) => {
     return next();
   }
 
+  // API keys are sent in a header, which other sites cannot make a browser add
+  if (req.apiKey) {
+    return next();
+  }
+
   // Get CSRF token from request
   const token = req.headers['x-csrf-token'] ||
                 req.body._csrf ||
@@ -141,7 +148,9 @@ exports.csrfProtection = (req, res, next) => {
 
 /**
  * IP-based Rate Limiter
- * Tracks request counts per IP address
+ * Tracks request counts per IP address. Requests made with an API key (see
+ * identifyApiKey) are counted per key instead, and limiters created with
+ * useApiKeyLimit allow each key its own rate_limit.
  */
 class RateLimiter {
   constructor(options = {}) {
@@ -150,6 +159,7 @@ class RateLimiter {
     this.windowMs = options.windowMs || 60000; // 1 minute
     this.message = options.message || 'Too many requests, please try again later';
     this.skipSuccessfulRequests = options.skipSuccessfulRequests || false;
+    this.useApiKeyLimit = options.useApiKeyLimit || false;
 
     // Clean up old entries every minute
     setInterval(() => {
@@ -164,15 +174,17 @@ class RateLimiter {
 
   middleware() {
     return (req, res, next) => {
-      // Skip rate limiting for health checks
-      if (req.path.includes('/health/')) {
+      // Skip rate limiting for health checks and for provider event webhooks,
+      // which are signed and arrive in bursts from a few provider addresses
+      if (req.path.includes('/health/') || req.path.startsWith('/public/esp/')) {
         return next();
       }
 
-      const ip = this.getClientIp(req);
+      const clientKey = this.getClientKey(req);
+      const maxRequests = this.useApiKeyLimit && req.apiKey ? req.apiKey.rate_limit : this.maxRequests;
       const now = Date.now();
 
-      let requestData = this.requests.get(ip);
+      let requestData = this.requests.get(clientKey);
 
       // Initialize or reset if window expired
       if (!requestData || now - requestData.resetTime > this.windowMs) {
@@ -181,26 +193,26 @@ class RateLimiter {
           resetTime: now,
           firstRequest: now
         };
-        this.requests.set(ip, requestData);
+        this.requests.set(clientKey, requestData);
       }
 
       // Increment request count
       requestData.count++;
 
       // Check if limit exceeded
-      if (requestData.count > this.maxRequests) {
+      if (requestData.count > maxRequests) {
         const retryAfter = Math.ceil((requestData.resetTime + this.windowMs - now) / 1000);
 
         logger.warn('Rate limit exceeded', {
-          ip,
+          client: clientKey,
           path: req.path,
           count: requestData.count,
-          limit: this.maxRequests,
+          limit: maxRequests,
           retryAfter
         });
 
         res.set('Retry-After', retryAfter);
-        res.set('X-RateLimit-Limit', this.maxRequests);
+        res.set('X-RateLimit-Limit', maxRequests);
         res.set('X-RateLimit-Remaining', 0);
         res.set('X-RateLimit-Reset', new Date(requestData.resetTime + this.windowMs).toISOString());
 
@@ -208,13 +220,13 @@ class RateLimiter {
           error: 'Too Many Requests',
           message: this.message,
           retryAfter: retryAfter,
-          limit: this.maxRequests
+          limit: maxRequests
         });
       }
 
       // Add rate limit headers
-      res.set('X-RateLimit-Limit', this.maxRequests);
-      res.set('X-RateLimit-Remaining', Math.max(0, this.maxRequests - requestData.count));
+      res.set('X-RateLimit-Limit', maxRequests);
+      res.set('X-RateLimit-Remaining', Math.max(0, maxRequests - requestData.count));
       res.set('X-RateLimit-Reset', new Date(requestData.resetTime + this.windowMs).toISOString());
 
       // If skipSuccessfulRequests is true, decrement on successful response
@@ -232,6 +244,11 @@ class RateLimiter {
     };
   }
 
+  // Requests are counted per API key when made with one, otherwise per IP
+  getClientKey(req) {
+    return req.apiKey ? `api-key:${req.apiKey.id}` : this.getClientIp(req);
+  }
+
   getClientIp(req) {
     // Check for IP in various headers (for proxies/load balancers)
     return req.headers['x-forwarded-for']?.split(',')[0].trim() ||
@@ -293,13 +310,14 @@ class RateLimiter {
 
 /**
  * General API rate limiter
- * 100 requests per minute per IP
+ * 100 requests per minute per IP, or the key's rate_limit per API key
  */
 exports.apiLimiter = new RateLimiter({
   maxRequests: parseInt(process.env.API_RATE_LIMIT) || 100,
   windowMs: 60000, // 1 minute
   message: 'Too many API requests, please try again in a minute',
-  skipSuccessfulRequests: false
+  skipSuccessfulRequests: false,
+  useApiKeyLimit: true // API keys get their own per-minute limit
 });
 
 /**
@@ -335,6 +353,17 @@ exports.importLimiter = new RateLimiter({
   skipSuccessfulRequests: false
 });
 
+/**
+ * Public signup rate limiter
+ * 10 signups or confirmations per hour per IP
+ */
+exports.subscribeLimiter = new RateLimiter({
+  maxRequests: parseInt(process.env.SUBSCRIBE_RATE_LIMIT) || 10,
+  windowMs: 3600000, // 1 hour
+  message: 'Too many signup attempts, please try again later',
+  skipSuccessfulRequests: false
+});
+
 /**
  * Input Sanitization Middleware
  * Sanitizes user input to prevent XSS and injection attacks
@@ -412,6 +441,7 @@ exports.getRateLimiterStats = () => {
     api: exports.apiLimiter.getStats(),
     auth: exports.authLimiter.getStats(),
     campaign: exports.campaignLimiter.getStats(),
-    import: exports.importLimiter.getStats()
+    import: exports.importLimiter.getStats(),
+    subscribe: exports.subscribeLimiter.getStats()
   };
 };
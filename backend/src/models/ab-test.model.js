@@ -0,0 +1,244 @@
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+class AbTestModel {
+  /**
+   * Get a campaign's A/B test with its variants
+   * @param {number} campaignId - Campaign ID
+   * @returns {Object|null} A/B test with variants, or null if the campaign has none
+   */
+  static getByCampaign(campaignId) {
+    try {
+      const test = db.prepare('SELECT * FROM ab_tests WHERE campaign_id = ?').get(campaignId);
+
+      if (!test) {
+        return null;
+      }
+
+      return { ...test, variants: this.getVariants(test.id) };
+    } catch (error) {
+      logger.error(`Error getting A/B test for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the variants of an A/B test
+   * @param {number} abTestId - A/B test ID
+   * @returns {Array<Object>} Variants with template names, in creation order
+   */
+  static getVariants(abTestId) {
+    try {
+      return db.prepare(`
+        SELECT v.*, t.name as template_name
+        FROM ab_test_variants v
+        LEFT JOIN templates t ON v.template_id = t.id
+        WHERE v.ab_test_id = ?
+        ORDER BY v.id ASC
+      `).all(abTestId);
+    } catch (error) {
+      logger.error(`Error getting variants for A/B test ${abTestId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a campaign's A/B test
+   * Existing variants are replaced by the given ones.
+   * @param {number} campaignId - Campaign ID
+   * @param {Object} data - { test_percentage, winner_metric, wait_hours, variants: [{ name, subject, from_name, template_id }] }
+   * @returns {Object} Saved A/B test with variants
+   */
+  static save(campaignId, data) {
+    try {
+      const upsert = db.prepare(`
+        INSERT INTO ab_tests (campaign_id, test_percentage, winner_metric, wait_hours)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(campaign_id) DO UPDATE SET
+          test_percentage = excluded.test_percentage,
+          winner_metric = excluded.winner_metric,
+          wait_hours = excluded.wait_hours,
+          updated_at = CURRENT_TIMESTAMP
+      `);
+
+      const insertVariant = db.prepare(`
+        INSERT INTO ab_test_variants (ab_test_id, name, subject, from_name, template_id)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+
+      db.transaction(() => {
+        upsert.run(campaignId, data.test_percentage, data.winner_metric, data.wait_hours);
+
+        const { id } = db.prepare('SELECT id FROM ab_tests WHERE campaign_id = ?').get(campaignId);
+
+        db.prepare('DELETE FROM ab_test_variants WHERE ab_test_id = ?').run(id);
+
+        for (const variant of data.variants) {
+          insertVariant.run(
+            id,
+            variant.name,
+            variant.subject || null,
+            variant.from_name || null,
+            variant.template_id || null
+          );
+        }
+      })();
+
+      logger.info(`A/B test saved for campaign ${campaignId} with ${data.variants.length} variants`);
+      return this.getByCampaign(campaignId);
+    } catch (error) {
+      logger.error(`Error saving A/B test for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a campaign's A/B test
+   * @param {number} campaignId - Campaign ID
+   * @returns {boolean} True if a test was deleted
+   */
+  static deleteByCampaign(campaignId) {
+    try {
+      return db.prepare('DELETE FROM ab_tests WHERE campaign_id = ?').run(campaignId).changes > 0;
+    } catch (error) {
+      logger.error(`Error deleting A/B test for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a test as started
+   * @param {number} id - A/B test ID
+   * @param {string} decideAt - ISO time the winner is picked
+   * @param {number} lastTestMessageId - Highest message ID of the test group; the
+   *   winner's later messages to the rest of the list are not part of the test
+   */
+  static markTesting(id, decideAt, lastTestMessageId) {
+    try {
+      db.prepare(`
+        UPDATE ab_tests
+        SET status = 'testing', test_started_at = ?, decide_at = ?, last_test_message_id = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(new Date().toISOString(), decideAt, lastTestMessageId, id);
+    } catch (error) {
+      logger.error(`Error starting A/B test ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a test's winner
+   * Only a test that is still running is updated, so a winner is picked once.
+   * @param {number} id - A/B test ID
+   * @param {number} variantId - Winning variant ID
+   * @param {string} reason - 'metric', 'no_data' or 'manual'
+   * @returns {boolean} True if the winner was recorded
+   */
+  static markCompleted(id, variantId, reason) {
+    try {
+      const result = db.prepare(`
+        UPDATE ab_tests
+        SET status = 'completed', winner_variant_id = ?, winner_reason = ?, decided_at = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'testing'
+      `).run(variantId, reason, new Date().toISOString(), id);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error completing A/B test ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset a test to draft, e.g. when its campaign failed to send
+   * @param {number} campaignId - Campaign ID
+   */
+  static resetByCampaign(campaignId) {
+    try {
+      db.prepare(`
+        UPDATE ab_tests
+        SET status = 'draft', test_started_at = NULL, decide_at = NULL, last_test_message_id = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE campaign_id = ? AND status = 'testing'
+      `).run(campaignId);
+    } catch (error) {
+      logger.error(`Error resetting A/B test for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a running test without a winner, e.g. when its campaign is aborted
+   * @param {number} campaignId - Campaign ID
+   */
+  static cancelByCampaign(campaignId) {
+    try {
+      db.prepare(`
+        UPDATE ab_tests
+        SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+        WHERE campaign_id = ? AND status = 'testing'
+      `).run(campaignId);
+    } catch (error) {
+      logger.error(`Error cancelling A/B test for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get running tests whose wait window has ended
+   * Tests of paused campaigns wait until the campaign is resumed.
+   * @returns {Array<Object>} A/B tests
+   */
+  static getDue() {
+    try {
+      return db.prepare(`
+        SELECT t.* FROM ab_tests t
+        JOIN campaigns c ON t.campaign_id = c.id
+        WHERE t.status = 'testing'
+          AND c.status = 'sending'
+          AND datetime(t.decide_at) <= datetime('now')
+        ORDER BY t.decide_at ASC
+      `).all();
+    } catch (error) {
+      logger.error('Error getting due A/B tests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count sent, opened, clicked and converted test group messages per variant
+   * @param {Object} test - A/B test
+   * @returns {Array<Object>} [{ variant_id, recipients, sent, opens, clicks, conversions }]
+   */
+  static getVariantCounts(test) {
+    try {
+      return db.prepare(`
+        SELECT
+          m.variant_id,
+          COUNT(*) as recipients,
+          SUM(CASE WHEN m.status IN ('sent', 'delivered') THEN 1 ELSE 0 END) as sent,
+          SUM(CASE WHEN EXISTS (
+            SELECT 1 FROM message_events me WHERE me.message_id = m.id AND me.event_type = 'opened'
+          ) THEN 1 ELSE 0 END) as opens,
+          SUM(CASE WHEN EXISTS (
+            SELECT 1 FROM message_events me
+            WHERE me.message_id = m.id AND me.event_type = 'clicked'
+              AND COALESCE(json_extract(me.event_data, '$.is_bot'), 0) = 0
+          ) THEN 1 ELSE 0 END) as clicks,
+          SUM(CASE WHEN EXISTS (
+            SELECT 1 FROM message_events me WHERE me.message_id = m.id AND me.event_type = 'converted'
+          ) THEN 1 ELSE 0 END) as conversions
+        FROM messages m
+        WHERE m.campaign_id = ? AND m.variant_id IS NOT NULL AND m.id <= ?
+        GROUP BY m.variant_id
+      `).all(test.campaign_id, test.last_test_message_id || 0);
+    } catch (error) {
+      logger.error(`Error counting variant results for campaign ${test.campaign_id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AbTestModel;
@@ -0,0 +1,199 @@
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+class ApiKeyModel {
+  /**
+   * Parse a key's scopes column and drop its hash
+   * @param {Object} apiKey - API key row
+   * @returns {Object|null} API key with scopes as an array, or null
+   */
+  static parse(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+
+    const { key_hash, ...rest } = apiKey;
+
+    let scopes = [];
+    try {
+      scopes = JSON.parse(apiKey.scopes || '[]');
+    } catch (error) {
+      scopes = [];
+    }
+
+    return { ...rest, scopes };
+  }
+
+  /**
+   * Get all API keys, newest first
+   * @returns {Array<Object>} API keys
+   */
+  static getAll() {
+    try {
+      return db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC, id DESC')
+        .all()
+        .map(apiKey => this.parse(apiKey));
+    } catch (error) {
+      logger.error('Error getting API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get API key by ID
+   * @param {number} id - API key ID
+   * @returns {Object|null} API key or null
+   */
+  static getById(id) {
+    try {
+      return this.parse(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id));
+    } catch (error) {
+      logger.error(`Error getting API key ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get API key by the hash of the key
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Object|null} API key or null
+   */
+  static getByHash(keyHash) {
+    try {
+      return this.parse(db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash));
+    } catch (error) {
+      logger.error('Error getting API key by hash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new API key
+   * @param {Object} data - name, key_prefix, key_hash, scopes, rate_limit, expires_at, created_by
+   * @returns {Object} Created API key
+   */
+  static create(data) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO api_keys (
+          name, key_prefix, key_hash, scopes, rate_limit, expires_at, created_by,
+          created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).run(
+        data.name,
+        data.key_prefix,
+        data.key_hash,
+        JSON.stringify(data.scopes || []),
+        data.rate_limit,
+        data.expires_at || null,
+        data.created_by || null
+      );
+
+      logger.info(`API key created: ${result.lastInsertRowid}`);
+      return this.getById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update API key
+   * @param {number} id - API key ID
+   * @param {Object} data - Fields to update
+   * @returns {Object} Updated API key
+   */
+  static update(id, data) {
+    try {
+      const allowedFields = ['name', 'scopes', 'rate_limit', 'expires_at'];
+
+      const updates = [];
+      const values = [];
+
+      Object.keys(data).forEach(key => {
+        if (allowedFields.includes(key)) {
+          updates.push(`${key} = ?`);
+          values.push(key === 'scopes' ? JSON.stringify(data[key] || []) : data[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      updates.push(`updated_at = datetime('now')`);
+      values.push(id);
+
+      db.prepare(`
+        UPDATE api_keys
+        SET ${updates.join(', ')}
+        WHERE id = ?
+      `).run(...values);
+
+      logger.info(`API key updated: ${id}`);
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error updating API key ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke API key; revoked keys are kept so their usage stays on record
+   * @param {number} id - API key ID
+   * @returns {Object} Revoked API key
+   */
+  static revoke(id) {
+    try {
+      db.prepare(`
+        UPDATE api_keys
+        SET revoked_at = COALESCE(revoked_at, datetime('now')), updated_at = datetime('now')
+        WHERE id = ?
+      `).run(id);
+
+      logger.info(`API key revoked: ${id}`);
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error revoking API key ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete API key
+   * @param {number} id - API key ID
+   * @returns {boolean} Success status
+   */
+  static delete(id) {
+    try {
+      const result = db.prepare('DELETE FROM api_keys WHERE id = ?').run(id);
+
+      logger.info(`API key deleted: ${id}`);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error deleting API key ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a key was used
+   * Written at most once a minute per key, so busy integrations do not
+   * turn every request into a write.
+   * @param {number} id - API key ID
+   * @param {string} ipAddress - Client IP
+   */
+  static recordUse(id, ipAddress) {
+    try {
+      db.prepare(`
+        UPDATE api_keys
+        SET last_used_at = datetime('now'), last_used_ip = ?
+        WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))
+      `).run(ipAddress || null, id);
+    } catch (error) {
+      logger.error(`Error recording use of API key ${id}:`, error);
+    }
+  }
+}
+
+module.exports = ApiKeyModel;
@@ -0,0 +1,126 @@
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+class AttachmentModel {
+  /**
+   * Create attachment metadata
+   * @param {Object} data - Attachment data
+   * @returns {Object} Created attachment
+   */
+  static create(data) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO attachments (
+          template_id, campaign_id, filename, content_type, size,
+          file_path, content_id, is_inline, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      `).run(
+        data.template_id || null,
+        data.campaign_id || null,
+        data.filename,
+        data.content_type,
+        data.size,
+        data.file_path,
+        data.content_id || null,
+        data.is_inline ? 1 : 0
+      );
+
+      logger.info(`Attachment created: ${result.lastInsertRowid}`);
+      return this.getById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error creating attachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get attachment by ID
+   * @param {number} id - Attachment ID
+   * @returns {Object|null} Attachment
+   */
+  static getById(id) {
+    try {
+      return db.prepare('SELECT * FROM attachments WHERE id = ?').get(id);
+    } catch (error) {
+      logger.error(`Error getting attachment ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get attachments of a template
+   * @param {number} templateId - Template ID
+   * @returns {Array<Object>} Attachments
+   */
+  static getByTemplate(templateId) {
+    try {
+      return db.prepare('SELECT * FROM attachments WHERE template_id = ? ORDER BY id ASC').all(templateId);
+    } catch (error) {
+      logger.error(`Error getting attachments for template ${templateId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get attachments of a campaign (excluding its template's)
+   * @param {number} campaignId - Campaign ID
+   * @returns {Array<Object>} Attachments
+   */
+  static getByCampaign(campaignId) {
+    try {
+      return db.prepare('SELECT * FROM attachments WHERE campaign_id = ? ORDER BY id ASC').all(campaignId);
+    } catch (error) {
+      logger.error(`Error getting attachments for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every attachment a campaign sends: its template's followed by its own
+   * @param {Object} campaign - Campaign with template_id
+   * @returns {Array<Object>} Attachments
+   */
+  static getForCampaign(campaign) {
+    return [
+      ...this.getByTemplate(campaign.template_id),
+      ...this.getByCampaign(campaign.id)
+    ];
+  }
+
+  /**
+   * Get total size of attachments linked to a template or campaign
+   * @param {Object} owner - { template_id } or { campaign_id }
+   * @returns {number} Total size in bytes
+   */
+  static getTotalSize(owner) {
+    try {
+      const column = owner.template_id ? 'template_id' : 'campaign_id';
+      const result = db.prepare(`
+        SELECT COALESCE(SUM(size), 0) as total FROM attachments WHERE ${column} = ?
+      `).get(owner.template_id || owner.campaign_id);
+
+      return result.total;
+    } catch (error) {
+      logger.error('Error getting attachment total size:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete attachment metadata
+   * @param {number} id - Attachment ID
+   * @returns {boolean} Success status
+   */
+  static delete(id) {
+    try {
+      const result = db.prepare('DELETE FROM attachments WHERE id = ?').run(id);
+      logger.info(`Attachment deleted: ${id}`);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error deleting attachment ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AttachmentModel;
@@ -16,20 +16,25 @@ class CampaignModel {
           c.*,
           t.name as template_name,
           l.name as list_name,
+          rc.name as recurring_campaign_name,
           COUNT(DISTINCT m.id) as total_messages,
           COUNT(DISTINCT CASE WHEN m.status = 'sent' THEN m.id END) as sent_count,
           COUNT(DISTINCT CASE WHEN m.status = 'failed' THEN m.id END) as failed_count
         FROM campaigns c
         LEFT JOIN templates t ON c.template_id = t.id
         LEFT JOIN lists l ON c.list_id = l.id
+        LEFT JOIN recurring_campaigns rc ON c.recurring_campaign_id = rc.id
         LEFT JOIN messages m ON c.id = m.campaign_id
       `;
 
       const params = [];
 
+      // Campaigns that send a workflow's emails are listed with their workflow
       if (status) {
         query += ' WHERE c.status = ?';
         params.push(status);
+      } else {
+        query += " WHERE c.status != 'automation'";
       }
 
       query += `
@@ -57,8 +62,9 @@ class CampaignModel {
         SELECT
           c.*,
           t.name as template_name,
-          t.subject as template_subject,
+          COALESCE(c.subject, t.subject) as template_subject,
           t.body as template_body,
+          t.text_body as template_text_body,
           l.name as list_name,
           l.custom_fields as list_custom_fields,
           COUNT(DISTINCT m.id) as total_messages,
@@ -91,9 +97,9 @@ class CampaignModel {
       const query = `
         INSERT INTO campaigns (
           name, template_id, list_id,
-          from_email, from_name, reply_to,
-          status, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+          from_email, from_name, reply_to, smtp_config_id, sandbox, track_replies,
+          subject, parent_campaign_id, exclude_clickers, recurring_campaign_id, status, scheduled_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
       `;
 
       const result = db.prepare(query).run(
@@ -103,7 +109,15 @@ class CampaignModel {
         data.from_email,
         data.from_name,
         data.reply_to || data.from_email,
-        data.status || 'draft'
+        data.smtp_config_id || null,
+        data.sandbox ? 1 : 0,
+        data.track_replies ? 1 : 0,
+        data.subject || null,
+        data.parent_campaign_id || null,
+        data.exclude_clickers ? 1 : 0,
+        data.recurring_campaign_id || null,
+        data.status || 'draft',
+        data.scheduled_at || null
       );
 
       logger.info(`Campaign created: ${result.lastInsertRowid}`);
@@ -124,7 +138,7 @@ class CampaignModel {
     try {
       const allowedFields = [
         'name', 'template_id', 'list_id',
-        'from_email', 'from_name', 'reply_to', 'status',
+        'from_email', 'from_name', 'reply_to', 'smtp_config_id', 'sandbox', 'track_replies', 'send_time_optimization', 'local_send_time', 'subject', 'status',
         'scheduled_at', 'started_at', 'completed_at'
       ];
 
@@ -134,7 +148,7 @@ class CampaignModel {
       Object.keys(data).forEach(key => {
         if (allowedFields.includes(key)) {
           updates.push(`${key} = ?`);
-          values.push(data[key]);
+          values.push(['sandbox', 'track_replies', 'send_time_optimization'].includes(key) ? (data[key] ? 1 : 0) : data[key]);
         }
       });
 
@@ -198,7 +212,9 @@ class CampaignModel {
           COUNT(DISTINCT CASE WHEN m.status = 'sent' THEN m.id END) as sent,
           COUNT(DISTINCT CASE WHEN m.status = 'delivered' THEN m.id END) as delivered,
           COUNT(DISTINCT CASE WHEN m.status = 'failed' THEN m.id END) as failed,
-          COUNT(DISTINCT CASE WHEN m.status = 'bounced' THEN m.id END) as bounced
+          COUNT(DISTINCT CASE WHEN m.status = 'bounced' THEN m.id END) as bounced,
+          COUNT(DISTINCT CASE WHEN m.status = 'paused' THEN m.id END) as paused,
+          COUNT(DISTINCT CASE WHEN m.status = 'cancelled' THEN m.id END) as cancelled
         FROM messages m
         WHERE m.campaign_id = ?
       `;
@@ -209,7 +225,9 @@ class CampaignModel {
         sent: 0,
         delivered: 0,
         failed: 0,
-        bounced: 0
+        bounced: 0,
+        paused: 0,
+        cancelled: 0
       };
     } catch (error) {
       logger.error(`Error getting campaign stats ${id}:`, error);
@@ -217,6 +235,91 @@ class CampaignModel {
     }
   }
 
+  /**
+   * Get the follow-up campaigns created from a campaign
+   * @param {number} id - Campaign ID
+   * @returns {Array<Object>} Follow-up campaigns, oldest first
+   */
+  static getFollowUps(id) {
+    try {
+      return db.prepare(`
+        SELECT * FROM campaigns
+        WHERE parent_campaign_id = ?
+        ORDER BY created_at ASC, id ASC
+      `).all(id);
+    } catch (error) {
+      logger.error(`Error getting follow-ups of campaign ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a campaign's original and every follow-up resent from it
+   * @param {number} id - Campaign ID, either the original or a follow-up
+   * @returns {Array<Object>} Campaigns, original first; just the campaign if it has no follow-ups
+   */
+  static getFollowUpChain(id) {
+    try {
+      const { id: rootId } = db.prepare(`
+        WITH RECURSIVE ancestors(id, parent_campaign_id, depth) AS (
+          SELECT id, parent_campaign_id, 0 FROM campaigns WHERE id = ?
+          UNION ALL
+          SELECT c.id, c.parent_campaign_id, a.depth + 1
+          FROM campaigns c JOIN ancestors a ON c.id = a.parent_campaign_id
+        )
+        SELECT id FROM ancestors ORDER BY depth DESC LIMIT 1
+      `).get(id) || { id };
+
+      return db.prepare(`
+        WITH RECURSIVE chain(id) AS (
+          SELECT ?
+          UNION
+          SELECT c.id FROM campaigns c JOIN chain ON c.parent_campaign_id = chain.id
+        )
+        SELECT campaigns.* FROM campaigns JOIN chain ON campaigns.id = chain.id
+        ORDER BY campaigns.created_at ASC, campaigns.id ASC
+      `).all(rootId);
+    } catch (error) {
+      logger.error(`Error getting follow-up chain of campaign ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the contacts a follow-up campaign resends to
+   * These are recipients of the original campaign who did not open it (and,
+   * with exclude_clickers, did not click), are still active and still
+   * subscribed to the list.
+   * @param {number} parentCampaignId - Original campaign ID
+   * @param {Object} options - { listId, excludeClickers }
+   * @returns {Array<number>} Contact IDs
+   */
+  static getFollowUpAudience(parentCampaignId, options = {}) {
+    try {
+      const { listId, excludeClickers = false } = options;
+
+      const query = `
+        SELECT DISTINCT m.contact_id
+        FROM messages m
+        JOIN contacts c ON c.id = m.contact_id
+        JOIN list_subscribers ls ON ls.contact_id = m.contact_id AND ls.list_id = ?
+        WHERE m.campaign_id = ?
+          AND m.status IN ('sent', 'delivered')
+          AND c.status = 'active'
+          AND ls.status = 'subscribed'
+          AND NOT EXISTS (
+            SELECT 1 FROM message_events me
+            WHERE me.message_id = m.id AND me.event_type ${excludeClickers ? "IN ('opened', 'clicked')" : "= 'opened'"}
+          )
+      `;
+
+      return db.prepare(query).all(listId, parentCampaignId).map(row => row.contact_id);
+    } catch (error) {
+      logger.error(`Error getting follow-up audience of campaign ${parentCampaignId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Update campaign status
    * @param {number} id - Campaign ID
@@ -233,7 +336,7 @@ class CampaignModel {
         updateData.started_at = new Date().toISOString();
       }
 
-      if (status === 'sent' && !additionalFields.completed_at) {
+      if ((status === 'sent' || status === 'cancelled') && !additionalFields.completed_at) {
         updateData.completed_at = new Date().toISOString();
       }
 
@@ -254,7 +357,7 @@ class CampaignModel {
         SELECT *
         FROM campaigns
         WHERE status = 'scheduled'
-          AND scheduled_at <= datetime('now')
+          AND datetime(scheduled_at) <= datetime('now')
         ORDER BY scheduled_at ASC
       `;
 
@@ -278,6 +381,8 @@ class CampaignModel {
       if (status) {
         query += ' WHERE status = ?';
         params.push(status);
+      } else {
+        query += " WHERE status != 'automation'";
       }
 
       const result = db.prepare(query).get(...params);
@@ -288,6 +393,27 @@ class CampaignModel {
     }
   }
 
+  /**
+   * Count the campaigns using a template that are in one of the given statuses
+   * @param {number} templateId - Template ID
+   * @param {Array<string>} statuses - Campaign statuses
+   * @returns {number} Total count
+   */
+  static countByTemplate(templateId, statuses) {
+    try {
+      const placeholders = statuses.map(() => '?').join(', ');
+      const result = db.prepare(`
+        SELECT COUNT(*) as count FROM campaigns
+        WHERE template_id = ? AND status IN (${placeholders})
+      `).get(templateId, ...statuses);
+
+      return result.count;
+    } catch (error) {
+      logger.error(`Error counting campaigns for template ${templateId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Validate campaign before sending
    * @param {number} id - Campaign ID
@@ -319,10 +445,21 @@ class CampaignModel {
         errors.push('From name is required');
       }
 
-      if (campaign.status === 'sending' || campaign.status === 'sent') {
+      if (campaign.smtp_config_id) {
+        const smtpConfig = db.prepare('SELECT id FROM smtp_configs WHERE id = ?').get(campaign.smtp_config_id);
+        if (!smtpConfig) {
+          errors.push('Selected SMTP configuration no longer exists');
+        }
+      }
+
+      if (['sending', 'sent', 'paused', 'cancelled'].includes(campaign.status)) {
         errors.push('Campaign has already been sent');
       }
 
+      if (campaign.status === 'automation') {
+        errors.push('Campaign sends the emails of a workflow');
+      }
+
       return {
         valid: errors.length === 0,
         errors
@@ -1,4 +1,5 @@
 const { db } = require('../config/database');
+const { normalizeTimezone } = require('../utils/timezone');
 
 class ContactModel {
   static getAll(filters = {}) {
@@ -44,11 +45,12 @@ class ContactModel {
 
   static create(data) {
     const { email, first_name, last_name, status = 'active' } = data;
+    const timezone = normalizeTimezone(data.timezone);
     const stmt = db.prepare(`
-      INSERT INTO contacts (email, first_name, last_name, status)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO contacts (email, first_name, last_name, status, timezone, timezone_source)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
-    const result = stmt.run(email, first_name, last_name, status);
+    const result = stmt.run(email, first_name, last_name, status, timezone, timezone ? 'manual' : null);
     return this.getById(result.lastInsertRowid);
   }
 
@@ -60,9 +62,32 @@ class ContactModel {
       WHERE id = ?
     `);
     stmt.run(email, first_name, last_name, status, id);
+
+    // Timezone is only changed when given; null clears it
+    if (data.timezone !== undefined) {
+      const timezone = normalizeTimezone(data.timezone);
+      db.prepare(`
+        UPDATE contacts SET timezone = ?, timezone_source = ? WHERE id = ?
+      `).run(timezone, timezone ? 'manual' : null, id);
+    }
+
     return this.getById(id);
   }
 
+  /**
+   * Set a timezone inferred from an open, unless the contact already has one
+   * @returns {boolean} True if the timezone was set
+   */
+  static setInferredTimezone(id, timezone) {
+    const result = db.prepare(`
+      UPDATE contacts
+      SET timezone = ?, timezone_source = 'geoip', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND timezone IS NULL
+    `).run(timezone, id);
+
+    return result.changes > 0;
+  }
+
   static updateStatus(id, status) {
     const stmt = db.prepare(`
       UPDATE contacts
@@ -79,23 +104,29 @@ class ContactModel {
   }
 
   static bulkCreate(contacts) {
+    // An imported timezone replaces an inferred one; an empty column keeps the current value
     const stmt = db.prepare(`
-      INSERT INTO contacts (email, first_name, last_name, status)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO contacts (email, first_name, last_name, status, timezone, timezone_source)
+      VALUES (?, ?, ?, ?, ?, ?)
       ON CONFLICT(email) DO UPDATE SET
         first_name = excluded.first_name,
         last_name = excluded.last_name,
+        timezone = COALESCE(excluded.timezone, contacts.timezone),
+        timezone_source = COALESCE(excluded.timezone_source, contacts.timezone_source),
         updated_at = CURRENT_TIMESTAMP
     `);
 
     const insertMany = db.transaction((contacts) => {
       const results = [];
       for (const contact of contacts) {
+        const timezone = normalizeTimezone(contact.timezone);
         const result = stmt.run(
           contact.email,
           contact.first_name || null,
           contact.last_name || null,
-          contact.status || 'active'
+          contact.status || 'active',
+          timezone,
+          timezone ? 'import' : null
         );
         results.push(result.lastInsertRowid);
       }
@@ -118,6 +149,37 @@ class ContactModel {
     return stmt.get(...params).count;
   }
 
+  static getTags(contactId) {
+    const stmt = db.prepare('SELECT tag FROM contact_tags WHERE contact_id = ? ORDER BY tag');
+    return stmt.all(contactId).map(row => row.tag);
+  }
+
+  /**
+   * Tag a contact
+   * @returns {boolean} True if the contact did not have the tag yet
+   */
+  static addTag(contactId, tag) {
+    const stmt = db.prepare('INSERT OR IGNORE INTO contact_tags (contact_id, tag) VALUES (?, ?)');
+    return stmt.run(contactId, tag).changes > 0;
+  }
+
+  static removeTag(contactId, tag) {
+    const stmt = db.prepare('DELETE FROM contact_tags WHERE contact_id = ? AND tag = ?');
+    return stmt.run(contactId, tag).changes > 0;
+  }
+
+  /**
+   * Set a single name field, e.g. from a workflow step
+   */
+  static setField(id, field, value) {
+    if (!['first_name', 'last_name'].includes(field)) {
+      throw new Error(`Contact field ${field} cannot be set`);
+    }
+
+    db.prepare(`UPDATE contacts SET ${field} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(value, id);
+    return this.getById(id);
+  }
+
   static getLists(contactId) {
     const stmt = db.prepare(`
       SELECT l.*, ls.subscribed_at, ls.status as subscription_status
@@ -0,0 +1,222 @@
+const { db } = require('../config/database');
+const { encrypt, decrypt } = require('../utils/encryption');
+const logger = require('../config/logger');
+
+// Columns safe to return from the API (everything but the private key)
+const PUBLIC_COLUMNS = `
+  id, domain, selector, public_key, key_size, status,
+  created_at, updated_at, rotated_at, retired_at
+`;
+
+class DkimKeyModel {
+  /**
+   * Get all DKIM keys
+   * @param {Object} filters - Filter options
+   * @param {string} filters.domain - Filter by domain (optional)
+   * @param {string} filters.status - Filter by status (optional)
+   * @returns {Array<Object>} DKIM keys without private keys
+   */
+  static getAll(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.domain) {
+        conditions.push('domain = ?');
+        params.push(filters.domain.toLowerCase());
+      }
+
+      if (filters.status) {
+        conditions.push('status = ?');
+        params.push(filters.status);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      return db.prepare(`
+        SELECT ${PUBLIC_COLUMNS} FROM dkim_keys ${where} ORDER BY domain ASC, created_at DESC, id DESC
+      `).all(...params);
+    } catch (error) {
+      logger.error('Error getting DKIM keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get DKIM key by ID
+   * @param {number} id - Key ID
+   * @returns {Object|null} DKIM key without its private key
+   */
+  static getById(id) {
+    try {
+      return db.prepare(`SELECT ${PUBLIC_COLUMNS} FROM dkim_keys WHERE id = ?`).get(id);
+    } catch (error) {
+      logger.error(`Error getting DKIM key ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get DKIM key by domain and selector
+   * @param {string} domain - Signing domain
+   * @param {string} selector - Selector
+   * @returns {Object|null} DKIM key without its private key
+   */
+  static getBySelector(domain, selector) {
+    try {
+      return db.prepare(`
+        SELECT ${PUBLIC_COLUMNS} FROM dkim_keys WHERE domain = ? AND selector = ?
+      `).get(domain.toLowerCase(), selector);
+    } catch (error) {
+      logger.error(`Error getting DKIM key ${selector}._domainkey.${domain}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active key of a domain
+   * @param {string} domain - Signing domain
+   * @returns {Object|null} DKIM key without its private key
+   */
+  static getActive(domain) {
+    try {
+      return db.prepare(`
+        SELECT ${PUBLIC_COLUMNS} FROM dkim_keys WHERE domain = ? AND status = 'active'
+      `).get(domain.toLowerCase());
+    } catch (error) {
+      logger.error(`Error getting active DKIM key for ${domain}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the pending key of a domain, created by a rotation and not yet activated
+   * @param {string} domain - Signing domain
+   * @returns {Object|null} DKIM key without its private key
+   */
+  static getPending(domain) {
+    try {
+      return db.prepare(`
+        SELECT ${PUBLIC_COLUMNS} FROM dkim_keys WHERE domain = ? AND status = 'pending'
+      `).get(domain.toLowerCase());
+    } catch (error) {
+      logger.error(`Error getting pending DKIM key for ${domain}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every active key with its private key decrypted, for signing
+   * @returns {Array<Object>} Decrypted DKIM keys
+   */
+  static getActiveDecrypted() {
+    try {
+      return db.prepare(`
+        SELECT * FROM dkim_keys WHERE status = 'active'
+      `).all().map(key => ({
+        ...key,
+        private_key: decrypt(key.private_key)
+      }));
+    } catch (error) {
+      logger.error('Error getting active DKIM keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a DKIM key
+   * @param {Object} data - Key data
+   * @param {string} data.domain - Signing domain
+   * @param {string} data.selector - Selector
+   * @param {string} data.privateKey - PEM private key (stored encrypted)
+   * @param {string} data.publicKey - PEM public key
+   * @param {number} data.keySize - RSA modulus length
+   * @param {string} data.status - 'active' or 'pending' (optional, defaults to 'active')
+   * @returns {Object} Created key without its private key
+   */
+  static create(data) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO dkim_keys (domain, selector, private_key, public_key, key_size, status)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        data.domain.toLowerCase(),
+        data.selector,
+        encrypt(data.privateKey),
+        data.publicKey,
+        data.keySize,
+        data.status || 'active'
+      );
+
+      logger.info(`DKIM key created: ${data.selector}._domainkey.${data.domain}`);
+      return this.getById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error(`Error creating DKIM key for ${data.domain}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a pending key as active, so it signs its domain's mail
+   * @param {number} id - Key ID
+   * @returns {Object} Updated key
+   */
+  static markActive(id) {
+    try {
+      db.prepare(`
+        UPDATE dkim_keys
+        SET status = 'active', updated_at = datetime('now')
+        WHERE id = ?
+      `).run(id);
+
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error activating DKIM key ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a key as rotated: no longer used for signing, but its DNS record
+   * should stay published until mail signed with it has been delivered
+   * @param {number} id - Key ID
+   * @returns {Object} Updated key
+   */
+  static markRotated(id) {
+    try {
+      db.prepare(`
+        UPDATE dkim_keys
+        SET status = 'rotated', rotated_at = datetime('now'), updated_at = datetime('now')
+        WHERE id = ?
+      `).run(id);
+
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error rotating DKIM key ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retire a key: never used again, and its private key is discarded
+   * @param {number} id - Key ID
+   * @returns {Object} Updated key
+   */
+  static retire(id) {
+    try {
+      db.prepare(`
+        UPDATE dkim_keys
+        SET status = 'retired', private_key = '', retired_at = datetime('now'), updated_at = datetime('now')
+        WHERE id = ?
+      `).run(id);
+
+      logger.info(`DKIM key retired: ${id}`);
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error retiring DKIM key ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DkimKeyModel;
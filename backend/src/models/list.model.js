@@ -4,7 +4,8 @@ class ListModel {
   static getAll() {
     const stmt = db.prepare(`
       SELECT l.*,
-        (SELECT COUNT(*) FROM list_subscribers WHERE list_id = l.id AND status = 'subscribed') as subscriber_count
+        (SELECT COUNT(*) FROM list_subscribers WHERE list_id = l.id AND status = 'subscribed') as subscriber_count,
+        (SELECT COUNT(*) FROM list_subscribers WHERE list_id = l.id AND status = 'pending') as pending_count
       FROM lists l
       ORDER BY created_at DESC
     `);
@@ -17,7 +18,8 @@ class ListModel {
   static getById(id) {
     const stmt = db.prepare(`
       SELECT l.*,
-        (SELECT COUNT(*) FROM list_subscribers WHERE list_id = l.id AND status = 'subscribed') as subscriber_count
+        (SELECT COUNT(*) FROM list_subscribers WHERE list_id = l.id AND status = 'subscribed') as subscriber_count,
+        (SELECT COUNT(*) FROM list_subscribers WHERE list_id = l.id AND status = 'pending') as pending_count
       FROM lists l
       WHERE l.id = ?
     `);
@@ -29,23 +31,33 @@ class ListModel {
   }
 
   static create(data) {
-    const { name, description, custom_fields = {} } = data;
+    const { name, description, custom_fields = {}, double_opt_in = false, confirmation_template_id = null } = data;
     const stmt = db.prepare(`
-      INSERT INTO lists (name, description, custom_fields)
-      VALUES (?, ?, ?)
+      INSERT INTO lists (name, description, custom_fields, double_opt_in, confirmation_template_id)
+      VALUES (?, ?, ?, ?, ?)
     `);
-    const result = stmt.run(name, description, JSON.stringify(custom_fields));
+    const result = stmt.run(name, description, JSON.stringify(custom_fields), double_opt_in ? 1 : 0, confirmation_template_id || null);
     return this.getById(result.lastInsertRowid);
   }
 
+  /**
+   * Update a list; opt-in settings left out of data are kept
+   */
   static update(id, data) {
     const { name, description, custom_fields } = data;
+    const existing = this.getById(id);
+    const doubleOptIn = data.double_opt_in === undefined ? existing.double_opt_in : (data.double_opt_in ? 1 : 0);
+    const confirmationTemplateId = data.confirmation_template_id === undefined
+      ? existing.confirmation_template_id
+      : data.confirmation_template_id || null;
+
     const stmt = db.prepare(`
       UPDATE lists
-      SET name = ?, description = ?, custom_fields = ?, updated_at = CURRENT_TIMESTAMP
+      SET name = ?, description = ?, custom_fields = ?, double_opt_in = ?, confirmation_template_id = ?,
+        updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `);
-    stmt.run(name, description, JSON.stringify(custom_fields), id);
+    stmt.run(name, description, JSON.stringify(custom_fields), doubleOptIn, confirmationTemplateId, id);
     return this.getById(id);
   }
 
@@ -54,20 +66,52 @@ class ListModel {
     return stmt.run(id);
   }
 
-  static getSubscribers(listId) {
+  static getSubscribers(listId, status = 'subscribed') {
     const stmt = db.prepare(`
-      SELECT c.*, ls.custom_field_values, ls.subscribed_at, ls.status as subscription_status
+      SELECT c.*, ls.contact_id, ls.custom_field_values, ls.subscribed_at, ls.status as subscription_status,
+        ls.signup_ip, ls.confirmation_sent_at, ls.confirmed_at, ls.confirmation_ip, ls.confirmation_user_agent
       FROM contacts c
       JOIN list_subscribers ls ON c.id = ls.contact_id
-      WHERE ls.list_id = ? AND ls.status = 'subscribed'
+      WHERE ls.list_id = ? AND ls.status = ?
       ORDER BY ls.subscribed_at DESC
     `);
-    return stmt.all(listId).map(subscriber => ({
+    return stmt.all(listId, status).map(subscriber => ({
       ...subscriber,
       custom_field_values: subscriber.custom_field_values ? JSON.parse(subscriber.custom_field_values) : {}
     }));
   }
 
+  /**
+   * Get one contact's subscription to a list, whatever its status
+   * @returns {Object|undefined} Contact with subscription fields, as getSubscribers returns them
+   */
+  static getSubscriber(listId, contactId) {
+    const subscriber = db.prepare(`
+      SELECT c.*, ls.contact_id, ls.custom_field_values, ls.subscribed_at, ls.status as subscription_status,
+        ls.signup_ip, ls.confirmation_sent_at, ls.confirmed_at, ls.confirmation_ip, ls.confirmation_user_agent
+      FROM contacts c
+      JOIN list_subscribers ls ON c.id = ls.contact_id
+      WHERE ls.list_id = ? AND ls.contact_id = ?
+    `).get(listId, contactId);
+
+    if (subscriber) {
+      subscriber.custom_field_values = subscriber.custom_field_values ? JSON.parse(subscriber.custom_field_values) : {};
+    }
+    return subscriber;
+  }
+
+  /**
+   * Set one custom field value of a subscriber, keeping the others
+   */
+  static setCustomFieldValue(listId, contactId, field, value) {
+    const stmt = db.prepare(`
+      UPDATE list_subscribers
+      SET custom_field_values = json_set(COALESCE(custom_field_values, '{}'), '$.' || json_quote(?), ?)
+      WHERE list_id = ? AND contact_id = ?
+    `);
+    return stmt.run(field, value, listId, contactId);
+  }
+
   static addSubscriber(listId, contactId, customFieldValues = {}) {
     const stmt = db.prepare(`
       INSERT INTO list_subscribers (list_id, contact_id, custom_field_values)
@@ -80,6 +124,56 @@ class ListModel {
     return stmt.run(listId, contactId, JSON.stringify(customFieldValues));
   }
 
+  /**
+   * Record a signup that waits for double opt-in confirmation
+   * @param {Object} consent - { ip, userAgent } of the signup request
+   */
+  static addPendingSubscriber(listId, contactId, customFieldValues = {}, consent = {}) {
+    const stmt = db.prepare(`
+      INSERT INTO list_subscribers (
+        list_id, contact_id, custom_field_values, status, signup_ip, signup_user_agent, confirmation_sent_at
+      )
+      VALUES (?, ?, ?, 'pending', ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(list_id, contact_id) DO UPDATE SET
+        status = 'pending',
+        custom_field_values = excluded.custom_field_values,
+        signup_ip = excluded.signup_ip,
+        signup_user_agent = excluded.signup_user_agent,
+        confirmation_sent_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run(listId, contactId, JSON.stringify(customFieldValues), consent.ip || null, consent.userAgent || null);
+  }
+
+  /**
+   * Record where a single opt-in signup came from
+   */
+  static recordSignup(listId, contactId, consent = {}) {
+    const stmt = db.prepare(`
+      UPDATE list_subscribers
+      SET signup_ip = ?, signup_user_agent = ?
+      WHERE list_id = ? AND contact_id = ?
+    `);
+    return stmt.run(consent.ip || null, consent.userAgent || null, listId, contactId);
+  }
+
+  /**
+   * Confirm a pending subscription, keeping the confirmation request as consent proof
+   * @param {Object} consent - { ip, userAgent } of the confirmation request
+   * @returns {boolean} True if a pending subscription was confirmed
+   */
+  static confirmSubscriber(listId, contactId, consent = {}) {
+    const stmt = db.prepare(`
+      UPDATE list_subscribers
+      SET status = 'subscribed',
+        subscribed_at = CURRENT_TIMESTAMP,
+        confirmed_at = CURRENT_TIMESTAMP,
+        confirmation_ip = ?,
+        confirmation_user_agent = ?
+      WHERE list_id = ? AND contact_id = ? AND status = 'pending'
+    `);
+    return stmt.run(consent.ip || null, consent.userAgent || null, listId, contactId).changes > 0;
+  }
+
   static removeSubscriber(listId, contactId) {
     const stmt = db.prepare(`
       UPDATE list_subscribers
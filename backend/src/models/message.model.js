@@ -40,22 +40,23 @@ class MessageModel {
    * Bulk create messages for campaign
    * @param {number} campaignId - Campaign ID
    * @param {Array<number>} contactIds - Array of contact IDs
+   * @param {number} variantId - A/B test variant the messages are sent with (optional)
    * @returns {number} Number of messages created
    */
-  static bulkCreate(campaignId, contactIds) {
+  static bulkCreate(campaignId, contactIds, variantId = null) {
     try {
       const insert = db.prepare(`
         INSERT INTO messages (
           campaign_id, contact_id, message_id, tracking_token,
-          status, created_at
-        ) VALUES (?, ?, ?, ?, 'pending', datetime('now'))
+          variant_id, status, created_at
+        ) VALUES (?, ?, ?, ?, ?, 'pending', datetime('now'))
       `);
 
       const insertMany = db.transaction((ids) => {
         for (const contactId of ids) {
           const messageId = this.generateMessageId(campaignId);
           const trackingToken = crypto.randomBytes(32).toString('hex').substring(0, 32);
-          insert.run(campaignId, contactId, messageId, trackingToken);
+          insert.run(campaignId, contactId, messageId, trackingToken, variantId);
         }
       });
 
@@ -69,6 +70,66 @@ class MessageModel {
     }
   }
 
+  /**
+   * Get the IDs of all contacts a campaign has messages for
+   * @param {number} campaignId - Campaign ID
+   * @returns {Array<number>} Contact IDs
+   */
+  static getContactIds(campaignId) {
+    try {
+      return db.prepare('SELECT DISTINCT contact_id FROM messages WHERE campaign_id = ?')
+        .all(campaignId)
+        .map(row => row.contact_id);
+    } catch (error) {
+      logger.error(`Error getting contacts for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a campaign's messages from some statuses to another, e.g. when pausing it
+   * @param {number} campaignId - Campaign ID
+   * @param {Array<string>} fromStatuses - Statuses to change
+   * @param {string} status - New status
+   * @returns {number} Number of messages updated
+   */
+  static updateStatusByCampaign(campaignId, fromStatuses, status) {
+    try {
+      const result = db.prepare(`
+        UPDATE messages
+        SET status = ?, updated_at = datetime('now')
+        WHERE campaign_id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})
+      `).run(status, campaignId, ...fromStatuses);
+
+      return result.changes;
+    } catch (error) {
+      logger.error(`Error updating message status for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record planned send times
+   * @param {Map<number, string>} sendTimes - Message ID to ISO send time
+   * @returns {number} Number of messages updated
+   */
+  static setScheduledFor(sendTimes) {
+    try {
+      const update = db.prepare('UPDATE messages SET scheduled_for = ? WHERE id = ?');
+
+      db.transaction(() => {
+        for (const [id, scheduledFor] of sendTimes) {
+          update.run(scheduledFor, id);
+        }
+      })();
+
+      return sendTimes.size;
+    } catch (error) {
+      logger.error('Error setting message send times:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get message by ID
    * @param {number} id - Message ID
@@ -121,6 +182,23 @@ class MessageModel {
     }
   }
 
+  /**
+   * Check if a message has a tracking event
+   * @param {number} id - Message ID
+   * @param {string} eventType - Event type, e.g. opened or clicked
+   * @returns {boolean}
+   */
+  static hasEvent(id, eventType) {
+    try {
+      return !!db.prepare(`
+        SELECT 1 FROM message_events WHERE message_id = ? AND event_type = ? LIMIT 1
+      `).get(id, eventType);
+    } catch (error) {
+      logger.error(`Error checking ${eventType} events of message ${id}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get messages for campaign
    * @param {number} campaignId - Campaign ID
@@ -186,6 +264,12 @@ class MessageModel {
         values.push(additionalData.error_message);
       }
 
+      // Record which relay handled the send and why it failed over, if it did
+      if (additionalData.smtp_config_id !== undefined) {
+        updates.push('smtp_config_id = ?', 'failover_reason = ?');
+        values.push(additionalData.smtp_config_id, additionalData.failover_reason || null);
+      }
+
       values.push(id);
 
       const query = `
@@ -204,6 +288,31 @@ class MessageModel {
     }
   }
 
+  /**
+   * Mark a message delivered, as reported by the relay
+   * Opens and clicks move a message past 'sent' first, so only the status of
+   * a sent message changes; the first delivery time recorded is kept.
+   * @param {number} id - Message ID
+   * @param {string} deliveredAt - When the relay delivered it (ISO 8601)
+   * @returns {boolean} Whether a delivery time was recorded
+   */
+  static markDelivered(id, deliveredAt) {
+    try {
+      const result = db.prepare(`
+        UPDATE messages
+        SET status = CASE WHEN status = 'sent' THEN 'delivered' ELSE status END,
+            delivered_at = COALESCE(delivered_at, datetime(?)),
+            updated_at = datetime('now')
+        WHERE id = ? AND delivered_at IS NULL
+      `).run(deliveredAt, id);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error marking message ${id} delivered:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get pending messages (ready to send)
    * @param {number} limit - Max number of messages to retrieve
@@ -266,7 +375,9 @@ class MessageModel {
         sent: 0,
         delivered: 0,
         failed: 0,
-        bounced: 0
+        bounced: 0,
+        paused: 0,
+        cancelled: 0
       };
 
       results.forEach(row => {
@@ -298,6 +409,23 @@ class MessageModel {
     }
   }
 
+  /**
+   * Get message by its Message-ID header
+   * @param {string} messageId - Message-ID, with or without angle brackets
+   * @returns {Object|null} Message object
+   */
+  static getByMessageId(messageId) {
+    try {
+      const normalized = `<${messageId.trim().replace(/^<|>$/g, '')}>`;
+      const message = db.prepare('SELECT id FROM messages WHERE message_id = ?').get(normalized);
+
+      return message ? this.getById(message.id) : null;
+    } catch (error) {
+      logger.error(`Error getting message by Message-ID ${messageId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Generate RFC 5322 compliant message ID
    * @param {number} campaignId - Campaign ID
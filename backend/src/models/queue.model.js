@@ -11,9 +11,9 @@ class QueueModel {
     try {
       const query = `
         INSERT INTO job_queue (
-          job_type, job_data, status, priority,
+          job_type, job_data, recipient_domain, campaign_id, status, priority,
           scheduled_at, max_retries, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
       `;
 
       const jobData = typeof data.job_data === 'string'
@@ -23,6 +23,8 @@ class QueueModel {
       const result = db.prepare(query).run(
         data.job_type,
         jobData,
+        this.getRecipientDomain(data.job_data),
+        this.getCampaignId(data.job_data),
         data.status || 'pending',
         data.priority || 0,
         data.scheduled_at || new Date().toISOString(),
@@ -46,9 +48,9 @@ class QueueModel {
     try {
       const insert = db.prepare(`
         INSERT INTO job_queue (
-          job_type, job_data, status, priority,
+          job_type, job_data, recipient_domain, campaign_id, status, priority,
           scheduled_at, max_retries, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
       `);
 
       const insertMany = db.transaction((jobList) => {
@@ -60,6 +62,8 @@ class QueueModel {
           insert.run(
             job.job_type,
             jobData,
+            this.getRecipientDomain(job.job_data),
+            this.getCampaignId(job.job_data),
             job.status || 'pending',
             job.priority || 0,
             job.scheduled_at || new Date().toISOString(),
@@ -103,18 +107,49 @@ class QueueModel {
     }
   }
 
+  /**
+   * Get the recipient domain of a send_email job, used for domain throttling
+   * @param {Object|string} jobData - Job data
+   * @returns {string|null} Lower-cased domain
+   */
+  static getRecipientDomain(jobData) {
+    const email = this.parseJobData(jobData).email;
+
+    if (typeof email !== 'string' || !email.includes('@')) {
+      return null;
+    }
+
+    return email.split('@').pop().trim().toLowerCase();
+  }
+
+  /**
+   * Get the campaign a send_email job belongs to, used to pause and abort campaigns
+   * @param {Object|string} jobData - Job data
+   * @returns {number|null} Campaign ID
+   */
+  static getCampaignId(jobData) {
+    const tracking = this.parseJobData(jobData).tracking;
+
+    return tracking && tracking.campaignId ? tracking.campaignId : null;
+  }
+
   /**
    * Get next pending jobs to process
+   * Jobs of paused or cancelled campaigns stay in the queue untouched.
    * @param {number} limit - Max jobs to retrieve
    * @param {string} jobType - Filter by job type (optional)
+   * @param {Array<string>} excludeDomains - Recipient domains to skip, e.g. throttled ones (optional)
    * @returns {Array<Object>} Pending jobs
    */
-  static getNextPending(limit = 10, jobType = null) {
+  static getNextPending(limit = 10, jobType = null, excludeDomains = []) {
     try {
       let query = `
         SELECT * FROM job_queue
         WHERE status = 'pending'
-          AND scheduled_at <= datetime('now')
+          AND datetime(scheduled_at) <= datetime('now')
+          AND (campaign_id IS NULL OR campaign_id NOT IN (
+            SELECT id FROM campaigns WHERE status IN ('paused', 'cancelled')
+          ))
       `;
 
       const params = [];
@@ -124,6 +159,11 @@ class QueueModel {
         params.push(jobType);
       }
 
+      if (excludeDomains.length > 0) {
+        query += ` AND (recipient_domain IS NULL OR recipient_domain NOT IN (${excludeDomains.map(() => '?').join(', ')}))`;
+        params.push(...excludeDomains);
+      }
+
       query += `
         ORDER BY priority DESC, scheduled_at ASC
         LIMIT ?
@@ -368,6 +408,70 @@ class QueueModel {
     }
   }
 
+  /**
+   * Count a campaign's email jobs that are still waiting, being sent or due for a retry
+   * @param {number} campaignId - Campaign ID
+   * @returns {number} Number of unfinished jobs
+   */
+  static countUnfinishedForCampaign(campaignId) {
+    try {
+      return db.prepare(`
+        SELECT COUNT(*) as count
+        FROM job_queue
+        WHERE job_type = 'send_email'
+          AND status IN ('pending', 'processing')
+          AND campaign_id = ?
+      `).get(campaignId).count;
+    } catch (error) {
+      logger.error(`Error counting unfinished jobs for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a campaign's email jobs that have not been picked up yet
+   * @param {number} campaignId - Campaign ID
+   * @returns {number} Number of deleted jobs
+   */
+  static deletePendingForCampaign(campaignId) {
+    try {
+      const result = db.prepare(`
+        DELETE FROM job_queue
+        WHERE job_type = 'send_email'
+          AND status = 'pending'
+          AND campaign_id = ?
+      `).run(campaignId);
+
+      logger.info(`Deleted ${result.changes} pending jobs of campaign ${campaignId}`);
+      return result.changes;
+    } catch (error) {
+      logger.error(`Error deleting pending jobs for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the pending step jobs of a workflow, e.g. when it is paused
+   * @param {number} workflowId - Workflow ID
+   * @returns {number} Number of deleted jobs
+   */
+  static deletePendingForWorkflow(workflowId) {
+    try {
+      const result = db.prepare(`
+        DELETE FROM job_queue
+        WHERE job_type = 'workflow_step'
+          AND status = 'pending'
+          AND json_extract(job_data, '$.workflowId') = ?
+      `).run(Number(workflowId));
+
+      logger.info(`Deleted ${result.changes} pending jobs of workflow ${workflowId}`);
+      return result.changes;
+    } catch (error) {
+      logger.error(`Error deleting pending jobs for workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Count jobs by status
    * @param {string} jobType - Filter by job type (optional)
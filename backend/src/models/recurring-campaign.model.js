@@ -0,0 +1,251 @@
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+class RecurringCampaignModel {
+  /**
+   * Get all recurring campaigns
+   * @param {string} status - Filter by status (optional)
+   * @returns {Array<Object>} Recurring campaigns with template/list names and occurrence counts
+   */
+  static getAll(status = null) {
+    try {
+      let query = `
+        SELECT
+          r.*,
+          t.name as template_name,
+          l.name as list_name,
+          COUNT(CASE WHEN o.status = 'sent' THEN 1 END) as sent_occurrences,
+          COUNT(CASE WHEN o.status = 'skipped' THEN 1 END) as skipped_occurrences,
+          MAX(o.scheduled_for) as last_occurrence_at
+        FROM recurring_campaigns r
+        LEFT JOIN templates t ON r.template_id = t.id
+        LEFT JOIN lists l ON r.list_id = l.id
+        LEFT JOIN recurring_campaign_occurrences o ON o.recurring_campaign_id = r.id
+      `;
+
+      const params = [];
+
+      if (status) {
+        query += ' WHERE r.status = ?';
+        params.push(status);
+      }
+
+      query += `
+        GROUP BY r.id
+        ORDER BY r.created_at DESC
+      `;
+
+      return db.prepare(query).all(...params);
+    } catch (error) {
+      logger.error('Error getting recurring campaigns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get recurring campaign by ID
+   * @param {number} id - Recurring campaign ID
+   * @returns {Object|null} Recurring campaign or null
+   */
+  static getById(id) {
+    try {
+      return db.prepare(`
+        SELECT r.*, t.name as template_name, l.name as list_name
+        FROM recurring_campaigns r
+        LEFT JOIN templates t ON r.template_id = t.id
+        LEFT JOIN lists l ON r.list_id = l.id
+        WHERE r.id = ?
+      `).get(id);
+    } catch (error) {
+      logger.error(`Error getting recurring campaign ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new recurring campaign
+   * @param {Object} data - Recurring campaign data
+   * @returns {Object} Created recurring campaign
+   */
+  static create(data) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO recurring_campaigns (
+          name, template_id, list_id, from_email, from_name, reply_to, subject,
+          smtp_config_id, sandbox, track_replies, rrule, start_at, timezone, ends_on,
+          status, next_run_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).run(
+        data.name,
+        data.template_id,
+        data.list_id,
+        data.from_email,
+        data.from_name,
+        data.reply_to || data.from_email,
+        data.subject || null,
+        data.smtp_config_id || null,
+        data.sandbox ? 1 : 0,
+        data.track_replies ? 1 : 0,
+        data.rrule,
+        data.start_at,
+        data.timezone,
+        data.ends_on || null,
+        data.status || 'active',
+        data.next_run_at || null
+      );
+
+      logger.info(`Recurring campaign created: ${result.lastInsertRowid}`);
+      return this.getById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error creating recurring campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update recurring campaign
+   * @param {number} id - Recurring campaign ID
+   * @param {Object} data - Fields to update
+   * @returns {Object} Updated recurring campaign
+   */
+  static update(id, data) {
+    try {
+      const allowedFields = [
+        'name', 'template_id', 'list_id', 'from_email', 'from_name', 'reply_to', 'subject',
+        'smtp_config_id', 'sandbox', 'track_replies', 'rrule', 'start_at', 'timezone', 'ends_on',
+        'status', 'next_run_at'
+      ];
+
+      const updates = [];
+      const values = [];
+
+      Object.keys(data).forEach(key => {
+        if (allowedFields.includes(key)) {
+          updates.push(`${key} = ?`);
+          values.push(['sandbox', 'track_replies'].includes(key) ? (data[key] ? 1 : 0) : data[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      updates.push(`updated_at = datetime('now')`);
+      values.push(id);
+
+      db.prepare(`
+        UPDATE recurring_campaigns
+        SET ${updates.join(', ')}
+        WHERE id = ?
+      `).run(...values);
+
+      logger.info(`Recurring campaign updated: ${id}`);
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error updating recurring campaign ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete recurring campaign
+   * Its occurrence history is deleted; campaigns it already sent are kept.
+   * @param {number} id - Recurring campaign ID
+   * @returns {boolean} Success status
+   */
+  static delete(id) {
+    try {
+      const result = db.prepare('DELETE FROM recurring_campaigns WHERE id = ?').run(id);
+
+      logger.info(`Recurring campaign deleted: ${id}`);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error deleting recurring campaign ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active recurring campaigns whose next occurrence is due
+   * @returns {Array<Object>} Due recurring campaigns, oldest first
+   */
+  static getDue() {
+    try {
+      return db.prepare(`
+        SELECT * FROM recurring_campaigns
+        WHERE status = 'active'
+          AND next_run_at IS NOT NULL
+          AND next_run_at <= ?
+        ORDER BY next_run_at ASC
+      `).all(new Date().toISOString());
+    } catch (error) {
+      logger.error('Error getting due recurring campaigns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an occurrence by recording it
+   * The (recurring campaign, scheduled_for) pair is unique, so an occurrence
+   * is only ever claimed once.
+   * @param {number} id - Recurring campaign ID
+   * @param {string} scheduledFor - Occurrence time (ISO string)
+   * @param {string} status - pending, sent, skipped, missed or failed
+   * @returns {number|null} Occurrence ID, or null if it was already recorded
+   */
+  static claimOccurrence(id, scheduledFor, status) {
+    try {
+      const result = db.prepare(`
+        INSERT OR IGNORE INTO recurring_campaign_occurrences (recurring_campaign_id, scheduled_for, status, created_at)
+        VALUES (?, ?, ?, datetime('now'))
+      `).run(id, scheduledFor, status);
+
+      return result.changes > 0 ? result.lastInsertRowid : null;
+    } catch (error) {
+      logger.error(`Error recording occurrence of recurring campaign ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a recorded occurrence
+   * @param {number} occurrenceId - Occurrence ID
+   * @param {Object} data - { status, campaign_id, error_message }
+   */
+  static updateOccurrence(occurrenceId, data) {
+    try {
+      db.prepare(`
+        UPDATE recurring_campaign_occurrences
+        SET status = ?, campaign_id = ?, error_message = ?
+        WHERE id = ?
+      `).run(data.status, data.campaign_id || null, data.error_message || null, occurrenceId);
+    } catch (error) {
+      logger.error(`Error updating occurrence ${occurrenceId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the occurrence history of a recurring campaign
+   * @param {number} id - Recurring campaign ID
+   * @param {number} limit - Number of records to return
+   * @returns {Array<Object>} Occurrences with their campaign's name and status, newest first
+   */
+  static getOccurrences(id, limit = 50) {
+    try {
+      return db.prepare(`
+        SELECT o.*, c.name as campaign_name, c.status as campaign_status
+        FROM recurring_campaign_occurrences o
+        LEFT JOIN campaigns c ON o.campaign_id = c.id
+        WHERE o.recurring_campaign_id = ?
+        ORDER BY o.scheduled_for DESC
+        LIMIT ?
+      `).all(id, limit);
+    } catch (error) {
+      logger.error(`Error getting occurrences of recurring campaign ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RecurringCampaignModel;
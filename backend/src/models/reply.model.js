@@ -0,0 +1,169 @@
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+class ReplyModel {
+  /**
+   * Get replies
+   * @param {Object} filters - Filter options
+   * @param {number} filters.campaign_id - Filter by campaign (optional)
+   * @param {number} filters.contact_id - Filter by contact (optional)
+   * @param {boolean} filters.auto_reply - true for auto-replies only, false for human replies only (optional)
+   * @param {number} filters.limit - Maximum rows (default 100)
+   * @param {number} filters.offset - Rows to skip (default 0)
+   * @returns {Array<Object>} Replies with contact and campaign names
+   */
+  static getAll(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.campaign_id) {
+        conditions.push('r.campaign_id = ?');
+        params.push(filters.campaign_id);
+      }
+
+      if (filters.contact_id) {
+        conditions.push('r.contact_id = ?');
+        params.push(filters.contact_id);
+      }
+
+      if (filters.auto_reply !== undefined && filters.auto_reply !== null) {
+        conditions.push('r.is_auto_reply = ?');
+        params.push(filters.auto_reply ? 1 : 0);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      return db.prepare(`
+        SELECT
+          r.*,
+          c.email as contact_email,
+          c.first_name,
+          c.last_name,
+          cp.name as campaign_name
+        FROM replies r
+        LEFT JOIN contacts c ON r.contact_id = c.id
+        LEFT JOIN campaigns cp ON r.campaign_id = cp.id
+        ${where}
+        ORDER BY r.created_at DESC, r.id DESC
+        LIMIT ? OFFSET ?
+      `).all(...params, filters.limit || 100, filters.offset || 0);
+    } catch (error) {
+      logger.error('Error getting replies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count human replies and auto-replies
+   * @param {Object} filters - { campaign_id, contact_id }
+   * @returns {Object} { replies, autoReplies }
+   */
+  static count(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.campaign_id) {
+        conditions.push('campaign_id = ?');
+        params.push(filters.campaign_id);
+      }
+
+      if (filters.contact_id) {
+        conditions.push('contact_id = ?');
+        params.push(filters.contact_id);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const row = db.prepare(`
+        SELECT
+          SUM(CASE WHEN is_auto_reply = 0 THEN 1 ELSE 0 END) as replies,
+          SUM(CASE WHEN is_auto_reply = 1 THEN 1 ELSE 0 END) as auto_replies
+        FROM replies ${where}
+      `).get(...params);
+
+      return { replies: row.replies || 0, autoReplies: row.auto_replies || 0 };
+    } catch (error) {
+      logger.error('Error counting replies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get reply by ID
+   * @param {number} id - Reply ID
+   * @returns {Object|null} Reply
+   */
+  static getById(id) {
+    try {
+      return db.prepare(`
+        SELECT
+          r.*,
+          c.email as contact_email,
+          c.first_name,
+          c.last_name,
+          cp.name as campaign_name
+        FROM replies r
+        LEFT JOIN contacts c ON r.contact_id = c.id
+        LEFT JOIN campaigns cp ON r.campaign_id = cp.id
+        WHERE r.id = ?
+      `).get(id);
+    } catch (error) {
+      logger.error(`Error getting reply ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get reply by its Message-ID header
+   * @param {string} headerMessageId - Message-ID of the reply
+   * @returns {Object|null} Reply
+   */
+  static getByHeaderMessageId(headerMessageId) {
+    try {
+      return db.prepare('SELECT * FROM replies WHERE header_message_id = ?').get(headerMessageId);
+    } catch (error) {
+      logger.error(`Error getting reply ${headerMessageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create reply
+   * @param {Object} data - Reply data
+   * @returns {Object} Created reply
+   */
+  static create(data) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO replies (
+          message_id, campaign_id, contact_id, from_email, from_name, subject,
+          text_body, html_body, header_message_id, in_reply_to,
+          is_auto_reply, auto_reply_reason, received_at, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      `).run(
+        data.message_id || null,
+        data.campaign_id || null,
+        data.contact_id || null,
+        data.from_email,
+        data.from_name || null,
+        data.subject || null,
+        data.text_body || null,
+        data.html_body || null,
+        data.header_message_id || null,
+        data.in_reply_to || null,
+        data.is_auto_reply ? 1 : 0,
+        data.auto_reply_reason || null,
+        data.received_at || null
+      );
+
+      return this.getById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error creating reply:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ReplyModel;
@@ -0,0 +1,208 @@
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+// Counters kept per form per day in signup_form_stats
+const STAT_COLUMNS = ['views', 'submissions', 'spam_blocked'];
+
+class SignupFormModel {
+  /**
+   * Parse a form's fields column
+   * @param {Object} form - Form row
+   * @returns {Object|null} Form with fields as an array, or null
+   */
+  static parse(form) {
+    if (!form) {
+      return null;
+    }
+
+    let fields = [];
+    try {
+      fields = JSON.parse(form.fields || '[]');
+    } catch (error) {
+      fields = [];
+    }
+
+    return { ...form, fields };
+  }
+
+  /**
+   * Get all signup forms
+   * @returns {Array<Object>} Forms with list names and total views and submissions
+   */
+  static getAll() {
+    try {
+      return db.prepare(`
+        SELECT
+          f.*,
+          l.name as list_name,
+          COALESCE(SUM(s.views), 0) as views,
+          COALESCE(SUM(s.submissions), 0) as submissions,
+          COALESCE(SUM(s.spam_blocked), 0) as spam_blocked
+        FROM signup_forms f
+        LEFT JOIN lists l ON f.list_id = l.id
+        LEFT JOIN signup_form_stats s ON s.form_id = f.id
+        GROUP BY f.id
+        ORDER BY f.created_at DESC
+      `).all().map(form => this.parse(form));
+    } catch (error) {
+      logger.error('Error getting signup forms:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get signup form by ID
+   * @param {number} id - Form ID
+   * @returns {Object|null} Form or null
+   */
+  static getById(id) {
+    try {
+      return this.parse(db.prepare(`
+        SELECT f.*, l.name as list_name
+        FROM signup_forms f
+        LEFT JOIN lists l ON f.list_id = l.id
+        WHERE f.id = ?
+      `).get(id));
+    } catch (error) {
+      logger.error(`Error getting signup form ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new signup form
+   * @param {Object} data - Form data
+   * @returns {Object} Created form
+   */
+  static create(data) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO signup_forms (
+          list_id, name, fields, title, description, button_text, success_message, redirect_url,
+          status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).run(
+        data.list_id,
+        data.name,
+        JSON.stringify(data.fields || []),
+        data.title || null,
+        data.description || null,
+        data.button_text || null,
+        data.success_message || null,
+        data.redirect_url || null,
+        data.status || 'active'
+      );
+
+      logger.info(`Signup form created: ${result.lastInsertRowid}`);
+      return this.getById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error creating signup form:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update signup form
+   * @param {number} id - Form ID
+   * @param {Object} data - Fields to update
+   * @returns {Object} Updated form
+   */
+  static update(id, data) {
+    try {
+      const allowedFields = [
+        'list_id', 'name', 'fields', 'title', 'description', 'button_text', 'success_message',
+        'redirect_url', 'status'
+      ];
+
+      const updates = [];
+      const values = [];
+
+      Object.keys(data).forEach(key => {
+        if (allowedFields.includes(key)) {
+          updates.push(`${key} = ?`);
+          values.push(key === 'fields' ? JSON.stringify(data[key] || []) : data[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      updates.push(`updated_at = datetime('now')`);
+      values.push(id);
+
+      db.prepare(`
+        UPDATE signup_forms
+        SET ${updates.join(', ')}
+        WHERE id = ?
+      `).run(...values);
+
+      logger.info(`Signup form updated: ${id}`);
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error updating signup form ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete signup form
+   * @param {number} id - Form ID
+   * @returns {boolean} Success status
+   */
+  static delete(id) {
+    try {
+      const result = db.prepare('DELETE FROM signup_forms WHERE id = ?').run(id);
+
+      logger.info(`Signup form deleted: ${id}`);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error deleting signup form ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a view, submission or blocked spam submission for today
+   * @param {number} id - Form ID
+   * @param {string} column - views, submissions or spam_blocked
+   */
+  static recordEvent(id, column) {
+    if (!STAT_COLUMNS.includes(column)) {
+      throw new Error(`Unknown signup form stat: ${column}`);
+    }
+
+    try {
+      db.prepare(`
+        INSERT INTO signup_form_stats (form_id, day, ${column})
+        VALUES (?, date('now'), 1)
+        ON CONFLICT(form_id, day) DO UPDATE SET ${column} = ${column} + 1
+      `).run(id);
+    } catch (error) {
+      logger.error(`Error recording ${column} for signup form ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a form's daily stats
+   * @param {number} id - Form ID
+   * @param {number} days - Number of days to include, counting today
+   * @returns {Array<Object>} { day, views, submissions, spam_blocked }, oldest first
+   */
+  static getDailyStats(id, days = 30) {
+    try {
+      return db.prepare(`
+        SELECT day, views, submissions, spam_blocked
+        FROM signup_form_stats
+        WHERE form_id = ? AND day > date('now', ?)
+        ORDER BY day ASC
+      `).all(id, `-${days} days`);
+    } catch (error) {
+      logger.error(`Error getting stats for signup form ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SignupFormModel;
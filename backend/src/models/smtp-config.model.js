@@ -0,0 +1,123 @@
+const { db } = require('../config/database');
+const { decrypt } = require('../utils/encryption');
+const logger = require('../config/logger');
+
+class SmtpConfigModel {
+  /**
+   * Get all SMTP configurations
+   * @returns {Array<Object>} SMTP configurations (passwords still encrypted)
+   */
+  static getAll() {
+    try {
+      return db.prepare(`
+        SELECT * FROM smtp_configs ORDER BY is_active DESC, created_at DESC
+      `).all();
+    } catch (error) {
+      logger.error('Error getting SMTP configs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get SMTP configuration by ID
+   * @param {number} id - Config ID
+   * @returns {Object|null} SMTP configuration (password still encrypted)
+   */
+  static getById(id) {
+    try {
+      return db.prepare('SELECT * FROM smtp_configs WHERE id = ?').get(id);
+    } catch (error) {
+      logger.error(`Error getting SMTP config ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active SMTP configuration
+   * @returns {Object|null} Active SMTP configuration (password still encrypted)
+   */
+  static getActive() {
+    try {
+      return db.prepare('SELECT * FROM smtp_configs WHERE is_active = 1').get();
+    } catch (error) {
+      logger.error('Error getting active SMTP config:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ordered failover pool for a send
+   * The preferred config (or the active one) comes first, followed by the
+   * remaining configs by priority (lowest first)
+   * @param {number} preferredId - SMTP config ID to try first (optional, uses active if not specified)
+   * @returns {Array<Object>} SMTP configurations in the order they should be tried
+   */
+  static getPool(preferredId = null) {
+    try {
+      const configs = db.prepare(`
+        SELECT * FROM smtp_configs ORDER BY priority ASC, id ASC
+      `).all();
+
+      const primaryIndex = configs.findIndex(config =>
+        preferredId ? config.id === parseInt(preferredId) : config.is_active === 1
+      );
+
+      if (primaryIndex > 0) {
+        configs.unshift(...configs.splice(primaryIndex, 1));
+      }
+
+      return configs;
+    } catch (error) {
+      logger.error('Error getting SMTP failover pool:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a configuration with its password decrypted, for sending
+   * @param {number} id - Config ID (optional, uses active if not specified)
+   * @returns {Object|null} Decrypted SMTP config
+   */
+  static getDecrypted(id = null) {
+    const config = id ? this.getById(id) : this.getActive();
+
+    if (!config) {
+      return null;
+    }
+
+    return {
+      ...config,
+      password: config.password ? decrypt(config.password) : null,
+      secure: config.secure === 1,
+      is_active: config.is_active === 1
+    };
+  }
+
+  /**
+   * Build nodemailer transport options from a decrypted config
+   * @param {Object} config - Decrypted SMTP config
+   * @returns {Object} Nodemailer transport options
+   */
+  static toTransportOptions(config) {
+    const options = {
+      host: config.host,
+      port: config.port,
+      secure: config.secure === true || config.secure === 1,
+      tls: {
+        rejectUnauthorized: true
+      }
+    };
+
+    // IP-authenticated relays (auth_type 'none') connect without credentials
+    if (config.auth_type !== 'none' && config.username && config.password) {
+      options.auth = {
+        user: config.username,
+        pass: config.password
+      };
+    }
+
+    return options;
+  }
+}
+
+module.exports = SmtpConfigModel;
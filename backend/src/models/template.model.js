@@ -12,23 +12,23 @@ class TemplateModel {
   }
 
   static create(data) {
-    const { name, subject, body, type = 'html' } = data;
+    const { name, subject, body, text_body = null, type = 'html' } = data;
     const stmt = db.prepare(`
-      INSERT INTO templates (name, subject, body, type)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO templates (name, subject, body, text_body, type)
+      VALUES (?, ?, ?, ?, ?)
     `);
-    const result = stmt.run(name, subject, body, type);
+    const result = stmt.run(name, subject, body, text_body || null, type);
     return this.getById(result.lastInsertRowid);
   }
 
   static update(id, data) {
-    const { name, subject, body, type } = data;
+    const { name, subject, body, text_body = null, type } = data;
     const stmt = db.prepare(`
       UPDATE templates
-      SET name = ?, subject = ?, body = ?, type = ?, updated_at = CURRENT_TIMESTAMP
+      SET name = ?, subject = ?, body = ?, text_body = ?, type = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `);
-    stmt.run(name, subject, body, type, id);
+    stmt.run(name, subject, body, text_body || null, type, id);
     return this.getById(id);
   }
 
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+class TransactionalMessageModel {
+  /**
+   * Parse a message's JSON columns
+   * @param {Object} message - Message row
+   * @returns {Object|null} Message with metadata and links parsed, or null
+   */
+  static parse(message) {
+    if (!message) {
+      return null;
+    }
+
+    const parseJson = (value, fallback) => {
+      try {
+        return value ? JSON.parse(value) : fallback;
+      } catch (error) {
+        return fallback;
+      }
+    };
+
+    return {
+      ...message,
+      metadata: parseJson(message.metadata, null),
+      links: parseJson(message.links, [])
+    };
+  }
+
+  /**
+   * Create a transactional message
+   * @param {Object} data - Message data
+   * @returns {Object} Created message
+   */
+  static create(data) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO transactional_messages (
+          message_id, tracking_token, contact_id, template_id, to_email, from_email,
+          from_name, reply_to, subject, tag, metadata, links, status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).run(
+        this.generateMessageId(),
+        data.tracking_token || this.generateTrackingToken(),
+        data.contact_id || null,
+        data.template_id || null,
+        data.to_email,
+        data.from_email || null,
+        data.from_name || null,
+        data.reply_to || null,
+        data.subject,
+        data.tag || null,
+        data.metadata ? JSON.stringify(data.metadata) : null,
+        JSON.stringify(data.links || []),
+        data.status || 'queued'
+      );
+
+      logger.info(`Transactional message created: ${result.lastInsertRowid}`);
+      return this.getById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error creating transactional message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate RFC 5322 compliant message ID
+   * @returns {string} Message ID
+   */
+  static generateMessageId() {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 15);
+    const domain = process.env.DKIM_DOMAIN || 'myndsolution.com';
+    return `<tx.${timestamp}.${random}@${domain}>`;
+  }
+
+  /**
+   * Generate a tracking token for opens and clicks
+   * @returns {string} Tracking token
+   */
+  static generateTrackingToken() {
+    return crypto.randomBytes(32).toString('hex').substring(0, 32);
+  }
+
+  /**
+   * Get transactional message by ID
+   * @param {number} id - Message ID
+   * @returns {Object|null} Message or null
+   */
+  static getById(id) {
+    try {
+      return this.parse(db.prepare('SELECT * FROM transactional_messages WHERE id = ?').get(id));
+    } catch (error) {
+      logger.error(`Error getting transactional message ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get transactional message by tracking token
+   * @param {string} token - Tracking token
+   * @returns {Object|null} Message or null
+   */
+  static getByToken(token) {
+    try {
+      return this.parse(db.prepare('SELECT * FROM transactional_messages WHERE tracking_token = ?').get(token));
+    } catch (error) {
+      logger.error('Error getting transactional message by token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get transactional message by its Message-ID header
+   * @param {string} messageId - Message-ID, with or without angle brackets
+   * @returns {Object|null} Message or null
+   */
+  static getByMessageId(messageId) {
+    try {
+      const normalized = `<${messageId.trim().replace(/^<|>$/g, '')}>`;
+
+      return this.parse(db.prepare('SELECT * FROM transactional_messages WHERE message_id = ?').get(normalized));
+    } catch (error) {
+      logger.error(`Error getting transactional message by Message-ID ${messageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get transactional messages, newest first
+   * @param {Object} options - Query options (status, email, tag, limit, offset)
+   * @returns {Object} { messages, total }
+   */
+  static getAll(options = {}) {
+    try {
+      const { status, email, tag, limit = 50, offset = 0 } = options;
+      const conditions = [];
+      const params = [];
+
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+
+      if (email) {
+        conditions.push('to_email = ?');
+        params.push(email.toLowerCase());
+      }
+
+      if (tag) {
+        conditions.push('tag = ?');
+        params.push(tag);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const total = db.prepare(`SELECT COUNT(*) as count FROM transactional_messages ${where}`).get(...params).count;
+      const messages = db.prepare(`
+        SELECT * FROM transactional_messages
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `).all(...params, limit, offset);
+
+      return { messages: messages.map(message => this.parse(message)), total };
+    } catch (error) {
+      logger.error('Error getting transactional messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update transactional message status
+   * @param {number} id - Message ID
+   * @param {string} status - New status
+   * @param {Object} additionalData - error_message, delivered_at, smtp_config_id and failover_reason (optional)
+   * @returns {Object} Updated message
+   */
+  static updateStatus(id, status, additionalData = {}) {
+    try {
+      const updates = ['status = ?', 'updated_at = datetime(\'now\')'];
+      const values = [status];
+
+      if (status === 'sent') {
+        updates.push('sent_at = datetime(\'now\')');
+      }
+
+      if (status === 'delivered') {
+        updates.push('delivered_at = COALESCE(delivered_at, datetime(?))');
+        values.push(additionalData.delivered_at || 'now');
+      }
+
+      if (additionalData.error_message !== undefined) {
+        updates.push('error_message = ?');
+        values.push(additionalData.error_message);
+      }
+
+      if (additionalData.smtp_config_id !== undefined) {
+        updates.push('smtp_config_id = ?', 'failover_reason = ?');
+        values.push(additionalData.smtp_config_id, additionalData.failover_reason || null);
+      }
+
+      values.push(id);
+
+      db.prepare(`
+        UPDATE transactional_messages
+        SET ${updates.join(', ')}
+        WHERE id = ?
+      `).run(...values);
+
+      logger.info(`Transactional message ${id} status updated to: ${status}`);
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error updating transactional message ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an event for a transactional message
+   * @param {number} id - Message ID
+   * @param {string} eventType - queued, sent, delivered, failed, bounced, complained, unsubscribed, opened or clicked
+   * @param {Object} eventData - Event details (optional)
+   * @param {string} ipAddress - Client IP (optional)
+   * @param {string} userAgent - Client user agent (optional)
+   */
+  static addEvent(id, eventType, eventData = null, ipAddress = null, userAgent = null) {
+    try {
+      db.prepare(`
+        INSERT INTO transactional_events (
+          transactional_message_id, event_type, event_data, ip_address, user_agent, created_at
+        ) VALUES (?, ?, ?, ?, ?, datetime('now'))
+      `).run(id, eventType, eventData ? JSON.stringify(eventData) : null, ipAddress, userAgent || null);
+    } catch (error) {
+      logger.error(`Error recording ${eventType} event for transactional message ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a transactional message's events, oldest first
+   * @param {number} id - Message ID
+   * @returns {Array<Object>} Events with event_data parsed
+   */
+  static getEvents(id) {
+    try {
+      return db.prepare(`
+        SELECT id, event_type, event_data, ip_address, user_agent, created_at
+        FROM transactional_events
+        WHERE transactional_message_id = ?
+        ORDER BY created_at ASC, id ASC
+      `).all(id).map(event => ({
+        ...event,
+        event_data: event.event_data ? JSON.parse(event.event_data) : null
+      }));
+    } catch (error) {
+      logger.error(`Error getting events for transactional message ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TransactionalMessageModel;
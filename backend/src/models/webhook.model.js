@@ -0,0 +1,381 @@
+const { db } = require('../config/database');
+const { encrypt, decrypt } = require('../utils/encryption');
+const logger = require('../config/logger');
+
+class WebhookModel {
+  /**
+   * Parse a webhook's events column and drop its secret
+   * @param {Object} webhook - Webhook row
+   * @returns {Object|null} Webhook with events as an array, or null
+   */
+  static parse(webhook) {
+    if (!webhook) {
+      return null;
+    }
+
+    const { secret, ...rest } = webhook;
+
+    let events = [];
+    try {
+      events = JSON.parse(webhook.events || '[]');
+    } catch (error) {
+      events = [];
+    }
+
+    return { ...rest, events, is_active: webhook.is_active === 1 };
+  }
+
+  /**
+   * Get all webhooks, newest first
+   * @returns {Array<Object>} Webhooks
+   */
+  static getAll() {
+    try {
+      return db.prepare('SELECT * FROM webhooks ORDER BY created_at DESC, id DESC')
+        .all()
+        .map(webhook => this.parse(webhook));
+    } catch (error) {
+      logger.error('Error getting webhooks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get webhook by ID
+   * @param {number} id - Webhook ID
+   * @returns {Object|null} Webhook or null
+   */
+  static getById(id) {
+    try {
+      return this.parse(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+    } catch (error) {
+      logger.error(`Error getting webhook ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a webhook's signing secret, decrypted
+   * @param {number} id - Webhook ID
+   * @returns {string|null} Secret or null
+   */
+  static getSecret(id) {
+    const row = db.prepare('SELECT secret FROM webhooks WHERE id = ?').get(id);
+
+    return row ? decrypt(row.secret) : null;
+  }
+
+  /**
+   * Get the webhooks subscribed to an event type
+   * Disabled webhooks are included so their events can be replayed later.
+   * @param {string} eventType - Event type, e.g. opened
+   * @returns {Array<Object>} Webhooks
+   */
+  static getSubscribed(eventType) {
+    try {
+      return db.prepare(`
+        SELECT * FROM webhooks
+        WHERE EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)
+      `).all(eventType).map(webhook => this.parse(webhook));
+    } catch (error) {
+      logger.error(`Error getting webhooks for ${eventType}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new webhook
+   * @param {Object} data - name, url, events, secret, is_active
+   * @returns {Object} Created webhook
+   */
+  static create(data) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO webhooks (name, url, events, secret, is_active, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).run(
+        data.name,
+        data.url,
+        JSON.stringify(data.events || []),
+        encrypt(data.secret),
+        data.is_active === false ? 0 : 1
+      );
+
+      logger.info(`Webhook created: ${result.lastInsertRowid}`);
+      return this.getById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error creating webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update webhook
+   * Re-enabling a webhook clears its failure streak.
+   * @param {number} id - Webhook ID
+   * @param {Object} data - Fields to update
+   * @returns {Object} Updated webhook
+   */
+  static update(id, data) {
+    try {
+      const allowedFields = ['name', 'url', 'events', 'secret', 'is_active'];
+
+      const updates = [];
+      const values = [];
+
+      Object.keys(data).forEach(key => {
+        if (!allowedFields.includes(key)) {
+          return;
+        }
+
+        updates.push(`${key} = ?`);
+
+        if (key === 'events') {
+          values.push(JSON.stringify(data[key] || []));
+        } else if (key === 'secret') {
+          values.push(encrypt(data[key]));
+        } else if (key === 'is_active') {
+          values.push(data[key] ? 1 : 0);
+        } else {
+          values.push(data[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      if (data.is_active) {
+        updates.push('failure_count = 0', 'failing_since = NULL', 'disabled_at = NULL', 'disabled_reason = NULL');
+      }
+
+      updates.push(`updated_at = datetime('now')`);
+      values.push(id);
+
+      db.prepare(`
+        UPDATE webhooks
+        SET ${updates.join(', ')}
+        WHERE id = ?
+      `).run(...values);
+
+      logger.info(`Webhook updated: ${id}`);
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error updating webhook ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete webhook
+   * @param {number} id - Webhook ID
+   * @returns {boolean} Success status
+   */
+  static delete(id) {
+    try {
+      const result = db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+
+      logger.info(`Webhook deleted: ${id}`);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error deleting webhook ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful delivery, ending any failure streak
+   * @param {number} id - Webhook ID
+   */
+  static recordSuccess(id) {
+    db.prepare(`
+      UPDATE webhooks
+      SET failure_count = 0, failing_since = NULL, last_success_at = datetime('now')
+      WHERE id = ?
+    `).run(id);
+  }
+
+  /**
+   * Record a failed delivery
+   * @param {number} id - Webhook ID
+   */
+  static recordFailure(id) {
+    db.prepare(`
+      UPDATE webhooks
+      SET failure_count = failure_count + 1,
+          failing_since = COALESCE(failing_since, datetime('now')),
+          last_failure_at = datetime('now')
+      WHERE id = ?
+    `).run(id);
+  }
+
+  /**
+   * Disable a webhook whose deliveries have all failed for a while
+   * @param {number} id - Webhook ID
+   * @param {number} hours - How long it must have been failing
+   * @returns {boolean} Whether the webhook was disabled
+   */
+  static disableIfFailing(id, hours) {
+    const result = db.prepare(`
+      UPDATE webhooks
+      SET is_active = 0, disabled_at = datetime('now'), disabled_reason = ?, updated_at = datetime('now')
+      WHERE id = ? AND is_active = 1 AND failing_since <= datetime('now', ?)
+    `).run(`Every delivery failed for ${hours} hours`, id, `-${hours} hours`);
+
+    if (result.changes > 0) {
+      logger.warn(`Webhook ${id} disabled after failing for ${hours} hours`);
+    }
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Parse an event's payload column
+   * @param {Object} event - Event row
+   * @returns {Object|null} Event with payload as an object, or null
+   */
+  static parseEvent(event) {
+    if (!event) {
+      return null;
+    }
+
+    let payload = {};
+    try {
+      payload = JSON.parse(event.payload || '{}');
+    } catch (error) {
+      payload = {};
+    }
+
+    return { ...event, payload };
+  }
+
+  /**
+   * Store an event for delivery
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event payload
+   * @returns {Object} Stored event
+   */
+  static addEvent(eventType, payload) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO webhook_events (event_type, payload, created_at)
+        VALUES (?, ?, datetime('now'))
+      `).run(eventType, JSON.stringify(payload));
+
+      return this.getEvent(result.lastInsertRowid);
+    } catch (error) {
+      logger.error(`Error storing ${eventType} webhook event:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a stored event
+   * @param {number} id - Event ID
+   * @returns {Object|null} Event or null
+   */
+  static getEvent(id) {
+    return this.parseEvent(db.prepare('SELECT * FROM webhook_events WHERE id = ?').get(id));
+  }
+
+  /**
+   * Get stored events to replay
+   * @param {Object} options - { eventTypes, since, until, afterId, limit }
+   * @returns {Array<Object>} Events, oldest first
+   */
+  static getEvents(options = {}) {
+    try {
+      const { eventTypes = [], since, until, afterId, limit = 1000 } = options;
+
+      let query = `SELECT * FROM webhook_events WHERE event_type IN (${eventTypes.map(() => '?').join(', ')})`;
+      const params = [...eventTypes];
+
+      if (since) {
+        query += ' AND created_at >= datetime(?)';
+        params.push(since);
+      }
+
+      if (until) {
+        query += ' AND created_at <= datetime(?)';
+        params.push(until);
+      }
+
+      if (afterId) {
+        query += ' AND id > ?';
+        params.push(afterId);
+      }
+
+      query += ' ORDER BY id ASC LIMIT ?';
+      params.push(limit);
+
+      return db.prepare(query).all(...params).map(event => this.parseEvent(event));
+    } catch (error) {
+      logger.error('Error getting webhook events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Log a delivery attempt
+   * @param {Object} data - webhook_id, webhook_event_id, attempt, status, response_code, response_body, error_message, duration_ms
+   */
+  static logDelivery(data) {
+    try {
+      db.prepare(`
+        INSERT INTO webhook_deliveries (
+          webhook_id, webhook_event_id, attempt, status, response_code, response_body,
+          error_message, duration_ms, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      `).run(
+        data.webhook_id,
+        data.webhook_event_id,
+        data.attempt || 1,
+        data.status,
+        data.response_code || null,
+        data.response_body || null,
+        data.error_message || null,
+        data.duration_ms || null
+      );
+    } catch (error) {
+      logger.error(`Error logging delivery for webhook ${data.webhook_id}:`, error);
+    }
+  }
+
+  /**
+   * Get a webhook's delivery attempts, newest first
+   * @param {number} webhookId - Webhook ID
+   * @param {Object} options - { status, limit, offset }
+   * @returns {Object} { deliveries, total }
+   */
+  static getDeliveries(webhookId, options = {}) {
+    try {
+      const { status, limit = 50, offset = 0 } = options;
+
+      let where = 'WHERE d.webhook_id = ?';
+      const params = [webhookId];
+
+      if (status) {
+        where += ' AND d.status = ?';
+        params.push(status);
+      }
+
+      const { total } = db.prepare(`SELECT COUNT(*) as total FROM webhook_deliveries d ${where}`).get(...params);
+
+      const deliveries = db.prepare(`
+        SELECT d.*, e.event_type
+        FROM webhook_deliveries d
+        JOIN webhook_events e ON d.webhook_event_id = e.id
+        ${where}
+        ORDER BY d.id DESC
+        LIMIT ? OFFSET ?
+      `).all(...params, limit, offset);
+
+      return { deliveries, total };
+    } catch (error) {
+      logger.error(`Error getting deliveries for webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookModel;
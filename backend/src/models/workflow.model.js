@@ -0,0 +1,492 @@
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+class WorkflowModel {
+  /**
+   * Parse a JSON column
+   * @param {string} value - JSON string
+   * @returns {Object} Parsed value, or an empty object
+   */
+  static parseJson(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Get all workflows
+   * @returns {Array<Object>} Workflows with list names, step counts and enrollment counts
+   */
+  static getAll() {
+    try {
+      return db.prepare(`
+        SELECT
+          w.*,
+          l.name as list_name,
+          (SELECT COUNT(*) FROM workflow_steps WHERE workflow_id = w.id) as step_count,
+          (SELECT COUNT(*) FROM workflow_enrollments WHERE workflow_id = w.id) as total_enrollments,
+          (SELECT COUNT(*) FROM workflow_enrollments WHERE workflow_id = w.id AND status = 'active') as active_enrollments
+        FROM workflows w
+        LEFT JOIN lists l ON w.list_id = l.id
+        ORDER BY w.created_at DESC
+      `).all().map(workflow => ({ ...workflow, trigger_config: this.parseJson(workflow.trigger_config) }));
+    } catch (error) {
+      logger.error('Error getting workflows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get workflow by ID
+   * @param {number} id - Workflow ID
+   * @returns {Object|null} Workflow or null
+   */
+  static getById(id) {
+    try {
+      const workflow = db.prepare(`
+        SELECT w.*, l.name as list_name
+        FROM workflows w
+        LEFT JOIN lists l ON w.list_id = l.id
+        WHERE w.id = ?
+      `).get(id);
+
+      return workflow ? { ...workflow, trigger_config: this.parseJson(workflow.trigger_config) } : null;
+    } catch (error) {
+      logger.error(`Error getting workflow ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active workflows with a trigger type
+   * @param {string} triggerType - list_subscribed, tag_added, custom_event or date_anniversary
+   * @returns {Array<Object>} Workflows
+   */
+  static getActiveByTrigger(triggerType) {
+    try {
+      return db.prepare(`
+        SELECT * FROM workflows WHERE status = 'active' AND trigger_type = ?
+      `).all(triggerType).map(workflow => ({ ...workflow, trigger_config: this.parseJson(workflow.trigger_config) }));
+    } catch (error) {
+      logger.error(`Error getting active ${triggerType} workflows:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new workflow
+   * @param {Object} data - Workflow data
+   * @returns {Object} Created workflow
+   */
+  static create(data) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO workflows (
+          name, description, list_id, trigger_type, trigger_config,
+          from_email, from_name, reply_to, smtp_config_id, allow_reentry,
+          status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft', datetime('now'), datetime('now'))
+      `).run(
+        data.name,
+        data.description || null,
+        data.list_id,
+        data.trigger_type,
+        JSON.stringify(data.trigger_config || {}),
+        data.from_email,
+        data.from_name || null,
+        data.reply_to || data.from_email,
+        data.smtp_config_id || null,
+        data.allow_reentry ? 1 : 0
+      );
+
+      logger.info(`Workflow created: ${result.lastInsertRowid}`);
+      return this.getById(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error creating workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update workflow
+   * @param {number} id - Workflow ID
+   * @param {Object} data - Fields to update
+   * @returns {Object} Updated workflow
+   */
+  static update(id, data) {
+    try {
+      const allowedFields = [
+        'name', 'description', 'list_id', 'trigger_type', 'trigger_config',
+        'from_email', 'from_name', 'reply_to', 'smtp_config_id', 'allow_reentry',
+        'status', 'activated_at'
+      ];
+
+      const updates = [];
+      const values = [];
+
+      Object.keys(data).forEach(key => {
+        if (allowedFields.includes(key)) {
+          updates.push(`${key} = ?`);
+
+          if (key === 'trigger_config') {
+            values.push(JSON.stringify(data[key] || {}));
+          } else if (key === 'allow_reentry') {
+            values.push(data[key] ? 1 : 0);
+          } else {
+            values.push(data[key]);
+          }
+        }
+      });
+
+      if (updates.length === 0) {
+        return this.getById(id);
+      }
+
+      updates.push(`updated_at = datetime('now')`);
+      values.push(id);
+
+      db.prepare(`UPDATE workflows SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+      logger.info(`Workflow updated: ${id}`);
+
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error updating workflow ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete workflow with its steps, enrollments and step events
+   * @param {number} id - Workflow ID
+   * @returns {boolean} Success status
+   */
+  static delete(id) {
+    try {
+      const result = db.prepare('DELETE FROM workflows WHERE id = ?').run(id);
+
+      logger.info(`Workflow deleted: ${id}`);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error deleting workflow ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a workflow's steps
+   * @param {number} workflowId - Workflow ID
+   * @returns {Array<Object>} Steps in order, with parsed config
+   */
+  static getSteps(workflowId) {
+    try {
+      return db.prepare(`
+        SELECT * FROM workflow_steps WHERE workflow_id = ? ORDER BY position ASC
+      `).all(workflowId).map(step => ({ ...step, config: this.parseJson(step.config) }));
+    } catch (error) {
+      logger.error(`Error getting steps of workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a workflow's steps
+   * Steps given with the ID of an existing step are updated in place, so
+   * contacts waiting at them and their stats are kept; other existing steps
+   * are deleted.
+   * @param {number} workflowId - Workflow ID
+   * @param {Array<Object>} steps - Steps in order ({ id, step_type, config, campaign_id })
+   * @returns {Array<Object>} Saved steps
+   */
+  static saveSteps(workflowId, steps) {
+    try {
+      const existing = new Set(this.getSteps(workflowId).map(step => step.id));
+
+      const insert = db.prepare(`
+        INSERT INTO workflow_steps (workflow_id, position, step_type, config, campaign_id, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `);
+      const update = db.prepare(`
+        UPDATE workflow_steps
+        SET position = ?, step_type = ?, config = ?, campaign_id = ?, updated_at = datetime('now')
+        WHERE id = ?
+      `);
+
+      db.transaction(() => {
+        const kept = new Set();
+
+        steps.forEach((step, position) => {
+          const config = JSON.stringify(step.config || {});
+
+          if (step.id && existing.has(step.id)) {
+            update.run(position, step.step_type, config, step.campaign_id || null, step.id);
+            kept.add(step.id);
+          } else {
+            insert.run(workflowId, position, step.step_type, config, step.campaign_id || null);
+          }
+        });
+
+        for (const id of existing) {
+          if (!kept.has(id)) {
+            db.prepare('DELETE FROM workflow_steps WHERE id = ?').run(id);
+          }
+        }
+      })();
+
+      return this.getSteps(workflowId);
+    } catch (error) {
+      logger.error(`Error saving steps of workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active enrollments of a workflow, e.g. to resume them
+   * @param {number} workflowId - Workflow ID
+   * @returns {Array<Object>} Enrollments
+   */
+  static getActiveEnrollments(workflowId) {
+    try {
+      return db.prepare(`
+        SELECT * FROM workflow_enrollments WHERE workflow_id = ? AND status = 'active'
+      `).all(workflowId);
+    } catch (error) {
+      logger.error(`Error getting active enrollments of workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enroll a contact in a workflow
+   * A contact is only ever active once per workflow, and once per trigger key
+   * (e.g. a year for anniversaries).
+   * @param {number} workflowId - Workflow ID
+   * @param {number} contactId - Contact ID
+   * @param {Object} options - { stepId, triggerKey, triggerData }
+   * @returns {number|null} Enrollment ID, or null if the contact is already enrolled
+   */
+  static enroll(workflowId, contactId, options = {}) {
+    try {
+      const result = db.prepare(`
+        INSERT OR IGNORE INTO workflow_enrollments (
+          workflow_id, contact_id, status, current_step_id, next_run_at,
+          trigger_key, trigger_data, enrolled_at, updated_at
+        ) VALUES (?, ?, 'active', ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).run(
+        workflowId,
+        contactId,
+        options.stepId || null,
+        new Date().toISOString(),
+        options.triggerKey || null,
+        options.triggerData ? JSON.stringify(options.triggerData) : null
+      );
+
+      return result.changes > 0 ? result.lastInsertRowid : null;
+    } catch (error) {
+      logger.error(`Error enrolling contact ${contactId} in workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a contact was ever enrolled in a workflow
+   * @param {number} workflowId - Workflow ID
+   * @param {number} contactId - Contact ID
+   * @returns {boolean}
+   */
+  static hasEnrollment(workflowId, contactId) {
+    try {
+      return !!db.prepare(`
+        SELECT 1 FROM workflow_enrollments WHERE workflow_id = ? AND contact_id = ? LIMIT 1
+      `).get(workflowId, contactId);
+    } catch (error) {
+      logger.error(`Error checking enrollment of contact ${contactId} in workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get enrollment by ID
+   * @param {number} id - Enrollment ID
+   * @returns {Object|null} Enrollment with parsed trigger data
+   */
+  static getEnrollment(id) {
+    try {
+      const enrollment = db.prepare('SELECT * FROM workflow_enrollments WHERE id = ?').get(id);
+
+      return enrollment ? { ...enrollment, trigger_data: this.parseJson(enrollment.trigger_data) } : null;
+    } catch (error) {
+      logger.error(`Error getting workflow enrollment ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an enrollment
+   * @param {number} id - Enrollment ID
+   * @param {Object} data - { status, current_step_id, next_run_at, error_message }
+   */
+  static updateEnrollment(id, data) {
+    try {
+      const allowedFields = ['status', 'current_step_id', 'next_run_at', 'error_message'];
+      const updates = [];
+      const values = [];
+
+      Object.keys(data).forEach(key => {
+        if (allowedFields.includes(key)) {
+          updates.push(`${key} = ?`);
+          values.push(data[key]);
+        }
+      });
+
+      if (data.status && data.status !== 'active') {
+        updates.push(`completed_at = datetime('now')`);
+      }
+
+      updates.push(`updated_at = datetime('now')`);
+      values.push(id);
+
+      db.prepare(`UPDATE workflow_enrollments SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+    } catch (error) {
+      logger.error(`Error updating workflow enrollment ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a workflow's enrollments
+   * @param {number} workflowId - Workflow ID
+   * @param {Object} options - Query options (status, limit, offset)
+   * @returns {Array<Object>} Enrollments with contact emails, newest first
+   */
+  static getEnrollments(workflowId, options = {}) {
+    try {
+      const { status, limit = 100, offset = 0 } = options;
+      let query = `
+        SELECT e.*, c.email as contact_email, s.step_type as current_step_type, s.position as current_step_position
+        FROM workflow_enrollments e
+        JOIN contacts c ON e.contact_id = c.id
+        LEFT JOIN workflow_steps s ON e.current_step_id = s.id
+        WHERE e.workflow_id = ?
+      `;
+      const params = [workflowId];
+
+      if (status) {
+        query += ' AND e.status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY e.enrolled_at DESC, e.id DESC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      return db.prepare(query).all(...params).map(enrollment => ({
+        ...enrollment,
+        trigger_data: this.parseJson(enrollment.trigger_data)
+      }));
+    } catch (error) {
+      logger.error(`Error getting enrollments of workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record what a step did for an enrollment
+   * @param {number} enrollmentId - Enrollment ID
+   * @param {number} stepId - Step ID
+   * @param {string} status - completed, skipped, failed or exited
+   * @param {Object} options - { messageId, detail }
+   */
+  static logStepEvent(enrollmentId, stepId, status, options = {}) {
+    try {
+      db.prepare(`
+        INSERT INTO workflow_step_events (enrollment_id, step_id, status, message_id, detail, created_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'))
+      `).run(enrollmentId, stepId, status, options.messageId || null, options.detail || null);
+    } catch (error) {
+      logger.error(`Error logging step ${stepId} of workflow enrollment ${enrollmentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the message a send_email step sent for an enrollment
+   * @param {number} enrollmentId - Enrollment ID
+   * @param {number} stepId - Step ID
+   * @returns {number|null} Message ID
+   */
+  static getStepMessageId(enrollmentId, stepId) {
+    try {
+      const row = db.prepare(`
+        SELECT message_id FROM workflow_step_events
+        WHERE enrollment_id = ? AND step_id = ? AND message_id IS NOT NULL
+        ORDER BY id DESC LIMIT 1
+      `).get(enrollmentId, stepId);
+
+      return row ? row.message_id : null;
+    } catch (error) {
+      logger.error(`Error getting message of step ${stepId} for enrollment ${enrollmentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get per-step counts for a workflow
+   * Send steps also count their messages' sends, unique opens and unique clicks.
+   * @param {number} workflowId - Workflow ID
+   * @returns {Array<Object>} Rows of { step_id, completed, skipped, failed, exited, waiting, sent, opened, clicked }
+   */
+  static getStepStats(workflowId) {
+    try {
+      return db.prepare(`
+        SELECT
+          s.id as step_id,
+          (SELECT COUNT(*) FROM workflow_step_events WHERE step_id = s.id AND status = 'completed') as completed,
+          (SELECT COUNT(*) FROM workflow_step_events WHERE step_id = s.id AND status = 'skipped') as skipped,
+          (SELECT COUNT(*) FROM workflow_step_events WHERE step_id = s.id AND status = 'failed') as failed,
+          (SELECT COUNT(*) FROM workflow_step_events WHERE step_id = s.id AND status = 'exited') as exited,
+          (SELECT COUNT(*) FROM workflow_enrollments WHERE current_step_id = s.id AND status = 'active') as waiting,
+          (SELECT COUNT(*) FROM messages WHERE campaign_id = s.campaign_id AND status IN ('sent', 'delivered')) as sent,
+          (SELECT COUNT(DISTINCT me.message_id) FROM message_events me JOIN messages m ON me.message_id = m.id
+            WHERE m.campaign_id = s.campaign_id AND me.event_type = 'opened') as opened,
+          (SELECT COUNT(DISTINCT me.message_id) FROM message_events me JOIN messages m ON me.message_id = m.id
+            WHERE m.campaign_id = s.campaign_id AND me.event_type = 'clicked') as clicked
+        FROM workflow_steps s
+        WHERE s.workflow_id = ?
+        ORDER BY s.position ASC
+      `).all(workflowId);
+    } catch (error) {
+      logger.error(`Error getting step stats of workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a workflow's enrollments by status
+   * @param {number} workflowId - Workflow ID
+   * @returns {Object} { total, active, completed, exited, failed }
+   */
+  static countEnrollments(workflowId) {
+    try {
+      return db.prepare(`
+        SELECT
+          COUNT(*) as total,
+          COUNT(CASE WHEN status = 'active' THEN 1 END) as active,
+          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed,
+          COUNT(CASE WHEN status = 'exited' THEN 1 END) as exited,
+          COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed
+        FROM workflow_enrollments
+        WHERE workflow_id = ?
+      `).get(workflowId);
+    } catch (error) {
+      logger.error(`Error counting enrollments of workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WorkflowModel;
@@ -1,6 +1,6 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { body, query } = require('express-validator');
+const { authenticateToken, requireScope } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
 const AuthController = require('../controllers/auth.controller');
 const TemplateController = require('../controllers/template.controller');
@@ -12,7 +12,27 @@ const AnalyticsController = require('../controllers/analytics.controller');
 const SmtpController = require('../controllers/smtp.controller');
 const SegmentController = require('../controllers/segment.controller');
 const HealthController = require('../controllers/health.controller');
-const { generateCsrfToken, getRateLimiterStats, authLimiter, campaignLimiter, importLimiter } = require('../middleware/security');
+const DomainThrottleController = require('../controllers/domain-throttle.controller');
+const DkimController = require('../controllers/dkim.controller');
+const BounceController = require('../controllers/bounce.controller');
+const ComplaintController = require('../controllers/complaint.controller');
+const ReplyController = require('../controllers/reply.controller');
+const AbTestController = require('../controllers/ab-test.controller');
+const CaptureController = require('../controllers/capture.controller');
+const AttachmentController = require('../controllers/attachment.controller');
+const RecurringCampaignController = require('../controllers/recurring-campaign.controller');
+const WorkflowController = require('../controllers/workflow.controller');
+const SubscriptionController = require('../controllers/subscription.controller');
+const SignupFormController = require('../controllers/signup-form.controller');
+const TransactionalController = require('../controllers/transactional.controller');
+const ApiKeyController = require('../controllers/api-key.controller');
+const WebhookController = require('../controllers/webhook.controller');
+const EspEventController = require('../controllers/esp-event.controller');
+const { generateCsrfToken, getRateLimiterStats, authLimiter, campaignLimiter, importLimiter, subscribeLimiter } = require('../middleware/security');
+const { isValidTimezone } = require('../utils/timezone');
+const { parseRRule } = require('../utils/rrule');
+const apiKeyService = require('../services/api-key.service');
+const webhookService = require('../services/webhook.service');
 
 const router = express.Router();
 
@@ -70,6 +90,36 @@ router.post('/auth/login',
   AuthController.login
 );
 
+// Public signup routes (no authentication) - rate limited per IP
+router.post('/public/lists/:id/subscribe',
+  subscribeLimiter.middleware(),
+  [
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('first_name').optional().isString().isLength({ max: 100 }),
+    body('last_name').optional().isString().isLength({ max: 100 }),
+    body('custom_field_values').optional().isObject().withMessage('Custom field values must be an object'),
+    validate
+  ],
+  SubscriptionController.subscribe
+);
+router.post('/public/confirm',
+  subscribeLimiter.middleware(),
+  [
+    body('token').notEmpty().withMessage('Confirmation token is required'),
+    validate
+  ],
+  SubscriptionController.confirm
+);
+router.get('/public/forms/:id', SignupFormController.getPublicForm);
+router.get('/public/forms/:id/embed.js', SignupFormController.getEmbedScript);
+router.post('/public/forms/:id/submit', subscribeLimiter.middleware(), SignupFormController.submitForm);
+
+// Relay event webhooks (SES through SNS, SendGrid, Mailgun, Postmark), verified by provider signature
+router.post('/public/esp/:provider',
+  express.text({ type: 'text/plain', limit: '10mb' }),
+  EspEventController.ingestEvents
+);
+
 // Auth routes (protected)
 router.post('/auth/change-password',
   authenticateToken,
@@ -90,6 +140,7 @@ router.post('/templates',
     body('name').notEmpty().withMessage('Template name is required'),
     body('subject').notEmpty().withMessage('Subject is required'),
     body('body').notEmpty().withMessage('Body is required'),
+    body('text_body').optional({ nullable: true }).isString().withMessage('Text body must be a string'),
     body('type').optional().isIn(['html', 'text']).withMessage('Type must be html or text'),
     validate
   ],
@@ -101,12 +152,25 @@ router.put('/templates/:id',
     body('name').notEmpty().withMessage('Template name is required'),
     body('subject').notEmpty().withMessage('Subject is required'),
     body('body').notEmpty().withMessage('Body is required'),
+    body('text_body').optional({ nullable: true }).isString().withMessage('Text body must be a string'),
     body('type').optional().isIn(['html', 'text']).withMessage('Type must be html or text'),
     validate
   ],
   TemplateController.update
 );
 router.delete('/templates/:id', authenticateToken, TemplateController.delete);
+router.get('/templates/:id/attachments', authenticateToken, AttachmentController.getTemplateAttachments);
+router.post('/templates/:id/attachments',
+  authenticateToken,
+  [
+    body('filename').isString().notEmpty().withMessage('Filename is required'),
+    body('content').isBase64().withMessage('Content must be base64 encoded'),
+    body('inline').optional().isBoolean().withMessage('Inline must be boolean'),
+    body('content_id').optional().isString().withMessage('Content ID must be a string'),
+    validate
+  ],
+  AttachmentController.uploadTemplateAttachment
+);
 
 // List routes
 router.get('/lists', authenticateToken, ListController.getAll);
@@ -117,6 +181,8 @@ router.post('/lists',
     body('name').notEmpty().withMessage('List name is required'),
     body('description').optional(),
     body('custom_fields').optional().isObject().withMessage('Custom fields must be an object'),
+    body('double_opt_in').optional().isBoolean().withMessage('Double opt-in must be a boolean'),
+    body('confirmation_template_id').optional({ nullable: true }).isInt().withMessage('Valid confirmation template ID is required'),
     validate
   ],
   ListController.create
@@ -127,6 +193,8 @@ router.put('/lists/:id',
     body('name').notEmpty().withMessage('List name is required'),
     body('description').optional(),
     body('custom_fields').optional().isObject().withMessage('Custom fields must be an object'),
+    body('double_opt_in').optional().isBoolean().withMessage('Double opt-in must be a boolean'),
+    body('confirmation_template_id').optional({ nullable: true }).isInt().withMessage('Valid confirmation template ID is required'),
     validate
   ],
   ListController.update
@@ -134,9 +202,16 @@ router.put('/lists/:id',
 router.delete('/lists/:id', authenticateToken, ListController.delete);
 
 // List subscriber routes
-router.get('/lists/:id/subscribers', authenticateToken, ListController.getSubscribers);
-router.post('/lists/:id/subscribers',
+router.get('/lists/:id/subscribers',
   authenticateToken,
+  [
+    query('status').optional().isIn(['subscribed', 'pending', 'unsubscribed']).withMessage('Invalid subscription status'),
+    validate
+  ],
+  ListController.getSubscribers
+);
+router.post('/lists/:id/subscribers',
+  requireScope('contacts:write'),
   [
     body('contact_id').isInt().withMessage('Valid contact ID is required'),
     body('custom_field_values').optional().isObject(),
@@ -144,37 +219,40 @@ router.post('/lists/:id/subscribers',
   ],
   ListController.addSubscriber
 );
-router.delete('/lists/:id/subscribers/:contactId', authenticateToken, ListController.removeSubscriber);
+router.delete('/lists/:id/subscribers/:contactId', requireScope('contacts:write'), ListController.removeSubscriber);
 
 // Contact routes
 router.get('/contacts', authenticateToken, ContactController.getAll);
 router.get('/contacts/stats', authenticateToken, ContactController.getStats);
 router.get('/contacts/:id', authenticateToken, ContactController.getById);
 router.post('/contacts',
-  authenticateToken,
+  requireScope('contacts:write'),
   [
     body('email').isEmail().withMessage('Valid email is required'),
     body('first_name').optional(),
     body('last_name').optional(),
     body('status').optional().isIn(['active', 'bounced', 'unsubscribed']),
+    body('timezone').optional({ values: 'falsy' }).custom(isValidTimezone).withMessage('Timezone must be an IANA timezone, e.g. America/New_York'),
     validate
   ],
   ContactController.create
 );
 router.put('/contacts/:id',
-  authenticateToken,
+  requireScope('contacts:write'),
   [
     body('email').isEmail().withMessage('Valid email is required'),
     body('first_name').optional(),
     body('last_name').optional(),
     body('status').optional().isIn(['active', 'bounced', 'unsubscribed']),
+    body('timezone').optional({ values: 'falsy' }).custom(isValidTimezone).withMessage('Timezone must be an IANA timezone, e.g. America/New_York'),
     validate
   ],
   ContactController.update
 );
-router.delete('/contacts/:id', authenticateToken, ContactController.delete);
+router.delete('/contacts/:id', requireScope('contacts:write'), ContactController.delete);
+router.get('/contacts/:id/replies', authenticateToken, ReplyController.getContactReplies);
 router.post('/contacts/bulk-import',
-  authenticateToken,
+  requireScope('contacts:write'),
   importLimiter.middleware(),
   [
     body('contacts').isArray().withMessage('Contacts must be an array'),
@@ -182,6 +260,16 @@ router.post('/contacts/bulk-import',
   ],
   ContactController.bulkImport
 );
+router.post('/contacts/timezones/infer', authenticateToken, ContactController.inferTimezones);
+router.post('/contacts/:id/tags',
+  requireScope('contacts:write'),
+  [
+    body('tag').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Tag must be 1 to 100 characters'),
+    validate
+  ],
+  ContactController.addTag
+);
+router.delete('/contacts/:id/tags/:tag', requireScope('contacts:write'), ContactController.removeTag);
 
 // Campaign routes
 router.get('/campaigns', authenticateToken, CampaignController.getCampaigns);
@@ -195,6 +283,9 @@ router.post('/campaigns',
     body('from_email').isEmail().withMessage('Valid from email is required'),
     body('from_name').notEmpty().withMessage('From name is required'),
     body('reply_to').optional().isEmail().withMessage('Reply-to must be a valid email'),
+    body('smtp_config_id').optional({ nullable: true }).isInt().withMessage('SMTP config ID must be valid'),
+    body('sandbox').optional().isBoolean().withMessage('Sandbox must be boolean'),
+    body('track_replies').optional().isBoolean().withMessage('Track replies must be boolean'),
     validate
   ],
   CampaignController.createCampaign
@@ -208,16 +299,35 @@ router.put('/campaigns/:id',
     body('from_email').optional().isEmail().withMessage('From email must be valid'),
     body('from_name').optional().notEmpty().withMessage('From name cannot be empty'),
     body('reply_to').optional().isEmail().withMessage('Reply-to must be a valid email'),
+    body('smtp_config_id').optional({ nullable: true }).isInt().withMessage('SMTP config ID must be valid'),
+    body('sandbox').optional().isBoolean().withMessage('Sandbox must be boolean'),
+    body('track_replies').optional().isBoolean().withMessage('Track replies must be boolean'),
     validate
   ],
   CampaignController.updateCampaign
 );
 router.delete('/campaigns/:id', authenticateToken, CampaignController.deleteCampaign);
+router.get('/campaigns/:id/attachments', authenticateToken, AttachmentController.getCampaignAttachments);
+router.post('/campaigns/:id/attachments',
+  authenticateToken,
+  [
+    body('filename').isString().notEmpty().withMessage('Filename is required'),
+    body('content').isBase64().withMessage('Content must be base64 encoded'),
+    body('inline').optional().isBoolean().withMessage('Inline must be boolean'),
+    body('content_id').optional().isString().withMessage('Content ID must be a string'),
+    validate
+  ],
+  AttachmentController.uploadCampaignAttachment
+);
+
+// Attachment routes
+router.get('/attachments/:id/download', authenticateToken, AttachmentController.downloadAttachment);
+router.delete('/attachments/:id', authenticateToken, AttachmentController.deleteAttachment);
 
 // Campaign actions - with rate limiting
-router.post('/campaigns/:id/send', authenticateToken, campaignLimiter.middleware(), CampaignController.sendCampaign);
+router.post('/campaigns/:id/send', requireScope('campaigns:send'), campaignLimiter.middleware(), CampaignController.sendCampaign);
 router.post('/campaigns/:id/test',
-  authenticateToken,
+  requireScope('campaigns:send'),
   [
     body('test_email').isEmail().withMessage('Valid test email is required'),
     validate
@@ -225,30 +335,327 @@ router.post('/campaigns/:id/test',
   CampaignController.sendTestEmail
 );
 router.post('/campaigns/:id/schedule',
-  authenticateToken,
+  requireScope('campaigns:send'),
   [
-    body('scheduled_at').notEmpty().withMessage('Scheduled time is required'),
+    body('scheduled_at').if(body('local_send_time').not().exists()).notEmpty().withMessage('Scheduled time is required'),
+    body('send_time_optimization').optional().isBoolean().withMessage('Send time optimization must be boolean'),
+    body('local_send_time').optional().matches(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/).withMessage('Local send time must be in YYYY-MM-DDTHH:mm format'),
     validate
   ],
   CampaignController.scheduleCampaign
 );
 router.post('/campaigns/:id/cancel', authenticateToken, CampaignController.cancelSchedule);
+router.post('/campaigns/:id/pause', authenticateToken, CampaignController.pauseCampaign);
+router.post('/campaigns/:id/resume', authenticateToken, CampaignController.resumeCampaign);
+router.post('/campaigns/:id/abort', authenticateToken, CampaignController.abortCampaign);
+router.get('/campaigns/:id/follow-up/audience', authenticateToken, CampaignController.getFollowUpAudience);
+router.post('/campaigns/:id/follow-up',
+  authenticateToken,
+  [
+    body('name').optional({ values: 'falsy' }).isString().trim().isLength({ max: 255 }),
+    body('subject').optional({ values: 'falsy' }).isString().trim().isLength({ max: 500 }).withMessage('Subject must be at most 500 characters'),
+    body('delay_hours').optional({ nullable: true }).isInt({ min: 0, max: 720 }).withMessage('Delay must be between 0 and 720 hours').toInt(),
+    body('exclude_clickers').optional().isBoolean().withMessage('exclude_clickers must be a boolean').toBoolean(),
+    validate
+  ],
+  CampaignController.createFollowUp
+);
+
+// Campaign A/B tests
+router.get('/campaigns/:id/ab-test', authenticateToken, AbTestController.getAbTest);
+router.put('/campaigns/:id/ab-test',
+  authenticateToken,
+  [
+    body('test_percentage').optional().isInt({ min: 1, max: 100 }).withMessage('Test percentage must be between 1 and 100'),
+    body('winner_metric').optional().isIn(['open_rate', 'click_rate', 'conversion_rate'])
+      .withMessage('Winner metric must be open_rate, click_rate or conversion_rate'),
+    body('wait_hours').optional().isInt({ min: 1, max: 168 }).withMessage('Wait time must be between 1 and 168 hours'),
+    body('variants').isArray({ min: 2, max: 5 }).withMessage('Between 2 and 5 variants are required'),
+    body('variants.*.name').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Each variant needs a name'),
+    body('variants.*.subject').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('variants.*.from_name').optional({ nullable: true }).isString().isLength({ max: 255 }),
+    body('variants.*.template_id').optional({ nullable: true }).isInt().withMessage('Variant template ID must be valid'),
+    validate
+  ],
+  AbTestController.saveAbTest
+);
+router.delete('/campaigns/:id/ab-test', authenticateToken, AbTestController.deleteAbTest);
+router.post('/campaigns/:id/ab-test/winner',
+  authenticateToken,
+  [
+    body('variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be valid'),
+    validate
+  ],
+  AbTestController.sendWinner
+);
+
+// Recurring campaigns
+const recurringCampaignValidators = (required) => {
+  const field = name => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').notEmpty().withMessage('Name is required'),
+    field('template_id').isInt().withMessage('Valid template ID is required'),
+    field('list_id').isInt().withMessage('Valid list ID is required'),
+    field('from_email').isEmail().withMessage('Valid from email is required'),
+    field('from_name').notEmpty().withMessage('From name is required'),
+    body('reply_to').optional({ values: 'falsy' }).isEmail().withMessage('Reply-to must be a valid email'),
+    body('subject').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Subject must be at most 500 characters'),
+    body('smtp_config_id').optional({ nullable: true }).isInt().withMessage('SMTP config ID must be valid'),
+    body('sandbox').optional().isBoolean().withMessage('Sandbox must be boolean'),
+    body('track_replies').optional().isBoolean().withMessage('Track replies must be boolean'),
+    field('rrule').custom(value => parseRRule(value) && true),
+    field('start_at').matches(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/).withMessage('Start must be in YYYY-MM-DDTHH:mm format'),
+    body('timezone').optional({ values: 'falsy' }).custom(isValidTimezone).withMessage('Timezone must be an IANA timezone, e.g. America/New_York'),
+    body('ends_on').optional({ values: 'falsy' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End date must be in YYYY-MM-DD format'),
+    validate
+  ];
+};
+
+router.get('/recurring-campaigns', authenticateToken, RecurringCampaignController.getRecurringCampaigns);
+router.get('/recurring-campaigns/:id', authenticateToken, RecurringCampaignController.getRecurringCampaignById);
+router.post('/recurring-campaigns',
+  authenticateToken,
+  recurringCampaignValidators(true),
+  RecurringCampaignController.createRecurringCampaign
+);
+router.put('/recurring-campaigns/:id',
+  authenticateToken,
+  recurringCampaignValidators(false),
+  RecurringCampaignController.updateRecurringCampaign
+);
+router.delete('/recurring-campaigns/:id', authenticateToken, RecurringCampaignController.deleteRecurringCampaign);
+router.post('/recurring-campaigns/:id/pause', authenticateToken, RecurringCampaignController.pauseRecurringCampaign);
+router.post('/recurring-campaigns/:id/resume', authenticateToken, RecurringCampaignController.resumeRecurringCampaign);
+router.post('/recurring-campaigns/:id/skip', authenticateToken, RecurringCampaignController.skipNextOccurrence);
+
+// Automation workflows
+const workflowValidators = (required) => {
+  const field = name => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').notEmpty().withMessage('Name is required'),
+    field('list_id').isInt().withMessage('Valid list ID is required'),
+    field('trigger_type').isIn(['list_subscribed', 'tag_added', 'custom_event', 'date_anniversary']).withMessage('Trigger must be list_subscribed, tag_added, custom_event or date_anniversary'),
+    body('trigger_config').optional().isObject().withMessage('Trigger config must be an object'),
+    field('from_email').isEmail().withMessage('Valid from email is required'),
+    field('from_name').notEmpty().withMessage('From name is required'),
+    body('reply_to').optional({ values: 'falsy' }).isEmail().withMessage('Reply-to must be a valid email'),
+    body('smtp_config_id').optional({ nullable: true }).isInt().withMessage('SMTP config ID must be valid'),
+    body('allow_reentry').optional().isBoolean().withMessage('Allow re-entry must be boolean'),
+    body('steps').optional().isArray().withMessage('Steps must be an array'),
+    validate
+  ];
+};
+
+router.get('/workflows', authenticateToken, WorkflowController.getWorkflows);
+router.post('/workflows/events',
+  authenticateToken,
+  [
+    body('event').notEmpty().withMessage('Event name is required'),
+    body('contact_id').optional().isInt().withMessage('Contact ID must be valid'),
+    body('email').if(body('contact_id').not().exists()).isEmail().withMessage('Contact ID or email is required'),
+    body('data').optional().isObject().withMessage('Data must be an object'),
+    validate
+  ],
+  WorkflowController.trackEvent
+);
+router.get('/workflows/:id', authenticateToken, WorkflowController.getWorkflowById);
+router.post('/workflows',
+  authenticateToken,
+  workflowValidators(true),
+  WorkflowController.createWorkflow
+);
+router.put('/workflows/:id',
+  authenticateToken,
+  workflowValidators(false),
+  WorkflowController.updateWorkflow
+);
+router.delete('/workflows/:id', authenticateToken, WorkflowController.deleteWorkflow);
+router.post('/workflows/:id/activate', authenticateToken, WorkflowController.activateWorkflow);
+router.post('/workflows/:id/pause', authenticateToken, WorkflowController.pauseWorkflow);
+router.get('/workflows/:id/stats', authenticateToken, WorkflowController.getWorkflowStats);
+router.get('/workflows/:id/enrollments', authenticateToken, WorkflowController.getWorkflowEnrollments);
+
+// Signup forms (their public endpoints are under /public/forms)
+const signupFormValidators = (required) => {
+  const field = name => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').notEmpty().withMessage('Name is required'),
+    field('list_id').isInt().withMessage('Valid list ID is required'),
+    body('fields').optional().isArray().withMessage('Fields must be an array'),
+    body('redirect_url').optional({ values: 'falsy' }).isURL({ require_protocol: true }).withMessage('Redirect URL must be a valid URL'),
+    body('status').optional().isIn(['active', 'disabled']).withMessage('Status must be active or disabled'),
+    validate
+  ];
+};
+
+router.get('/signup-forms', authenticateToken, SignupFormController.getForms);
+router.get('/signup-forms/:id', authenticateToken, SignupFormController.getFormById);
+router.post('/signup-forms',
+  authenticateToken,
+  signupFormValidators(true),
+  SignupFormController.createForm
+);
+router.put('/signup-forms/:id',
+  authenticateToken,
+  signupFormValidators(false),
+  SignupFormController.updateForm
+);
+router.delete('/signup-forms/:id', authenticateToken, SignupFormController.deleteForm);
+router.get('/signup-forms/:id/stats', authenticateToken, SignupFormController.getFormStats);
+
+// Transactional email (one-off sends on the priority lane of the job queue)
+router.post('/transactional/send',
+  requireScope('transactional:send'),
+  [
+    body('to').isEmail().withMessage('Valid recipient email is required'),
+    body('template_id').optional({ nullable: true }).isInt().withMessage('Valid template ID is required'),
+    body('subject').optional().isString().withMessage('Subject must be a string'),
+    body('html').optional().isString().withMessage('HTML must be a string'),
+    body('text').optional().isString().withMessage('Text must be a string'),
+    body('merge_data').optional().isObject().withMessage('Merge data must be an object'),
+    body('from_email').optional({ values: 'falsy' }).isEmail().withMessage('From email must be a valid email'),
+    body('reply_to').optional({ values: 'falsy' }).isEmail().withMessage('Reply-to must be a valid email'),
+    body('smtp_config_id').optional({ nullable: true }).isInt().withMessage('SMTP config ID must be valid'),
+    body('tag').optional().isString().isLength({ max: 100 }).withMessage('Tag must be at most 100 characters'),
+    body('metadata').optional().isObject().withMessage('Metadata must be an object'),
+    body('track_opens').optional().isBoolean().withMessage('Track opens must be boolean'),
+    body('track_clicks').optional().isBoolean().withMessage('Track clicks must be boolean'),
+    body('sandbox').optional().isBoolean().withMessage('Sandbox must be boolean'),
+    validate
+  ],
+  TransactionalController.sendEmail
+);
+router.get('/transactional/messages',
+  requireScope('transactional:send'),
+  [
+    query('status').optional().isIn(['queued', 'sent', 'delivered', 'failed', 'bounced']).withMessage('Invalid message status'),
+    validate
+  ],
+  TransactionalController.getMessages
+);
+router.get('/transactional/messages/:id', requireScope('transactional:send'), TransactionalController.getMessageById);
+
+// API keys for integrations (managed by admins only; keys cannot manage keys)
+const apiKeyValidators = (required) => {
+  const field = name => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').notEmpty().withMessage('Name is required'),
+    field('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(apiKeyService.getScopes()).withMessage(`Scopes must be among ${apiKeyService.getScopes().join(', ')}`),
+    body('rate_limit').optional().isInt({ min: 1 }).withMessage('Rate limit must be a positive integer'),
+    body('expires_at').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry must be a valid date'),
+    validate
+  ];
+};
+
+router.get('/api-keys', authenticateToken, ApiKeyController.getApiKeys);
+router.post('/api-keys',
+  authenticateToken,
+  apiKeyValidators(true),
+  ApiKeyController.createApiKey
+);
+router.put('/api-keys/:id',
+  authenticateToken,
+  apiKeyValidators(false),
+  ApiKeyController.updateApiKey
+);
+router.post('/api-keys/:id/revoke', authenticateToken, ApiKeyController.revokeApiKey);
+router.delete('/api-keys/:id', authenticateToken, ApiKeyController.deleteApiKey);
+
+// Webhooks (event notifications for external systems)
+const webhookEventsMessage = `Events must be among ${webhookService.getEvents().join(', ')}`;
+
+const webhookValidators = (required) => {
+  const field = name => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').notEmpty().withMessage('Name is required'),
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be a valid http(s) URL'),
+    field('events').isArray({ min: 1 }).withMessage('At least one event is required'),
+    body('events.*').isIn(webhookService.getEvents()).withMessage(webhookEventsMessage),
+    body('secret').optional({ values: 'falsy' }).isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+    body('is_active').optional().isBoolean().withMessage('Active must be a boolean'),
+    validate
+  ];
+};
+
+router.get('/webhooks', authenticateToken, WebhookController.getWebhooks);
+router.get('/webhooks/:id', authenticateToken, WebhookController.getWebhookById);
+router.post('/webhooks',
+  authenticateToken,
+  webhookValidators(true),
+  WebhookController.createWebhook
+);
+router.put('/webhooks/:id',
+  authenticateToken,
+  webhookValidators(false),
+  WebhookController.updateWebhook
+);
+router.delete('/webhooks/:id', authenticateToken, WebhookController.deleteWebhook);
+router.get('/webhooks/:id/deliveries',
+  authenticateToken,
+  [
+    query('status').optional().isIn(['succeeded', 'failed']).withMessage('Invalid delivery status'),
+    validate
+  ],
+  WebhookController.getDeliveries
+);
+router.post('/webhooks/:id/replay',
+  authenticateToken,
+  [
+    body('since').isISO8601().withMessage('Since must be a valid date'),
+    body('until').optional({ values: 'falsy' }).isISO8601().withMessage('Until must be a valid date'),
+    body('event_types').optional().isArray({ min: 1 }).withMessage('Event types must be a non-empty array'),
+    body('event_types.*').isIn(webhookService.getEvents()).withMessage(webhookEventsMessage),
+    body('after_id').optional().isInt({ min: 1 }).withMessage('After ID must be a positive integer').toInt(),
+    validate
+  ],
+  WebhookController.replayEvents
+);
 
 // Campaign stats and preview
-router.get('/campaigns/:id/stats', authenticateToken, CampaignController.getCampaignStats);
+router.get('/campaigns/:id/stats', requireScope('analytics:read'), CampaignController.getCampaignStats);
 router.post('/campaigns/:id/preview', authenticateToken, CampaignController.previewCampaign);
 
 // Campaign events and tracking
 router.get('/campaigns/:id/events', authenticateToken, CampaignController.getCampaignEvents);
 router.get('/campaigns/:id/links', authenticateToken, CampaignController.getCampaignLinks);
+router.get('/campaigns/:id/replies', authenticateToken, ReplyController.getCampaignReplies);
 router.get('/messages/:id/events', authenticateToken, CampaignController.getMessageEvents);
 
 // Queue status
 router.get('/queue/status', authenticateToken, CampaignController.getQueueStatus);
 
+// Per-recipient-domain throttle policies
+router.get('/queue/domain-throttles', authenticateToken, DomainThrottleController.getPolicies);
+router.put('/queue/domain-throttles/:domain',
+  authenticateToken,
+  [
+    body('max_connections').optional().isInt({ min: 1 }).withMessage('Max connections must be a positive integer'),
+    body('messages_per_minute').optional().isInt({ min: 1 }).withMessage('Messages per minute must be a positive integer'),
+    body('backoff_seconds').optional().isInt({ min: 0 }).withMessage('Backoff seconds must be a non-negative integer'),
+    validate
+  ],
+  DomainThrottleController.savePolicy
+);
+router.delete('/queue/domain-throttles/:domain', authenticateToken, DomainThrottleController.deletePolicy);
+
+// Sandbox-captured messages (dry-run sends)
+router.get('/captures', authenticateToken, CaptureController.getCaptures);
+router.get('/captures/:id', authenticateToken, CaptureController.getCaptureById);
+router.get('/captures/:id/download', authenticateToken, CaptureController.downloadCapture);
+
 // Tracking routes (public - no authentication required)
 router.get('/track/open/:token.png', TrackingController.trackOpen);
 router.get('/track/click/:shortCode/:token', TrackingController.trackClick);
+router.get('/track/transactional/open/:token.png', TrackingController.trackTransactionalOpen);
+router.get('/track/transactional/click/:token/:index', TrackingController.trackTransactionalClick);
+router.get('/track/conversion/:token.png', TrackingController.trackConversion);
+router.post('/track/conversion/:token', TrackingController.trackConversion);
 router.post('/track/unsubscribe/:token', TrackingController.unsubscribeOneClick);
 router.get('/track/unsubscribe/:token', TrackingController.unsubscribePage);
 
@@ -262,18 +669,18 @@ router.post('/unsubscribe/confirm',
 );
 
 // Analytics routes (authenticated)
-router.get('/analytics/overview', authenticateToken, AnalyticsController.getOverviewAnalytics);
-router.get('/analytics/campaigns/:id', authenticateToken, AnalyticsController.getCampaignAnalytics);
-router.get('/analytics/campaigns/:id/timeline', authenticateToken, AnalyticsController.getCampaignTimeline);
-router.get('/analytics/campaigns/:id/top-links', authenticateToken, AnalyticsController.getTopClickedLinks);
-router.get('/analytics/campaigns/:id/devices', authenticateToken, AnalyticsController.getDeviceBreakdown);
-router.get('/analytics/campaigns/compare', authenticateToken, AnalyticsController.compareCampaigns);
+router.get('/analytics/overview', requireScope('analytics:read'), AnalyticsController.getOverviewAnalytics);
+router.get('/analytics/campaigns/:id', requireScope('analytics:read'), AnalyticsController.getCampaignAnalytics);
+router.get('/analytics/campaigns/:id/timeline', requireScope('analytics:read'), AnalyticsController.getCampaignTimeline);
+router.get('/analytics/campaigns/:id/top-links', requireScope('analytics:read'), AnalyticsController.getTopClickedLinks);
+router.get('/analytics/campaigns/:id/devices', requireScope('analytics:read'), AnalyticsController.getDeviceBreakdown);
+router.get('/analytics/campaigns/compare', requireScope('analytics:read'), AnalyticsController.compareCampaigns);
 
 // Analytics export routes
-router.get('/analytics/campaigns/:id/export', authenticateToken, AnalyticsController.exportCampaignAnalytics);
-router.get('/analytics/campaigns/:id/export-events', authenticateToken, AnalyticsController.exportCampaignEvents);
-router.get('/analytics/contacts/engagement', authenticateToken, AnalyticsController.getContactEngagement);
-router.get('/analytics/contacts/engagement/export', authenticateToken, AnalyticsController.exportContactEngagement);
+router.get('/analytics/campaigns/:id/export', requireScope('analytics:read'), AnalyticsController.exportCampaignAnalytics);
+router.get('/analytics/campaigns/:id/export-events', requireScope('analytics:read'), AnalyticsController.exportCampaignEvents);
+router.get('/analytics/contacts/engagement', requireScope('analytics:read'), AnalyticsController.getContactEngagement);
+router.get('/analytics/contacts/engagement/export', requireScope('analytics:read'), AnalyticsController.exportContactEngagement);
 
 // ============ PHASE 5 ROUTES ============
 
@@ -292,6 +699,7 @@ router.post('/smtp-configs',
     body('from_email').isEmail().withMessage('Valid from email is required'),
     body('from_name').notEmpty().withMessage('From name is required'),
     body('max_rate').optional().isInt({ min: 1 }).withMessage('Max rate must be positive integer'),
+    body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer'),
     validate
   ],
   SmtpController.createConfig
@@ -304,6 +712,7 @@ router.put('/smtp-configs/:id',
     body('port').optional().isInt({ min: 1, max: 65535 }).withMessage('Valid port is required'),
     body('from_email').optional().isEmail().withMessage('Valid from email is required'),
     body('from_name').optional().notEmpty().withMessage('From name cannot be empty'),
+    body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer'),
     validate
   ],
   SmtpController.updateConfig
@@ -312,6 +721,38 @@ router.delete('/smtp-configs/:id', authenticateToken, SmtpController.deleteConfi
 router.post('/smtp-configs/:id/activate', authenticateToken, SmtpController.setActive);
 router.post('/smtp-configs/:id/test', authenticateToken, SmtpController.testConnection);
 
+// DKIM signing keys per sending domain (authenticated)
+router.get('/dkim/keys', authenticateToken, DkimController.getKeys);
+router.get('/dkim/keys/:id', authenticateToken, DkimController.getKeyById);
+router.post('/dkim/keys',
+  authenticateToken,
+  [
+    body('domain').isFQDN().withMessage('Valid domain is required'),
+    body('selector').optional().matches(/^[A-Za-z0-9][A-Za-z0-9-]{0,62}$/).withMessage('Selector may only contain letters, numbers and hyphens'),
+    body('key_size').optional().isIn([1024, 2048]).withMessage('Key size must be 1024 or 2048').toInt(),
+    validate
+  ],
+  DkimController.generateKey
+);
+router.post('/dkim/keys/:id/rotate',
+  authenticateToken,
+  [
+    body('selector').optional().matches(/^[A-Za-z0-9][A-Za-z0-9-]{0,62}$/).withMessage('Selector may only contain letters, numbers and hyphens'),
+    body('key_size').optional().isIn([1024, 2048]).withMessage('Key size must be 1024 or 2048').toInt(),
+    validate
+  ],
+  DkimController.rotateKey
+);
+router.post('/dkim/keys/:id/activate',
+  authenticateToken,
+  [
+    body('skip_dns_check').optional().isBoolean().withMessage('skip_dns_check must be a boolean').toBoolean(),
+    validate
+  ],
+  DkimController.activateKey
+);
+router.post('/dkim/keys/:id/retire', authenticateToken, DkimController.retireKey);
+
 // List Segmentation routes (authenticated)
 router.post('/lists/:id/segment',
   authenticateToken,
@@ -464,7 +905,8 @@ router.get('/scheduler/upcoming', authenticateToken, (req, res) => {
     const schedulerService = require('../services/scheduler.service');
     const limit = parseInt(req.query.limit) || 10;
     const campaigns = schedulerService.getUpcomingCampaigns(limit);
-    res.json({ campaigns, count: campaigns.length });
+    const occurrences = schedulerService.getUpcomingOccurrences(limit);
+    res.json({ campaigns, count: campaigns.length, occurrences });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get upcoming campaigns' });
   }
@@ -481,6 +923,33 @@ router.get('/bounces/stats', authenticateToken, (req, res) => {
   }
 });
 
+// Asynchronous bounces (delivery status notifications)
+router.post('/bounces/dsn',
+  authenticateToken,
+  express.text({ type: ['message/rfc822', 'text/plain'], limit: '10mb' }),
+  BounceController.ingestDsn
+);
+router.post('/bounces/dsn/scan', authenticateToken, BounceController.scanDropDirectory);
+
+// Spam complaints (ARF feedback loop reports)
+router.get('/complaints', authenticateToken, ComplaintController.getComplaints);
+router.post('/complaints/arf',
+  authenticateToken,
+  express.text({ type: ['message/rfc822', 'text/plain'], limit: '10mb' }),
+  ComplaintController.ingestArf
+);
+router.post('/complaints/arf/scan', authenticateToken, ComplaintController.scanDropDirectory);
+
+// Replies to campaign messages
+router.get('/replies', authenticateToken, ReplyController.getReplies);
+router.post('/replies/inbound',
+  authenticateToken,
+  express.text({ type: ['message/rfc822', 'text/plain'], limit: '10mb' }),
+  ReplyController.ingestReply
+);
+router.post('/replies/scan', authenticateToken, ReplyController.scanDropDirectory);
+router.get('/replies/:id', authenticateToken, ReplyController.getReplyById);
+
 // ===================================
 // PHASE 7: GMAIL COMPLIANCE & AUTHENTICATION ROUTES
 // ===================================
@@ -12,6 +12,10 @@
  *   - Private key: backend/config/dkim/private.key
  *   - Public key: backend/config/dkim/public.key
  *   - DNS TXT record instruction
+ *
+ * The file-based key is a fallback. Keys created through the API
+ * (POST /api/dkim/keys) are stored encrypted per domain and take precedence
+ * for mail sent from their domain.
  */
 
 const crypto = require('crypto');
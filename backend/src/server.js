@@ -8,6 +8,9 @@ const apiRoutes = require('./routes/api.routes');
 const AuthController = require('./controllers/auth.controller');
 const queueService = require('./services/queue.service');
 const schedulerService = require('./services/scheduler.service');
+const dsnService = require('./services/dsn.service');
+const complaintService = require('./services/complaint.service');
+const replyService = require('./services/reply.service');
 const alertService = require('./services/alert.service');
 const {
   apiLimiter,
@@ -15,6 +18,7 @@ const {
   securityHeaders,
   csrfProtection
 } = require('./middleware/security');
+const { identifyApiKey } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -54,19 +58,31 @@ app.use(helmet({
 }));
 app.use(securityHeaders);
 
-// CORS configuration
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
+// CORS configuration (signup forms are embedded in, and submitted from, any site)
+app.use(cors((req, callback) => {
+  callback(null, req.path.startsWith('/api/public/forms/')
+    ? { origin: '*' }
+    : { origin: process.env.FRONTEND_URL || 'http://localhost:5173', credentials: true });
 }));
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Provider event webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/public/esp/')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Input sanitization
 app.use(sanitizeInput);
 
+// Requests made with an API key are rate limited per key
+app.use('/api/', identifyApiKey);
+
 // IP-based rate limiting (applied to all API routes)
 app.use('/api/', apiLimiter.middleware());
 
@@ -147,6 +163,18 @@ app.listen(PORT, () => {
   schedulerService.start();
   logger.info('Campaign scheduler started');
 
+  // Start bounce (DSN) processing
+  dsnService.start();
+  logger.info('DSN processor started');
+
+  // Start spam complaint (ARF) processing
+  complaintService.start();
+  logger.info('Complaint processor started');
+
+  // Start reply processing
+  replyService.start();
+  logger.info('Reply processor started');
+
   // Start system monitoring
   alertService.startMonitoring();
   logger.info('System monitoring started');
@@ -157,6 +185,9 @@ process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   queueService.stop();
   schedulerService.stop();
+  dsnService.stop();
+  complaintService.stop();
+  replyService.stop();
   process.exit(0);
 });
 
@@ -164,6 +195,9 @@ process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   queueService.stop();
   schedulerService.stop();
+  dsnService.stop();
+  complaintService.stop();
+  replyService.stop();
   process.exit(0);
 });
 
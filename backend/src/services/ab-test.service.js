@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const AbTestModel = require('../models/ab-test.model');
+const TemplateModel = require('../models/template.model');
+const logger = require('../config/logger');
+
+// Winner metric -> variant result fields it is based on
+const WINNER_METRICS = {
+  open_rate: { count: 'uniqueOpens', rate: 'openRate' },
+  click_rate: { count: 'uniqueClicks', rate: 'clickRate' },
+  conversion_rate: { count: 'conversions', rate: 'conversionRate' }
+};
+
+// p-value below which the leading variant is reported as significantly better
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * A/B Test Service
+ * Splits a campaign's audience into a test group per variant, builds each
+ * variant's content and picks the winner from the test group's opens, clicks
+ * or conversions. The campaign service sends the winner to the rest of the
+ * list once the wait window ends.
+ *
+ * Significance compares the leader with the runner-up using a two-proportion
+ * z-test.
+ */
+
+class AbTestService {
+  /**
+   * Get the supported winner metrics
+   * @returns {Array<string>}
+   */
+  getWinnerMetrics() {
+    return Object.keys(WINNER_METRICS);
+  }
+
+  /**
+   * Split contacts into a random test group per variant and a remainder
+   * Every variant gets at least one contact.
+   * @param {Array<number>} contactIds - Contact IDs
+   * @param {Object} test - A/B test with variants
+   * @returns {Object} { groups: Map<variantId, contactIds>, remainder: contactIds }
+   */
+  splitAudience(contactIds, test) {
+    const shuffled = [...contactIds];
+
+    // Fisher-Yates shuffle
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const testSize = Math.min(
+      shuffled.length,
+      Math.max(test.variants.length, Math.round(shuffled.length * test.test_percentage / 100))
+    );
+
+    const groups = new Map(test.variants.map(variant => [variant.id, []]));
+
+    shuffled.slice(0, testSize).forEach((contactId, index) => {
+      groups.get(test.variants[index % test.variants.length].id).push(contactId);
+    });
+
+    return {
+      groups,
+      remainder: shuffled.slice(testSize)
+    };
+  }
+
+  /**
+   * Apply a variant's overrides to a campaign
+   * @param {Object} campaign - Campaign with template fields (from CampaignModel.getById)
+   * @param {Object} variant - Variant
+   * @returns {Object} Campaign as the variant sends it
+   */
+  getVariantContent(campaign, variant) {
+    const content = { ...campaign, variant_id: variant.id };
+
+    if (variant.template_id) {
+      const template = TemplateModel.getById(variant.template_id);
+
+      if (!template) {
+        throw new Error(`Template ${variant.template_id} of variant ${variant.name} not found`);
+      }
+
+      content.template_id = template.id;
+      content.template_subject = template.subject;
+      content.template_body = template.body;
+      content.template_text_body = template.text_body;
+    }
+
+    if (variant.subject) {
+      content.template_subject = variant.subject;
+    }
+
+    if (variant.from_name) {
+      content.from_name = variant.from_name;
+    }
+
+    return content;
+  }
+
+  /**
+   * Get each variant's test group results and the significance of the lead
+   * @param {Object} test - A/B test with variants
+   * @returns {Object} { variants: [...], significance }
+   */
+  getResults(test) {
+    const counts = new Map(AbTestModel.getVariantCounts(test).map(row => [row.variant_id, row]));
+    const rate = (count, sent) => sent > 0 ? parseFloat(((count / sent) * 100).toFixed(2)) : 0;
+
+    const variants = test.variants.map(variant => {
+      const row = counts.get(variant.id) || { recipients: 0, sent: 0, opens: 0, clicks: 0, conversions: 0 };
+
+      return {
+        id: variant.id,
+        name: variant.name,
+        subject: variant.subject,
+        from_name: variant.from_name,
+        template_id: variant.template_id,
+        template_name: variant.template_name,
+        isWinner: test.winner_variant_id === variant.id,
+        recipients: row.recipients,
+        sent: row.sent,
+        uniqueOpens: row.opens,
+        openRate: rate(row.opens, row.sent),
+        uniqueClicks: row.clicks,
+        clickRate: rate(row.clicks, row.sent),
+        conversions: row.conversions,
+        conversionRate: rate(row.conversions, row.sent)
+      };
+    });
+
+    return {
+      variants,
+      significance: this.getSignificance(variants, test.winner_metric)
+    };
+  }
+
+  /**
+   * Test whether the leading variant is better than the runner-up
+   * @param {Array<Object>} variants - Variant results from getResults
+   * @param {string} metric - Winner metric
+   * @returns {Object|null} { leader, runnerUp, zScore, pValue, confidence, significant },
+   *   or null with fewer than two variants that were sent to
+   */
+  getSignificance(variants, metric) {
+    const countKey = WINNER_METRICS[metric].count;
+    const ranked = variants
+      .filter(variant => variant.sent > 0)
+      .map(variant => ({ ...variant, proportion: variant[countKey] / variant.sent }))
+      .sort((a, b) => b.proportion - a.proportion);
+
+    if (ranked.length < 2) {
+      return null;
+    }
+
+    const [leader, runnerUp] = ranked;
+    const pooled = (leader[countKey] + runnerUp[countKey]) / (leader.sent + runnerUp.sent);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / leader.sent + 1 / runnerUp.sent));
+
+    const zScore = standardError > 0 ? (leader.proportion - runnerUp.proportion) / standardError : 0;
+    const pValue = 2 * (1 - this.normalCdf(Math.abs(zScore)));
+
+    return {
+      metric,
+      leader: leader.name,
+      runnerUp: runnerUp.name,
+      zScore: parseFloat(zScore.toFixed(3)),
+      pValue: parseFloat(pValue.toFixed(4)),
+      confidence: parseFloat(((1 - pValue) * 100).toFixed(1)),
+      significant: pValue < SIGNIFICANCE_LEVEL
+    };
+  }
+
+  /**
+   * Standard normal cumulative distribution function
+   * Uses the Abramowitz-Stegun approximation of erf (error below 1.5e-7).
+   * @param {number} z - z-score
+   * @returns {number} P(Z <= z)
+   */
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t * Math.exp(-x * x);
+
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * Pick the variant with the best winner metric
+   * Ties go to the variant defined first; without any opens, clicks or
+   * conversions the first variant wins.
+   * @param {Object} test - A/B test with variants
+   * @returns {Object} { variant, reason: 'metric' | 'no_data', results }
+   */
+  pickWinner(test) {
+    const results = this.getResults(test);
+    const rateKey = WINNER_METRICS[test.winner_metric].rate;
+
+    let best = results.variants[0];
+    for (const variant of results.variants) {
+      if (variant[rateKey] > best[rateKey]) {
+        best = variant;
+      }
+    }
+
+    const reason = best[rateKey] > 0 ? 'metric' : 'no_data';
+
+    logger.info(`A/B test ${test.id} winner: variant ${best.name}`, {
+      campaignId: test.campaign_id,
+      metric: test.winner_metric,
+      rate: best[rateKey],
+      reason
+    });
+
+    return {
+      variant: test.variants.find(variant => variant.id === best.id),
+      reason,
+      results
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AbTestService();
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const ApiKeyModel = require('../models/api-key.model');
+const logger = require('../config/logger');
+
+// Keys start with this so they can be told apart from JWTs in the Authorization header
+const API_KEY_PREFIX = 'mk_';
+
+// What a key can be allowed to do; admin JWTs can do everything
+const API_KEY_SCOPES = ['contacts:write', 'campaigns:send', 'analytics:read', 'transactional:send'];
+
+// Default requests per minute for a new key
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 100;
+
+/**
+ * API Key Service
+ * Scoped keys for server-to-server integrations. The key itself is only
+ * shown once, when it is created; the database keeps a SHA-256 hash and a
+ * short prefix to recognise it by.
+ */
+
+class ApiKeyService {
+  /**
+   * Get the scopes a key can be given
+   * @returns {Array<string>}
+   */
+  getScopes() {
+    return API_KEY_SCOPES;
+  }
+
+  /**
+   * Check whether a bearer token looks like an API key rather than a JWT
+   * @param {string} token - Bearer token
+   * @returns {boolean}
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * Hash a key for storage and lookup
+   * @param {string} key - API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Add a key's status (active, expired or revoked)
+   * @param {Object} apiKey - API key
+   * @returns {Object}
+   */
+  withStatus(apiKey) {
+    let status = 'active';
+
+    if (apiKey.revoked_at) {
+      status = 'revoked';
+    } else if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+      status = 'expired';
+    }
+
+    return { ...apiKey, status };
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} data - { name, scopes, rate_limit, expires_at }
+   * @param {string} createdBy - Username of the admin creating the key
+   * @returns {Object} { apiKey, key } - key is the only copy of the plain key
+   */
+  create(data, createdBy = null) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const apiKey = ApiKeyModel.create({
+      name: data.name,
+      key_prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+      key_hash: this.hashKey(key),
+      scopes: data.scopes,
+      rate_limit: data.rate_limit || API_KEY_RATE_LIMIT,
+      expires_at: data.expires_at ? new Date(data.expires_at).toISOString() : null,
+      created_by: createdBy
+    });
+
+    return { apiKey: this.withStatus(apiKey), key };
+  }
+
+  /**
+   * Look up the key behind a bearer token
+   * @param {string} key - API key from the Authorization header
+   * @returns {Object} { apiKey } for a usable key, or { error }
+   */
+  authenticate(key) {
+    const apiKey = ApiKeyModel.getByHash(this.hashKey(key));
+
+    if (!apiKey) {
+      return { error: 'Invalid API key' };
+    }
+
+    const { status } = this.withStatus(apiKey);
+
+    if (status !== 'active') {
+      logger.warn(`Attempt to use ${status} API key ${apiKey.id}`);
+      return { error: `API key has ${status === 'revoked' ? 'been revoked' : 'expired'}` };
+    }
+
+    return { apiKey };
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService();
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AttachmentModel = require('../models/attachment.model');
+const { personalizeContent } = require('../utils/personalize');
+const logger = require('../config/logger');
+
+/**
+ * Attachment Service
+ * Stores template and campaign attachments on disk and turns them into
+ * Nodemailer attachments at send time. Filenames may contain merge tags
+ * (e.g. "Invoice-{{last_name}}.pdf"); inline images are referenced from
+ * HTML bodies as <img src="cid:CONTENT_ID">.
+ */
+
+// Allowed extensions and the content type each is stored with
+const DEFAULT_ALLOWED_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.ics': 'text/calendar',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+class AttachmentService {
+  constructor() {
+    this.storageDir = process.env.ATTACHMENT_DIR || path.join(__dirname, '../../data/attachments');
+    this.config = {
+      maxSize: parseInt(process.env.ATTACHMENT_MAX_SIZE) || 5 * 1024 * 1024, // per file
+      maxTotalSize: parseInt(process.env.ATTACHMENT_MAX_TOTAL_SIZE) || 10 * 1024 * 1024 // per template or campaign
+    };
+    this.allowedTypes = DEFAULT_ALLOWED_TYPES;
+  }
+
+  /**
+   * Validate an upload against type and size limits
+   * @param {Object} owner - { template_id } or { campaign_id }
+   * @param {string} filename - Filename (may contain merge tags)
+   * @param {Buffer} content - File content
+   * @param {string} contentId - Content-ID for inline images (optional)
+   * @returns {Object} { valid, errors }
+   */
+  validate(owner, filename, content, contentId = null) {
+    const errors = [];
+    const extension = path.extname(filename || '').toLowerCase();
+
+    if (!filename || filename.includes('/') || filename.includes('\\')) {
+      errors.push('A plain filename is required');
+    }
+
+    if (!this.allowedTypes[extension]) {
+      errors.push(`File type ${extension || '(none)'} is not allowed`);
+    }
+
+    if (content.length === 0) {
+      errors.push('Attachment is empty');
+    }
+
+    if (content.length > this.config.maxSize) {
+      errors.push(`Attachment exceeds the ${this.config.maxSize} byte limit`);
+    }
+
+    if (AttachmentModel.getTotalSize(owner) + content.length > this.config.maxTotalSize) {
+      errors.push(`Attachments would exceed the ${this.config.maxTotalSize} byte total limit`);
+    }
+
+    if (contentId && !/^[A-Za-z0-9._@-]+$/.test(contentId)) {
+      errors.push('Content ID may only contain letters, numbers, ".", "_", "@" and "-"');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Store an uploaded attachment
+   * @param {Object} owner - { template_id } or { campaign_id }
+   * @param {Object} upload - Upload data
+   * @param {string} upload.filename - Filename (may contain merge tags)
+   * @param {Buffer} upload.content - File content
+   * @param {boolean} upload.inline - Embed as an inline image (optional)
+   * @param {string} upload.contentId - Content-ID to reference from HTML (optional)
+   * @returns {Object} Created attachment
+   */
+  store(owner, upload) {
+    const extension = path.extname(upload.filename).toLowerCase();
+    const storedName = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+
+    fs.mkdirSync(this.storageDir, { recursive: true });
+    fs.writeFileSync(path.join(this.storageDir, storedName), upload.content);
+
+    return AttachmentModel.create({
+      ...owner,
+      filename: upload.filename,
+      content_type: this.allowedTypes[extension],
+      size: upload.content.length,
+      file_path: storedName,
+      content_id: upload.contentId || (upload.inline ? `att-${crypto.randomBytes(6).toString('hex')}` : null),
+      is_inline: upload.inline
+    });
+  }
+
+  /**
+   * Delete an attachment and its file
+   * @param {Object} attachment - Attachment
+   */
+  remove(attachment) {
+    AttachmentModel.delete(attachment.id);
+    this.removeFiles([attachment]);
+  }
+
+  /**
+   * Delete stored files, e.g. after their template or campaign was deleted
+   * @param {Array<Object>} attachments - Attachments
+   */
+  removeFiles(attachments) {
+    for (const attachment of attachments) {
+      const filePath = this.getFilePath(attachment);
+
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+
+  /**
+   * Get the absolute path of a stored attachment
+   * @param {Object} attachment - Attachment
+   * @returns {string} File path
+   */
+  getFilePath(attachment) {
+    return path.join(this.storageDir, path.basename(attachment.file_path));
+  }
+
+  /**
+   * Personalize attachment filenames for one recipient
+   * The result is small enough to be stored in queue job data.
+   * @param {Array<Object>} attachments - Attachments
+   * @param {Object} contact - Contact (email, first_name, last_name)
+   * @param {Object} customFieldValues - Custom field values
+   * @returns {Array<Object>} [{ attachmentId, filename }]
+   */
+  personalize(attachments, contact, customFieldValues = {}) {
+    return attachments.map(attachment => {
+      // Keep the original name if merge tags resolve to nothing usable
+      const filename = personalizeContent(attachment.filename, contact, customFieldValues)
+        .replace(/[\\/\r\n"]/g, '_')
+        .trim();
+
+      return {
+        attachmentId: attachment.id,
+        filename: filename && !filename.startsWith('.') ? filename : attachment.filename
+      };
+    });
+  }
+
+  /**
+   * Resolve job attachments into Nodemailer attachments
+   * @param {Array<Object>} jobAttachments - [{ attachmentId, filename }]
+   * @returns {Array<Object>} Nodemailer attachments
+   */
+  toMailAttachments(jobAttachments = []) {
+    const mailAttachments = [];
+
+    for (const { attachmentId, filename } of jobAttachments) {
+      const attachment = AttachmentModel.getById(attachmentId);
+
+      if (!attachment) {
+        logger.warn(`Attachment ${attachmentId} no longer exists, sending without it`);
+        continue;
+      }
+
+      mailAttachments.push({
+        filename,
+        path: this.getFilePath(attachment),
+        contentType: attachment.content_type,
+        ...(attachment.content_id ? { cid: attachment.content_id } : {}),
+        ...(attachment.is_inline ? { contentDisposition: 'inline' } : {})
+      });
+    }
+
+    return mailAttachments;
+  }
+}
+
+// Export singleton instance
+module.exports = new AttachmentService();
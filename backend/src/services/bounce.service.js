@@ -1,17 +1,30 @@
 const { db } = require('../config/database');
+const webhookService = require('./webhook.service');
 const logger = require('../config/logger');
 
 // SMTP bounce classification codes
 const HARD_BOUNCE_CODES = ['550', '551', '553', '554'];
 const SOFT_BOUNCE_CODES = ['421', '450', '451', '452'];
 
+// Permanent enhanced status codes (RFC 3463) that do not mean the address is
+// bad: mailbox full, delivery timed out, policy/spam rejections
+const SOFT_ENHANCED_CODES = ['5.2.2', '5.4.7', '5.7.'];
+
 /**
  * Classify bounce type based on SMTP error code and message
- * @param {string} smtpCode - SMTP error code (e.g., '550')
+ * @param {string} smtpCode - SMTP error code (e.g., '550') or enhanced status code (e.g., '5.1.1')
  * @param {string} message - Error message
  * @returns {string} - 'hard' or 'soft'
  */
 function classifyBounce(smtpCode, message) {
+  // Enhanced status codes, as reported in delivery status notifications
+  if (/^[245]\.\d{1,3}\.\d{1,3}$/.test(smtpCode)) {
+    if (smtpCode.startsWith('5.') && !SOFT_ENHANCED_CODES.some(code => smtpCode.startsWith(code))) {
+      return 'hard';
+    }
+    return 'soft';
+  }
+
   // Check hard bounce codes
   if (HARD_BOUNCE_CODES.some(code => smtpCode.startsWith(code))) {
     return 'hard';
@@ -99,15 +112,16 @@ function extractBounceReason(error) {
  * @param {string} bounceType - 'hard' or 'soft'
  * @param {string} bounceReason - Error message
  * @param {string} bounceCode - SMTP code
+ * @param {string} source - 'smtp' (rejected during the send), 'dsn' (bounce message) or the provider that reported it
  */
-function recordBounce(contactId, messageId, bounceType, bounceReason, bounceCode) {
+function recordBounce(contactId, messageId, bounceType, bounceReason, bounceCode, source = 'smtp') {
   try {
     const stmt = db.prepare(`
-      INSERT INTO bounces (contact_id, message_id, bounce_type, bounce_reason, bounce_code, created_at)
-      VALUES (?, ?, ?, ?, ?, datetime('now'))
+      INSERT INTO bounces (contact_id, message_id, bounce_type, bounce_reason, bounce_code, source, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
     `);
 
-    stmt.run(contactId, messageId, bounceType, bounceReason, bounceCode);
+    stmt.run(contactId, messageId, bounceType, bounceReason, bounceCode, source);
 
     logger.info(`Bounce recorded: Contact ${contactId}, Type: ${bounceType}, Code: ${bounceCode}`);
   } catch (error) {
@@ -198,24 +212,52 @@ function updateContactStatus(contactId, bounceType) {
   }
 }
 
+/**
+ * Classify a failed send
+ * A bounceType on the error (from a provider that classified the bounce itself) is kept.
+ * @param {Error} error - Error object from nodemailer
+ * @returns {object} - { bounceType, smtpCode, bounceReason }
+ */
+function classifyError(error) {
+  const smtpCode = extractSmtpCode(error);
+  const bounceReason = extractBounceReason(error);
+  const bounceType = ['hard', 'soft'].includes(error.bounceType)
+    ? error.bounceType
+    : classifyBounce(smtpCode, bounceReason);
+
+  return { bounceType, smtpCode, bounceReason };
+}
+
 /**
  * Process email bounce
  * @param {number} contactId - Contact ID
  * @param {number} messageId - Message ID
  * @param {Error} error - Error object from nodemailer
+ * @param {string} source - 'smtp' (rejected during the send), 'dsn' (bounce message) or the provider that reported it
+ * @param {Object} options - { willRetry: the send will be attempted again }
  */
-function processBounce(contactId, messageId, error) {
+function processBounce(contactId, messageId, error, source = 'smtp', { willRetry = false } = {}) {
   try {
-    const smtpCode = extractSmtpCode(error);
-    const bounceReason = extractBounceReason(error);
-    const bounceType = classifyBounce(smtpCode, bounceReason);
+    const { bounceType, smtpCode, bounceReason } = classifyError(error);
 
     // Record the bounce
-    recordBounce(contactId, messageId, bounceType, bounceReason, smtpCode);
+    recordBounce(contactId, messageId, bounceType, bounceReason, smtpCode, source);
 
     // Update contact status
     updateContactStatus(contactId, bounceType);
 
+    // A soft failure that will be retried (a 4xx, a dropped connection) is not a bounce yet
+    if (bounceType === 'hard' || !willRetry) {
+      webhookService.emit('bounced', {
+        message_id: messageId,
+        contact_id: contactId,
+        bounce_type: bounceType,
+        bounce_code: smtpCode,
+        reason: bounceReason,
+        source
+      });
+    }
+
     return { bounceType, smtpCode, bounceReason };
   } catch (error) {
     logger.error('Error processing bounce:', error);
@@ -289,6 +331,7 @@ function cleanOldBounces(daysToKeep = 90) {
 
 module.exports = {
   classifyBounce,
+  classifyError,
   processBounce,
   shouldSkipContact,
   getBounceCount,
@@ -4,8 +4,18 @@ const ListModel = require('../models/list.model');
 const ContactModel = require('../models/contact.model');
 const TemplateModel = require('../models/template.model');
 const unsubscribeModel = require('../models/unsubscribe.model');
+const AttachmentModel = require('../models/attachment.model');
 const queueService = require('./queue.service');
+const attachmentService = require('./attachment.service');
 const { personalizeContent } = require('../utils/personalize');
+const { htmlToText } = require('../utils/html-to-text');
+const verp = require('../utils/verp');
+const htmlCompiler = require('./html-compiler.service');
+const sendTimeService = require('./send-time.service');
+const QueueModel = require('../models/queue.model');
+const AbTestModel = require('../models/ab-test.model');
+const abTestService = require('./ab-test.service');
+const { parseLocalDateTime } = require('../utils/timezone');
 const logger = require('../config/logger');
 
 class CampaignService {
@@ -15,6 +25,8 @@ class CampaignService {
    * @returns {Object} Send result
    */
   async sendCampaign(campaignId) {
+    let started = false;
+
     try {
       logger.info(`Starting campaign send: ${campaignId}`);
 
@@ -33,83 +45,61 @@ class CampaignService {
 
       // Update campaign status to 'sending'
       CampaignModel.updateStatus(campaignId, 'sending');
+      started = true;
 
-      // Get all active subscribers from the list
-      const subscribers = ListModel.getSubscribers(campaign.list_id);
+      // Get all active subscribers from the list, or the original campaign's
+      // non-openers for a follow-up
+      const subscribers = this.getAudience(campaign);
 
       if (subscribers.length === 0) {
-        throw new Error('No active subscribers found in list');
+        throw new Error(campaign.parent_campaign_id
+          ? 'No non-openers left to resend to'
+          : 'No active subscribers found in list');
       }
 
       logger.info(`Found ${subscribers.length} subscribers for campaign ${campaignId}`);
 
-      // Create message records for all subscribers
+      // Create message records for all subscribers, or only for the test
+      // group when the campaign has an A/B test
       const contactIds = subscribers.map(sub => sub.contact_id);
-      MessageModel.bulkCreate(campaignId, contactIds);
+      const abTest = AbTestModel.getByCampaign(campaignId);
+      const split = abTest ? abTestService.splitAudience(contactIds, abTest) : null;
+
+      if (split) {
+        for (const [variantId, ids] of split.groups) {
+          MessageModel.bulkCreate(campaignId, ids, variantId);
+        }
+      } else {
+        MessageModel.bulkCreate(campaignId, contactIds);
+      }
 
       // Get all pending messages with full data
       const messages = MessageModel.getByCampaign(campaignId, { status: 'pending', limit: 10000 });
 
       logger.info(`Created ${messages.length} messages for campaign ${campaignId}`);
 
-      // Prepare email jobs for each message
-      const emailJobs = messages.map(message => {
-        // Get subscriber's custom field values
-        const subscriber = subscribers.find(sub => sub.contact_id === message.contact_id);
-        const customFieldValues = this.parseCustomFieldValues(subscriber?.custom_field_values);
-
-        // Personalize subject and body
-        const personalizedSubject = personalizeContent(
-          campaign.template_subject,
-          {
-            email: message.contact_email,
-            first_name: message.first_name,
-            last_name: message.last_name
-          },
-          customFieldValues
-        );
-
-        const personalizedBody = personalizeContent(
-          campaign.template_body,
-          {
-            email: message.contact_email,
-            first_name: message.first_name,
-            last_name: message.last_name
-          },
-          customFieldValues
-        );
-
-        // Generate unsubscribe token for this contact/list/campaign
-        const unsubscribeToken = unsubscribeModel.createToken(
-          message.contact_id,
-          campaign.list_id,
-          campaignId
-        );
+      // Send each contact at the same wall-clock time in their timezone, or
+      // at their best hour within the next 24 hours
+      let sendPlan = null;
+      if (campaign.local_send_time) {
+        sendPlan = sendTimeService.planLocalSendTimes(subscribers, campaign.local_send_time);
+      } else if (campaign.send_time_optimization === 1) {
+        sendPlan = sendTimeService.planSendTimes(messages.map(message => message.contact_id));
+      }
 
-        return {
-          messageId: message.id,
-          email: message.contact_email,
-          subject: personalizedSubject,
-          html: personalizedBody,
-          from: campaign.from_email,
-          fromName: campaign.from_name,
-          replyTo: campaign.reply_to,
-          headers: {
-            'X-Campaign-ID': campaignId.toString(),
-            'X-Message-ID': message.id.toString()
-          },
-          // Add tracking configuration
-          tracking: {
-            campaignId: campaignId,
-            listId: campaign.list_id,
-            trackingToken: message.tracking_token,
-            unsubscribeToken: unsubscribeToken
-          }
-        };
+      const jobsCreated = this.enqueueMessages(campaign, messages, subscribers, {
+        variants: abTest ? abTest.variants : null,
+        sendPlan
       });
 
-      // Bulk enqueue all email jobs
-      const jobsCreated = queueService.bulkEnqueueEmails(emailJobs);
+      if (abTest) {
+        const decideAt = new Date(Date.now() + abTest.wait_hours * 60 * 60 * 1000).toISOString();
+        const lastTestMessageId = messages.reduce((max, message) => Math.max(max, message.id), 0);
+
+        AbTestModel.markTesting(abTest.id, decideAt, lastTestMessageId);
+        logger.info(`A/B test started for campaign ${campaignId}: ${messages.length} test recipients, ` +
+          `${split.remainder.length} get the winner after ${decideAt}`);
+      }
 
       logger.info(`Enqueued ${jobsCreated} email jobs for campaign ${campaignId}`);
 
@@ -118,18 +108,351 @@ class CampaignService {
         campaignId,
         messagesCreated: messages.length,
         jobsEnqueued: jobsCreated,
-        subscribers: subscribers.length
+        subscribers: subscribers.length,
+        abTest: abTest ? {
+          variants: abTest.variants.length,
+          testRecipients: messages.length,
+          remainder: split.remainder.length
+        } : null,
+        sendTimeOptimization: sendPlan && !campaign.local_send_time ? {
+          withHistory: sendPlan.withHistory,
+          withoutHistory: sendPlan.withoutHistory,
+          fallbackHour: sendPlan.fallbackHour
+        } : null,
+        localTime: sendPlan && campaign.local_send_time ? {
+          localSendTime: campaign.local_send_time,
+          zones: sendPlan.zones,
+          withTimezone: sendPlan.withTimezone,
+          withoutTimezone: sendPlan.withoutTimezone
+        } : null
       };
     } catch (error) {
       logger.error(`Error sending campaign ${campaignId}:`, error);
 
-      // Update campaign status to failed
-      try {
-        CampaignModel.updateStatus(campaignId, 'draft');
-      } catch (e) {
-        logger.error('Failed to revert campaign status:', e);
+      // Revert to draft, unless validation rejected a campaign that is already
+      // sending, paused or sent
+      if (started) {
+        try {
+          CampaignModel.updateStatus(campaignId, 'draft');
+          AbTestModel.resetByCampaign(campaignId);
+        } catch (e) {
+          logger.error('Failed to revert campaign status:', e);
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get the subscribers a campaign sends to
+   * A follow-up campaign only sends to subscribers who did not open (or click)
+   * its original campaign.
+   * @param {Object} campaign - Campaign
+   * @returns {Array<Object>} Subscribers (as ListModel.getSubscribers returns them)
+   */
+  getAudience(campaign) {
+    const subscribers = ListModel.getSubscribers(campaign.list_id);
+
+    if (!campaign.parent_campaign_id) {
+      return subscribers;
+    }
+
+    const audience = new Set(CampaignModel.getFollowUpAudience(campaign.parent_campaign_id, {
+      listId: campaign.list_id,
+      excludeClickers: campaign.exclude_clickers === 1
+    }));
+
+    return subscribers.filter(sub => audience.has(sub.contact_id));
+  }
+
+  /**
+   * Create a follow-up campaign that resends a sent campaign to its non-openers
+   * The audience is worked out when the follow-up is sent, so contacts who open
+   * the original in the meantime are left out.
+   * @param {number} campaignId - Original campaign ID
+   * @param {Object} options - Follow-up options
+   * @param {string} options.name - Campaign name (optional)
+   * @param {string} options.subject - New subject line (optional, keeps the original's)
+   * @param {number} options.delayHours - Hours from now to send; without it the follow-up is a draft
+   * @param {boolean} options.excludeClickers - Also leave out contacts who clicked without a tracked open
+   * @returns {Object} { campaign, audience }
+   */
+  async createFollowUp(campaignId, options = {}) {
+    try {
+      const original = CampaignModel.getById(campaignId);
+
+      if (!original) {
+        throw new Error(`Campaign ${campaignId} not found`);
+      }
+
+      if (original.status !== 'sent') {
+        throw new Error('Only sent campaigns can be resent to non-openers');
+      }
+
+      const { name, subject, delayHours, excludeClickers = false } = options;
+      const scheduled = delayHours !== undefined && delayHours !== null;
+
+      const followUp = CampaignModel.create({
+        name: name || `${original.name} (non-openers)`,
+        template_id: original.template_id,
+        list_id: original.list_id,
+        from_email: original.from_email,
+        from_name: original.from_name,
+        reply_to: original.reply_to,
+        smtp_config_id: original.smtp_config_id,
+        sandbox: original.sandbox === 1,
+        track_replies: original.track_replies === 1,
+        subject: subject || original.template_subject,
+        parent_campaign_id: original.id,
+        exclude_clickers: excludeClickers,
+        status: scheduled ? 'scheduled' : 'draft',
+        scheduled_at: scheduled ? new Date(Date.now() + delayHours * 60 * 60 * 1000).toISOString() : null
+      });
+
+      const audience = this.getAudience(followUp).length;
+
+      logger.info(`Follow-up campaign ${followUp.id} created for campaign ${campaignId} ` +
+        `with ${audience} non-openers${scheduled ? `, sending at ${followUp.scheduled_at}` : ''}`);
+
+      return {
+        success: true,
+        campaign: followUp,
+        audience
+      };
+    } catch (error) {
+      logger.error(`Error creating follow-up for campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a campaign's email to a single subscriber of its list
+   * Used by workflows, whose send steps each have an 'automation' campaign.
+   * @param {number} campaignId - Campaign ID
+   * @param {number} contactId - Contact ID
+   * @returns {Object|null} Created message, or null if the contact is not a subscribed, active contact
+   */
+  sendToContact(campaignId, contactId) {
+    try {
+      const campaign = CampaignModel.getById(campaignId);
+
+      if (!campaign) {
+        throw new Error(`Campaign ${campaignId} not found`);
+      }
+
+      const subscriber = ListModel.getSubscriber(campaign.list_id, contactId);
+
+      if (!subscriber || subscriber.subscription_status !== 'subscribed' || subscriber.status !== 'active') {
+        return null;
+      }
+
+      const message = MessageModel.create({ campaign_id: campaignId, contact_id: contactId });
+      this.enqueueMessages(campaign, [message], [subscriber]);
+
+      return message;
+    } catch (error) {
+      logger.error(`Error sending campaign ${campaignId} to contact ${contactId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Personalize and enqueue email jobs for a campaign's messages
+   * @param {Object} campaign - Campaign (from CampaignModel.getById)
+   * @param {Array<Object>} messages - Pending messages (from MessageModel.getByCampaign)
+   * @param {Array<Object>} subscribers - List subscribers (from ListModel.getSubscribers)
+   * @param {Object} options - Enqueue options
+   * @param {Array<Object>} options.variants - A/B test variants; messages use their variant's content
+   * @param {Object} options.sendPlan - Planned send time per contact (sendTimes Map)
+   * @returns {number} Number of jobs enqueued
+   */
+  enqueueMessages(campaign, messages, subscribers, options = {}) {
+    const { variants = null, sendPlan = null } = options;
+    const campaignId = campaign.id;
+    const subscribersByContact = new Map(subscribers.map(sub => [sub.contact_id, sub]));
+
+    // Content per variant (null without an A/B test); CSS is inlined once per
+    // content and merge tags survive compilation
+    const contents = new Map();
+    const getContent = (variantId) => {
+      if (!contents.has(variantId)) {
+        const variant = variants && variants.find(v => v.id === variantId);
+        const content = variant ? abTestService.getVariantContent(campaign, variant) : campaign;
+
+        contents.set(variantId, {
+          campaign: content,
+          attachments: AttachmentModel.getForCampaign(content),
+          compiled: htmlCompiler.compileForCampaign(content)
+        });
+      }
+
+      return contents.get(variantId);
+    };
+
+    // Prepare email jobs for each message
+    const emailJobs = messages.map(message => {
+      const { campaign: content, attachments, compiled } = getContent(variants ? message.variant_id : null);
+
+      // Get subscriber's custom field values
+      const subscriber = subscribersByContact.get(message.contact_id);
+      const customFieldValues = this.parseCustomFieldValues(subscriber?.custom_field_values);
+
+      // Personalize subject and body
+      const personalizedSubject = personalizeContent(
+        content.template_subject,
+        {
+          email: message.contact_email,
+          first_name: message.first_name,
+          last_name: message.last_name
+        },
+        customFieldValues
+      );
+
+      const personalizedBody = personalizeContent(
+        compiled.html,
+        {
+          email: message.contact_email,
+          first_name: message.first_name,
+          last_name: message.last_name
+        },
+        customFieldValues
+      );
+
+      // Hand-written text body, if the template has one; otherwise the
+      // text part is generated from the HTML at send time
+      const personalizedText = personalizeContent(
+        content.template_text_body,
+        {
+          email: message.contact_email,
+          first_name: message.first_name,
+          last_name: message.last_name
+        },
+        customFieldValues
+      );
+
+      const personalizedAttachments = attachmentService.personalize(
+        attachments,
+        {
+          email: message.contact_email,
+          first_name: message.first_name,
+          last_name: message.last_name
+        },
+        customFieldValues
+      );
+
+      // Generate unsubscribe token for this contact/list/campaign
+      const unsubscribeToken = unsubscribeModel.createToken(
+        message.contact_id,
+        campaign.list_id,
+        campaignId
+      );
+
+      return {
+        messageId: message.id,
+        scheduledAt: sendPlan ? sendPlan.sendTimes.get(message.contact_id).toISOString() : undefined,
+        email: message.contact_email,
+        subject: personalizedSubject,
+        html: personalizedBody,
+        text: personalizedText || null,
+        from: campaign.from_email,
+        fromName: content.from_name,
+        // Per-message reply address so replies can be matched to the message
+        replyTo: (campaign.track_replies === 1 && verp.createReplyAddress(message.id)) || campaign.reply_to,
+        smtpConfigId: campaign.smtp_config_id,
+        sandbox: campaign.sandbox === 1,
+        attachments: personalizedAttachments,
+        headers: {
+          'X-Campaign-ID': campaignId.toString(),
+          'X-Message-ID': message.id.toString()
+        },
+        // Add tracking configuration
+        tracking: {
+          campaignId: campaignId,
+          listId: campaign.list_id,
+          trackingToken: message.tracking_token,
+          unsubscribeToken: unsubscribeToken
+        }
+      };
+    });
+
+    if (sendPlan) {
+      MessageModel.setScheduledFor(new Map(emailJobs.map(job => [job.messageId, job.scheduledAt])));
+    }
+
+    // Bulk enqueue all email jobs
+    return queueService.bulkEnqueueEmails(emailJobs);
+  }
+
+  /**
+   * Pick the winner of a campaign's A/B test and send it to the rest of the list
+   * @param {number} campaignId - Campaign ID
+   * @param {number} variantId - Winning variant; picked by the test's winner metric when omitted
+   * @returns {Object} Send result
+   */
+  async sendAbTestWinner(campaignId, variantId = null) {
+    try {
+      const campaign = CampaignModel.getById(campaignId);
+      const test = AbTestModel.getByCampaign(campaignId);
+
+      if (!campaign || !test) {
+        throw new Error(`Campaign ${campaignId} has no A/B test`);
+      }
+
+      if (test.status !== 'testing' || campaign.status !== 'sending') {
+        throw new Error('A/B test is not running');
+      }
+
+      let winner;
+      let reason;
+
+      if (variantId) {
+        winner = test.variants.find(variant => variant.id === parseInt(variantId));
+        reason = 'manual';
+
+        if (!winner) {
+          throw new Error(`Variant ${variantId} is not part of this A/B test`);
+        }
+      } else {
+        ({ variant: winner, reason } = abTestService.pickWinner(test));
+      }
+
+      if (!AbTestModel.markCompleted(test.id, winner.id, reason)) {
+        throw new Error('A/B test winner has already been picked');
+      }
+
+      // Everyone on the list who was not in the test group, including contacts
+      // who subscribed while the test was running
+      const testedContacts = new Set(MessageModel.getContactIds(campaignId));
+      const subscribers = this.getAudience(campaign);
+      const remainder = subscribers
+        .map(sub => sub.contact_id)
+        .filter(contactId => !testedContacts.has(contactId));
+
+      let jobsCreated = 0;
+
+      if (remainder.length > 0) {
+        MessageModel.bulkCreate(campaignId, remainder, winner.id);
+
+        const remainderContacts = new Set(remainder);
+        const messages = MessageModel.getByCampaign(campaignId, { status: 'pending', limit: 10000 })
+          .filter(message => remainderContacts.has(message.contact_id));
+
+        jobsCreated = this.enqueueMessages(campaign, messages, subscribers, { variants: test.variants });
       }
 
+      logger.info(`A/B test winner for campaign ${campaignId}: variant ${winner.name} (${reason}), ` +
+        `enqueued ${jobsCreated} emails to the remaining contacts`);
+
+      return {
+        success: true,
+        campaignId,
+        winner: { id: winner.id, name: winner.name, reason },
+        remainder: remainder.length,
+        jobsEnqueued: jobsCreated
+      };
+    } catch (error) {
+      logger.error(`Error sending A/B test winner for campaign ${campaignId}:`, error);
       throw error;
     }
   }
@@ -169,7 +492,13 @@ class CampaignService {
       );
 
       const personalizedBody = personalizeContent(
-        campaign.template_body,
+        htmlCompiler.compileForCampaign(campaign).html,
+        sampleContact,
+        sampleCustomFields
+      );
+
+      const personalizedText = personalizeContent(
+        campaign.template_text_body,
         sampleContact,
         sampleCustomFields
       );
@@ -181,7 +510,11 @@ class CampaignService {
         </div>
       `;
 
-      const testBody = testBanner + personalizedBody;
+      const testBody = personalizedBody.replace(/<body\b[^>]*>/i, match => match + testBanner);
+
+      const attachments = attachmentService.toMailAttachments(
+        attachmentService.personalize(AttachmentModel.getForCampaign(campaign), sampleContact, sampleCustomFields)
+      );
 
       // Send directly without queueing
       const emailService = require('./email.service');
@@ -189,9 +522,13 @@ class CampaignService {
         to: testEmail,
         subject: `[TEST] ${personalizedSubject}`,
         html: testBody,
+        text: personalizedText ? `*** TEST EMAIL - This is a preview of your campaign ***\n\n${personalizedText}` : null,
         from: campaign.from_email,
         fromName: campaign.from_name,
         replyTo: campaign.reply_to,
+        smtpConfigId: campaign.smtp_config_id,
+        sandbox: campaign.sandbox === 1,
+        attachments,
         headers: {
           'X-Campaign-ID': campaignId.toString(),
           'X-Test-Email': 'true'
@@ -220,9 +557,14 @@ class CampaignService {
    * Schedule a campaign for later
    * @param {number} campaignId - Campaign ID
    * @param {string} scheduledAt - ISO 8601 datetime
+   * @param {Object} options - Schedule options
+   * @param {boolean} options.sendTimeOptimization - Send to each contact at their best hour
+   *   within 24 hours of scheduledAt instead of all at once
+   * @param {string} options.localSendTime - Send to each contact at this wall-clock time
+   *   ("YYYY-MM-DDTHH:mm") in their own timezone; scheduledAt is ignored
    * @returns {Object} Scheduled campaign
    */
-  async scheduleCampaign(campaignId, scheduledAt) {
+  async scheduleCampaign(campaignId, scheduledAt, options = {}) {
     try {
       // Validate campaign
       const validation = CampaignModel.validate(campaignId);
@@ -230,22 +572,43 @@ class CampaignService {
         throw new Error(`Campaign validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Validate scheduled time is in future
-      const scheduledDate = new Date(scheduledAt);
-      if (scheduledDate <= new Date()) {
-        throw new Error('Scheduled time must be in the future');
+      let localPlan = null;
+
+      if ((options.localSendTime || options.sendTimeOptimization) && AbTestModel.getByCampaign(campaignId)) {
+        throw new Error('Campaigns with an A/B test are sent at the scheduled time; remove the A/B test to use ' +
+          'send time optimization or local time scheduling');
+      }
+
+      if (options.localSendTime) {
+        if (options.sendTimeOptimization) {
+          throw new Error('Local time scheduling cannot be combined with send time optimization');
+        }
+
+        localPlan = this.planLocalSchedule(CampaignModel.getById(campaignId), options.localSendTime);
+
+        // The campaign starts with the first timezone to reach the local time
+        scheduledAt = localPlan.zones[0].sendAt.toISOString();
+      } else {
+        // Validate scheduled time is in future
+        const scheduledDate = new Date(scheduledAt);
+        if (scheduledDate <= new Date()) {
+          throw new Error('Scheduled time must be in the future');
+        }
       }
 
       // Update campaign status and scheduled_at
       const campaign = CampaignModel.updateStatus(campaignId, 'scheduled', {
-        scheduled_at: scheduledAt
+        scheduled_at: scheduledAt,
+        send_time_optimization: options.sendTimeOptimization === true,
+        local_send_time: localPlan ? options.localSendTime : null
       });
 
-      logger.info(`Campaign ${campaignId} scheduled for ${scheduledAt}`);
+      logger.info(`Campaign ${campaignId} scheduled for ${localPlan ? `${options.localSendTime} local time` : scheduledAt}`);
 
       return {
         success: true,
-        campaign
+        campaign,
+        zones: localPlan ? localPlan.zones : undefined
       };
     } catch (error) {
       logger.error(`Error scheduling campaign ${campaignId}:`, error);
@@ -272,7 +635,9 @@ class CampaignService {
 
       // Revert to draft status
       const updated = CampaignModel.updateStatus(campaignId, 'draft', {
-        scheduled_at: null
+        scheduled_at: null,
+        send_time_optimization: false,
+        local_send_time: null
       });
 
       logger.info(`Campaign ${campaignId} schedule cancelled`);
@@ -287,6 +652,154 @@ class CampaignService {
     }
   }
 
+  /**
+   * Pause a campaign that is sending
+   * Its queued jobs stay in the queue but are not picked up until it is resumed.
+   * @param {number} campaignId - Campaign ID
+   * @returns {Object} Pause result
+   */
+  async pauseCampaign(campaignId) {
+    try {
+      const campaign = CampaignModel.getById(campaignId);
+
+      if (!campaign) {
+        throw new Error(`Campaign ${campaignId} not found`);
+      }
+
+      if (campaign.status !== 'sending') {
+        throw new Error('Only sending campaigns can be paused');
+      }
+
+      const updated = CampaignModel.updateStatus(campaignId, 'paused');
+      const paused = MessageModel.updateStatusByCampaign(campaignId, ['pending'], 'paused');
+
+      logger.info(`Campaign ${campaignId} paused with ${paused} messages unsent`);
+
+      return {
+        success: true,
+        campaign: updated,
+        paused
+      };
+    } catch (error) {
+      logger.error(`Error pausing campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused campaign
+   * A campaign the spam monitor paused before it started goes back to its schedule.
+   * @param {number} campaignId - Campaign ID
+   * @returns {Object} Resume result
+   */
+  async resumeCampaign(campaignId) {
+    try {
+      const campaign = CampaignModel.getById(campaignId);
+
+      if (!campaign) {
+        throw new Error(`Campaign ${campaignId} not found`);
+      }
+
+      if (campaign.status !== 'paused') {
+        throw new Error('Only paused campaigns can be resumed');
+      }
+
+      if (!campaign.started_at) {
+        const updated = CampaignModel.updateStatus(campaignId, campaign.scheduled_at ? 'scheduled' : 'draft');
+
+        logger.info(`Campaign ${campaignId} resumed before sending, now ${updated.status}`);
+
+        return {
+          success: true,
+          campaign: updated,
+          resumed: 0
+        };
+      }
+
+      const resumed = MessageModel.updateStatusByCampaign(campaignId, ['paused'], 'pending');
+      const updated = CampaignModel.updateStatus(campaignId, 'sending', { started_at: campaign.started_at });
+
+      logger.info(`Campaign ${campaignId} resumed with ${resumed} messages to send`);
+
+      // Everything may have been sent before the pause took effect
+      this.checkCampaignCompletion(campaignId);
+
+      return {
+        success: true,
+        campaign: CampaignModel.getById(campaignId) || updated,
+        resumed
+      };
+    } catch (error) {
+      logger.error(`Error resuming campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Abort a sending or paused campaign
+   * Queued jobs are removed and unsent messages are cancelled. Emails already
+   * being handed to the SMTP server still go out.
+   * @param {number} campaignId - Campaign ID
+   * @returns {Object} Abort result
+   */
+  async abortCampaign(campaignId) {
+    try {
+      const campaign = CampaignModel.getById(campaignId);
+
+      if (!campaign) {
+        throw new Error(`Campaign ${campaignId} not found`);
+      }
+
+      if (campaign.status !== 'sending' && campaign.status !== 'paused') {
+        throw new Error('Only sending or paused campaigns can be aborted');
+      }
+
+      // Stop the queue first so no job is picked up while unsent messages are cancelled
+      const updated = CampaignModel.updateStatus(campaignId, 'cancelled');
+      const jobsRemoved = QueueModel.deletePendingForCampaign(campaignId);
+      const cancelled = MessageModel.updateStatusByCampaign(campaignId, ['pending', 'paused'], 'cancelled');
+      AbTestModel.cancelByCampaign(campaignId);
+
+      logger.info(`Campaign ${campaignId} aborted: ${cancelled} messages cancelled, ${jobsRemoved} jobs removed`);
+
+      return {
+        success: true,
+        campaign: updated,
+        cancelled,
+        jobsRemoved
+      };
+    } catch (error) {
+      logger.error(`Error aborting campaign ${campaignId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Plan a local-time send for a campaign's current subscribers
+   * @param {Object} campaign - Campaign
+   * @param {string} localSendTime - Wall-clock time, "YYYY-MM-DDTHH:mm"
+   * @returns {Object} Plan from sendTimeService.planLocalSendTimes
+   */
+  planLocalSchedule(campaign, localSendTime) {
+    if (!parseLocalDateTime(localSendTime)) {
+      throw new Error('Local send time must be in YYYY-MM-DDTHH:mm format');
+    }
+
+    const subscribers = this.getAudience(campaign);
+
+    if (subscribers.length === 0) {
+      throw new Error('No active subscribers found in list');
+    }
+
+    const plan = sendTimeService.planLocalSendTimes(subscribers, localSendTime);
+
+    if (plan.zones.every(zone => zone.passed)) {
+      throw new Error('Local send time has already passed in every recipient timezone');
+    }
+
+    return plan;
+  }
+
   /**
    * Get campaign statistics and progress
    * @param {number} campaignId - Campaign ID
@@ -303,6 +816,8 @@ class CampaignService {
         ...stats,
         sentPercentage: ((stats.sent / total) * 100).toFixed(2),
         deliveredPercentage: ((stats.delivered / total) * 100).toFixed(2),
+        pausedPercentage: ((stats.paused / total) * 100).toFixed(2),
+        cancelledPercentage: ((stats.cancelled / total) * 100).toFixed(2),
         failedPercentage: ((stats.failed / total) * 100).toFixed(2),
         bouncedPercentage: ((stats.bounced / total) * 100).toFixed(2),
         pendingPercentage: ((stats.pending / total) * 100).toFixed(2)
@@ -316,7 +831,10 @@ class CampaignService {
           started_at: campaign.started_at,
           completed_at: campaign.completed_at
         },
-        stats: progress
+        stats: progress,
+        deliveryPlan: campaign.send_time_optimization === 1 || campaign.local_send_time
+          ? this.getDeliveryPlan(campaign)
+          : null
       };
     } catch (error) {
       logger.error(`Error getting campaign stats ${campaignId}:`, error);
@@ -324,9 +842,72 @@ class CampaignService {
     }
   }
 
+  /**
+   * Get the planned delivery distribution of a send time optimized or local-time campaign
+   * Before the send starts, the plan is projected from the list's current subscribers.
+   * @param {Object} campaign - Campaign
+   * @returns {Object} { mode, projected, distribution: [{ hour, planned, sent }] } or, for
+   *   local time, { mode, projected, localSendTime, zones: [{ timezone, sendAt, planned, sent }] }
+   */
+  getDeliveryPlan(campaign) {
+    if (campaign.local_send_time) {
+      return this.getLocalDeliveryPlan(campaign);
+    }
+
+    const distribution = sendTimeService.getCampaignDistribution(campaign.id);
+
+    if (distribution.length > 0 || campaign.status !== 'scheduled') {
+      return { mode: 'send_time_optimization', projected: false, distribution };
+    }
+
+    const contactIds = this.getAudience(campaign).map(sub => sub.contact_id);
+    const startAt = new Date(Math.max(new Date(campaign.scheduled_at).getTime(), Date.now()));
+    const plan = sendTimeService.planSendTimes(contactIds, startAt);
+
+    return {
+      mode: 'send_time_optimization',
+      projected: true,
+      withHistory: plan.withHistory,
+      withoutHistory: plan.withoutHistory,
+      distribution: sendTimeService.summarize(plan.sendTimes.values()).map(slot => ({ ...slot, sent: 0 }))
+    };
+  }
+
+  /**
+   * Get the per-timezone delivery plan of a local-time campaign
+   * @param {Object} campaign - Campaign
+   * @returns {Object} { mode, projected, localSendTime, zones }
+   */
+  getLocalDeliveryPlan(campaign) {
+    const zones = sendTimeService.getCampaignZoneDistribution(campaign.id);
+    const plan = { mode: 'local_time', projected: false, localSendTime: campaign.local_send_time, zones };
+
+    if (zones.length > 0 || campaign.status !== 'scheduled') {
+      return plan;
+    }
+
+    const subscribers = this.getAudience(campaign);
+    const projected = sendTimeService.planLocalSendTimes(subscribers, campaign.local_send_time);
+
+    return {
+      ...plan,
+      projected: true,
+      withTimezone: projected.withTimezone,
+      withoutTimezone: projected.withoutTimezone,
+      zones: projected.zones.map(zone => ({
+        timezone: zone.timezone,
+        sendAt: zone.sendAt.toISOString(),
+        planned: zone.contacts,
+        sent: 0
+      }))
+    };
+  }
+
   /**
    * Check and update completed campaigns
-   * Updates campaign status to 'sent' when all messages are processed
+   * Updates campaign status to 'sent' when all messages are processed and no
+   * email jobs are left in the queue, including jobs held back for later
+   * timezones and jobs waiting for a retry
    * @param {number} campaignId - Campaign ID
    */
   checkCampaignCompletion(campaignId) {
@@ -337,10 +918,16 @@ class CampaignService {
         return;
       }
 
+      // The winner of a running A/B test still has to go to the rest of the list
+      const abTest = AbTestModel.getByCampaign(campaignId);
+      if (abTest && abTest.status === 'testing') {
+        return;
+      }
+
       const stats = CampaignModel.getStats(campaignId);
 
       // Check if all messages are processed (no pending)
-      if (stats.pending === 0 && stats.total > 0) {
+      if (stats.pending === 0 && stats.total > 0 && QueueModel.countUnfinishedForCampaign(campaignId) === 0) {
         CampaignModel.updateStatus(campaignId, 'sent');
         logger.info(`Campaign ${campaignId} completed: ${stats.sent}/${stats.total} sent`);
       }
@@ -396,8 +983,16 @@ class CampaignService {
         defaultCustomFields
       );
 
+      const compiled = htmlCompiler.compileForCampaign(campaign);
+
       const personalizedBody = personalizeContent(
-        campaign.template_body,
+        compiled.html,
+        defaultContact,
+        defaultCustomFields
+      );
+
+      const personalizedText = personalizeContent(
+        campaign.template_text_body,
         defaultContact,
         defaultCustomFields
       );
@@ -411,6 +1006,11 @@ class CampaignService {
         preview: {
           subject: personalizedSubject,
           body: personalizedBody,
+          text: personalizedText || htmlToText(personalizedBody),
+          compilation: {
+            droppedCss: compiled.droppedCss,
+            addedTags: compiled.addedTags
+          },
           sampleData: {
             contact: defaultContact,
             customFields: defaultCustomFields
@@ -0,0 +1,191 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+/**
+ * Capture Service
+ * Sandbox transport for dry-run sends. Messages are fully rendered (tracking,
+ * compliance headers, DKIM signature) and written to disk as .eml files with
+ * metadata in SQLite instead of being handed to an SMTP relay.
+ */
+
+class CaptureService {
+  constructor() {
+    this.captureDir = process.env.SANDBOX_CAPTURE_DIR || path.join(__dirname, '../../data/captures');
+    this.transporters = new Map(); // DKIM domain/selector (or 'none') -> stream transporter
+    this.initDatabase();
+  }
+
+  /**
+   * Initialize captured messages table
+   */
+  initDatabase() {
+    try {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS captured_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          campaign_id INTEGER,
+          message_id VARCHAR(255),
+          envelope_from VARCHAR(255),
+          recipients TEXT,
+          subject TEXT,
+          smtp_config_id INTEGER,
+          file_path TEXT NOT NULL,
+          size INTEGER,
+          headers TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.exec('CREATE INDEX IF NOT EXISTS idx_captured_messages_campaign ON captured_messages(campaign_id)');
+
+      logger.info('Captured messages table initialized');
+    } catch (error) {
+      logger.error('Error initializing captured messages table:', error);
+    }
+  }
+
+  /**
+   * Check if a send should be captured instead of delivered
+   * @param {Object} options - Email options passed to sendEmail
+   * @returns {boolean}
+   */
+  isSandboxed(options) {
+    return options.sandbox === true || process.env.EMAIL_SANDBOX === 'true';
+  }
+
+  /**
+   * Get a transporter that renders messages to a buffer
+   * @param {Object|null} dkim - DKIM options to sign with (optional)
+   * @returns {Object} Nodemailer transporter
+   */
+  getTransporter(dkim = null) {
+    const key = dkim ? `${dkim.domainName}:${dkim.keySelector}` : 'none';
+
+    if (!this.transporters.has(key)) {
+      this.transporters.set(key, nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'windows',
+        ...(dkim ? { dkim } : {})
+      }));
+    }
+
+    return this.transporters.get(key);
+  }
+
+  /**
+   * Render and store a message
+   * @param {Object} mailOptions - Nodemailer message options
+   * @param {Object} meta - Capture metadata
+   * @param {number} meta.campaignId - Campaign ID (optional)
+   * @param {number} meta.smtpConfigId - Relay the message would have used (optional)
+   * @param {Object} meta.dkim - DKIM options to sign with (optional)
+   * @returns {Promise<Object>} { info, captureId }
+   */
+  async capture(mailOptions, meta = {}) {
+    const info = await this.getTransporter(meta.dkim).sendMail(mailOptions);
+
+    fs.mkdirSync(this.captureDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '_')}.eml`;
+    const filePath = path.join(this.captureDir, fileName);
+    fs.writeFileSync(filePath, info.message);
+
+    const result = db.prepare(`
+      INSERT INTO captured_messages (
+        campaign_id, message_id, envelope_from, recipients, subject,
+        smtp_config_id, file_path, size, headers
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      meta.campaignId || null,
+      info.messageId,
+      info.envelope.from,
+      JSON.stringify(info.envelope.to),
+      mailOptions.subject,
+      meta.smtpConfigId || null,
+      fileName,
+      info.message.length,
+      JSON.stringify(mailOptions.headers || {})
+    );
+
+    logger.info(`Captured sandbox message ${info.messageId}`, {
+      captureId: result.lastInsertRowid,
+      to: info.envelope.to
+    });
+
+    return { info, captureId: result.lastInsertRowid };
+  }
+
+  /**
+   * List captured messages
+   * @param {Object} options - Filter options
+   * @param {number} options.campaignId - Filter by campaign (optional)
+   * @param {number} options.limit - Max results
+   * @param {number} options.offset - Offset for pagination
+   * @returns {Object} { captures, total }
+   */
+  list(options = {}) {
+    const { campaignId = null, limit = 50, offset = 0 } = options;
+    const where = campaignId ? 'WHERE campaign_id = ?' : '';
+    const params = campaignId ? [campaignId] : [];
+
+    const captures = db.prepare(`
+      SELECT * FROM captured_messages
+      ${where}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(capture => this.parseCapture(capture));
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM captured_messages ${where}`).get(...params).count;
+
+    return { captures, total };
+  }
+
+  /**
+   * Get a captured message
+   * @param {number} id - Capture ID
+   * @returns {Object|null} Capture metadata
+   */
+  getById(id) {
+    const capture = db.prepare('SELECT * FROM captured_messages WHERE id = ?').get(id);
+    return capture ? this.parseCapture(capture) : null;
+  }
+
+  /**
+   * Get the absolute path of a captured .eml file
+   * @param {Object} capture - Capture metadata
+   * @returns {string} File path
+   */
+  getFilePath(capture) {
+    return path.join(this.captureDir, path.basename(capture.file_path));
+  }
+
+  /**
+   * Read the raw RFC 822 source of a captured message
+   * @param {Object} capture - Capture metadata
+   * @returns {string|null} Raw message, or null if the file is missing
+   */
+  getRaw(capture) {
+    const filePath = this.getFilePath(capture);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  /**
+   * Parse JSON columns of a capture row
+   * @param {Object} capture - Capture row
+   * @returns {Object} Capture with parsed recipients and headers
+   */
+  parseCapture(capture) {
+    return {
+      ...capture,
+      recipients: JSON.parse(capture.recipients || '[]'),
+      headers: JSON.parse(capture.headers || '{}')
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CaptureService();
@@ -0,0 +1,247 @@
+const path = require('path');
+const { db } = require('../config/database');
+const MessageModel = require('../models/message.model');
+const unsubscribeModel = require('../models/unsubscribe.model');
+const webhookService = require('./webhook.service');
+const { parseArf } = require('../utils/arf-parser');
+const { processDropDirectory } = require('../utils/mail-drop');
+const verp = require('../utils/verp');
+const logger = require('../config/logger');
+
+/**
+ * Complaint Service
+ * Records spam complaints from mailbox provider feedback loops: ARF reports
+ * (RFC 5965) sent when a recipient marks a message as spam. Reports are read
+ * from a drop directory the feedback loop mailbox is delivered to (maildir or
+ * .eml/mbox files) and can also be posted to the API. Each complaint is stored
+ * as a 'complained' message event and the contact is suppressed.
+ */
+
+class ComplaintService {
+  constructor() {
+    this.dropDir = process.env.ARF_DROP_DIR || path.join(__dirname, '../../data/complaints');
+    this.checkInterval = parseInt(process.env.ARF_CHECK_INTERVAL) || 60000; // 1 minute
+    this.interval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start polling the drop directory
+   */
+  start() {
+    if (this.interval) {
+      logger.warn('Complaint processor already running');
+      return;
+    }
+
+    logger.info(`Starting complaint processor on ${this.dropDir} (checking every ${this.checkInterval / 1000}s)`);
+
+    this.interval = setInterval(() => {
+      this.scan();
+    }, this.checkInterval);
+
+    this.scan();
+  }
+
+  /**
+   * Stop polling the drop directory
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('Complaint processor stopped');
+    }
+  }
+
+  /**
+   * Process every file waiting in the drop directory
+   * @returns {Object} { files, messages, processed, ignored, failed }
+   */
+  scan() {
+    let stats = { files: 0, messages: 0, processed: 0, ignored: 0, failed: 0 };
+
+    if (this.isRunning) {
+      return stats;
+    }
+
+    try {
+      this.isRunning = true;
+      stats = processDropDirectory(this.dropDir, raw => this.processReport(raw));
+
+      if (stats.files > 0) {
+        logger.info('Complaint drop directory processed', stats);
+      }
+    } catch (error) {
+      logger.error('Error scanning complaint drop directory:', error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Find the message a report is about
+   * X-Message-ID is checked against X-Campaign-ID so a report quoting another
+   * system's headers is not attributed to the wrong message. Message-ID and the
+   * VERP return path are the fallback for providers that strip X- headers.
+   * @param {Object} report - Parsed ARF report
+   * @returns {Object|null} Message
+   */
+  findMessage(report) {
+    if (report.originalRecordId) {
+      const message = MessageModel.getById(report.originalRecordId);
+
+      if (message && (!report.originalCampaignId || message.campaign_id === report.originalCampaignId)) {
+        return message;
+      }
+    }
+
+    if (report.originalMessageId) {
+      const message = MessageModel.getByMessageId(report.originalMessageId);
+      if (message) return message;
+    }
+
+    const verpMessageId = verp.parseReturnPath(report.originalMailFrom);
+    if (verpMessageId) {
+      return MessageModel.getById(verpMessageId) || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Process one raw feedback report
+   * @param {string} raw - Raw RFC 822 message
+   * @returns {Object} { status: 'processed' | 'ignored', reason, messageId, contactId, feedbackType }
+   */
+  processReport(raw) {
+    const report = parseArf(raw);
+
+    if (!report) {
+      return { status: 'ignored', reason: 'Not an ARF feedback report' };
+    }
+
+    if (report.feedbackType === 'not-spam') {
+      return { status: 'ignored', reason: 'Report is not a complaint', feedbackType: report.feedbackType };
+    }
+
+    const message = this.findMessage(report);
+
+    if (!message) {
+      logger.warn('Feedback report does not match any message', {
+        originalRecordId: report.originalRecordId,
+        originalCampaignId: report.originalCampaignId,
+        originalMessageId: report.originalMessageId
+      });
+      return { status: 'ignored', reason: 'No matching message', feedbackType: report.feedbackType };
+    }
+
+    return this.recordComplaint(message, report);
+  }
+
+  /**
+   * Record a complaint against a message and suppress its contact
+   * @param {Object} message - Message complained about
+   * @param {Object} details - { feedbackType, userAgent, reportingMta, arrivalDate, sourceIp, source }
+   * @returns {Object} { status: 'processed' | 'ignored', reason, messageId, contactId, feedbackType }
+   */
+  recordComplaint(message, details) {
+    // Providers may send the same report more than once
+    const alreadyRecorded = db.prepare(`
+      SELECT id FROM message_events WHERE message_id = ? AND event_type = 'complained'
+    `).get(message.id);
+
+    if (alreadyRecorded) {
+      return { status: 'ignored', reason: 'Complaint already recorded', messageId: message.id };
+    }
+
+    const source = details.source || 'arf';
+    const eventData = JSON.stringify({
+      feedback_type: details.feedbackType,
+      user_agent: details.userAgent,
+      reporting_mta: details.reportingMta,
+      arrival_date: details.arrivalDate,
+      source,
+      timestamp: new Date().toISOString()
+    });
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO message_events (message_id, event_type, event_data, ip_address, user_agent, created_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'))
+      `).run(message.id, 'complained', eventData, details.sourceIp || null, details.userAgent || null);
+
+      // A complaining recipient must never be mailed again
+      unsubscribeModel.unsubscribeGlobally(message.contact_id);
+    })();
+
+    webhookService.emit('complained', {
+      message_id: message.id,
+      campaign_id: message.campaign_id,
+      contact_id: message.contact_id,
+      feedback_type: details.feedbackType,
+      source
+    });
+
+    logger.info(`Spam complaint recorded for message ${message.id}`, {
+      contactId: message.contact_id,
+      campaignId: message.campaign_id,
+      feedbackType: details.feedbackType,
+      userAgent: details.userAgent,
+      source
+    });
+
+    return {
+      status: 'processed',
+      messageId: message.id,
+      contactId: message.contact_id,
+      campaignId: message.campaign_id,
+      feedbackType: details.feedbackType
+    };
+  }
+
+  /**
+   * Get recent complaints
+   * @param {Object} options - { campaignId, limit }
+   * @returns {Array} Complaints with contact and campaign
+   */
+  getComplaints(options = {}) {
+    const { campaignId, limit = 100 } = options;
+    const params = [];
+
+    let query = `
+      SELECT
+        me.id,
+        me.message_id,
+        me.event_data,
+        me.created_at,
+        m.campaign_id,
+        m.contact_id,
+        c.email as contact_email,
+        cp.name as campaign_name
+      FROM message_events me
+      JOIN messages m ON m.id = me.message_id
+      LEFT JOIN contacts c ON c.id = m.contact_id
+      LEFT JOIN campaigns cp ON cp.id = m.campaign_id
+      WHERE me.event_type = 'complained'
+    `;
+
+    if (campaignId) {
+      query += ' AND m.campaign_id = ?';
+      params.push(campaignId);
+    }
+
+    query += ' ORDER BY me.created_at DESC LIMIT ?';
+    params.push(limit);
+
+    return db.prepare(query).all(...params).map(row => ({
+      ...row,
+      event_data: row.event_data ? JSON.parse(row.event_data) : null
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new ComplaintService();
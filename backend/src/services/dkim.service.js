@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const DkimKeyModel = require('../models/dkim-key.model');
+const { validateDKIM } = require('../utils/dns-validator');
+const logger = require('../config/logger');
+
+/**
+ * DKIM Service
+ * Generates, rotates and retires per-domain DKIM keys and picks the signing
+ * key for each message from its From domain. A key for example.com also
+ * signs mail from subdomains such as news.example.com (relaxed alignment).
+ *
+ * Key lifecycle: pending (new key, DNS record being published) -> active (signs mail) -> rotated (replaced, DNS record kept until in-flight
+ * mail is delivered) -> retired (private key discarded).
+ */
+
+class DkimService {
+  constructor() {
+    this.defaultKeySize = parseInt(process.env.DKIM_KEY_SIZE) || 2048;
+    this.signingKeys = null; // domain -> Nodemailer DKIM options, loaded on first use
+  }
+
+  /**
+   * Generate an RSA key pair
+   * @param {number} keySize - Modulus length in bits
+   * @returns {Object} { publicKey, privateKey } in PEM format
+   */
+  generateKeyPair(keySize) {
+    return crypto.generateKeyPairSync('rsa', {
+      modulusLength: keySize,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+  }
+
+  /**
+   * Build the DNS TXT record to publish for a key
+   * @param {Object} key - DKIM key
+   * @returns {Object} { name, type, value }
+   */
+  getDnsRecord(key) {
+    const publicKey = key.public_key
+      .replace(/-----BEGIN PUBLIC KEY-----/, '')
+      .replace(/-----END PUBLIC KEY-----/, '')
+      .replace(/\s+/g, '');
+
+    return {
+      name: `${key.selector}._domainkey.${key.domain}`,
+      type: 'TXT',
+      value: `v=DKIM1; k=rsa; p=${publicKey}`
+    };
+  }
+
+  /**
+   * Build a selector for a rotated key, e.g. "dkim20250301"
+   * @param {string} domain - Signing domain
+   * @returns {string} Selector not yet used by the domain
+   */
+  nextSelector(domain) {
+    const base = `dkim${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
+    let selector = base;
+
+    for (let i = 2; DkimKeyModel.getBySelector(domain, selector); i++) {
+      selector = `${base}-${i}`;
+    }
+
+    return selector;
+  }
+
+  /**
+   * Generate the first key of a domain
+   * The key is pending: mail from the domain keeps its current signature (the
+   * environment key, if it covers the domain) until the key is activated.
+   * @param {Object} options - Key options
+   * @param {string} options.domain - Signing domain
+   * @param {string} options.selector - Selector (optional)
+   * @param {number} options.keySize - Modulus length (optional)
+   * @returns {Object} { key, dnsRecord }
+   */
+  generate({ domain, selector = null, keySize = null }) {
+    const size = keySize || this.defaultKeySize;
+    const { publicKey, privateKey } = this.generateKeyPair(size);
+
+    const key = DkimKeyModel.create({
+      domain,
+      selector: selector || this.nextSelector(domain),
+      privateKey,
+      publicKey,
+      keySize: size,
+      status: 'pending'
+    });
+
+    logger.info(`DKIM key ${key.selector} created for ${key.domain}, pending activation`);
+
+    return { key, dnsRecord: this.getDnsRecord(key) };
+  }
+
+  /**
+   * Create the key that will replace a domain's active key, under a new selector
+   * The new key is pending: the current key keeps signing until the new DNS
+   * record is published and the key is activated.
+   * @param {Object} currentKey - Key being replaced
+   * @param {Object} options - Key options
+   * @param {string} options.selector - Selector for the new key (optional)
+   * @param {number} options.keySize - Modulus length (optional, keeps the current size)
+   * @returns {Object} { key, dnsRecord }
+   */
+  rotate(currentKey, { selector = null, keySize = null } = {}) {
+    const size = keySize || currentKey.key_size || this.defaultKeySize;
+    const { publicKey, privateKey } = this.generateKeyPair(size);
+
+    const key = DkimKeyModel.create({
+      domain: currentKey.domain,
+      selector: selector || this.nextSelector(currentKey.domain),
+      privateKey,
+      publicKey,
+      keySize: size,
+      status: 'pending'
+    });
+
+    logger.info(`DKIM key ${key.selector} created for ${key.domain}, pending activation`);
+
+    return { key, dnsRecord: this.getDnsRecord(key) };
+  }
+
+  /**
+   * Check that a key's DNS record is published with its public key
+   * @param {Object} key - DKIM key
+   * @returns {Promise<Object>} { published, message }
+   */
+  async checkDnsRecord(key) {
+    const expected = this.getDnsRecord(key).value.match(/p=(\S+)$/)[1];
+    const result = await validateDKIM(key.domain, key.selector);
+
+    if (!result.found) {
+      return { published: false, message: result.message };
+    }
+
+    if (result.parsed.publicKey !== expected) {
+      return { published: false, message: `${key.selector}._domainkey.${key.domain} does not contain the key's public key` };
+    }
+
+    return { published: true, message: 'DKIM record is published' };
+  }
+
+  /**
+   * Start signing with a pending key; the domain's active key is marked rotated
+   * @param {Object} pendingKey - Key created by rotate()
+   * @returns {Object} { key, previousKey } (previousKey is null if the domain had no active key)
+   */
+  activate(pendingKey) {
+    const activateTransaction = db.transaction(() => {
+      const currentKey = DkimKeyModel.getActive(pendingKey.domain);
+      const previousKey = currentKey ? DkimKeyModel.markRotated(currentKey.id) : null;
+      const key = DkimKeyModel.markActive(pendingKey.id);
+
+      return { key, previousKey };
+    });
+
+    const { key, previousKey } = activateTransaction();
+
+    this.reload();
+    logger.info(`DKIM key for ${key.domain} rotated from ${previousKey ? previousKey.selector : '(none)'} to ${key.selector}`);
+
+    return { key, previousKey };
+  }
+
+  /**
+   * Retire a key; mail from its domain is no longer signed with it
+   * @param {Object} key - DKIM key
+   * @returns {Object} Retired key
+   */
+  retire(key) {
+    const retired = DkimKeyModel.retire(key.id);
+    this.reload();
+    return retired;
+  }
+
+  /**
+   * Drop cached signing keys so the next send reads them again
+   */
+  reload() {
+    this.signingKeys = null;
+  }
+
+  /**
+   * Get the DKIM signing options for a sender address
+   * @param {string} fromAddress - From address, e.g. "news@mail.example.com"
+   * @returns {Object|null} Nodemailer DKIM options, or null if no key matches
+   */
+  getSigningKey(fromAddress) {
+    if (!this.signingKeys) {
+      this.signingKeys = new Map(DkimKeyModel.getActiveDecrypted().map(key => [
+        key.domain,
+        { domainName: key.domain, keySelector: key.selector, privateKey: key.private_key }
+      ]));
+    }
+
+    const atIndex = (fromAddress || '').lastIndexOf('@');
+    if (atIndex === -1) {
+      return null;
+    }
+
+    // Try the exact domain first, then each parent domain
+    const labels = fromAddress.slice(atIndex + 1).replace(/>$/, '').trim().toLowerCase().split('.');
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      const signingKey = this.signingKeys.get(labels.slice(i).join('.'));
+      if (signingKey) {
+        return signingKey;
+      }
+    }
+
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new DkimService();
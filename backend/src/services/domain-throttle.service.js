@@ -0,0 +1,361 @@
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+/**
+ * Domain Throttle Service
+ * Applies per-recipient-domain sending policies so bursts to a single
+ * mailbox provider do not trigger deferrals. Each policy caps concurrent
+ * connections and messages per minute, and backs off after 4xx deferrals.
+ */
+
+// Policy used for domains without their own row
+const DEFAULT_DOMAIN = '*';
+
+// Conservative starting policies for the major mailbox providers
+const DEFAULT_POLICIES = [
+  { domain: DEFAULT_DOMAIN, max_connections: 5, messages_per_minute: 120, backoff_seconds: 60 },
+  { domain: 'gmail.com', max_connections: 3, messages_per_minute: 60, backoff_seconds: 300 },
+  { domain: 'googlemail.com', max_connections: 3, messages_per_minute: 60, backoff_seconds: 300 },
+  { domain: 'outlook.com', max_connections: 2, messages_per_minute: 30, backoff_seconds: 300 },
+  { domain: 'hotmail.com', max_connections: 2, messages_per_minute: 30, backoff_seconds: 300 },
+  { domain: 'live.com', max_connections: 2, messages_per_minute: 30, backoff_seconds: 300 },
+  { domain: 'yahoo.com', max_connections: 2, messages_per_minute: 30, backoff_seconds: 300 }
+];
+
+// Back-off doubles per consecutive deferral up to this cap
+const MAX_BACKOFF_SECONDS = 3600;
+
+// State for a domain with nothing in flight and no back-off is dropped after this long
+const IDLE_STATE_MS = 10 * 60 * 1000;
+
+class DomainThrottleService {
+  constructor() {
+    this.state = new Map(); // recipient domain -> throttle state
+    this.policies = null; // domain -> policy row, loaded on first use
+    this.initDatabase();
+  }
+
+  /**
+   * Initialize domain throttle policy table and seed default policies
+   */
+  initDatabase() {
+    try {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS domain_throttle_policies (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          domain VARCHAR(255) UNIQUE NOT NULL,
+          max_connections INTEGER DEFAULT 5,
+          messages_per_minute INTEGER DEFAULT 120,
+          backoff_seconds INTEGER DEFAULT 60,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      const count = db.prepare('SELECT COUNT(*) as count FROM domain_throttle_policies').get().count;
+
+      if (count === 0) {
+        const insert = db.prepare(`
+          INSERT INTO domain_throttle_policies (domain, max_connections, messages_per_minute, backoff_seconds)
+          VALUES (?, ?, ?, ?)
+        `);
+
+        for (const policy of DEFAULT_POLICIES) {
+          insert.run(policy.domain, policy.max_connections, policy.messages_per_minute, policy.backoff_seconds);
+        }
+      }
+
+      logger.info('Domain throttle policy table initialized');
+    } catch (error) {
+      logger.error('Error initializing domain throttle policies:', error);
+    }
+  }
+
+  /**
+   * Extract the recipient domain from an email address
+   * @param {string} email - Email address
+   * @returns {string|null} Lower-cased domain
+   */
+  getDomain(email) {
+    if (!email || !email.includes('@')) {
+      return null;
+    }
+
+    return email.split('@').pop().trim().toLowerCase();
+  }
+
+  /**
+   * Get all throttle policies
+   * @returns {Array<Object>} Policies
+   */
+  getPolicies() {
+    return db.prepare('SELECT * FROM domain_throttle_policies ORDER BY domain ASC').all();
+  }
+
+  /**
+   * Get the policy that applies to a domain
+   * Policies are cached until one is saved or deleted.
+   * @param {string} domain - Recipient domain
+   * @returns {Object} Policy (falls back to the default policy)
+   */
+  getPolicy(domain) {
+    if (!this.policies) {
+      this.policies = new Map(this.getPolicies().map(policy => [policy.domain, policy]));
+    }
+
+    return this.policies.get(domain) || this.policies.get(DEFAULT_DOMAIN) || DEFAULT_POLICIES[0];
+  }
+
+  /**
+   * Create or update a domain policy
+   * @param {string} domain - Recipient domain ('*' for the default policy)
+   * @param {Object} data - Policy fields
+   * @returns {Object} Saved policy
+   */
+  upsertPolicy(domain, data) {
+    try {
+      const normalized = domain.trim().toLowerCase();
+      const current = db.prepare('SELECT * FROM domain_throttle_policies WHERE domain = ?').get(normalized)
+        || this.getPolicy(normalized);
+
+      db.prepare(`
+        INSERT INTO domain_throttle_policies (domain, max_connections, messages_per_minute, backoff_seconds)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(domain) DO UPDATE SET
+          max_connections = excluded.max_connections,
+          messages_per_minute = excluded.messages_per_minute,
+          backoff_seconds = excluded.backoff_seconds,
+          updated_at = CURRENT_TIMESTAMP
+      `).run(
+        normalized,
+        parseInt(data.max_connections ?? current.max_connections),
+        parseInt(data.messages_per_minute ?? current.messages_per_minute),
+        parseInt(data.backoff_seconds ?? current.backoff_seconds)
+      );
+
+      this.policies = null;
+
+      logger.info(`Domain throttle policy saved for ${normalized}`);
+      return db.prepare('SELECT * FROM domain_throttle_policies WHERE domain = ?').get(normalized);
+    } catch (error) {
+      logger.error(`Error saving domain throttle policy for ${domain}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a domain policy (the default policy cannot be deleted)
+   * @param {string} domain - Recipient domain
+   * @returns {boolean} Whether a policy was deleted
+   */
+  deletePolicy(domain) {
+    const normalized = domain.trim().toLowerCase();
+
+    if (normalized === DEFAULT_DOMAIN) {
+      throw new Error('The default domain policy cannot be deleted');
+    }
+
+    const result = db.prepare('DELETE FROM domain_throttle_policies WHERE domain = ?').run(normalized);
+    this.policies = null;
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Get (or create) the live throttle state for a domain
+   * @param {string} domain - Recipient domain
+   * @returns {Object} Throttle state
+   */
+  getState(domain) {
+    let state = this.state.get(domain);
+
+    if (!state) {
+      state = {
+        connections: 0,
+        recentSends: [], // Send timestamps within the last minute
+        consecutiveDeferrals: 0,
+        backoffUntil: null,
+        lastDeferral: null,
+        lastActivity: Date.now()
+      };
+      this.state.set(domain, state);
+    }
+
+    // Drop sends that have left the one-minute window
+    const cutoff = Date.now() - 60000;
+    while (state.recentSends.length > 0 && state.recentSends[0] < cutoff) {
+      state.recentSends.shift();
+    }
+
+    return state;
+  }
+
+  /**
+   * Get the reason a domain is throttled right now
+   * @param {string} domain - Recipient domain
+   * @returns {string|null} 'backoff', 'connections', 'rate' or null if sending is allowed
+   */
+  getThrottleReason(domain) {
+    const policy = this.getPolicy(domain);
+    const state = this.getState(domain);
+
+    if (state.backoffUntil && Date.now() < state.backoffUntil) {
+      return 'backoff';
+    }
+
+    if (state.connections >= policy.max_connections) {
+      return 'connections';
+    }
+
+    if (state.recentSends.length >= policy.messages_per_minute) {
+      return 'rate';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if another message may be sent to a domain
+   * @param {string} domain - Recipient domain
+   * @returns {boolean}
+   */
+  canSend(domain) {
+    return !domain || this.getThrottleReason(domain) === null;
+  }
+
+  /**
+   * Get the domains that currently cannot accept another message
+   * @returns {Array<string>} Throttled domains
+   */
+  getThrottledDomains() {
+    this.pruneState();
+    return Array.from(this.state.keys()).filter(domain => !this.canSend(domain));
+  }
+
+  /**
+   * Forget domains with no sends in flight, no back-off and no recent activity
+   */
+  pruneState() {
+    const now = Date.now();
+
+    for (const [domain, state] of this.state) {
+      const idle = state.connections === 0
+        && !(state.backoffUntil && state.backoffUntil > now)
+        && now - state.lastActivity > IDLE_STATE_MS;
+
+      if (idle) {
+        this.state.delete(domain);
+      }
+    }
+  }
+
+  /**
+   * Take a connection slot for a send to a domain
+   * @param {string} domain - Recipient domain
+   */
+  acquire(domain) {
+    if (!domain) {
+      return;
+    }
+
+    const state = this.getState(domain);
+    state.connections++;
+    state.recentSends.push(Date.now());
+    state.lastActivity = Date.now();
+  }
+
+  /**
+   * Release a connection slot once a send to a domain has finished
+   * @param {string} domain - Recipient domain
+   */
+  release(domain) {
+    if (!domain) {
+      return;
+    }
+
+    const state = this.getState(domain);
+    state.connections = Math.max(0, state.connections - 1);
+    state.lastActivity = Date.now();
+  }
+
+  /**
+   * Record a message the domain accepted, clearing any back-off
+   * @param {string} domain - Recipient domain
+   */
+  recordAccepted(domain) {
+    if (!domain) {
+      return;
+    }
+
+    const state = this.getState(domain);
+    state.consecutiveDeferrals = 0;
+    state.backoffUntil = null;
+  }
+
+  /**
+   * Record a 4xx deferral and back off from the domain
+   * The back-off doubles with each consecutive deferral.
+   * @param {string} domain - Recipient domain
+   * @param {string} reason - Deferral response
+   */
+  recordDeferral(domain, reason) {
+    if (!domain) {
+      return;
+    }
+
+    const policy = this.getPolicy(domain);
+    const state = this.getState(domain);
+
+    state.consecutiveDeferrals++;
+    const backoffSeconds = Math.min(
+      policy.backoff_seconds * Math.pow(2, state.consecutiveDeferrals - 1),
+      MAX_BACKOFF_SECONDS
+    );
+    state.backoffUntil = Date.now() + backoffSeconds * 1000;
+    state.lastDeferral = reason;
+
+    logger.warn(`Deferred by ${domain}, backing off for ${backoffSeconds}s`, {
+      consecutiveDeferrals: state.consecutiveDeferrals,
+      reason
+    });
+  }
+
+  /**
+   * Check if a send result is a temporary (4xx) deferral
+   * @param {Object} result - Send result from emailService.sendEmail
+   * @returns {boolean}
+   */
+  isDeferral(result) {
+    const responseCode = parseInt(result.responseCode);
+    return responseCode >= 400 && responseCode < 500;
+  }
+
+  /**
+   * Get live throttle state for every recently active domain
+   * @returns {Array<Object>} Per-domain throttle status
+   */
+  getStatus() {
+    return Array.from(this.state.keys()).sort().map(domain => {
+      const policy = this.getPolicy(domain);
+      const state = this.getState(domain);
+
+      return {
+        domain,
+        policy: policy.domain,
+        throttled: this.getThrottleReason(domain),
+        connections: state.connections,
+        maxConnections: policy.max_connections,
+        sentLastMinute: state.recentSends.length,
+        messagesPerMinute: policy.messages_per_minute,
+        consecutiveDeferrals: state.consecutiveDeferrals,
+        backoffUntil: state.backoffUntil && state.backoffUntil > Date.now()
+          ? new Date(state.backoffUntil).toISOString()
+          : null,
+        lastDeferral: state.lastDeferral
+      };
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new DomainThrottleService();
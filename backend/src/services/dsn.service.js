@@ -0,0 +1,188 @@
+const path = require('path');
+const { db } = require('../config/database');
+const MessageModel = require('../models/message.model');
+const bounceService = require('./bounce.service');
+const { parseDsn } = require('../utils/dsn-parser');
+const { processDropDirectory } = require('../utils/mail-drop');
+const verp = require('../utils/verp');
+const logger = require('../config/logger');
+
+/**
+ * DSN Service
+ * Records asynchronous bounces: delivery status notifications (RFC 3464)
+ * that arrive after a relay accepted the message. Bounce messages are read
+ * from a drop directory that the inbound MTA delivers the VERP mailbox to,
+ * either as a maildir (files in new/) or as plain .eml/mbox files, and can
+ * also be posted to the API.
+ */
+
+class DsnService {
+  constructor() {
+    this.dropDir = process.env.DSN_DROP_DIR || path.join(__dirname, '../../data/bounces');
+    this.checkInterval = parseInt(process.env.DSN_CHECK_INTERVAL) || 60000; // 1 minute
+    this.interval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start polling the drop directory
+   */
+  start() {
+    if (this.interval) {
+      logger.warn('DSN processor already running');
+      return;
+    }
+
+    logger.info(`Starting DSN processor on ${this.dropDir} (checking every ${this.checkInterval / 1000}s)`);
+
+    this.interval = setInterval(() => {
+      this.scan();
+    }, this.checkInterval);
+
+    this.scan();
+  }
+
+  /**
+   * Stop polling the drop directory
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('DSN processor stopped');
+    }
+  }
+
+  /**
+   * Process every file waiting in the drop directory
+   * @returns {Object} { files, messages, processed, ignored, failed }
+   */
+  scan() {
+    let stats = { files: 0, messages: 0, processed: 0, ignored: 0, failed: 0 };
+
+    if (this.isRunning) {
+      return stats;
+    }
+
+    try {
+      this.isRunning = true;
+      stats = processDropDirectory(this.dropDir, raw => this.processMessage(raw));
+
+      if (stats.files > 0) {
+        logger.info('Bounce drop directory processed', stats);
+      }
+    } catch (error) {
+      logger.error('Error scanning bounce drop directory:', error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Find the message a DSN is about
+   * The signed VERP address it was delivered to is trusted first; the original
+   * message's Message-ID header is the fallback. X-Message-ID is a plain row id
+   * anyone can guess, so it is never used to match.
+   * @param {Object} dsn - Parsed DSN
+   * @returns {Object|null} Message
+   */
+  findMessage(dsn) {
+    for (const address of dsn.deliveredTo) {
+      const messageId = verp.parseReturnPath(address);
+      if (messageId) {
+        const message = MessageModel.getById(messageId);
+        if (message) return message;
+      }
+    }
+
+    if (dsn.originalMessageId) {
+      const message = MessageModel.getByMessageId(dsn.originalMessageId);
+      if (message) return message;
+    }
+
+    return null;
+  }
+
+  /**
+   * Process one raw bounce message
+   * @param {string} raw - Raw RFC 822 message
+   * @returns {Object} { status: 'processed' | 'ignored', reason, messageId, bounces }
+   */
+  processMessage(raw) {
+    const dsn = parseDsn(raw);
+
+    if (!dsn) {
+      return { status: 'ignored', reason: 'Not a delivery status notification', bounces: [] };
+    }
+
+    const message = this.findMessage(dsn);
+
+    if (!message) {
+      logger.warn('DSN does not match any message', {
+        deliveredTo: dsn.deliveredTo,
+        originalMessageId: dsn.originalMessageId
+      });
+      return { status: 'ignored', reason: 'No matching message', bounces: [] };
+    }
+
+    // Delayed/delivered/relayed notifications are informational
+    const failures = dsn.recipients.filter(recipient => recipient.action === 'failed');
+
+    if (failures.length === 0) {
+      return { status: 'ignored', reason: 'No failed recipients', messageId: message.id, bounces: [] };
+    }
+
+    // One message has one recipient; a DSN reporting some other address is
+    // not about this message and must not bounce its contact
+    const contactEmail = (message.contact_email || '').toLowerCase();
+    const failure = failures.find(recipient => (recipient.recipient || '').toLowerCase() === contactEmail);
+
+    if (!failure) {
+      logger.warn(`DSN recipient does not match message ${message.id}`, {
+        recipients: failures.map(recipient => recipient.recipient)
+      });
+      return { status: 'ignored', reason: 'Recipient does not match message', messageId: message.id, bounces: [] };
+    }
+
+    // The same DSN may be dropped twice, or the relay's event webhook may have
+    // reported the bounce already; an SMTP rejection recorded earlier does not count
+    const alreadyRecorded = db.prepare(`
+      SELECT id FROM bounces WHERE message_id = ? AND source != 'smtp'
+    `).get(message.id);
+
+    if (alreadyRecorded) {
+      return { status: 'ignored', reason: 'Bounce already recorded', messageId: message.id, bounces: [] };
+    }
+
+    const reason = failure.diagnosticCode || `Delivery failed (${failure.status || 'no status'})`;
+
+    const bounceInfo = bounceService.processBounce(message.contact_id, message.id, {
+      responseCode: failure.status || undefined,
+      response: reason,
+      message: reason
+    }, 'dsn');
+
+    if (bounceInfo) {
+      MessageModel.updateStatus(message.id, bounceInfo.bounceType === 'hard' ? 'bounced' : 'failed', {
+        error_message: reason
+      });
+    }
+
+    logger.info(`DSN recorded for message ${message.id}`, {
+      recipient: failure.recipient,
+      status: failure.status,
+      bounceType: bounceInfo?.bounceType
+    });
+
+    return {
+      status: 'processed',
+      messageId: message.id,
+      bounces: bounceInfo ? [{ ...bounceInfo, recipient: failure.recipient, status: failure.status }] : []
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new DsnService();
@@ -4,19 +4,34 @@ const fs = require('fs');
 const path = require('path');
 const {
   processEmailHtml,
+  addUnsubscribeTextFooter,
   generateTrackingHeaders
 } = require('../utils/tracking');
+const { htmlToText } = require('../utils/html-to-text');
 const contentValidator = require('../utils/content-validator');
+const SmtpConfigModel = require('../models/smtp-config.model');
+const smtpPool = require('./smtp-pool.service');
+const captureService = require('./capture.service');
+const dkimService = require('./dkim.service');
+const { metadataHeaders } = require('../utils/esp-events');
 
 class EmailService {
   constructor() {
     this.transporter = null;
     this.dkimConfig = null;
+    this.transporters = new Map(); // smtp_configs.id -> { transporter, version }
+    // Pooled connections let the queue's parallel workers share SMTP sessions
+    this.poolOptions = {
+      pool: true,
+      maxConnections: parseInt(process.env.SMTP_POOL_MAX_CONNECTIONS) || 5,
+      maxMessages: parseInt(process.env.SMTP_POOL_MAX_MESSAGES) || 100
+    };
     this.initialize();
   }
 
   /**
-   * Initialize Nodemailer transporter with SMTP configuration
+   * Initialize the fallback Nodemailer transporter from environment variables
+   * Only used when no smtp_configs rows exist
    */
   initialize() {
     try {
@@ -30,10 +45,11 @@ class EmailService {
         } : undefined, // Gmail relay uses IP-based auth
         tls: {
           rejectUnauthorized: true
-        }
+        },
+        ...this.poolOptions
       };
 
-      // Load DKIM configuration if available
+      // Load the fallback DKIM key for domains without a key in dkim_keys
       if (process.env.DKIM_PRIVATE_KEY_PATH) {
         const dkimPath = process.env.DKIM_PRIVATE_KEY_PATH;
         if (fs.existsSync(dkimPath)) {
@@ -42,7 +58,6 @@ class EmailService {
             keySelector: process.env.DKIM_SELECTOR || 'default',
             privateKey: fs.readFileSync(dkimPath, 'utf8')
           };
-          config.dkim = this.dkimConfig;
           logger.info('DKIM configuration loaded successfully');
         } else {
           logger.warn(`DKIM private key not found at ${dkimPath}`);
@@ -57,13 +72,73 @@ class EmailService {
     }
   }
 
+  /**
+   * Get the transporter for a send
+   * Uses the given SMTP configuration, otherwise the active one, otherwise the
+   * environment transporter. Cached transporters are rebuilt when the
+   * configuration's updated_at changes.
+   * @param {number} smtpConfigId - SMTP config ID (optional)
+   * @returns {Object} { transporter, config } - config is null for the environment transporter
+   */
+  getTransporter(smtpConfigId = null) {
+    const config = smtpConfigId
+      ? SmtpConfigModel.getById(smtpConfigId)
+      : SmtpConfigModel.getActive();
+
+    if (!config) {
+      if (smtpConfigId) {
+        throw new Error(`SMTP configuration ${smtpConfigId} not found`);
+      }
+      return { transporter: this.transporter, config: null };
+    }
+
+    const cached = this.transporters.get(config.id);
+    if (cached && cached.version === config.updated_at) {
+      return { transporter: cached.transporter, config };
+    }
+
+    if (cached) {
+      cached.transporter.close();
+    }
+
+    const transportOptions = {
+      ...SmtpConfigModel.toTransportOptions(SmtpConfigModel.getDecrypted(config.id)),
+      ...this.poolOptions
+    };
+
+    const transporter = nodemailer.createTransport(transportOptions);
+    this.transporters.set(config.id, { transporter, version: config.updated_at });
+    logger.info(`Email transporter built for SMTP config ${config.id} (${config.name})`);
+
+    return { transporter, config };
+  }
+
+  /**
+   * Drop cached transporters so the next send rebuilds them
+   * @param {number} smtpConfigId - SMTP config ID (optional, drops all if not specified)
+   */
+  invalidateTransporter(smtpConfigId = null) {
+    const ids = smtpConfigId ? [parseInt(smtpConfigId)] : Array.from(this.transporters.keys());
+
+    for (const id of ids) {
+      const cached = this.transporters.get(id);
+      if (cached) {
+        cached.transporter.close();
+        this.transporters.delete(id);
+        logger.info(`Email transporter for SMTP config ${id} invalidated`);
+      }
+    }
+  }
+
   /**
    * Verify SMTP connection
+   * @param {number} smtpConfigId - SMTP config ID (optional, uses active if not specified)
    * @returns {Promise<boolean>}
    */
-  async verifyConnection() {
+  async verifyConnection(smtpConfigId = null) {
     try {
-      await this.transporter.verify();
+      const { transporter } = this.getTransporter(smtpConfigId);
+      await transporter.verify();
       logger.info('SMTP connection verified successfully');
       return true;
     } catch (error) {
@@ -84,35 +159,72 @@ class EmailService {
    * @param {string} options.replyTo - Reply-to email (optional)
    * @param {Object} options.headers - Additional headers (optional)
    * @param {string} options.messageId - Custom message ID (optional)
+   * @param {string} options.returnPath - Envelope sender for bounces, e.g. a VERP address (optional)
+   * @param {number} options.smtpConfigId - SMTP configuration to try first (optional, uses active if not specified)
+   * @param {boolean} options.sandbox - Capture the rendered message locally instead of sending (optional)
+   * @param {Array<Object>} options.attachments - Nodemailer attachments (optional)
+   * @param {boolean} options.transactional - One-off message rather than bulk mail; no Precedence: bulk (optional)
    * @param {Object} options.tracking - Tracking configuration (optional)
    * @param {number} options.tracking.campaignId - Campaign ID for tracking
    * @param {number} options.tracking.listId - List ID for tracking
    * @param {string} options.tracking.trackingToken - Tracking token for opens/clicks
    * @param {string} options.tracking.unsubscribeToken - Unsubscribe token
-   * @returns {Promise<Object>} Send result with messageId
+   * @returns {Promise<Object>} Send result with messageId, the relay used and any failover reason
    */
   async sendEmail(options) {
-    try {
-      const fromEmail = options.from || process.env.SMTP_FROM_EMAIL || 'info@myndsol.com';
-      const fromName = options.fromName || process.env.SMTP_FROM_NAME || 'Mynd Solution';
+    let smtpConfig = null;
+    const failover = []; // Relays skipped or abandoned before the final attempt
 
+    try {
       let htmlContent = options.html;
 
       // Enhanced compliance headers for Phase 7
       let emailHeaders = {
         'X-Mailer': 'Mynd Solution Email Marketing v1.0',
-        'Precedence': 'bulk',
+        ...(options.transactional ? {} : { 'Precedence': 'bulk' }),
         'X-Entity-Ref-ID': options.messageId || `msg-${Date.now()}`,
-        'Return-Path': options.returnPath || fromEmail,
         ...options.headers
       };
 
+      // Process HTML with tracking if tracking is enabled
+      if (options.tracking && options.tracking.campaignId) {
+        const { campaignId, listId, trackingToken, unsubscribeToken } = options.tracking;
+
+        // Process HTML: inject pixel, rewrite links, add unsubscribe footer
+        htmlContent = processEmailHtml(
+          htmlContent,
+          campaignId,
+          trackingToken,
+          unsubscribeToken
+        );
+
+        // Add tracking headers
+        const trackingHeaders = generateTrackingHeaders(
+          campaignId,
+          listId,
+          unsubscribeToken
+        );
+
+        emailHeaders = {
+          ...emailHeaders,
+          ...trackingHeaders
+        };
+      }
+
+      // Plain text part: the template's own text body, or a conversion of the
+      // final HTML so tracked links and the unsubscribe footer carry over
+      let textContent = options.text || htmlToText(htmlContent);
+
+      if (options.text && options.tracking && options.tracking.campaignId) {
+        textContent = addUnsubscribeTextFooter(textContent, options.tracking.unsubscribeToken);
+      }
+
       // Validate content if validation is enabled (default: true in production)
       if (options.validateContent !== false && process.env.ENABLE_CONTENT_VALIDATION !== 'false') {
         const validation = contentValidator.validateEmailContent({
           subject: options.subject,
           html: options.html,
-          plainText: options.text || ''
+          plainText: textContent
         });
 
         if (!validation.valid && validation.score < 50) {
@@ -138,58 +250,88 @@ class EmailService {
         }
       }
 
-      // Process HTML with tracking if tracking is enabled
-      if (options.tracking && options.tracking.campaignId) {
-        const { campaignId, listId, trackingToken, unsubscribeToken } = options.tracking;
+      // Try each relay in failover order; with no SMTP configurations the
+      // environment transporter is the only candidate. Sandboxed sends are
+      // captured as if sent through the first relay.
+      const sandbox = captureService.isSandboxed(options);
+      const pool = SmtpConfigModel.getPool(options.smtpConfigId);
+      const relays = pool.length > 0 ? (sandbox ? pool.slice(0, 1) : pool) : [null];
+      let lastError = null;
+
+      for (const relay of relays) {
+        if (relay && !sandbox && !smtpPool.isAvailable(relay.id)) {
+          failover.push(`${relay.name} (#${relay.id}): circuit open`);
+          continue;
+        }
 
-        // Process HTML: inject pixel, rewrite links, add unsubscribe footer
-        htmlContent = processEmailHtml(
-          htmlContent,
-          campaignId,
-          trackingToken,
-          unsubscribeToken
-        );
+        smtpConfig = relay;
+        const mailOptions = this.buildMailOptions(options, htmlContent, textContent, emailHeaders, relay);
+
+        try {
+          let info;
+          let captureId = null;
+
+          if (sandbox) {
+            ({ info, captureId } = await captureService.capture(mailOptions, {
+              campaignId: options.tracking?.campaignId,
+              smtpConfigId: relay?.id,
+              dkim: mailOptions.dkim
+            }));
+          } else {
+            const transporter = relay ? this.getTransporter(relay.id).transporter : this.transporter;
+            info = await transporter.sendMail(mailOptions);
+
+            if (relay) {
+              smtpPool.recordSuccess(relay.id);
+            }
+          }
 
-        // Add tracking headers
-        const trackingHeaders = generateTrackingHeaders(
-          campaignId,
-          listId,
-          unsubscribeToken
-        );
+          const failoverReason = failover.length > 0 ? failover.join('; ') : null;
 
-        emailHeaders = {
-          ...emailHeaders,
-          ...trackingHeaders
-        };
-      }
+          logger.info(`Email ${sandbox ? 'captured' : 'sent successfully'} to ${options.to}`, {
+            messageId: info.messageId,
+            response: info.response,
+            smtpConfigId: relay?.id || null,
+            failoverReason,
+            captureId
+          });
 
-      const mailOptions = {
-        from: `"${fromName}" <${fromEmail}>`,
-        to: options.to,
-        subject: options.subject,
-        html: htmlContent,
-        text: options.text || this.stripHtml(htmlContent),
-        replyTo: options.replyTo || fromEmail,
-        headers: emailHeaders
-      };
+          return {
+            success: true,
+            messageId: info.messageId,
+            response: info.response,
+            smtpConfigId: relay?.id || null,
+            failoverReason,
+            sandbox,
+            captureId
+          };
+        } catch (error) {
+          // Recipient-level rejections are not the relay's fault
+          if (!relay || !smtpPool.isRelayFailure(error)) {
+            // The relay answered, which also ends a half-open circuit's trial send
+            if (relay && !sandbox) {
+              smtpPool.recordSuccess(relay.id);
+            }
+            throw error;
+          }
 
-      // Add custom message ID if provided
-      if (options.messageId) {
-        mailOptions.messageId = options.messageId;
+          lastError = error;
+          smtpPool.recordFailure(relay.id, error);
+          failover.push(`${relay.name} (#${relay.id}): ${error.code || error.responseCode} ${error.message}`);
+          logger.warn(`SMTP config ${relay.id} failed for ${options.to}, trying next relay`, {
+            code: error.code,
+            responseCode: error.responseCode
+          });
+        }
       }
 
-      const info = await this.transporter.sendMail(mailOptions);
-
-      logger.info(`Email sent successfully to ${options.to}`, {
-        messageId: info.messageId,
-        response: info.response
-      });
+      if (lastError) {
+        throw lastError;
+      }
 
-      return {
-        success: true,
-        messageId: info.messageId,
-        response: info.response
-      };
+      const error = new Error('No healthy SMTP relay available');
+      error.code = 'ENORELAY';
+      throw error;
     } catch (error) {
       logger.error(`Failed to send email to ${options.to}:`, error);
 
@@ -197,9 +339,68 @@ class EmailService {
         success: false,
         error: error.message,
         code: error.code,
-        response: error.response
+        responseCode: error.responseCode,
+        response: error.response,
+        smtpConfigId: smtpConfig?.id || null,
+        failoverReason: failover.length > 0 ? failover.join('; ') : null
+      };
+    }
+  }
+
+  /**
+   * Build Nodemailer message options for a relay
+   * Sender defaults come from the relay's configuration, then the environment.
+   * @param {Object} options - Email options passed to sendEmail
+   * @param {string} htmlContent - Processed HTML body
+   * @param {string} textContent - Plain text body
+   * @param {Object} headers - Compliance and tracking headers
+   * @param {Object|null} smtpConfig - SMTP configuration (null for the environment transporter)
+   * @returns {Object} Nodemailer message options
+   */
+  buildMailOptions(options, htmlContent, textContent, headers, smtpConfig) {
+    const fromEmail = options.from || smtpConfig?.from_email || process.env.SMTP_FROM_EMAIL || 'info@myndsol.com';
+    const fromName = options.fromName || smtpConfig?.from_name || process.env.SMTP_FROM_NAME || 'Mynd Solution';
+
+    const mailOptions = {
+      from: `"${fromName}" <${fromEmail}>`,
+      to: options.to,
+      subject: options.subject,
+      html: htmlContent,
+      text: textContent,
+      replyTo: options.replyTo || fromEmail,
+      headers: {
+        'Return-Path': options.returnPath || fromEmail,
+        ...headers,
+        // Our message IDs, in the form the relay echoes back in its event webhooks
+        ...metadataHeaders(smtpConfig ? smtpConfig.host : process.env.SMTP_HOST, headers)
+      }
+    };
+
+    // Add custom message ID if provided
+    if (options.messageId) {
+      mailOptions.messageId = options.messageId;
+    }
+
+    // A per-message (VERP) return path must be the envelope sender, which is
+    // where receiving servers send asynchronous bounces
+    if (options.returnPath) {
+      mailOptions.envelope = {
+        from: options.returnPath,
+        to: options.to
       };
     }
+
+    // Sign with the From domain's key, falling back to the key from the environment
+    const dkim = dkimService.getSigningKey(fromEmail) || this.dkimConfig;
+    if (dkim) {
+      mailOptions.dkim = dkim;
+    }
+
+    if (options.attachments && options.attachments.length > 0) {
+      mailOptions.attachments = options.attachments;
+    }
+
+    return mailOptions;
   }
 
   /**
@@ -244,18 +445,12 @@ class EmailService {
   }
 
   /**
-   * Strip HTML tags from text (simple implementation)
+   * Convert HTML to plain text, keeping links, lists and line breaks
    * @param {string} html - HTML content
    * @returns {string} Plain text
    */
   stripHtml(html) {
-    if (!html) return '';
-    return html
-      .replace(/<style[^>]*>.*<\/style>/gmi, '')
-      .replace(/<script[^>]*>.*<\/script>/gmi, '')
-      .replace(/<[^>]+>/gm, '')
-      .replace(/\s+/g, ' ')
-      .trim();
+    return htmlToText(html);
   }
 
   /**
@@ -0,0 +1,576 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const MessageModel = require('../models/message.model');
+const TransactionalMessageModel = require('../models/transactional-message.model');
+const unsubscribeModel = require('../models/unsubscribe.model');
+const bounceService = require('./bounce.service');
+const complaintService = require('./complaint.service');
+const webhookService = require('./webhook.service');
+const { PROVIDERS, parseSes, parseSendgrid, parseMailgun, parsePostmark } = require('../utils/esp-events');
+const logger = require('../config/logger');
+
+// SNS signing certificates and confirmation links are only fetched from SNS itself
+const SNS_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+const SNS_TIMEOUT_MS = 10000;
+
+// Fields of each SNS message type that its signature covers, in signing order
+const SNS_SIGNED_FIELDS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+  UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+
+const PARSERS = {
+  ses: parseSes,
+  sendgrid: parseSendgrid,
+  mailgun: parseMailgun,
+  postmark: parsePostmark
+};
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * ESP Event Service
+ * Records deliveries, bounces, complaints and unsubscribes reported by the
+ * relay's event webhook, for relays that do not return DSNs or ARF reports
+ * to us. Each request is verified the way its provider signs it:
+ *   - SES: SNS message signature, from an allowed topic
+ *   - SendGrid: ECDSA signature of the timestamp and body
+ *   - Mailgun: HMAC of the timestamp and token with the signing key
+ *   - Postmark: Basic auth credentials set on the webhook
+ * Providers retry and may send an event twice; every event is deduplicated
+ * per message, so a repeated request changes nothing.
+ */
+
+class EspEventService {
+  constructor() {
+    this.snsCertificates = new Map();
+  }
+
+  /**
+   * Get the providers events can be received from
+   * @returns {Array<string>}
+   */
+  getProviders() {
+    return PROVIDERS;
+  }
+
+  /**
+   * Check whether a provider's webhook credentials are configured
+   * @param {string} provider - Provider
+   * @returns {boolean}
+   */
+  isConfigured(provider) {
+    switch (provider) {
+      case 'ses':
+        return this.getSnsTopics().length > 0;
+      case 'sendgrid':
+        return !!process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+      case 'mailgun':
+        return !!process.env.MAILGUN_WEBHOOK_SIGNING_KEY;
+      case 'postmark':
+        return !!(process.env.POSTMARK_WEBHOOK_USERNAME && process.env.POSTMARK_WEBHOOK_PASSWORD);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get the SNS topics SES events are accepted from
+   * @returns {Array<string>} Topic ARNs
+   */
+  getSnsTopics() {
+    return (process.env.SES_SNS_TOPIC_ARNS || '')
+      .split(',')
+      .map(arn => arn.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Read an SNS message; SNS posts JSON as text/plain
+   * @param {string|Object} body - Request body
+   * @returns {Object|null} SNS message or null
+   */
+  readSnsMessage(body) {
+    if (typeof body !== 'string') {
+      return body && typeof body === 'object' ? body : null;
+    }
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Verify that a request was sent by the provider
+   * @param {string} provider - Provider
+   * @param {Object} req - Express request (rawBody is set for JSON bodies)
+   * @returns {Promise<boolean>}
+   */
+  async verify(provider, req) {
+    try {
+      switch (provider) {
+        case 'ses':
+          return await this.verifySns(this.readSnsMessage(req.body));
+        case 'sendgrid':
+          return this.verifySendgrid(req);
+        case 'mailgun':
+          return this.verifyMailgun(req.body);
+        case 'postmark':
+          return this.verifyPostmark(req.headers.authorization);
+        default:
+          return false;
+      }
+    } catch (error) {
+      logger.warn(`Could not verify ${provider} event webhook: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Verify an SNS message's signature and topic
+   * @param {Object} message - SNS message
+   * @returns {Promise<boolean>}
+   */
+  async verifySns(message) {
+    if (!message || !SNS_SIGNED_FIELDS[message.Type] || !this.getSnsTopics().includes(message.TopicArn)) {
+      return false;
+    }
+
+    const certificate = await this.getSnsCertificate(message.SigningCertURL);
+
+    const stringToSign = SNS_SIGNED_FIELDS[message.Type]
+      .filter(field => message[field] !== undefined && message[field] !== null)
+      .map(field => `${field}\n${message[field]}\n`)
+      .join('');
+
+    const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+
+    return crypto.createVerify(algorithm)
+      .update(stringToSign, 'utf8')
+      .verify(certificate, message.Signature, 'base64');
+  }
+
+  /**
+   * Fetch an SNS signing certificate, caching it by URL
+   * @param {string} certUrl - SigningCertURL of the message
+   * @returns {Promise<string>} PEM certificate
+   */
+  async getSnsCertificate(certUrl) {
+    const url = new URL(certUrl);
+
+    if (url.protocol !== 'https:' || !SNS_HOST.test(url.hostname) || !url.pathname.endsWith('.pem')) {
+      throw new Error(`Untrusted SNS certificate URL: ${certUrl}`);
+    }
+
+    if (!this.snsCertificates.has(url.href)) {
+      const response = await fetch(url.href, { signal: AbortSignal.timeout(SNS_TIMEOUT_MS) });
+
+      if (!response.ok) {
+        throw new Error(`SNS certificate request failed with HTTP ${response.status}`);
+      }
+
+      this.snsCertificates.set(url.href, await response.text());
+    }
+
+    return this.snsCertificates.get(url.href);
+  }
+
+  /**
+   * Verify a SendGrid signed event webhook request
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  verifySendgrid(req) {
+    const signature = req.headers['x-twilio-email-event-webhook-signature'];
+    const timestamp = req.headers['x-twilio-email-event-webhook-timestamp'];
+
+    if (!signature || !timestamp || req.rawBody === undefined) {
+      return false;
+    }
+
+    // SendGrid shows the verification key as base64 DER; PEM is accepted too
+    const key = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY.trim();
+    const publicKey = key.includes('BEGIN PUBLIC KEY')
+      ? crypto.createPublicKey(key)
+      : crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+
+    return crypto.verify(
+      'sha256',
+      Buffer.from(timestamp + req.rawBody, 'utf8'),
+      publicKey,
+      Buffer.from(signature, 'base64')
+    );
+  }
+
+  /**
+   * Verify a Mailgun webhook signature
+   * @param {Object} body - Mailgun webhook body
+   * @returns {boolean}
+   */
+  verifyMailgun(body) {
+    const { timestamp, token, signature } = body?.signature || {};
+
+    if (!timestamp || !token || !signature) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', process.env.MAILGUN_WEBHOOK_SIGNING_KEY)
+      .update(`${timestamp}${token}`)
+      .digest('hex');
+
+    return safeEqual(expected, signature);
+  }
+
+  /**
+   * Verify the Basic auth credentials Postmark was given in the webhook URL
+   * @param {string} authorization - Authorization header
+   * @returns {boolean}
+   */
+  verifyPostmark(authorization) {
+    const match = /^Basic\s+(.+)$/i.exec(authorization || '');
+
+    if (!match) {
+      return false;
+    }
+
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const expected = `${process.env.POSTMARK_WEBHOOK_USERNAME}:${process.env.POSTMARK_WEBHOOK_PASSWORD}`;
+
+    return safeEqual(credentials, expected);
+  }
+
+  /**
+   * Process a verified event webhook post
+   * @param {string} provider - Provider
+   * @param {Object|Array|string} body - Request body
+   * @returns {Promise<Object>} { received, processed, ignored, results }
+   */
+  async process(provider, body) {
+    let events;
+
+    if (provider === 'ses') {
+      const message = this.readSnsMessage(body);
+
+      if (message.Type === 'SubscriptionConfirmation') {
+        await this.confirmSnsSubscription(message);
+        return { received: 0, processed: 0, ignored: 0, results: [], subscription: 'confirmed' };
+      }
+
+      if (message.Type !== 'Notification') {
+        return { received: 0, processed: 0, ignored: 0, results: [] };
+      }
+
+      events = parseSes(JSON.parse(message.Message));
+    } else {
+      events = PARSERS[provider](body);
+    }
+
+    const results = events.map(event => ({
+      type: event.type,
+      recipient: event.recipient,
+      ...this.processEvent(provider, event)
+    }));
+
+    const processed = results.filter(result => result.status === 'processed').length;
+
+    if (events.length > 0) {
+      logger.info(`${provider} events processed`, { received: events.length, processed });
+    }
+
+    return { received: events.length, processed, ignored: events.length - processed, results };
+  }
+
+  /**
+   * Confirm the SNS subscription of an allowed topic
+   * @param {Object} message - Verified SubscriptionConfirmation message
+   */
+  async confirmSnsSubscription(message) {
+    const url = new URL(message.SubscribeURL);
+
+    if (url.protocol !== 'https:' || !SNS_HOST.test(url.hostname)) {
+      throw new Error(`Untrusted SNS subscribe URL: ${message.SubscribeURL}`);
+    }
+
+    const response = await fetch(url.href, { signal: AbortSignal.timeout(SNS_TIMEOUT_MS) });
+
+    if (!response.ok) {
+      throw new Error(`SNS subscription confirmation failed with HTTP ${response.status}`);
+    }
+
+    logger.info(`SNS subscription confirmed for ${message.TopicArn}`);
+  }
+
+  /**
+   * Find the message an event is about
+   * X-Message-ID is checked against X-Campaign-ID so metadata from another
+   * system is not attributed to the wrong message. Message-ID is the fallback
+   * for providers that report neither.
+   * @param {Object} event - Normalized event
+   * @returns {Object|null} { message } or { transactional }
+   */
+  findMessage(event) {
+    if (event.originalTransactionalId) {
+      const transactional = TransactionalMessageModel.getById(event.originalTransactionalId);
+      if (transactional) return { transactional };
+    }
+
+    if (event.originalRecordId) {
+      const message = MessageModel.getById(event.originalRecordId);
+
+      if (message && (!event.originalCampaignId || message.campaign_id === event.originalCampaignId)) {
+        return { message };
+      }
+    }
+
+    if (event.originalMessageId) {
+      const message = MessageModel.getByMessageId(event.originalMessageId);
+      if (message) return { message };
+
+      const transactional = TransactionalMessageModel.getByMessageId(event.originalMessageId);
+      if (transactional) return { transactional };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record one normalized event
+   * @param {string} provider - Provider that reported it
+   * @param {Object} event - Normalized event
+   * @returns {Object} { status: 'processed' | 'ignored', reason, messageId | transactionalMessageId }
+   */
+  processEvent(provider, event) {
+    try {
+      const match = this.findMessage(event);
+
+      if (!match) {
+        logger.warn(`${provider} ${event.type} event does not match any message`, {
+          recipient: event.recipient,
+          originalMessageId: event.originalMessageId,
+          originalRecordId: event.originalRecordId
+        });
+        return { status: 'ignored', reason: 'No matching message' };
+      }
+
+      const email = match.message ? match.message.contact_email : match.transactional.to_email;
+
+      // A message has one recipient; an event for another address is not about it
+      if (event.recipient && email && event.recipient !== email.toLowerCase()) {
+        return { status: 'ignored', reason: 'Recipient does not match message' };
+      }
+
+      return match.message
+        ? this.recordMessageEvent(provider, match.message, event)
+        : this.recordTransactionalEvent(provider, match.transactional, event);
+    } catch (error) {
+      logger.error(`Error processing ${provider} ${event.type} event:`, error);
+      return { status: 'ignored', reason: 'Processing failed' };
+    }
+  }
+
+  /**
+   * Record an event for a campaign message
+   * @param {string} provider - Provider that reported it
+   * @param {Object} message - Message
+   * @param {Object} event - Normalized event
+   * @returns {Object} Result
+   */
+  recordMessageEvent(provider, message, event) {
+    const ignored = reason => ({ status: 'ignored', reason, messageId: message.id });
+    const processed = { status: 'processed', messageId: message.id };
+
+    const insertEvent = db.prepare(`
+      INSERT INTO message_events (message_id, event_type, event_data, created_at)
+      VALUES (?, ?, ?, datetime('now'))
+    `);
+
+    const eventData = JSON.stringify({
+      provider,
+      provider_event_id: event.providerEventId,
+      reason: event.reason,
+      occurred_at: event.occurredAt
+    });
+
+    switch (event.type) {
+      case 'delivered':
+        if (MessageModel.hasEvent(message.id, 'delivered')) {
+          return ignored('Delivery already recorded');
+        }
+
+        db.transaction(() => {
+          insertEvent.run(message.id, 'delivered', eventData);
+          MessageModel.markDelivered(message.id, event.occurredAt);
+        })();
+
+        return processed;
+
+      case 'bounced': {
+        // The relay and a DSN may both report the same bounce
+        const alreadyRecorded = db.prepare(`
+          SELECT id FROM bounces WHERE message_id = ? AND source != 'smtp'
+        `).get(message.id);
+
+        if (alreadyRecorded) {
+          return ignored('Bounce already recorded');
+        }
+
+        const reason = event.reason || `Bounce reported by ${provider}`;
+        const bounceInfo = bounceService.processBounce(message.contact_id, message.id, {
+          responseCode: event.code || undefined,
+          response: reason,
+          message: reason,
+          bounceType: event.bounceType
+        }, provider);
+
+        if (bounceInfo) {
+          MessageModel.updateStatus(message.id, bounceInfo.bounceType === 'hard' ? 'bounced' : 'failed', {
+            error_message: reason
+          });
+        }
+
+        return { ...processed, bounceType: bounceInfo?.bounceType };
+      }
+
+      case 'complained': {
+        const result = complaintService.recordComplaint(message, {
+          feedbackType: event.feedbackType,
+          source: provider
+        });
+
+        return result.status === 'processed' ? processed : ignored(result.reason);
+      }
+
+      case 'unsubscribed':
+        if (MessageModel.hasEvent(message.id, 'unsubscribed')) {
+          return ignored('Unsubscribe already recorded');
+        }
+
+        db.transaction(() => {
+          insertEvent.run(message.id, 'unsubscribed', eventData);
+          unsubscribeModel.unsubscribeGlobally(message.contact_id);
+        })();
+
+        webhookService.emit('unsubscribed', {
+          contact_id: message.contact_id,
+          email: message.contact_email,
+          campaign_id: message.campaign_id,
+          method: provider
+        });
+
+        logger.info(`Contact ${message.contact_id} unsubscribed through ${provider}`);
+        return processed;
+
+      default:
+        return ignored(`Unsupported event type: ${event.type}`);
+    }
+  }
+
+  /**
+   * Record an event for a transactional message
+   * @param {string} provider - Provider that reported it
+   * @param {Object} message - Transactional message
+   * @param {Object} event - Normalized event
+   * @returns {Object} Result
+   */
+  recordTransactionalEvent(provider, message, event) {
+    const ignored = reason => ({ status: 'ignored', reason, transactionalMessageId: message.id });
+    const processed = { status: 'processed', transactionalMessageId: message.id };
+
+    const alreadyRecorded = TransactionalMessageModel.getEvents(message.id)
+      .some(recorded => recorded.event_type === event.type && recorded.event_data?.provider);
+
+    if (alreadyRecorded) {
+      return ignored(`${event.type} already recorded`);
+    }
+
+    const eventData = {
+      provider,
+      provider_event_id: event.providerEventId,
+      reason: event.reason,
+      occurred_at: event.occurredAt
+    };
+
+    switch (event.type) {
+      case 'delivered':
+        // A bounce or failure reported first stands
+        if (['sent', 'delivered'].includes(message.status)) {
+          TransactionalMessageModel.updateStatus(message.id, 'delivered', { delivered_at: event.occurredAt });
+        }
+
+        TransactionalMessageModel.addEvent(message.id, 'delivered', eventData);
+        return processed;
+
+      case 'bounced': {
+        const reason = event.reason || `Bounce reported by ${provider}`;
+        const errorObj = {
+          responseCode: event.code || undefined,
+          response: reason,
+          message: reason,
+          bounceType: event.bounceType
+        };
+
+        // Known contacts get the bounce recorded against them like any other
+        const bounceInfo = message.contact_id
+          ? bounceService.processBounce(message.contact_id, null, errorObj, provider)
+          : bounceService.classifyError(errorObj);
+
+        const bounceType = bounceInfo?.bounceType || 'soft';
+
+        TransactionalMessageModel.updateStatus(message.id, bounceType === 'hard' ? 'bounced' : 'failed', { error_message: reason });
+        TransactionalMessageModel.addEvent(message.id, 'bounced', {
+          ...eventData,
+          bounce_type: bounceType,
+          smtp_code: bounceInfo?.smtpCode
+        });
+
+        return { ...processed, bounceType };
+      }
+
+      case 'complained':
+      case 'unsubscribed':
+        db.transaction(() => {
+          TransactionalMessageModel.addEvent(message.id, event.type, {
+            ...eventData,
+            feedback_type: event.feedbackType
+          });
+
+          if (message.contact_id) {
+            unsubscribeModel.unsubscribeGlobally(message.contact_id);
+          }
+        })();
+
+        webhookService.emit(event.type, {
+          transactional_message_id: message.id,
+          contact_id: message.contact_id,
+          email: message.to_email,
+          tag: message.tag,
+          ...(event.type === 'complained'
+            ? { feedback_type: event.feedbackType, source: provider }
+            : { method: provider })
+        });
+
+        logger.info(`Transactional message ${message.id}: ${event.type} reported by ${provider}`);
+        return processed;
+
+      default:
+        return ignored(`Unsupported event type: ${event.type}`);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new EspEventService();
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const { Reader, validate } = require('maxmind');
+const { db } = require('../config/database');
+const ContactModel = require('../models/contact.model');
+const { normalizeTimezone } = require('../utils/timezone');
+const logger = require('../config/logger');
+
+/**
+ * GeoIP Service
+ * Infers contact timezones from the IP addresses of their opens using a
+ * MaxMind City database (GeoLite2-City.mmdb or GeoIP2-City.mmdb). Inferred
+ * timezones never replace one that was imported or set by hand.
+ * Disabled when GEOIP_DATABASE is not set.
+ */
+
+class GeoIpService {
+  constructor() {
+    this.databasePath = process.env.GEOIP_DATABASE || '';
+    this.reader = null; // Loaded on first lookup
+    this.loadFailed = false;
+  }
+
+  /**
+   * Check if a GeoIP database is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.databasePath) && !this.loadFailed;
+  }
+
+  /**
+   * Get the database reader, loading it on first use
+   * @returns {Reader|null}
+   */
+  getReader() {
+    if (this.reader || !this.isEnabled()) {
+      return this.reader;
+    }
+
+    try {
+      this.reader = new Reader(fs.readFileSync(this.databasePath));
+      logger.info('GeoIP database loaded', { path: this.databasePath });
+    } catch (error) {
+      this.loadFailed = true;
+      logger.error('Failed to load GeoIP database', { path: this.databasePath, error: error.message });
+    }
+
+    return this.reader;
+  }
+
+  /**
+   * Look up the timezone of an IP address
+   * @param {string} ip - IPv4 or IPv6 address
+   * @returns {string|null} IANA timezone, or null if unknown
+   */
+  getTimezone(ip) {
+    // Express reports IPv4 clients on dual-stack sockets as ::ffff:1.2.3.4
+    const address = String(ip || '').replace(/^::ffff:/, '');
+
+    if (!validate(address)) {
+      return null;
+    }
+
+    const reader = this.getReader();
+    if (!reader) {
+      return null;
+    }
+
+    try {
+      const record = reader.get(address);
+      return normalizeTimezone(record && record.location && record.location.time_zone);
+    } catch (error) {
+      logger.warn('GeoIP lookup failed', { ip: address, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Set a contact's timezone from an open's IP address if it has none
+   * @param {number} contactId - Contact ID
+   * @param {string} ip - IP address of the open
+   * @returns {string|null} Timezone set, or null if nothing changed
+   */
+  inferContactTimezone(contactId, ip) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const timezone = this.getTimezone(ip);
+
+    if (timezone && ContactModel.setInferredTimezone(contactId, timezone)) {
+      logger.debug('Contact timezone inferred', { contactId, timezone });
+      return timezone;
+    }
+
+    return null;
+  }
+
+  /**
+   * Infer timezones for all contacts without one from their latest open
+   * @returns {Object} { checked, inferred, unresolved }
+   */
+  inferFromOpenHistory() {
+    if (!this.getReader()) {
+      throw new Error('GeoIP database is not configured (set GEOIP_DATABASE)');
+    }
+
+    const opens = db.prepare(`
+      SELECT m.contact_id, me.ip_address
+      FROM message_events me
+      JOIN messages m ON m.id = me.message_id
+      JOIN contacts c ON c.id = m.contact_id
+      WHERE me.event_type = 'opened'
+        AND me.ip_address IS NOT NULL
+        AND c.timezone IS NULL
+        AND me.id = (
+          SELECT MAX(me2.id)
+          FROM message_events me2
+          JOIN messages m2 ON m2.id = me2.message_id
+          WHERE m2.contact_id = m.contact_id
+            AND me2.event_type = 'opened'
+            AND me2.ip_address IS NOT NULL
+        )
+    `).all();
+
+    let inferred = 0;
+
+    for (const open of opens) {
+      if (this.inferContactTimezone(open.contact_id, open.ip_address)) {
+        inferred++;
+      }
+    }
+
+    logger.info('Inferred contact timezones from open history', { checked: opens.length, inferred });
+
+    return {
+      checked: opens.length,
+      inferred,
+      unresolved: opens.length - inferred
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new GeoIpService();
@@ -0,0 +1,217 @@
+const juice = require('juice');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+/**
+ * HTML Compiler Service
+ * Turns template HTML into email-safe HTML before personalization: CSS from
+ * <style> blocks is inlined (media queries, font faces and :hover rules are
+ * kept in a <style> block for clients that support them) and a doctype,
+ * charset and viewport meta tags are added when missing. Results are cached
+ * per campaign so large sends compile once, not once per recipient.
+ */
+
+const JUICE_OPTIONS = {
+  removeStyleTags: true,
+  preserveMediaQueries: true,
+  preserveFontFaces: true,
+  preserveKeyFrames: true,
+  preservePseudos: true,
+  preserveImportant: true,
+  applyWidthAttributes: true,
+  applyHeightAttributes: true,
+  applyAttributesTableElements: true
+};
+
+// At-rules that survive compilation; everything else is dropped by juice
+const PRESERVED_AT_RULES = ['media', 'font-face', 'keyframes', '-webkit-keyframes', 'charset'];
+
+const DOCTYPE = '<!DOCTYPE html>';
+const CHARSET_META = '<meta http-equiv="Content-Type" content="text/html; charset=UTF-8">';
+const VIEWPORT_META = '<meta name="viewport" content="width=device-width, initial-scale=1.0">';
+
+class HtmlCompilerService {
+  constructor() {
+    this.cache = new Map(); // campaign ID -> { hash, result }
+    this.maxCacheSize = parseInt(process.env.HTML_COMPILE_CACHE_SIZE) || 100;
+  }
+
+  /**
+   * Compile HTML for sending
+   * Merge tags ({{first_name}}) pass through untouched.
+   * @param {string} html - Template HTML
+   * @returns {Object} { html, droppedCss, addedTags }
+   */
+  compile(html) {
+    if (!html) {
+      return { html: '', droppedCss: [], addedTags: [] };
+    }
+
+    const document = this.ensureDocument(html);
+    const droppedCss = this.findDroppedCss(document.html);
+
+    return {
+      html: juice(document.html, JUICE_OPTIONS),
+      droppedCss,
+      addedTags: document.addedTags
+    };
+  }
+
+  /**
+   * Compile a campaign's template HTML, reusing the cached result while the
+   * template is unchanged
+   * @param {Object} campaign - Campaign with id and template_body
+   * @returns {Object} { html, droppedCss, addedTags }
+   */
+  compileForCampaign(campaign) {
+    const hash = crypto.createHash('sha1').update(campaign.template_body || '').digest('hex');
+    const cached = this.cache.get(campaign.id);
+
+    if (cached && cached.hash === hash) {
+      // Refresh position so the least recently used campaign is evicted first
+      this.cache.delete(campaign.id);
+      this.cache.set(campaign.id, cached);
+      return cached.result;
+    }
+
+    const result = this.compile(campaign.template_body);
+
+    if (result.droppedCss.length > 0) {
+      logger.warn(`Campaign ${campaign.id} template has CSS that email clients will not see`, {
+        droppedCss: result.droppedCss
+      });
+    }
+
+    this.cache.delete(campaign.id);
+    this.cache.set(campaign.id, { hash, result });
+
+    if (this.cache.size > this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return result;
+  }
+
+  /**
+   * Drop a campaign's compiled HTML
+   * @param {number} campaignId - Campaign ID
+   */
+  invalidate(campaignId) {
+    this.cache.delete(parseInt(campaignId));
+  }
+
+  /**
+   * Wrap fragments in a full document and add missing doctype/meta tags
+   * @param {string} html - HTML content
+   * @returns {Object} { html, addedTags }
+   */
+  ensureDocument(html) {
+    const addedTags = [];
+    let result = html.trim();
+
+    if (!/<html[\s>]/i.test(result)) {
+      // Fragments keep their <style> blocks in the head, where juice leaves
+      // preserved media queries
+      const styles = [];
+      const body = result.replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, match => {
+        styles.push(match);
+        return '';
+      });
+
+      result = `<html><head>${styles.join('')}</head><body>${body}</body></html>`;
+    } else if (!/<head[\s>]/i.test(result)) {
+      result = result.replace(/<html\b[^>]*>/i, match => `${match}<head></head>`);
+    }
+
+    const headTags = [];
+
+    if (!/<meta\b[^>]*charset/i.test(result)) {
+      headTags.push(CHARSET_META);
+      addedTags.push('meta charset');
+    }
+
+    if (!/<meta\b[^>]*name\s*=\s*["']?viewport/i.test(result)) {
+      headTags.push(VIEWPORT_META);
+      addedTags.push('meta viewport');
+    }
+
+    if (headTags.length > 0) {
+      result = result.replace(/<head\b[^>]*>/i, match => `${match}${headTags.join('')}`);
+    }
+
+    if (!/^<!doctype/i.test(result)) {
+      result = `${DOCTYPE}${result}`;
+      addedTags.push('doctype');
+    }
+
+    return { html: result, addedTags };
+  }
+
+  /**
+   * List CSS that will not reach the recipient after inlining: external
+   * stylesheets, unsupported at-rules, pseudo-elements, invalid selectors
+   * and selectors that match nothing in the document
+   * @param {string} html - HTML content
+   * @returns {Array<string>} Descriptions of dropped CSS
+   */
+  findDroppedCss(html) {
+    const dropped = [];
+
+    const linkPattern = /<link\b[^>]*rel\s*=\s*["']?stylesheet[^>]*>/gi;
+    for (const link of html.match(linkPattern) || []) {
+      const href = link.match(/href\s*=\s*["']?([^"'\s>]+)/i);
+      dropped.push(href ? `External stylesheet ${href[1]} is not inlined` : 'External stylesheet is not inlined');
+    }
+
+    const css = [];
+    html.replace(/<style\b([^>]*)>([\s\S]*?)<\/style>/gi, (match, attributes, content) => {
+      // juice leaves data-embed blocks alone
+      if (!/data-embed/i.test(attributes)) {
+        css.push(content);
+      }
+      return match;
+    });
+
+    const styles = css.join('\n');
+
+    for (const [, name] of styles.matchAll(/@([a-z-]+)/gi)) {
+      if (!PRESERVED_AT_RULES.includes(name.toLowerCase())) {
+        dropped.push(`@${name} rule is not supported`);
+      }
+    }
+
+    const classes = new Set();
+    const ids = new Set();
+    html.replace(/\bclass\s*=\s*["']([^"']*)["']/gi, (match, value) => {
+      value.split(/\s+/).forEach(name => classes.add(name));
+      return match;
+    });
+    html.replace(/\bid\s*=\s*["']([^"']*)["']/gi, (match, value) => {
+      ids.add(value.trim());
+      return match;
+    });
+
+    // Media query contents are preserved as-is, so only top-level rules are checked
+    const topLevelCss = styles.replace(/@media[^{]*\{(?:[^{}]*\{[^{}]*\})*[^{}]*\}/gi, '');
+
+    for (const [selector] of juice.utils.parseCSS(topLevelCss)) {
+      if (!new juice.Selector(selector).parsed()) {
+        dropped.push(`Selector "${selector}" is invalid`);
+      } else if (selector.includes('::') || /:(before|after|first-line|first-letter)\b/i.test(selector)) {
+        dropped.push(`Pseudo-element "${selector}" cannot be inlined`);
+      } else if (!juice.ignoredPseudos.some(pseudo => selector.includes(`:${pseudo}`))) {
+        const missingClass = (selector.match(/\.[\w-]+/g) || []).some(name => !classes.has(name.slice(1)));
+        const missingId = (selector.match(/#[\w-]+/g) || []).some(name => !ids.has(name.slice(1)));
+
+        if (missingClass || missingId) {
+          dropped.push(`Selector "${selector}" matches no elements`);
+        }
+      }
+    }
+
+    return [...new Set(dropped)];
+  }
+}
+
+// Export singleton instance
+module.exports = new HtmlCompilerService();
@@ -1,8 +1,14 @@
 const QueueModel = require('../models/queue.model');
 const MessageModel = require('../models/message.model');
+const TransactionalMessageModel = require('../models/transactional-message.model');
+const SmtpConfigModel = require('../models/smtp-config.model');
 const emailService = require('./email.service');
 const bounceService = require('./bounce.service');
+const domainThrottle = require('./domain-throttle.service');
+const attachmentService = require('./attachment.service');
+const webhookService = require('./webhook.service');
 const { personalizeContent } = require('../utils/personalize');
+const verp = require('../utils/verp');
 const logger = require('../config/logger');
 
 class QueueService {
@@ -12,11 +18,17 @@ class QueueService {
     this.config = {
       pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL) || 5000, // 5 seconds
       batchSize: parseInt(process.env.QUEUE_BATCH_SIZE) || 10,
+      concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 5, // parallel sends
       rateLimit: parseInt(process.env.EMAIL_RATE_LIMIT) || 100, // emails per hour
       rateLimitWindow: parseInt(process.env.EMAIL_RATE_WINDOW) || 3600000 // 1 hour in ms
     };
     this.emailsSentInWindow = 0;
     this.windowStartTime = Date.now();
+    this.relayWindows = new Map(); // smtp_configs.id -> { count, startTime } for max_rate
+    this.inFlight = 0;
+    this.relayInFlight = new Map(); // smtp_configs.id -> sends currently in progress
+    this.webhooksInFlight = 0;
+    this.recentSends = []; // Timestamps of sends in the last minute, for throughput
   }
 
   /**
@@ -50,10 +62,12 @@ class QueueService {
   }
 
   /**
-   * Process pending jobs from queue
+   * Dispatch pending jobs to free worker slots
+   * Up to config.concurrency jobs run in parallel. Each finished job frees its
+   * slot and triggers another dispatch so workers stay busy between polls.
    */
-  async processQueue() {
-    // Prevent concurrent processing
+  processQueue() {
+    // Prevent concurrent dispatching
     if (this.isProcessing) {
       return;
     }
@@ -61,36 +75,138 @@ class QueueService {
     try {
       this.isProcessing = true;
 
+      // Workflow steps only enqueue emails, so they are not rate limited
+      this.processWorkflowSteps();
+
+      // Webhook deliveries are HTTP requests, not emails
+      this.processWebhookDeliveries();
+
+      if (this.inFlight >= this.config.concurrency) {
+        return;
+      }
+
+      const throttledDomains = domainThrottle.getThrottledDomains();
+
+      // Transactional emails take free slots first and are not held back by
+      // the hourly limit, which is meant for bulk sends
+      this.dispatchJobs(
+        QueueModel.getNextPending(this.config.batchSize, 'send_transactional', throttledDomains),
+        false
+      );
+
       // Check rate limit
       if (!this.canSendMore()) {
         logger.debug('Rate limit reached, waiting...');
         return;
       }
 
-      // Get next batch of pending jobs
-      const jobs = QueueModel.getNextPending(this.config.batchSize, 'send_email');
+      // Get next batch of pending jobs, skipping domains that are throttled
+      const jobs = QueueModel.getNextPending(
+        this.config.batchSize,
+        'send_email',
+        throttledDomains
+      );
+
+      this.dispatchJobs(jobs, true);
+    } catch (error) {
+      logger.error('Error processing queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
 
-      if (jobs.length === 0) {
-        return; // No jobs to process
+  /**
+   * Dispatch a batch of email jobs to free worker slots
+   * Jobs whose relay or recipient domain is at its limit stay pending.
+   * @param {Array<Object>} jobs - Pending send_email or send_transactional jobs
+   * @param {boolean} rateLimited - Stop once the hourly rate limit is reached
+   */
+  dispatchJobs(jobs, rateLimited) {
+    for (const job of jobs) {
+      if (this.inFlight >= this.config.concurrency) {
+        break;
       }
 
-      logger.info(`Processing ${jobs.length} jobs from queue`);
+      // Check rate limit again before each email
+      if (rateLimited && !this.canSendMore()) {
+        logger.info('Rate limit reached during batch processing');
+        break;
+      }
 
-      // Process each job
-      for (const job of jobs) {
-        // Check rate limit again before each email
-        if (!this.canSendMore()) {
-          logger.info('Rate limit reached during batch processing');
-          break;
-        }
+      const relay = this.getJobRelay(job.job_data.smtpConfigId);
 
-        await this.processJob(job);
+      // Leave the job pending if its relay has used up its hourly max_rate
+      if (relay && !this.canSendWithConfig(relay.id)) {
+        logger.debug(`SMTP config max_rate reached, deferring job ${job.id}`);
+        continue;
       }
-    } catch (error) {
-      logger.error('Error processing queue:', error);
-    } finally {
-      this.isProcessing = false;
+
+      // Earlier jobs in this batch may have filled the domain's limits
+      if (!domainThrottle.canSend(job.recipient_domain)) {
+        logger.debug(`Domain ${job.recipient_domain} throttled, deferring job ${job.id}`);
+        continue;
+      }
+
+      this.dispatchJob(job, relay ? relay.id : null);
+    }
+  }
+
+  /**
+   * Run the due steps of automation workflows
+   */
+  processWorkflowSteps() {
+    const jobs = QueueModel.getNextPending(this.config.batchSize, 'workflow_step');
+
+    for (const job of jobs) {
+      this.processJob(job);
+    }
+  }
+
+  /**
+   * Send pending webhook deliveries
+   * They have their own slots so slow endpoints do not hold up email sends.
+   */
+  processWebhookDeliveries() {
+    const slots = this.config.concurrency - this.webhooksInFlight;
+
+    if (slots <= 0) {
+      return;
+    }
+
+    for (const job of QueueModel.getNextPending(slots, 'webhook_delivery')) {
+      this.webhooksInFlight++;
+      this.processJob(job).finally(() => {
+        this.webhooksInFlight--;
+      });
+    }
+  }
+
+  /**
+   * Run a job in a worker slot without waiting for it
+   * @param {Object} job - Job object
+   * @param {number} relayId - SMTP config the job is expected to use (optional)
+   */
+  dispatchJob(job, relayId = null) {
+    this.inFlight++;
+    if (relayId) {
+      this.relayInFlight.set(relayId, (this.relayInFlight.get(relayId) || 0) + 1);
     }
+    domainThrottle.acquire(job.recipient_domain);
+
+    // processJob marks the job as processing synchronously, so the next
+    // dispatch will not pick it up again
+    this.processJob(job).finally(() => {
+      this.inFlight--;
+      if (relayId) {
+        this.relayInFlight.set(relayId, this.relayInFlight.get(relayId) - 1);
+      }
+      domainThrottle.release(job.recipient_domain);
+
+      // Refill the freed slot without waiting for the next poll
+      if (this.processingInterval) {
+        setImmediate(() => this.processQueue());
+      }
+    });
   }
 
   /**
@@ -107,10 +223,22 @@ class QueueService {
           await this.processSendEmailJob(job);
           break;
 
+        case 'send_transactional':
+          await this.processTransactionalJob(job);
+          break;
+
         case 'send_campaign':
           await this.processSendCampaignJob(job);
           break;
 
+        case 'workflow_step':
+          this.processWorkflowStepJob(job);
+          break;
+
+        case 'webhook_delivery':
+          await this.processWebhookDeliveryJob(job);
+          break;
+
         default:
           logger.warn(`Unknown job type: ${job.job_type}`);
           QueueModel.markFailed(job.id, `Unknown job type: ${job.job_type}`);
@@ -126,7 +254,7 @@ class QueueService {
    * @param {Object} job - Job object
    */
   async processSendEmailJob(job) {
-    const { messageId, email, subject, html, text, from, fromName, replyTo, headers, tracking, contactId } = job.job_data;
+    const { messageId, email, subject, html, text, from, fromName, replyTo, headers, tracking, contactId, smtpConfigId, sandbox, attachments } = job.job_data;
 
     try {
       // Get message from database
@@ -143,6 +271,20 @@ class QueueService {
         return;
       }
 
+      // The campaign was aborted after this job was picked up
+      if (message.status === 'cancelled') {
+        logger.info(`Message ${messageId} cancelled, skipping`);
+        QueueModel.markCompleted(job.id);
+        return;
+      }
+
+      // The campaign was paused after this job was picked up; wait for the resume
+      if (message.status === 'paused') {
+        logger.info(`Message ${messageId} paused, returning job ${job.id} to the queue`);
+        QueueModel.updateStatus(job.id, 'pending');
+        return;
+      }
+
       // Check if contact should be skipped (bounced/unsubscribed)
       if (contactId && bounceService.shouldSkipContact(contactId)) {
         logger.info(`Skipping message ${messageId} - contact ${contactId} is bounced or unsubscribed`);
@@ -164,14 +306,29 @@ class QueueService {
         replyTo,
         headers,
         messageId: message.message_id,
+        returnPath: verp.createReturnPath(messageId),
+        smtpConfigId,
+        sandbox: sandbox === true,
+        attachments: attachmentService.toMailAttachments(attachments),
         tracking: tracking || null // Pass tracking info if available
       });
 
+      // Feed the recipient domain's throttle
+      const domain = domainThrottle.getDomain(email);
+      if (result.success) {
+        domainThrottle.recordAccepted(domain);
+      } else if (domainThrottle.isDeferral(result)) {
+        domainThrottle.recordDeferral(domain, result.error);
+      }
+
       // Update message status based on result
       if (result.success) {
-        MessageModel.updateStatus(messageId, 'sent');
+        MessageModel.updateStatus(messageId, 'sent', {
+          smtp_config_id: result.smtpConfigId,
+          failover_reason: result.failoverReason
+        });
         QueueModel.markCompleted(job.id);
-        this.incrementEmailCount();
+        this.incrementEmailCount(result.smtpConfigId);
 
         logger.info(`Email sent successfully: ${messageId} to ${email}`);
       } else {
@@ -182,20 +339,26 @@ class QueueService {
           response: result.error
         };
 
-        const bounceInfo = bounceService.processBounce(contactId || message.contact_id, messageId, errorObj);
+        // Matches QueueModel.markFailed, which counts this attempt
+        const shouldRetry = (job.retry_count || 0) + 1 < (job.max_retries || 3);
+
+        const bounceInfo = bounceService.processBounce(contactId || message.contact_id, messageId, errorObj, 'smtp', { willRetry: shouldRetry });
 
         if (bounceInfo && bounceInfo.bounceType === 'hard') {
           MessageModel.updateStatus(messageId, 'bounced', {
-            error_message: result.error
+            error_message: result.error,
+            smtp_config_id: result.smtpConfigId,
+            failover_reason: result.failoverReason
           });
           QueueModel.markFailed(job.id, result.error, false); // Don't retry hard bounces
           logger.error(`Hard bounce: ${messageId} to ${email} - ${result.error}`);
         } else {
           MessageModel.updateStatus(messageId, 'failed', {
-            error_message: result.error
+            error_message: result.error,
+            smtp_config_id: result.smtpConfigId,
+            failover_reason: result.failoverReason
           });
           // Retry soft bounces up to max_retries
-          const shouldRetry = job.retry_count < (job.max_retries || 3);
           QueueModel.markFailed(job.id, result.error, shouldRetry);
           logger.error(`Soft bounce/failure: ${messageId} to ${email} - ${result.error} (retry: ${shouldRetry})`);
         }
@@ -209,6 +372,105 @@ class QueueService {
     }
   }
 
+  /**
+   * Process send_transactional job
+   * Transactional messages have no VERP return path (it encodes a campaign
+   * message ID), so only failures reported during the send are classified.
+   * @param {Object} job - Job object
+   */
+  async processTransactionalJob(job) {
+    const { transactionalMessageId, email, subject, html, text, from, fromName, replyTo, headers, contactId, smtpConfigId, sandbox, attachments } = job.job_data;
+
+    try {
+      const message = TransactionalMessageModel.getById(transactionalMessageId);
+
+      if (!message) {
+        throw new Error(`Transactional message ${transactionalMessageId} not found`);
+      }
+
+      if (['sent', 'delivered', 'bounced'].includes(message.status)) {
+        logger.info(`Transactional message ${transactionalMessageId} already ${message.status}, skipping`);
+        QueueModel.markCompleted(job.id);
+        return;
+      }
+
+      const result = await emailService.sendEmail({
+        to: email,
+        subject,
+        html,
+        text,
+        from,
+        fromName,
+        replyTo,
+        headers,
+        messageId: message.message_id,
+        smtpConfigId,
+        sandbox: sandbox === true,
+        attachments: attachmentService.toMailAttachments(attachments),
+        transactional: true,
+        // Transactional messages are not marketing content
+        validateContent: false
+      });
+
+      // Feed the recipient domain's throttle
+      const domain = domainThrottle.getDomain(email);
+      if (result.success) {
+        domainThrottle.recordAccepted(domain);
+      } else if (domainThrottle.isDeferral(result)) {
+        domainThrottle.recordDeferral(domain, result.error);
+      }
+
+      const relayData = {
+        smtp_config_id: result.smtpConfigId,
+        failover_reason: result.failoverReason
+      };
+
+      if (result.success) {
+        TransactionalMessageModel.updateStatus(transactionalMessageId, 'sent', relayData);
+        TransactionalMessageModel.addEvent(transactionalMessageId, 'sent', { smtp_config_id: result.smtpConfigId || null });
+        QueueModel.markCompleted(job.id);
+        this.incrementEmailCount(result.smtpConfigId);
+
+        logger.info(`Transactional email sent: ${transactionalMessageId} to ${email}`);
+        return;
+      }
+
+      const errorObj = {
+        responseCode: result.code,
+        message: result.error,
+        response: result.error
+      };
+
+      // Matches QueueModel.markFailed, which counts this attempt
+      const shouldRetry = (job.retry_count || 0) + 1 < (job.max_retries || 3);
+
+      // Known contacts get the bounce recorded against them like any other
+      const bounceInfo = contactId
+        ? bounceService.processBounce(contactId, null, errorObj, 'smtp', { willRetry: shouldRetry })
+        : bounceService.classifyError(errorObj);
+
+      if (bounceInfo && bounceInfo.bounceType === 'hard') {
+        TransactionalMessageModel.updateStatus(transactionalMessageId, 'bounced', { error_message: result.error, ...relayData });
+        TransactionalMessageModel.addEvent(transactionalMessageId, 'bounced', { error: result.error, smtp_code: bounceInfo.smtpCode });
+        QueueModel.markFailed(job.id, result.error, false);
+        logger.error(`Transactional hard bounce: ${transactionalMessageId} to ${email} - ${result.error}`);
+        return;
+      }
+
+      // The message stays queued while the job is retried
+      TransactionalMessageModel.updateStatus(transactionalMessageId, shouldRetry ? 'queued' : 'failed', { error_message: result.error, ...relayData });
+      TransactionalMessageModel.addEvent(transactionalMessageId, 'failed', { error: result.error, will_retry: shouldRetry });
+      QueueModel.markFailed(job.id, result.error, shouldRetry);
+      logger.error(`Transactional send failed: ${transactionalMessageId} to ${email} - ${result.error} (retry: ${shouldRetry})`);
+    } catch (error) {
+      logger.error(`Error in send_transactional job ${job.id}:`, error);
+      TransactionalMessageModel.updateStatus(transactionalMessageId, 'failed', {
+        error_message: error.message
+      });
+      throw error; // Re-throw to mark job as failed
+    }
+  }
+
   /**
    * Process send_campaign job (meta job that creates individual email jobs)
    * @param {Object} job - Job object
@@ -220,8 +482,42 @@ class QueueService {
     QueueModel.markCompleted(job.id);
   }
 
+  /**
+   * Process workflow_step job (runs an enrollment's steps up to the next delay)
+   * @param {Object} job - Job object
+   */
+  processWorkflowStepJob(job) {
+    // Required here: the workflow service depends on the campaign service,
+    // which depends on this one
+    const workflowService = require('./workflow.service');
+
+    workflowService.processStepJob(job);
+  }
+
+  /**
+   * Process webhook_delivery job (sends one event to one endpoint)
+   * Failed deliveries are retried with exponential backoff.
+   * @param {Object} job - Job object
+   */
+  async processWebhookDeliveryJob(job) {
+    const { webhookId, eventId } = job.job_data;
+    const result = await webhookService.deliver(webhookId, eventId, (job.retry_count || 0) + 1);
+
+    if (result.skipped) {
+      logger.info(`Skipping webhook delivery job ${job.id}: ${result.skipped}`);
+    }
+
+    if (result.success === false) {
+      QueueModel.markFailed(job.id, result.error, true);
+      return;
+    }
+
+    QueueModel.markCompleted(job.id);
+  }
+
   /**
    * Check if we can send more emails based on rate limit
+   * Sends still in flight count against the limit.
    * @returns {boolean}
    */
   canSendMore() {
@@ -232,18 +528,97 @@ class QueueService {
     if (windowElapsed >= this.config.rateLimitWindow) {
       this.windowStartTime = now;
       this.emailsSentInWindow = 0;
-      return true;
     }
 
     // Check if we're under the limit
-    return this.emailsSentInWindow < this.config.rateLimit;
+    return this.emailsSentInWindow + this.inFlight < this.config.rateLimit;
+  }
+
+  /**
+   * Get the SMTP configuration a send_email job will try first
+   * @param {number} smtpConfigId - SMTP config ID (optional, uses active if not specified)
+   * @returns {Object|null} SMTP configuration, or null for the environment transporter
+   */
+  getJobRelay(smtpConfigId = null) {
+    return smtpConfigId
+      ? SmtpConfigModel.getById(smtpConfigId)
+      : SmtpConfigModel.getActive();
+  }
+
+  /**
+   * Check if the SMTP configuration a job will use is under its max_rate
+   * Sends still in flight through the relay count against the limit.
+   * @param {number} smtpConfigId - SMTP config ID (optional, uses active if not specified)
+   * @returns {boolean}
+   */
+  canSendWithConfig(smtpConfigId = null) {
+    const smtpConfig = this.getJobRelay(smtpConfigId);
+
+    // Environment transporter has no per-relay limit
+    if (!smtpConfig || !smtpConfig.max_rate) {
+      return true;
+    }
+
+    const inFlight = this.relayInFlight.get(smtpConfig.id) || 0;
+    return this.getRelayWindow(smtpConfig.id).count + inFlight < smtpConfig.max_rate;
+  }
+
+  /**
+   * Get the current hourly send window for an SMTP configuration
+   * @param {number} smtpConfigId - SMTP config ID
+   * @returns {Object} { count, startTime }
+   */
+  getRelayWindow(smtpConfigId) {
+    const now = Date.now();
+    let relayWindow = this.relayWindows.get(smtpConfigId);
+
+    // max_rate is configured per hour
+    if (!relayWindow || now - relayWindow.startTime >= 3600000) {
+      relayWindow = { count: 0, startTime: now };
+      this.relayWindows.set(smtpConfigId, relayWindow);
+    }
+
+    return relayWindow;
   }
 
   /**
    * Increment email count for rate limiting
+   * @param {number} smtpConfigId - SMTP config the email went through (optional)
    */
-  incrementEmailCount() {
+  incrementEmailCount(smtpConfigId = null) {
     this.emailsSentInWindow++;
+    this.recentSends.push(Date.now());
+    this.trimRecentSends();
+
+    if (smtpConfigId) {
+      this.getRelayWindow(smtpConfigId).count++;
+    }
+  }
+
+  /**
+   * Drop sends that have left the one-minute throughput window
+   */
+  trimRecentSends() {
+    const cutoff = Date.now() - 60000;
+
+    while (this.recentSends.length > 0 && this.recentSends[0] < cutoff) {
+      this.recentSends.shift();
+    }
+  }
+
+  /**
+   * Get live send throughput
+   * @returns {Object} Throughput over the last minute and current worker usage
+   */
+  getThroughput() {
+    this.trimRecentSends();
+
+    return {
+      messagesPerSecond: Math.round((this.recentSends.length / 60) * 100) / 100,
+      sentLastMinute: this.recentSends.length,
+      inFlight: this.inFlight,
+      concurrency: this.config.concurrency
+    };
   }
 
   /**
@@ -255,12 +630,27 @@ class QueueService {
     const windowElapsed = now - this.windowStartTime;
     const windowRemaining = Math.max(0, this.config.rateLimitWindow - windowElapsed);
 
+    const relays = SmtpConfigModel.getAll().map(smtpConfig => {
+      const relayWindow = this.getRelayWindow(smtpConfig.id);
+
+      return {
+        smtpConfigId: smtpConfig.id,
+        name: smtpConfig.name,
+        emailsSent: relayWindow.count,
+        inFlight: this.relayInFlight.get(smtpConfig.id) || 0,
+        limit: smtpConfig.max_rate,
+        remaining: Math.max(0, smtpConfig.max_rate - relayWindow.count)
+      };
+    });
+
     return {
       emailsSent: this.emailsSentInWindow,
       limit: this.config.rateLimit,
       remaining: Math.max(0, this.config.rateLimit - this.emailsSentInWindow),
       windowRemaining: Math.ceil(windowRemaining / 1000), // seconds
-      canSendMore: this.canSendMore()
+      inFlight: this.inFlight,
+      canSendMore: this.canSendMore(),
+      relays
     };
   }
 
@@ -277,7 +667,9 @@ class QueueService {
       isProcessing: this.isProcessing,
       config: this.config,
       queueStats,
-      rateLimitStatus
+      rateLimitStatus,
+      throughput: this.getThroughput(),
+      domainThrottles: domainThrottle.getStatus()
     };
   }
 
@@ -296,14 +688,15 @@ class QueueService {
 
   /**
    * Bulk enqueue emails for sending
-   * @param {Array<Object>} emails - Array of email data
+   * @param {Array<Object>} emails - Array of email data; scheduledAt delays a job (optional)
    * @returns {number} Number of jobs created
    */
   bulkEnqueueEmails(emails) {
-    const jobs = emails.map(email => ({
+    const jobs = emails.map(({ scheduledAt, ...email }) => ({
       job_type: 'send_email',
       job_data: email,
-      priority: email.priority || 0
+      priority: email.priority || 0,
+      scheduled_at: scheduledAt
     }));
 
     return QueueModel.bulkEnqueue(jobs);
@@ -0,0 +1,286 @@
+const RecurringCampaignModel = require('../models/recurring-campaign.model');
+const CampaignModel = require('../models/campaign.model');
+const campaignService = require('./campaign.service');
+const { getOccurrences } = require('../utils/rrule');
+const { getOffset, normalizeTimezone } = require('../utils/timezone');
+const logger = require('../config/logger');
+
+// Fields that change when a series' occurrences fall
+const SCHEDULE_FIELDS = ['rrule', 'start_at', 'timezone', 'ends_on'];
+
+/**
+ * Recurring Campaign Service
+ * A recurring campaign is an RRULE series with campaign settings. When an
+ * occurrence is due, the scheduler creates a campaign from the series'
+ * template and list and sends it; every occurrence is recorded as sent,
+ * failed, skipped or missed.
+ *
+ * If the scheduler was down through several occurrences, only the latest is
+ * sent and the ones before it are recorded as missed.
+ */
+
+class RecurringCampaignService {
+  constructor() {
+    this.defaultTimezone = normalizeTimezone(process.env.DEFAULT_TIMEZONE) || 'UTC';
+  }
+
+  /**
+   * Get a series' next occurrences
+   * @param {Object} series - Recurring campaign
+   * @param {number} limit - Number of occurrences
+   * @param {Date} after - Only occurrences after this instant (default now)
+   * @returns {Array<Date>}
+   */
+  getUpcoming(series, limit = 5, after = new Date()) {
+    return getOccurrences(series.rrule, {
+      start: series.start_at,
+      timezone: series.timezone,
+      endsOn: series.ends_on,
+      after,
+      limit
+    });
+  }
+
+  /**
+   * Get a series' next occurrence
+   * @param {Object} series - Recurring campaign
+   * @param {Date} after - Only occurrences after this instant (default now)
+   * @returns {string|null} ISO timestamp, or null if the series has ended
+   */
+  getNextRun(series, after = new Date()) {
+    const [next] = this.getUpcoming(series, 1, after);
+    return next ? next.toISOString() : null;
+  }
+
+  /**
+   * Format an instant as a date in a timezone
+   * @param {string} instant - ISO timestamp
+   * @param {string} timezone - IANA timezone
+   * @returns {string} "YYYY-MM-DD"
+   */
+  formatLocalDate(instant, timezone) {
+    const date = new Date(instant);
+    return new Date(date.getTime() + getOffset(date, timezone)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get a recurring campaign with its history and next occurrences
+   * @param {number} id - Recurring campaign ID
+   * @returns {Object|null}
+   */
+  getRecurringCampaign(id) {
+    const series = RecurringCampaignModel.getById(id);
+
+    if (!series) {
+      return null;
+    }
+
+    // Occurrences before next_run_at were skipped or, while paused, are dropped
+    const from = series.next_run_at && (series.status === 'active' || new Date(series.next_run_at) > new Date())
+      ? new Date(new Date(series.next_run_at).getTime() - 1)
+      : new Date();
+
+    return {
+      ...series,
+      occurrences: RecurringCampaignModel.getOccurrences(id),
+      upcoming: series.status === 'ended' ? [] : this.getUpcoming(series, 5, from).map(date => date.toISOString())
+    };
+  }
+
+  /**
+   * Create a recurring campaign
+   * @param {Object} data - Campaign settings plus rrule, start_at, timezone and ends_on
+   * @returns {Object} Created recurring campaign
+   */
+  createRecurringCampaign(data) {
+    const series = {
+      ...data,
+      timezone: normalizeTimezone(data.timezone) || this.defaultTimezone
+    };
+
+    const nextRunAt = this.getNextRun(series);
+
+    if (!nextRunAt) {
+      throw new Error('The schedule has no occurrences in the future');
+    }
+
+    const created = RecurringCampaignModel.create({ ...series, status: 'active', next_run_at: nextRunAt });
+
+    logger.info(`Recurring campaign ${created.id} created, first occurrence at ${nextRunAt}`);
+    return created;
+  }
+
+  /**
+   * Update a recurring campaign
+   * Schedule changes apply from now on; campaigns already sent are not touched.
+   * @param {number} id - Recurring campaign ID
+   * @param {Object} data - Fields to update
+   * @returns {Object} Updated recurring campaign
+   */
+  updateRecurringCampaign(id, data) {
+    const series = RecurringCampaignModel.getById(id);
+
+    if (!series) {
+      throw new Error(`Recurring campaign ${id} not found`);
+    }
+
+    const updates = { ...data };
+
+    if (updates.timezone !== undefined) {
+      updates.timezone = normalizeTimezone(updates.timezone) || this.defaultTimezone;
+    }
+
+    if (SCHEDULE_FIELDS.some(field => updates[field] !== undefined)) {
+      const nextRunAt = this.getNextRun({ ...series, ...updates });
+
+      updates.next_run_at = nextRunAt;
+
+      if (!nextRunAt && series.status === 'active') {
+        updates.status = 'ended';
+      } else if (nextRunAt && series.status === 'ended') {
+        updates.status = 'active';
+      }
+    }
+
+    return RecurringCampaignModel.update(id, updates);
+  }
+
+  /**
+   * Pause a recurring campaign; occurrences while paused are not sent
+   * @param {number} id - Recurring campaign ID
+   * @returns {Object} Updated recurring campaign
+   */
+  pauseRecurringCampaign(id) {
+    const series = RecurringCampaignModel.getById(id);
+
+    if (!series) {
+      throw new Error(`Recurring campaign ${id} not found`);
+    }
+
+    if (series.status !== 'active') {
+      throw new Error('Only active recurring campaigns can be paused');
+    }
+
+    logger.info(`Recurring campaign ${id} paused`);
+    return RecurringCampaignModel.update(id, { status: 'paused' });
+  }
+
+  /**
+   * Resume a paused recurring campaign from its next occurrence after now
+   * @param {number} id - Recurring campaign ID
+   * @returns {Object} Updated recurring campaign
+   */
+  resumeRecurringCampaign(id) {
+    const series = RecurringCampaignModel.getById(id);
+
+    if (!series) {
+      throw new Error(`Recurring campaign ${id} not found`);
+    }
+
+    if (series.status !== 'paused') {
+      throw new Error('Only paused recurring campaigns can be resumed');
+    }
+
+    // Keep a skipped-to occurrence that is still ahead; occurrences while paused are dropped
+    const nextRunAt = series.next_run_at && new Date(series.next_run_at) > new Date()
+      ? series.next_run_at
+      : this.getNextRun(series);
+
+    logger.info(`Recurring campaign ${id} resumed, next occurrence at ${nextRunAt || 'none'}`);
+    return RecurringCampaignModel.update(id, {
+      status: nextRunAt ? 'active' : 'ended',
+      next_run_at: nextRunAt
+    });
+  }
+
+  /**
+   * Skip a recurring campaign's next occurrence
+   * @param {number} id - Recurring campaign ID
+   * @returns {Object} Updated recurring campaign
+   */
+  skipNextOccurrence(id) {
+    const series = RecurringCampaignModel.getById(id);
+
+    if (!series) {
+      throw new Error(`Recurring campaign ${id} not found`);
+    }
+
+    if (series.status !== 'active' || !series.next_run_at) {
+      throw new Error('Only the next occurrence of an active recurring campaign can be skipped');
+    }
+
+    RecurringCampaignModel.claimOccurrence(id, series.next_run_at, 'skipped');
+
+    const nextRunAt = this.getNextRun(series, new Date(series.next_run_at));
+
+    logger.info(`Recurring campaign ${id} skipped occurrence at ${series.next_run_at}`);
+    return RecurringCampaignModel.update(id, {
+      next_run_at: nextRunAt,
+      ...(nextRunAt ? {} : { status: 'ended' })
+    });
+  }
+
+  /**
+   * Send a due occurrence of a recurring campaign and move to the next one
+   * @param {Object} series - Recurring campaign (from RecurringCampaignModel.getDue)
+   * @returns {Object|null} { occurrence, campaign }, or null if the occurrence was already claimed
+   */
+  async runDueOccurrence(series) {
+    const now = new Date();
+    let scheduledFor = series.next_run_at;
+    let nextRunAt = this.getNextRun(series, new Date(scheduledFor));
+
+    // Only the latest due occurrence is sent after downtime
+    while (nextRunAt && new Date(nextRunAt) <= now) {
+      RecurringCampaignModel.claimOccurrence(series.id, scheduledFor, 'missed');
+      scheduledFor = nextRunAt;
+      nextRunAt = this.getNextRun(series, new Date(scheduledFor));
+    }
+
+    const occurrenceId = RecurringCampaignModel.claimOccurrence(series.id, scheduledFor, 'pending');
+
+    RecurringCampaignModel.update(series.id, {
+      next_run_at: nextRunAt,
+      ...(nextRunAt ? {} : { status: 'ended' })
+    });
+
+    if (!occurrenceId) {
+      return null;
+    }
+
+    let campaign = null;
+
+    try {
+      campaign = CampaignModel.create({
+        name: `${series.name} - ${this.formatLocalDate(scheduledFor, series.timezone)}`,
+        template_id: series.template_id,
+        list_id: series.list_id,
+        from_email: series.from_email,
+        from_name: series.from_name,
+        reply_to: series.reply_to,
+        smtp_config_id: series.smtp_config_id,
+        sandbox: series.sandbox === 1,
+        track_replies: series.track_replies === 1,
+        subject: series.subject,
+        recurring_campaign_id: series.id
+      });
+
+      const result = await campaignService.sendCampaign(campaign.id);
+
+      RecurringCampaignModel.updateOccurrence(occurrenceId, { status: 'sent', campaign_id: campaign.id });
+      logger.info(`Recurring campaign ${series.id} sent occurrence ${scheduledFor} as campaign ${campaign.id}: ` +
+        `${result.messagesCreated} emails`);
+    } catch (error) {
+      logger.error(`Error sending occurrence ${scheduledFor} of recurring campaign ${series.id}:`, error);
+      RecurringCampaignModel.updateOccurrence(occurrenceId, {
+        status: 'failed',
+        campaign_id: campaign ? campaign.id : null,
+        error_message: error.message
+      });
+    }
+
+    return { occurrence: scheduledFor, campaign };
+  }
+}
+
+module.exports = new RecurringCampaignService();
@@ -0,0 +1,185 @@
+const path = require('path');
+const { db } = require('../config/database');
+const MessageModel = require('../models/message.model');
+const ContactModel = require('../models/contact.model');
+const ReplyModel = require('../models/reply.model');
+const { parseReply } = require('../utils/reply-parser');
+const { processDropDirectory } = require('../utils/mail-drop');
+const verp = require('../utils/verp');
+const logger = require('../config/logger');
+
+/**
+ * Reply Service
+ * Records replies to campaign messages. Campaigns with reply tracking send
+ * each message with its own Reply-To address (see utils/verp), and the inbound
+ * MTA delivers that mailbox to a drop directory (maildir or .eml/mbox files)
+ * or posts it to the API. Human replies are stored and recorded as 'replied'
+ * message events; auto-replies are stored but flagged and kept out of the
+ * engagement events.
+ */
+
+class ReplyService {
+  constructor() {
+    this.dropDir = process.env.REPLY_DROP_DIR || path.join(__dirname, '../../data/replies');
+    this.checkInterval = parseInt(process.env.REPLY_CHECK_INTERVAL) || 60000; // 1 minute
+    this.interval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start polling the drop directory
+   */
+  start() {
+    if (this.interval) {
+      logger.warn('Reply processor already running');
+      return;
+    }
+
+    logger.info(`Starting reply processor on ${this.dropDir} (checking every ${this.checkInterval / 1000}s)`);
+
+    this.interval = setInterval(() => {
+      this.scan();
+    }, this.checkInterval);
+
+    this.scan();
+  }
+
+  /**
+   * Stop polling the drop directory
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('Reply processor stopped');
+    }
+  }
+
+  /**
+   * Process every file waiting in the drop directory
+   * @returns {Object} { files, messages, processed, ignored, failed }
+   */
+  scan() {
+    let stats = { files: 0, messages: 0, processed: 0, ignored: 0, failed: 0 };
+
+    if (this.isRunning) {
+      return stats;
+    }
+
+    try {
+      this.isRunning = true;
+      stats = processDropDirectory(this.dropDir, raw => this.processReply(raw));
+
+      if (stats.files > 0) {
+        logger.info('Reply drop directory processed', stats);
+      }
+    } catch (error) {
+      logger.error('Error scanning reply drop directory:', error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Find the message a reply answers
+   * The reply address it was delivered to is trusted first; In-Reply-To and
+   * References are the fallback for replies sent to the plain reply_to address.
+   * @param {Object} reply - Parsed reply
+   * @returns {Object|null} Message
+   */
+  findMessage(reply) {
+    for (const address of reply.deliveredTo) {
+      const messageId = verp.parseReplyAddress(address);
+      if (messageId) {
+        const message = MessageModel.getById(messageId);
+        if (message) return message;
+      }
+    }
+
+    const threadIds = [reply.inReplyTo, ...reply.references.slice().reverse()].filter(Boolean);
+
+    for (const threadId of threadIds) {
+      const message = MessageModel.getByMessageId(threadId);
+      if (message) return message;
+    }
+
+    return null;
+  }
+
+  /**
+   * Process one raw reply
+   * @param {string} raw - Raw RFC 822 message
+   * @returns {Object} { status: 'processed' | 'ignored', reason, reply }
+   */
+  processReply(raw) {
+    const parsed = parseReply(raw);
+
+    if (!parsed || !parsed.fromEmail) {
+      return { status: 'ignored', reason: 'Not a reply' };
+    }
+
+    // The same reply may be delivered to the drop directory and posted
+    if (parsed.messageId && ReplyModel.getByHeaderMessageId(parsed.messageId)) {
+      return { status: 'ignored', reason: 'Reply already recorded' };
+    }
+
+    const message = this.findMessage(parsed);
+    const contact = message ? null : ContactModel.getByEmail(parsed.fromEmail);
+
+    if (!message && !contact) {
+      logger.warn('Reply does not match any message or contact', {
+        from: parsed.fromEmail,
+        inReplyTo: parsed.inReplyTo
+      });
+      return { status: 'ignored', reason: 'No matching message or contact' };
+    }
+
+    const isAutoReply = Boolean(parsed.autoReplyReason);
+    const receivedAt = parsed.date ? new Date(parsed.date) : null;
+
+    const reply = db.transaction(() => {
+      const created = ReplyModel.create({
+        message_id: message?.id,
+        campaign_id: message?.campaign_id,
+        contact_id: message ? message.contact_id : contact.id,
+        from_email: parsed.fromEmail,
+        from_name: parsed.fromName,
+        subject: parsed.subject,
+        text_body: parsed.text,
+        html_body: parsed.html,
+        header_message_id: parsed.messageId,
+        in_reply_to: parsed.inReplyTo,
+        is_auto_reply: isAutoReply,
+        auto_reply_reason: parsed.autoReplyReason,
+        received_at: receivedAt && !isNaN(receivedAt) ? receivedAt.toISOString() : null
+      });
+
+      // Out-of-office messages are not engagement
+      if (message && !isAutoReply) {
+        db.prepare(`
+          INSERT INTO message_events (message_id, event_type, event_data, ip_address, user_agent, created_at)
+          VALUES (?, ?, ?, ?, ?, datetime('now'))
+        `).run(message.id, 'replied', JSON.stringify({
+          reply_id: created.id,
+          subject: parsed.subject,
+          timestamp: new Date().toISOString()
+        }), null, null);
+      }
+
+      return created;
+    })();
+
+    logger.info(`${isAutoReply ? 'Auto-reply' : 'Reply'} recorded from ${parsed.fromEmail}`, {
+      replyId: reply.id,
+      messageId: message?.id,
+      campaignId: message?.campaign_id
+    });
+
+    return { status: 'processed', reply };
+  }
+}
+
+// Export singleton instance
+module.exports = new ReplyService();
@@ -1,5 +1,9 @@
 const { db } = require('../config/database');
 const campaignService = require('./campaign.service');
+const AbTestModel = require('../models/ab-test.model');
+const RecurringCampaignModel = require('../models/recurring-campaign.model');
+const recurringCampaignService = require('./recurring-campaign.service');
+const workflowService = require('./workflow.service');
 const logger = require('../config/logger');
 
 class SchedulerService {
@@ -23,10 +27,18 @@ class SchedulerService {
 
     this.interval = setInterval(() => {
       this.checkScheduledCampaigns();
+      this.checkRecurringCampaigns();
+      this.checkAbTests();
+      this.checkSendingCampaigns();
+      this.checkWorkflowAnniversaries();
     }, this.checkInterval);
 
     // Check immediately on start
     this.checkScheduledCampaigns();
+    this.checkRecurringCampaigns();
+    this.checkAbTests();
+    this.checkSendingCampaigns();
+    this.checkWorkflowAnniversaries();
   }
 
   /**
@@ -95,6 +107,80 @@ class SchedulerService {
     }
   }
 
+  /**
+   * Send the due occurrences of recurring campaigns
+   * Occurrences are claimed in the database, so an overlapping check cannot
+   * send one twice.
+   */
+  async checkRecurringCampaigns() {
+    try {
+      const dueSeries = RecurringCampaignModel.getDue();
+
+      for (const series of dueSeries) {
+        try {
+          await recurringCampaignService.runDueOccurrence(series);
+        } catch (error) {
+          logger.error(`Error running recurring campaign ${series.id}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking recurring campaigns:', error);
+    }
+  }
+
+  /**
+   * Send the winners of A/B tests whose wait window has ended
+   */
+  async checkAbTests() {
+    try {
+      const dueTests = AbTestModel.getDue();
+
+      for (const test of dueTests) {
+        try {
+          await campaignService.sendAbTestWinner(test.campaign_id);
+        } catch (error) {
+          logger.error(`Error sending A/B test winner for campaign ${test.campaign_id}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking A/B tests:', error);
+    }
+  }
+
+  /**
+   * Mark sending campaigns as sent once their last email has gone out
+   * Campaigns sent at recipients' local time stay in 'sending' until the last
+   * timezone has been delivered to.
+   */
+  checkSendingCampaigns() {
+    try {
+      const sendingCampaigns = db.prepare(`
+        SELECT id FROM campaigns WHERE status = 'sending'
+      `).all();
+
+      for (const campaign of sendingCampaigns) {
+        campaignService.checkCampaignCompletion(campaign.id);
+      }
+    } catch (error) {
+      logger.error('Error checking sending campaigns:', error);
+    }
+  }
+
+  /**
+   * Enroll contacts in workflows triggered by a yearly date field
+   */
+  checkWorkflowAnniversaries() {
+    try {
+      const enrolled = workflowService.checkAnniversaries();
+
+      if (enrolled > 0) {
+        logger.info(`Enrolled ${enrolled} contacts in anniversary workflows`);
+      }
+    } catch (error) {
+      logger.error('Error checking workflow anniversaries:', error);
+    }
+  }
+
   /**
    * Send a scheduled campaign
    * @param {Object} campaign - Campaign object
@@ -103,14 +189,8 @@ class SchedulerService {
     try {
       logger.info(`Sending scheduled campaign: ${campaign.id} - ${campaign.name}`);
 
-      // Update status to sending
-      db.prepare(`
-        UPDATE campaigns
-        SET status = 'sending', started_at = datetime('now')
-        WHERE id = ?
-      `).run(campaign.id);
-
-      // Send campaign using campaign service
+      // Send campaign using campaign service (moves it to 'sending'; validation
+      // rejects campaigns that are already sending)
       const result = await campaignService.sendCampaign(campaign.id);
 
       logger.info(`Scheduled campaign ${campaign.id} queued successfully: ${result.messagesQueued} emails`);
@@ -273,6 +353,39 @@ class SchedulerService {
     }
   }
 
+  /**
+   * Get the next occurrences of active recurring campaigns
+   * @param {number} limit - Number of occurrences to return
+   * @returns {Array} Occurrences ({ recurring_campaign_id, name, scheduled_for, ... }), soonest first
+   */
+  getUpcomingOccurrences(limit = 10) {
+    try {
+      const occurrences = [];
+
+      for (const series of RecurringCampaignModel.getAll('active')) {
+        const after = series.next_run_at ? new Date(new Date(series.next_run_at).getTime() - 1) : new Date();
+
+        for (const date of recurringCampaignService.getUpcoming(series, limit, after)) {
+          occurrences.push({
+            recurring_campaign_id: series.id,
+            name: series.name,
+            template_name: series.template_name,
+            list_name: series.list_name,
+            timezone: series.timezone,
+            scheduled_for: date.toISOString()
+          });
+        }
+      }
+
+      return occurrences
+        .sort((a, b) => a.scheduled_for.localeCompare(b.scheduled_for))
+        .slice(0, limit);
+    } catch (error) {
+      logger.error('Error getting upcoming recurring occurrences:', error);
+      return [];
+    }
+  }
+
   /**
    * Get scheduler status
    * @returns {Object} Scheduler status
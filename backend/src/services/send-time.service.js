@@ -0,0 +1,277 @@
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+const { normalizeTimezone, zonedTimeToUtc } = require('../utils/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Keeps IN (...) lists well under SQLite's bound parameter limit
+const QUERY_CHUNK_SIZE = 500;
+
+/**
+ * Send Time Optimization Service
+ * Plans a send time for each contact of a campaign from the hours (UTC) they
+ * opened earlier messages. Every contact is sent to once within the 24 hours
+ * after the campaign starts, at their most frequent open hour; contacts
+ * without open history get the audience-wide best hour. Sends within an hour
+ * are spread evenly across it.
+ *
+ * Local-time scheduling instead sends every contact at the same wall-clock
+ * time in their own timezone, one batch per timezone. Contacts without a
+ * timezone use DEFAULT_TIMEZONE.
+ */
+
+class SendTimeService {
+  constructor() {
+    this.lookbackDays = parseInt(process.env.SEND_TIME_LOOKBACK_DAYS) || 180;
+    this.defaultTimezone = normalizeTimezone(process.env.DEFAULT_TIMEZONE) || 'UTC';
+  }
+
+  /**
+   * Count opens per contact and hour of day
+   * @param {Array<number>} contactIds - Contact IDs
+   * @returns {Array<Object>} Rows of { contact_id, hour, opens, last_open }
+   */
+  getOpenHours(contactIds) {
+    const rows = [];
+
+    for (let i = 0; i < contactIds.length; i += QUERY_CHUNK_SIZE) {
+      const chunk = contactIds.slice(i, i + QUERY_CHUNK_SIZE);
+
+      rows.push(...db.prepare(`
+        SELECT
+          m.contact_id,
+          CAST(strftime('%H', me.created_at) AS INTEGER) as hour,
+          COUNT(*) as opens,
+          MAX(me.created_at) as last_open
+        FROM message_events me
+        JOIN messages m ON m.id = me.message_id
+        WHERE me.event_type = 'opened'
+          AND me.created_at >= datetime('now', '-${this.lookbackDays} days')
+          AND m.contact_id IN (${chunk.map(() => '?').join(', ')})
+        GROUP BY m.contact_id, hour
+      `).all(...chunk));
+    }
+
+    return rows;
+  }
+
+  /**
+   * Get each contact's most likely open hour
+   * Ties go to the hour of the most recent open.
+   * @param {Array<Object>} openHours - Rows from getOpenHours
+   * @returns {Map<number, number>} Contact ID to hour (0-23, UTC)
+   */
+  getBestHours(openHours) {
+    const best = new Map();
+
+    for (const row of openHours) {
+      const current = best.get(row.contact_id);
+
+      if (!current || row.opens > current.opens ||
+          (row.opens === current.opens && row.last_open > current.last_open)) {
+        best.set(row.contact_id, row);
+      }
+    }
+
+    return new Map([...best].map(([contactId, row]) => [contactId, row.hour]));
+  }
+
+  /**
+   * Get the hour with the most opens across an audience
+   * Falls back to opens by all contacts when the audience has no history.
+   * @param {Array<Object>} openHours - Rows from getOpenHours
+   * @returns {number|null} Hour (0-23, UTC), or null without any open history
+   */
+  getAudienceBestHour(openHours) {
+    let rows = openHours;
+
+    if (rows.length === 0) {
+      rows = db.prepare(`
+        SELECT CAST(strftime('%H', created_at) AS INTEGER) as hour, COUNT(*) as opens
+        FROM message_events
+        WHERE event_type = 'opened'
+          AND created_at >= datetime('now', '-${this.lookbackDays} days')
+        GROUP BY hour
+      `).all();
+    }
+
+    const totals = new Map();
+    for (const row of rows) {
+      totals.set(row.hour, (totals.get(row.hour) || 0) + row.opens);
+    }
+
+    let bestHour = null;
+    for (const [hour, opens] of totals) {
+      if (bestHour === null || opens > totals.get(bestHour)) {
+        bestHour = hour;
+      }
+    }
+
+    return bestHour;
+  }
+
+  /**
+   * Plan a send time for each contact within 24 hours of a start time
+   * @param {Array<number>} contactIds - Contact IDs
+   * @param {Date} startAt - Start of the send window (default now)
+   * @returns {Object} { sendTimes: Map<contactId, Date>, withHistory, withoutHistory, fallbackHour }
+   */
+  planSendTimes(contactIds, startAt = new Date()) {
+    const openHours = this.getOpenHours(contactIds);
+    const bestHours = this.getBestHours(openHours);
+    const audienceHour = this.getAudienceBestHour(openHours);
+    const fallbackHour = audienceHour === null ? startAt.getUTCHours() : audienceHour;
+
+    // Group contacts by the hour they are sent in
+    const byHour = new Map();
+    for (const contactId of contactIds) {
+      const hour = bestHours.has(contactId) ? bestHours.get(contactId) : fallbackHour;
+      if (!byHour.has(hour)) byHour.set(hour, []);
+      byHour.get(hour).push(contactId);
+    }
+
+    const windowStart = new Date(startAt);
+    windowStart.setUTCMinutes(0, 0, 0);
+
+    const sendTimes = new Map();
+
+    for (const [hour, contacts] of byHour) {
+      // Next occurrence of the hour; the hour the window starts in is today's
+      const slotStart = new Date(windowStart);
+      slotStart.setUTCHours(hour);
+      if (slotStart < windowStart) {
+        slotStart.setTime(slotStart.getTime() + 24 * HOUR_MS);
+      }
+
+      const from = Math.max(slotStart.getTime(), startAt.getTime());
+      const step = (slotStart.getTime() + HOUR_MS - from) / contacts.length;
+
+      contacts.forEach((contactId, index) => {
+        sendTimes.set(contactId, new Date(from + Math.floor(index * step)));
+      });
+    }
+
+    const withHistory = contactIds.filter(contactId => bestHours.has(contactId)).length;
+
+    logger.info(`Planned send times for ${contactIds.length} contacts`, {
+      withHistory,
+      withoutHistory: contactIds.length - withHistory,
+      fallbackHour
+    });
+
+    return {
+      sendTimes,
+      withHistory,
+      withoutHistory: contactIds.length - withHistory,
+      fallbackHour
+    };
+  }
+
+  /**
+   * Count planned sends per hour
+   * @param {Iterable<Date>} times - Planned send times
+   * @returns {Array<Object>} [{ hour: ISO start of hour, planned }] in time order
+   */
+  summarize(times) {
+    const counts = new Map();
+
+    for (const time of times) {
+      const hour = new Date(time);
+      hour.setUTCMinutes(0, 0, 0);
+      const key = hour.toISOString();
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    return [...counts]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([hour, planned]) => ({ hour, planned }));
+  }
+
+  /**
+   * Plan a send time for each contact at a wall-clock time in their timezone
+   * Timezones where the time has already passed are sent to immediately.
+   * @param {Array<Object>} contacts - Contacts with contact_id and timezone
+   * @param {string} localSendTime - Wall-clock time, "YYYY-MM-DDTHH:mm"
+   * @param {Date} now - Current time
+   * @returns {Object} { sendTimes: Map<contactId, Date>, zones: [{ timezone, sendAt, contacts, passed }],
+   *   withTimezone, withoutTimezone }
+   */
+  planLocalSendTimes(contacts, localSendTime, now = new Date()) {
+    const zones = new Map();
+    const sendTimes = new Map();
+    let withTimezone = 0;
+
+    for (const contact of contacts) {
+      const timezone = normalizeTimezone(contact.timezone);
+      if (timezone) withTimezone++;
+
+      const zone = timezone || this.defaultTimezone;
+
+      if (!zones.has(zone)) {
+        const instant = zonedTimeToUtc(localSendTime, zone);
+        if (!instant) {
+          throw new Error(`Invalid local send time: ${localSendTime}`);
+        }
+
+        zones.set(zone, {
+          timezone: zone,
+          sendAt: new Date(Math.max(instant.getTime(), now.getTime())),
+          contacts: 0,
+          passed: instant < now
+        });
+      }
+
+      const bucket = zones.get(zone);
+      bucket.contacts++;
+      sendTimes.set(contact.contact_id, bucket.sendAt);
+    }
+
+    return {
+      sendTimes,
+      zones: [...zones.values()].sort((a, b) => a.sendAt - b.sendAt),
+      withTimezone,
+      withoutTimezone: contacts.length - withTimezone
+    };
+  }
+
+  /**
+   * Get the delivery progress of a local-time campaign per timezone
+   * @param {number} campaignId - Campaign ID
+   * @returns {Array<Object>} [{ timezone, sendAt, planned, sent }] in send order
+   */
+  getCampaignZoneDistribution(campaignId) {
+    return db.prepare(`
+      SELECT
+        COALESCE(c.timezone, ?) as timezone,
+        MIN(m.scheduled_for) as sendAt,
+        COUNT(*) as planned,
+        SUM(CASE WHEN m.status IN ('sent', 'delivered') THEN 1 ELSE 0 END) as sent
+      FROM messages m
+      LEFT JOIN contacts c ON c.id = m.contact_id
+      WHERE m.campaign_id = ? AND m.scheduled_for IS NOT NULL
+      GROUP BY COALESCE(c.timezone, ?)
+      ORDER BY sendAt ASC
+    `).all(this.defaultTimezone, campaignId, this.defaultTimezone);
+  }
+
+  /**
+   * Get the delivery distribution of a campaign sent with send time optimization
+   * @param {number} campaignId - Campaign ID
+   * @returns {Array<Object>} [{ hour, planned, sent }] in time order
+   */
+  getCampaignDistribution(campaignId) {
+    return db.prepare(`
+      SELECT
+        strftime('%Y-%m-%dT%H:00:00.000Z', scheduled_for) as hour,
+        COUNT(*) as planned,
+        SUM(CASE WHEN status IN ('sent', 'delivered') THEN 1 ELSE 0 END) as sent
+      FROM messages
+      WHERE campaign_id = ? AND scheduled_for IS NOT NULL
+      GROUP BY hour
+      ORDER BY hour ASC
+    `).all(campaignId);
+  }
+}
+
+// Export singleton instance
+module.exports = new SendTimeService();
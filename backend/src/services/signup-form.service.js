@@ -0,0 +1,464 @@
+const crypto = require('crypto');
+const SignupFormModel = require('../models/signup-form.model');
+const ListModel = require('../models/list.model');
+const subscriptionService = require('./subscription.service');
+const logger = require('../config/logger');
+
+const FORM_TOKEN_SECRET = process.env.FORM_TOKEN_SECRET || process.env.ENCRYPTION_KEY || 'signup-form-development-secret';
+// Submissions sooner than this after the form was loaded are treated as bots
+const SIGNUP_FORM_MIN_SECONDS = parseInt(process.env.SIGNUP_FORM_MIN_SECONDS) || 3;
+// Form tokens older than this are rejected, so a token cannot be harvested once and reused
+const SIGNUP_FORM_TOKEN_TTL_HOURS = parseInt(process.env.SIGNUP_FORM_TOKEN_TTL_HOURS) || 24;
+
+// Hidden field people never see; bots that fill in every input fill it in too
+const HONEYPOT_FIELD = 'contact_website';
+
+// Contact fields a form can ask for besides the list's custom fields
+const CONTACT_FIELDS = {
+  first_name: 'First name',
+  last_name: 'Last name'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} value - Text
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Map a list custom field type to an input type
+ * Custom field types are free text, so anything unrecognised is a text input.
+ * @param {string} type - Custom field type
+ * @returns {string} email, number, date, url, tel, checkbox or text
+ */
+function inputType(type) {
+  const normalized = String(type || '').toLowerCase();
+
+  if (['number', 'integer', 'decimal'].includes(normalized)) return 'number';
+  if (['boolean', 'checkbox'].includes(normalized)) return 'checkbox';
+  if (['phone', 'tel'].includes(normalized)) return 'tel';
+  if (['email', 'date', 'url'].includes(normalized)) return normalized;
+  return 'text';
+}
+
+/**
+ * Signup Form Service
+ * Builds public signup forms from a list's custom fields, renders the
+ * embeddable snippets, and screens submissions (honeypot and time-to-submit
+ * checks, then validation against the list's field schema) before they are
+ * handed to the subscription service.
+ */
+
+class SignupFormService {
+  /**
+   * Check a form definition against its list
+   * @param {Object} data - Form fields (list_id, fields, redirect_url, status)
+   * @param {Object} list - The form's list
+   * @returns {string|null} Error message, or null if the form is valid
+   */
+  validate(data, list) {
+    const fields = data.fields || [];
+
+    if (!Array.isArray(fields)) {
+      return 'Fields must be an array';
+    }
+
+    const names = new Set();
+
+    for (const field of fields) {
+      if (!field || !field.name) {
+        return 'Every field needs a name';
+      }
+
+      if (!CONTACT_FIELDS[field.name] && !(field.name in list.custom_fields)) {
+        return `Field ${field.name} is not a custom field of list ${list.name}`;
+      }
+
+      if (names.has(field.name)) {
+        return `Field ${field.name} is included more than once`;
+      }
+
+      names.add(field.name);
+    }
+
+    if (data.redirect_url && !/^https?:\/\/\S+$/i.test(data.redirect_url)) {
+      return 'Redirect URL must be an http(s) URL';
+    }
+
+    if (data.status && !['active', 'disabled'].includes(data.status)) {
+      return 'Status must be active or disabled';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the input fields of a form, email first
+   * Fields whose custom field has since been removed from the list are left out.
+   * @param {Object} form - Form
+   * @param {Object} list - The form's list
+   * @returns {Array<Object>} { name, label, type, required }
+   */
+  getInputs(form, list) {
+    const inputs = [{ name: 'email', label: 'Email', type: 'email', required: true }];
+
+    form.fields.forEach(field => {
+      if (CONTACT_FIELDS[field.name]) {
+        inputs.push({ name: field.name, label: field.label || CONTACT_FIELDS[field.name], type: 'text', required: !!field.required });
+      } else if (field.name in list.custom_fields) {
+        inputs.push({
+          name: field.name,
+          label: field.label || field.name,
+          type: inputType(list.custom_fields[field.name]),
+          required: !!field.required
+        });
+      }
+    });
+
+    return inputs;
+  }
+
+  /**
+   * Sign a token recording when a form was loaded
+   * @param {number} formId - Form ID
+   * @param {number} issuedAt - Load time in milliseconds (optional)
+   * @returns {string} <formId>.<issuedAt>.<signature>
+   */
+  createToken(formId, issuedAt = Date.now()) {
+    const payload = `${formId}.${issuedAt}`;
+    const signature = crypto.createHmac('sha256', FORM_TOKEN_SECRET).update(payload).digest('hex').slice(0, 32);
+    return `${payload}.${signature}`;
+  }
+
+  /**
+   * Check a submission for signs of a bot
+   * @param {Object} form - Form
+   * @param {Object} body - Submitted values
+   * @returns {string|null} Why the submission looks automated, or null
+   */
+  checkSpam(form, body) {
+    if (body[HONEYPOT_FIELD]) {
+      return 'honeypot filled in';
+    }
+
+    const match = String(body._token || '').match(/^(\d+)\.(\d+)\.([0-9a-f]{32})$/);
+
+    if (!match || parseInt(match[1]) !== form.id) {
+      return 'missing or malformed form token';
+    }
+
+    const expected = this.createToken(form.id, parseInt(match[2]));
+    if (!crypto.timingSafeEqual(Buffer.from(body._token), Buffer.from(expected))) {
+      return 'invalid form token';
+    }
+
+    const elapsed = Date.now() - parseInt(match[2]);
+
+    if (elapsed < SIGNUP_FORM_MIN_SECONDS * 1000) {
+      return `submitted ${Math.round(elapsed / 1000)}s after loading the form`;
+    }
+
+    if (elapsed > SIGNUP_FORM_TOKEN_TTL_HOURS * 60 * 60 * 1000) {
+      return 'form token expired';
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a submission against the form's fields and the list's field schema
+   * @param {Object} form - Form
+   * @param {Object} list - The form's list
+   * @param {Object} body - Submitted values
+   * @returns {Object} { errors, data } - errors by field name (empty if valid),
+   *   data in the shape subscriptionService.subscribe takes
+   */
+  validateSubmission(form, list, body) {
+    const errors = {};
+    const data = { custom_field_values: {} };
+
+    this.getInputs(form, list).forEach(input => {
+      let value = body[input.name];
+      value = typeof value === 'string' ? value.trim() : value;
+
+      if (input.type === 'checkbox') {
+        value = [true, 'true', 'on', '1', 1].includes(value);
+
+        if (input.required && !value) {
+          errors[input.name] = `${input.label} is required`;
+        } else {
+          data.custom_field_values[input.name] = value;
+        }
+        return;
+      }
+
+      if (value === undefined || value === null || value === '') {
+        if (input.required) {
+          errors[input.name] = `${input.label} is required`;
+        }
+        return;
+      }
+
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors[input.name] = `${input.label} is invalid`;
+        return;
+      }
+
+      value = String(value);
+
+      if (value.length > MAX_VALUE_LENGTH) {
+        errors[input.name] = `${input.label} must be at most ${MAX_VALUE_LENGTH} characters`;
+      } else if (input.type === 'email' && !EMAIL_PATTERN.test(value)) {
+        errors[input.name] = `${input.label} must be a valid email address`;
+      } else if (input.type === 'number' && !Number.isFinite(Number(value))) {
+        errors[input.name] = `${input.label} must be a number`;
+      } else if (input.type === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)))) {
+        errors[input.name] = `${input.label} must be a date (YYYY-MM-DD)`;
+      } else if (input.type === 'url' && !/^https?:\/\/\S+$/i.test(value)) {
+        errors[input.name] = `${input.label} must be a URL`;
+      } else if (input.name === 'email' || CONTACT_FIELDS[input.name]) {
+        data[input.name] = value;
+      } else {
+        data.custom_field_values[input.name] = input.type === 'number' ? Number(value) : value;
+      }
+    });
+
+    return { errors, data };
+  }
+
+  /**
+   * Handle a public form submission
+   * Submissions that look automated are counted and dropped, but get the
+   * normal response so bots cannot tell they were caught.
+   * @param {Object} form - Form
+   * @param {Object} body - Submitted values
+   * @param {Object} consent - { ip, userAgent } of the request
+   * @returns {Promise<Object>} { status } or { errors }
+   */
+  async submit(form, body, consent) {
+    const list = ListModel.getById(form.list_id);
+    const status = list.double_opt_in ? 'pending' : 'subscribed';
+    const spamReason = this.checkSpam(form, body);
+
+    if (spamReason) {
+      SignupFormModel.recordEvent(form.id, 'spam_blocked');
+      logger.warn(`Signup form ${form.id} submission blocked from ${consent.ip}: ${spamReason}`);
+      return { status };
+    }
+
+    const { errors, data } = this.validateSubmission(form, list, body);
+
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+
+    const result = await subscriptionService.subscribe(list, data, consent);
+    SignupFormModel.recordEvent(form.id, 'submissions');
+
+    return { status: result.status };
+  }
+
+  /**
+   * Get a form's stats
+   * @param {Object} form - Form
+   * @param {number} days - Days of daily stats
+   * @returns {Object} Totals, conversion rate (submissions per view, %) and daily stats
+   */
+  getStats(form, days = 30) {
+    const daily = SignupFormModel.getDailyStats(form.id, days);
+    const totals = daily.reduce((sum, day) => ({
+      views: sum.views + day.views,
+      submissions: sum.submissions + day.submissions,
+      spam_blocked: sum.spam_blocked + day.spam_blocked
+    }), { views: 0, submissions: 0, spam_blocked: 0 });
+
+    return {
+      ...totals,
+      conversion_rate: totals.views > 0 ? Math.round(totals.submissions / totals.views * 10000) / 100 : 0,
+      days,
+      daily
+    };
+  }
+
+  /**
+   * Get the URLs a form is reached at
+   * @param {number} formId - Form ID
+   * @returns {Object} { definition, submit, embed, hosted }
+   */
+  getUrls(formId) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3001';
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    return {
+      definition: `${appUrl}/api/public/forms/${formId}`,
+      submit: `${appUrl}/api/public/forms/${formId}/submit`,
+      embed: `${appUrl}/api/public/forms/${formId}/embed.js`,
+      hosted: `${frontendUrl}/subscribe/${formId}`
+    };
+  }
+
+  /**
+   * Get the public definition of a form, with a fresh form token
+   * @param {Object} form - Form
+   * @param {Object} list - The form's list
+   * @returns {Object}
+   */
+  getPublicForm(form, list) {
+    return {
+      id: form.id,
+      title: form.title || list.name,
+      description: form.description,
+      button_text: form.button_text || 'Subscribe',
+      success_message: form.success_message,
+      redirect_url: form.redirect_url,
+      double_opt_in: !!list.double_opt_in,
+      fields: this.getInputs(form, list),
+      honeypot: HONEYPOT_FIELD,
+      token: this.createToken(form.id)
+    };
+  }
+
+  /**
+   * Render the plain HTML snippet of a form
+   * The form posts normally; a small script fetches the form token when the
+   * page loads (which also counts the view).
+   * @param {Object} form - Form
+   * @param {Object} list - The form's list
+   * @returns {string} HTML
+   */
+  renderHtmlSnippet(form, list) {
+    const urls = this.getUrls(form.id);
+    const inputs = this.getInputs(form, list).map(input => {
+      const required = input.required ? ' required' : '';
+
+      if (input.type === 'checkbox') {
+        return `  <p><label><input type="checkbox" name="${input.name}" value="true"${required}> ${escapeHtml(input.label)}</label></p>`;
+      }
+
+      return `  <p><label>${escapeHtml(input.label)}<br><input type="${input.type}" name="${input.name}"${required}></label></p>`;
+    });
+
+    return [
+      `<form id="signup-form-${form.id}" action="${urls.submit}" method="post">`,
+      `  <h3>${escapeHtml(form.title || list.name)}</h3>`,
+      form.description ? `  <p>${escapeHtml(form.description)}</p>` : null,
+      ...inputs,
+      `  <div style="position:absolute;left:-9999px" aria-hidden="true"><input type="text" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off"></div>`,
+      '  <input type="hidden" name="_token">',
+      `  <p><button type="submit">${escapeHtml(form.button_text || 'Subscribe')}</button></p>`,
+      '</form>',
+      '<script>',
+      `fetch('${urls.definition}').then(function (r) { return r.json(); }).then(function (f) {`,
+      `  document.querySelector('#signup-form-${form.id} [name="_token"]').value = f.token;`,
+      '});',
+      '</script>'
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * Render the JavaScript snippet of a form
+   * @param {Object} form - Form
+   * @returns {string} HTML
+   */
+  renderJsSnippet(form) {
+    return [
+      `<div data-signup-form="${form.id}"></div>`,
+      `<script src="${this.getUrls(form.id).embed}" async></script>`
+    ].join('\n');
+  }
+
+  /**
+   * Render the script the JavaScript snippet loads
+   * It renders the form into the snippet's placeholder and submits it with
+   * fetch, showing errors and the success message in place.
+   * @param {Object} form - Form
+   * @returns {string} JavaScript
+   */
+  renderEmbedScript(form) {
+    const urls = this.getUrls(form.id);
+
+    return `(function () {
+  var container = document.querySelector('[data-signup-form="${form.id}"]');
+  if (!container) return;
+
+  function el(tag, attrs, text) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (key) { node.setAttribute(key, attrs[key]); });
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  fetch('${urls.definition}').then(function (r) { return r.json(); }).then(function (def) {
+    var form = el('form', { novalidate: 'novalidate' });
+    var message = el('p', { role: 'alert' });
+    form.appendChild(el('h3', {}, def.title));
+    if (def.description) form.appendChild(el('p', {}, def.description));
+
+    def.fields.forEach(function (field) {
+      var p = el('p');
+      var label = el('label', {}, field.type === 'checkbox' ? '' : field.label);
+      var input = el('input', { type: field.type, name: field.name });
+      if (field.required) input.required = true;
+      if (field.type === 'checkbox') {
+        input.value = 'true';
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(' ' + field.label));
+      } else {
+        label.appendChild(el('br'));
+        label.appendChild(input);
+      }
+      p.appendChild(label);
+      form.appendChild(p);
+    });
+
+    var trap = el('div', { style: 'position:absolute;left:-9999px', 'aria-hidden': 'true' });
+    trap.appendChild(el('input', { type: 'text', name: def.honeypot, tabindex: '-1', autocomplete: 'off' }));
+    form.appendChild(trap);
+    form.appendChild(el('p')).appendChild(el('button', { type: 'submit' }, def.button_text));
+    form.appendChild(message);
+
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+      var values = { _token: def.token };
+      Array.prototype.forEach.call(form.elements, function (input) {
+        if (input.name) values[input.name] = input.type === 'checkbox' ? input.checked : input.value;
+      });
+
+      fetch('${urls.submit}', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values)
+      }).then(function (r) { return r.json(); }).then(function (result) {
+        if (result.errors) {
+          message.textContent = Object.keys(result.errors).map(function (key) { return result.errors[key]; }).join('. ');
+        } else if (result.error) {
+          message.textContent = result.message || result.error;
+        } else if (def.redirect_url) {
+          window.location.href = def.redirect_url;
+        } else {
+          container.textContent = def.success_message || result.message;
+        }
+      }).catch(function () {
+        message.textContent = 'Something went wrong, please try again';
+      });
+    });
+
+    container.appendChild(form);
+  });
+})();
+`;
+  }
+}
+
+module.exports = new SignupFormService();
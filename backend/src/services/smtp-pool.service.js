@@ -0,0 +1,188 @@
+const SmtpConfigModel = require('../models/smtp-config.model');
+const logger = require('../config/logger');
+
+/**
+ * SMTP Failover Pool Service
+ * Tracks the health of each SMTP configuration and decides which relays a
+ * send may use. Repeated connection failures open a circuit breaker that
+ * takes the relay out of rotation until its cool-down has elapsed.
+ */
+
+// Connection-level error codes raised by nodemailer
+const RELAY_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'EAUTH', 'ECONNREFUSED', 'ECONNRESET'];
+
+class SmtpPoolService {
+  constructor() {
+    this.config = {
+      failureThreshold: parseInt(process.env.SMTP_FAILURE_THRESHOLD) || 3,
+      cooldown: parseInt(process.env.SMTP_CIRCUIT_COOLDOWN) || 300000 // 5 minutes
+    };
+    this.health = new Map(); // smtp_configs.id -> health state
+  }
+
+  /**
+   * Get (or create) the health state for an SMTP configuration
+   * @param {number} smtpConfigId - SMTP config ID
+   * @returns {Object} Health state
+   */
+  getState(smtpConfigId) {
+    let state = this.health.get(smtpConfigId);
+
+    if (!state) {
+      state = {
+        consecutiveFailures: 0,
+        totalSent: 0,
+        totalFailed: 0,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        circuitOpenUntil: null,
+        trialStartedAt: null // When the half-open circuit's trial send was let through
+      };
+      this.health.set(smtpConfigId, state);
+    }
+
+    return state;
+  }
+
+  /**
+   * Get the circuit state for an SMTP configuration
+   * @param {number} smtpConfigId - SMTP config ID
+   * @returns {string} 'closed', 'open' or 'half_open'
+   */
+  getCircuitState(smtpConfigId) {
+    const state = this.getState(smtpConfigId);
+
+    if (!state.circuitOpenUntil) {
+      return 'closed';
+    }
+
+    // Once the cool-down elapses a single trial send is allowed through
+    return Date.now() < state.circuitOpenUntil ? 'open' : 'half_open';
+  }
+
+  /**
+   * Check if a relay may be used for the next send
+   * A half-open relay lets one caller through as its trial send and is
+   * unavailable to everyone else until recordSuccess or recordFailure reports
+   * the outcome. A trial that never reports back is given up after the cool-down.
+   * @param {number} smtpConfigId - SMTP config ID
+   * @returns {boolean}
+   */
+  isAvailable(smtpConfigId) {
+    const circuit = this.getCircuitState(smtpConfigId);
+
+    if (circuit !== 'half_open') {
+      return circuit === 'closed';
+    }
+
+    const state = this.getState(smtpConfigId);
+
+    if (state.trialStartedAt && Date.now() - state.trialStartedAt < this.config.cooldown) {
+      return false;
+    }
+
+    state.trialStartedAt = Date.now();
+    return true;
+  }
+
+  /**
+   * Check if a send error means the relay itself is unusable
+   * Connection failures, auth failures and 421 (service not available)
+   * trigger failover; recipient-level rejections do not.
+   * @param {Object} error - Error with code/responseCode
+   * @returns {boolean}
+   */
+  isRelayFailure(error) {
+    if (!error) {
+      return false;
+    }
+
+    return RELAY_ERROR_CODES.includes(error.code) || parseInt(error.responseCode) === 421;
+  }
+
+  /**
+   * Record a send the relay accepted (or rejected for recipient reasons)
+   * @param {number} smtpConfigId - SMTP config ID
+   */
+  recordSuccess(smtpConfigId) {
+    const state = this.getState(smtpConfigId);
+
+    if (state.circuitOpenUntil) {
+      logger.info(`SMTP config ${smtpConfigId} recovered, closing circuit`);
+    }
+
+    state.consecutiveFailures = 0;
+    state.circuitOpenUntil = null;
+    state.trialStartedAt = null;
+    state.totalSent++;
+    state.lastSuccessAt = new Date().toISOString();
+  }
+
+  /**
+   * Record a relay failure, opening the circuit once the threshold is reached
+   * @param {number} smtpConfigId - SMTP config ID
+   * @param {Object} error - Send error
+   */
+  recordFailure(smtpConfigId, error) {
+    const state = this.getState(smtpConfigId);
+    const wasHalfOpen = this.getCircuitState(smtpConfigId) === 'half_open';
+
+    state.consecutiveFailures++;
+    state.totalFailed++;
+    state.trialStartedAt = null;
+    state.lastError = error.message;
+    state.lastFailureAt = new Date().toISOString();
+
+    // A failed trial send re-opens the circuit straight away
+    if (wasHalfOpen || state.consecutiveFailures >= this.config.failureThreshold) {
+      state.circuitOpenUntil = Date.now() + this.config.cooldown;
+      logger.warn(`Circuit opened for SMTP config ${smtpConfigId} after ${state.consecutiveFailures} failures`, {
+        error: error.message,
+        cooldown: this.config.cooldown
+      });
+    }
+  }
+
+  /**
+   * Forget the health state of a relay (e.g. after its settings change)
+   * @param {number} smtpConfigId - SMTP config ID (optional, resets all if not specified)
+   */
+  reset(smtpConfigId = null) {
+    if (smtpConfigId) {
+      this.health.delete(parseInt(smtpConfigId));
+    } else {
+      this.health.clear();
+    }
+  }
+
+  /**
+   * Get health of every relay in the pool
+   * @returns {Array<Object>} Relay health in failover order
+   */
+  getHealth() {
+    return SmtpConfigModel.getPool().map(smtpConfig => {
+      const state = this.getState(smtpConfig.id);
+
+      return {
+        smtpConfigId: smtpConfig.id,
+        name: smtpConfig.name,
+        host: smtpConfig.host,
+        priority: smtpConfig.priority,
+        isActive: smtpConfig.is_active === 1,
+        circuit: this.getCircuitState(smtpConfig.id),
+        trialInFlight: !!state.trialStartedAt,
+        consecutiveFailures: state.consecutiveFailures,
+        totalSent: state.totalSent,
+        totalFailed: state.totalFailed,
+        lastError: state.lastError,
+        lastFailureAt: state.lastFailureAt,
+        lastSuccessAt: state.lastSuccessAt,
+        circuitOpenUntil: state.circuitOpenUntil ? new Date(state.circuitOpenUntil).toISOString() : null
+      };
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new SmtpPoolService();
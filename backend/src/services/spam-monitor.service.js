@@ -1,4 +1,4 @@
-const { db } = require('../config/database');
+const { db, addColumnIfMissing } = require('../config/database');
 const logger = require('../config/logger');
 const alertService = require('./alert.service');
 
@@ -97,8 +97,17 @@ class SpamMonitorService {
         WHERE sent_at >= datetime('now', '-${daysPeriod} days')
       `).get().count;
 
-      // Spam complaints (from unsubscribe events)
+      // Spam complaints (from ARF feedback loop reports)
       const spamComplaints = db.prepare(`
+        SELECT COUNT(DISTINCT me.message_id) as count
+        FROM message_events me
+        JOIN messages m ON m.id = me.message_id
+        WHERE me.event_type = 'complained'
+          AND m.sent_at >= datetime('now', '-${daysPeriod} days')
+      `).get().count;
+
+      // Unsubscribes
+      const unsubscribes = db.prepare(`
         SELECT COUNT(DISTINCT me.message_id) as count
         FROM message_events me
         JOIN messages m ON m.id = me.message_id
@@ -147,13 +156,14 @@ class SpamMonitorService {
       const complaintRate = delivered > 0 ? (spamComplaints / delivered) * 100 : 0;
       const openRate = delivered > 0 ? (uniqueOpens / delivered) * 100 : 0;
       const clickRate = delivered > 0 ? (uniqueClicks / delivered) * 100 : 0;
-      const unsubscribeRate = delivered > 0 ? (spamComplaints / delivered) * 100 : 0;
+      const unsubscribeRate = delivered > 0 ? (unsubscribes / delivered) * 100 : 0;
 
       return {
         period: `${daysPeriod} days`,
         totalSent,
         delivered,
         spamComplaints,
+        unsubscribes,
         hardBounces,
         softBounces,
         uniqueOpens,
@@ -281,15 +291,26 @@ class SpamMonitorService {
 
   /**
    * Pause all active campaigns
+   * Unsent messages of sending campaigns are paused with them, so the queue
+   * holds their jobs until the campaigns are resumed.
    * @returns {number} - Number of campaigns paused
    */
   pauseActiveCampaigns() {
     try {
-      const result = db.prepare(`
-        UPDATE campaigns
-        SET status = 'paused'
-        WHERE status IN ('sending', 'scheduled')
-      `).run();
+      const result = db.transaction(() => {
+        db.prepare(`
+          UPDATE messages
+          SET status = 'paused', updated_at = datetime('now')
+          WHERE status = 'pending'
+            AND campaign_id IN (SELECT id FROM campaigns WHERE status = 'sending')
+        `).run();
+
+        return db.prepare(`
+          UPDATE campaigns
+          SET status = 'paused'
+          WHERE status IN ('sending', 'scheduled')
+        `).run();
+      })();
 
       logger.info(`Paused ${result.changes} active campaigns due to spam threshold violation`);
 
@@ -333,6 +354,12 @@ class SpamMonitorService {
           <td>${this.thresholds.complaintRate}%</td>
           <td style="color: ${metrics.rates.complaint > this.thresholds.complaintRate ? 'red' : 'green'}">${metrics.rates.complaint > this.thresholds.complaintRate ? '❌ EXCEEDED' : '✅ OK'}</td>
         </tr>
+        <tr>
+          <td>Unsubscribe Rate</td>
+          <td>${metrics.rates.unsubscribe}%</td>
+          <td>${this.thresholds.unsubscribeRate}%</td>
+          <td style="color: ${metrics.rates.unsubscribe > this.thresholds.unsubscribeRate ? 'orange' : 'green'}">${metrics.rates.unsubscribe > this.thresholds.unsubscribeRate ? '⚠️  HIGH' : '✅ OK'}</td>
+        </tr>
         <tr>
           <td>Open Rate</td>
           <td>${metrics.rates.open}%</td>
@@ -383,8 +410,9 @@ class SpamMonitorService {
           complaint_rate,
           open_rate,
           click_rate,
+          unsubscribe_rate,
           recorded_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
       `).run(
         7, // 7-day period
         metrics.totalSent,
@@ -393,11 +421,12 @@ class SpamMonitorService {
         metrics.rates.bounce,
         metrics.rates.complaint,
         metrics.rates.open,
-        metrics.rates.click
+        metrics.rates.click,
+        metrics.rates.unsubscribe
       );
     } catch (error) {
-      // Table might not exist yet, create it
-      if (error.message.includes('no such table')) {
+      // Table might not exist yet (or predate a column), create it
+      if (error.message.includes('no such table') || error.message.includes('has no column')) {
         this.initMetricsTable();
         this.storeMetrics(metrics); // Retry
       } else {
@@ -422,9 +451,11 @@ class SpamMonitorService {
           complaint_rate REAL,
           open_rate REAL,
           click_rate REAL,
+          unsubscribe_rate REAL,
           recorded_at TEXT DEFAULT CURRENT_TIMESTAMP
         )
       `);
+      addColumnIfMissing('spam_metrics_history', 'unsubscribe_rate', 'REAL');
       logger.info('Spam metrics history table initialized');
     } catch (error) {
       logger.error('Error initializing metrics table:', error);
@@ -0,0 +1,193 @@
+const ListModel = require('../models/list.model');
+const ContactModel = require('../models/contact.model');
+const TemplateModel = require('../models/template.model');
+const emailService = require('./email.service');
+const workflowService = require('./workflow.service');
+const { createToken, verifyToken } = require('../utils/confirmation-token');
+const { personalizeContent } = require('../utils/personalize');
+const logger = require('../config/logger');
+
+// Minimum time between confirmation emails to the same pending subscriber
+const CONFIRMATION_RESEND_MINUTES = parseInt(process.env.CONFIRMATION_RESEND_MINUTES) || 10;
+
+/**
+ * Subscription Service
+ * Public signups to lists. Lists with double opt-in keep new subscribers
+ * pending until they follow the signed link in a confirmation email; the
+ * signup and confirmation requests' IP addresses and user agents are kept
+ * as proof of consent.
+ */
+
+class SubscriptionService {
+  /**
+   * Subscribe an email address to a list
+   * The result does not reveal whether the address was already subscribed.
+   * @param {Object} list - List
+   * @param {Object} data - { email, first_name, last_name, custom_field_values }
+   * @param {Object} consent - { ip, userAgent } of the signup request
+   * @returns {Promise<Object>} { status: 'pending'|'subscribed', contactId }
+   */
+  async subscribe(list, data, consent = {}) {
+    try {
+      const email = data.email.toLowerCase();
+      let contact = ContactModel.getByEmail(email);
+
+      if (!contact) {
+        contact = ContactModel.create({ email, first_name: data.first_name, last_name: data.last_name });
+      }
+
+      const status = list.double_opt_in ? 'pending' : 'subscribed';
+      const subscription = ListModel.getSubscriber(list.id, contact.id);
+
+      // Bounced addresses never get mail, and existing subscriptions stay as they are
+      if (contact.status === 'bounced' || (subscription && subscription.subscription_status === 'subscribed')) {
+        return { status, contactId: contact.id };
+      }
+
+      const customFieldValues = data.custom_field_values || {};
+
+      if (!list.double_opt_in) {
+        ListModel.addSubscriber(list.id, contact.id, customFieldValues);
+        ListModel.recordSignup(list.id, contact.id, consent);
+        workflowService.handleListSubscribed(list.id, contact.id);
+
+        logger.info(`Contact ${contact.id} subscribed to list ${list.id}`);
+        return { status, contactId: contact.id };
+      }
+
+      if (subscription && subscription.subscription_status === 'pending' && this.sentRecently(subscription.confirmation_sent_at)) {
+        return { status, contactId: contact.id };
+      }
+
+      ListModel.addPendingSubscriber(list.id, contact.id, customFieldValues, consent);
+      await this.sendConfirmation(list, ListModel.getSubscriber(list.id, contact.id));
+
+      logger.info(`Contact ${contact.id} signed up to list ${list.id}, waiting for confirmation`);
+      return { status, contactId: contact.id };
+    } catch (error) {
+      logger.error(`Error subscribing to list ${list.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a confirmation email went out less than CONFIRMATION_RESEND_MINUTES ago
+   * @param {string} sentAt - confirmation_sent_at (SQLite UTC timestamp)
+   * @returns {boolean}
+   */
+  sentRecently(sentAt) {
+    if (!sentAt) {
+      return false;
+    }
+
+    const sent = new Date(`${sentAt.replace(' ', 'T')}Z`).getTime();
+    return Date.now() - sent < CONFIRMATION_RESEND_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Build the confirmation link for a subscription
+   * The link opens the confirmation page, which confirms with a POST so
+   * mail scanners that follow links do not confirm on the subscriber's behalf.
+   * @param {number} listId - List ID
+   * @param {number} contactId - Contact ID
+   * @returns {string} URL
+   */
+  getConfirmationUrl(listId, contactId) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return `${frontendUrl}/confirm?token=${createToken(listId, contactId)}`;
+  }
+
+  /**
+   * Send the confirmation email for a pending subscription
+   * The list's confirmation template is used if it has one; {{confirmation_url}}
+   * and {{list_name}} are available as merge tags.
+   * @param {Object} list - List
+   * @param {Object} subscriber - Subscriber (from ListModel.getSubscriber)
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async sendConfirmation(list, subscriber) {
+    const confirmationUrl = this.getConfirmationUrl(list.id, subscriber.contact_id);
+    const fields = { ...subscriber.custom_field_values, confirmation_url: confirmationUrl, list_name: list.name };
+    const template = list.confirmation_template_id ? TemplateModel.getById(list.confirmation_template_id) : null;
+
+    let subject = `Please confirm your subscription to ${list.name}`;
+    let html = `
+      <p>Hi {{first_name|there}},</p>
+      <p>Please confirm that you want to receive emails from <strong>{{list_name}}</strong>:</p>
+      <p><a href="{{confirmation_url}}">Confirm my subscription</a></p>
+      <p>If you did not sign up, you can ignore this email and you will not be subscribed.</p>
+    `;
+    let text = null;
+
+    if (template) {
+      subject = template.subject;
+      html = template.body.includes('{{confirmation_url}}')
+        ? template.body
+        : `${template.body}<p><a href="{{confirmation_url}}">Confirm my subscription</a></p>`;
+      text = template.text_body || null;
+    }
+
+    const result = await emailService.sendEmail({
+      to: subscriber.email,
+      subject: personalizeContent(subject, subscriber, fields),
+      html: personalizeContent(html, subscriber, fields),
+      text: text ? personalizeContent(text, subscriber, fields) : undefined,
+      validateContent: false
+    });
+
+    if (!result.success) {
+      logger.error(`Confirmation email for list ${list.id} to ${subscriber.email} failed: ${result.error}`);
+    }
+
+    return result.success;
+  }
+
+  /**
+   * Confirm a subscription from a confirmation link
+   * Confirming re-activates a contact who had unsubscribed from everything,
+   * since they asked for these emails again.
+   * @param {string} token - Confirmation token
+   * @param {Object} consent - { ip, userAgent } of the confirmation request
+   * @returns {Object} { list, alreadyConfirmed }
+   */
+  confirm(token, consent = {}) {
+    try {
+      const verified = verifyToken(token);
+
+      if (!verified.valid) {
+        throw new Error(verified.reason);
+      }
+
+      const list = ListModel.getById(verified.listId);
+      const subscription = list ? ListModel.getSubscriber(list.id, verified.contactId) : null;
+
+      if (!subscription) {
+        throw new Error('This subscription no longer exists');
+      }
+
+      if (subscription.subscription_status === 'subscribed') {
+        return { list, alreadyConfirmed: true };
+      }
+
+      if (subscription.subscription_status !== 'pending') {
+        throw new Error('This confirmation link is no longer valid, please subscribe again');
+      }
+
+      ListModel.confirmSubscriber(list.id, subscription.contact_id, consent);
+
+      if (subscription.status === 'unsubscribed') {
+        ContactModel.updateStatus(subscription.contact_id, 'active');
+      }
+
+      workflowService.handleListSubscribed(list.id, subscription.contact_id);
+
+      logger.info(`Contact ${subscription.contact_id} confirmed subscription to list ${list.id}`);
+      return { list, alreadyConfirmed: false };
+    } catch (error) {
+      logger.warn(`Subscription confirmation failed: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,159 @@
+const TransactionalMessageModel = require('../models/transactional-message.model');
+const TemplateModel = require('../models/template.model');
+const ContactModel = require('../models/contact.model');
+const SmtpConfigModel = require('../models/smtp-config.model');
+const AttachmentModel = require('../models/attachment.model');
+const QueueModel = require('../models/queue.model');
+const htmlCompiler = require('./html-compiler.service');
+const attachmentService = require('./attachment.service');
+const { personalizeContent } = require('../utils/personalize');
+const { processTransactionalHtml } = require('../utils/tracking');
+const logger = require('../config/logger');
+
+// Campaign jobs are enqueued with priority 0, so transactional jobs always go first
+const TRANSACTIONAL_PRIORITY = 10;
+
+/**
+ * Transactional Email Service
+ * One-off templated emails (receipts, password resets) sent through the API.
+ * They use the same relays, DKIM keys and tracking as campaigns, but go
+ * through their own lane in the job queue and keep their own message
+ * records and events, so they never show up in campaign stats.
+ */
+
+class TransactionalService {
+  /**
+   * Check a send request
+   * @param {Object} data - Send request
+   * @returns {string|null} Error message, or null if the request is valid
+   */
+  validate(data) {
+    if (data.template_id) {
+      if (!TemplateModel.getById(data.template_id)) {
+        return `Template ${data.template_id} not found`;
+      }
+    } else if (!data.subject || !data.html) {
+      return 'A template_id, or a subject and html, is required';
+    }
+
+    if (data.smtp_config_id && !SmtpConfigModel.getById(data.smtp_config_id)) {
+      return `SMTP config ${data.smtp_config_id} not found`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Render a send request's content for its recipient
+   * @param {Object} data - Send request
+   * @param {Object} recipient - { email, first_name, last_name }
+   * @returns {Object} { subject, html, text, attachments }
+   */
+  render(data, recipient) {
+    const template = data.template_id ? TemplateModel.getById(data.template_id) : null;
+    const fields = this.getMergeFields(data.merge_data);
+
+    const subject = data.subject || template.subject;
+    const html = htmlCompiler.compile(data.html || template.body).html;
+    const text = data.text || (template && !data.html ? template.text_body : null);
+    const attachments = template ? AttachmentModel.getByTemplate(template.id) : [];
+
+    return {
+      subject: personalizeContent(subject, recipient, fields),
+      html: personalizeContent(html, recipient, fields),
+      text: text ? personalizeContent(text, recipient, fields) : null,
+      attachments: attachmentService.personalize(attachments, recipient, fields)
+    };
+  }
+
+  /**
+   * Turn merge data into merge tag values
+   * Merge tags are matched case-insensitively; nested values are dropped.
+   * @param {Object} mergeData - Merge data from the request (optional)
+   * @returns {Object}
+   */
+  getMergeFields(mergeData) {
+    return Object.entries(mergeData || {}).reduce((fields, [name, value]) => {
+      if (value !== null && typeof value !== 'object') {
+        fields[name.toLowerCase()] = String(value);
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Create a transactional message and put it on the priority lane
+   * Recipients who are known contacts with a hard bounce are not sent to;
+   * their message is recorded as failed.
+   * @param {Object} data - Send request (validated)
+   * @returns {Object} Created message
+   */
+  send(data) {
+    const email = data.to.trim().toLowerCase();
+    const contact = ContactModel.getByEmail(email);
+    const recipient = {
+      email,
+      first_name: contact?.first_name || null,
+      last_name: contact?.last_name || null
+    };
+
+    const content = this.render(data, recipient);
+    const trackingToken = TransactionalMessageModel.generateTrackingToken();
+    const tracked = processTransactionalHtml(content.html, trackingToken, {
+      trackOpens: data.track_opens !== false,
+      trackClicks: data.track_clicks !== false
+    });
+
+    const message = TransactionalMessageModel.create({
+      tracking_token: trackingToken,
+      contact_id: contact?.id,
+      template_id: data.template_id,
+      to_email: email,
+      from_email: data.from_email,
+      from_name: data.from_name,
+      reply_to: data.reply_to,
+      subject: content.subject,
+      tag: data.tag,
+      metadata: data.metadata,
+      links: tracked.links
+    });
+
+    if (contact && contact.status === 'bounced') {
+      const error = 'Recipient address has bounced';
+
+      TransactionalMessageModel.addEvent(message.id, 'failed', { error });
+      logger.info(`Transactional message ${message.id} to ${email} not sent: ${error}`);
+      return TransactionalMessageModel.updateStatus(message.id, 'failed', { error_message: error });
+    }
+
+    QueueModel.enqueue({
+      job_type: 'send_transactional',
+      job_data: {
+        transactionalMessageId: message.id,
+        contactId: contact?.id || null,
+        email,
+        subject: content.subject,
+        html: tracked.html,
+        text: content.text,
+        from: data.from_email || null,
+        fromName: data.from_name || null,
+        replyTo: data.reply_to || null,
+        smtpConfigId: data.smtp_config_id || null,
+        sandbox: data.sandbox === true,
+        attachments: content.attachments,
+        headers: {
+          'X-Transactional-ID': message.id.toString()
+        }
+      },
+      priority: TRANSACTIONAL_PRIORITY
+    });
+
+    TransactionalMessageModel.addEvent(message.id, 'queued');
+    logger.info(`Transactional message ${message.id} queued for ${email}`);
+
+    return message;
+  }
+}
+
+// Export singleton instance
+module.exports = new TransactionalService();
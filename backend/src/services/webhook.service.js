@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const WebhookModel = require('../models/webhook.model');
+const QueueModel = require('../models/queue.model');
+const ContactModel = require('../models/contact.model');
+const logger = require('../config/logger');
+
+// Events an endpoint can subscribe to
+const WEBHOOK_EVENTS = ['opened', 'clicked', 'bounced', 'unsubscribed', 'complained'];
+
+// Attempts per delivery; the queue backs off 2, 4, 8, ... minutes between them
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// An endpoint is disabled once every delivery has failed for this long
+const WEBHOOK_DISABLE_AFTER_HOURS = parseInt(process.env.WEBHOOK_DISABLE_AFTER_HOURS) || 24;
+
+// Most events a single replay request will resend; larger windows are paged
+const REPLAY_LIMIT = 1000;
+
+// Characters of an endpoint's response kept in the delivery log
+const RESPONSE_BODY_LIMIT = 1000;
+
+/**
+ * Webhook Service
+ * Notifies subscribed endpoints of email events. Every event is stored so
+ * it can be replayed, and each endpoint gets its own webhook_delivery job,
+ * retried with backoff. Requests are signed with an HMAC of
+ * "<timestamp>.<body>" using the endpoint's secret.
+ */
+
+class WebhookService {
+  /**
+   * Get the events an endpoint can subscribe to
+   * @returns {Array<string>}
+   */
+  getEvents() {
+    return WEBHOOK_EVENTS;
+  }
+
+  /**
+   * Generate a signing secret
+   * @returns {string}
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Sign a request body
+   * @param {string} secret - Webhook secret
+   * @param {number} timestamp - Unix timestamp sent in X-Webhook-Timestamp
+   * @param {string} body - Request body
+   * @returns {string} Hex HMAC-SHA256
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Record an event and queue it for the endpoints subscribed to it
+   * Never throws: a webhook problem must not break tracking or bounce handling.
+   * @param {string} eventType - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data; contact_id is expanded with the contact's email
+   * @returns {Object|null} Stored event, or null if nothing subscribes to it
+   */
+  emit(eventType, data) {
+    try {
+      const webhooks = WebhookModel.getSubscribed(eventType);
+
+      if (webhooks.length === 0) {
+        return null;
+      }
+
+      if (data.contact_id && !data.email) {
+        const contact = ContactModel.getById(data.contact_id);
+        data = { ...data, email: contact ? contact.email : null };
+      }
+
+      const event = WebhookModel.addEvent(eventType, {
+        type: eventType,
+        created_at: new Date().toISOString(),
+        data
+      });
+
+      webhooks
+        .filter(webhook => webhook.is_active)
+        .forEach(webhook => this.enqueueDelivery(webhook.id, event.id));
+
+      return event;
+    } catch (error) {
+      logger.error(`Error emitting ${eventType} webhook event:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Queue an event for delivery to an endpoint
+   * @param {number} webhookId - Webhook ID
+   * @param {number} eventId - Event ID
+   */
+  enqueueDelivery(webhookId, eventId) {
+    QueueModel.enqueue({
+      job_type: 'webhook_delivery',
+      job_data: { webhookId, eventId },
+      max_retries: WEBHOOK_MAX_ATTEMPTS
+    });
+  }
+
+  /**
+   * Send an event to an endpoint and log the attempt
+   * @param {number} webhookId - Webhook ID
+   * @param {number} eventId - Event ID
+   * @param {number} attempt - Attempt number, starting at 1
+   * @returns {Promise<Object>} { success, error } or { skipped } when there is nothing to send
+   */
+  async deliver(webhookId, eventId, attempt = 1) {
+    const webhook = WebhookModel.getById(webhookId);
+    const event = WebhookModel.getEvent(eventId);
+
+    if (!webhook || !event) {
+      return { skipped: 'Webhook or event no longer exists' };
+    }
+
+    // Disabled endpoints catch up with a replay once they are fixed
+    if (!webhook.is_active) {
+      return { skipped: 'Webhook is disabled' };
+    }
+
+    const body = JSON.stringify({ id: event.id, ...event.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = this.sign(WebhookModel.getSecret(webhook.id), timestamp, body);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    const startedAt = Date.now();
+
+    let response = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'EmailMarketing-Webhooks/1.0',
+          'X-Webhook-Id': String(event.id),
+          'X-Webhook-Event': event.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signature}`
+        },
+        body,
+        redirect: 'manual',
+        signal: controller.signal
+      });
+
+      responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+
+      if (!response.ok) {
+        error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.name === 'AbortError' ? `No response within ${WEBHOOK_TIMEOUT_MS}ms` : err.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    WebhookModel.logDelivery({
+      webhook_id: webhook.id,
+      webhook_event_id: event.id,
+      attempt,
+      status: error ? 'failed' : 'succeeded',
+      response_code: response ? response.status : null,
+      response_body: responseBody,
+      error_message: error,
+      duration_ms: Date.now() - startedAt
+    });
+
+    if (!error) {
+      WebhookModel.recordSuccess(webhook.id);
+      return { success: true };
+    }
+
+    WebhookModel.recordFailure(webhook.id);
+    WebhookModel.disableIfFailing(webhook.id, WEBHOOK_DISABLE_AFTER_HOURS);
+
+    return { success: false, error };
+  }
+
+  /**
+   * Resend stored events to an endpoint, oldest first
+   * A window holding more than REPLAY_LIMIT events is truncated; replaying it
+   * again with after_id set to next_after_id queues the next page.
+   * @param {number} webhookId - Webhook ID
+   * @param {Object} options - { since, until, event_types, after_id } (event_types defaults to the webhook's events)
+   * @returns {Object} { queued, truncated, next_after_id }
+   */
+  replay(webhookId, options = {}) {
+    const webhook = WebhookModel.getById(webhookId);
+
+    const eventTypes = options.event_types
+      ? options.event_types.filter(type => webhook.events.includes(type))
+      : webhook.events;
+
+    if (eventTypes.length === 0) {
+      return { queued: 0, truncated: false, next_after_id: null };
+    }
+
+    // One extra row tells whether the window holds more than a page
+    const page = WebhookModel.getEvents({
+      eventTypes,
+      since: options.since,
+      until: options.until,
+      afterId: options.after_id,
+      limit: REPLAY_LIMIT + 1
+    });
+
+    const truncated = page.length > REPLAY_LIMIT;
+    const events = page.slice(0, REPLAY_LIMIT);
+
+    QueueModel.bulkEnqueue(events.map(event => ({
+      job_type: 'webhook_delivery',
+      job_data: { webhookId: webhook.id, eventId: event.id },
+      max_retries: WEBHOOK_MAX_ATTEMPTS
+    })));
+
+    logger.info(`Replaying ${events.length} events to webhook ${webhook.id}${truncated ? ' (more remain)' : ''}`);
+
+    return {
+      queued: events.length,
+      truncated,
+      next_after_id: truncated ? events[events.length - 1].id : null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
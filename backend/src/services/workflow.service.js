@@ -0,0 +1,719 @@
+const WorkflowModel = require('../models/workflow.model');
+const CampaignModel = require('../models/campaign.model');
+const ContactModel = require('../models/contact.model');
+const ListModel = require('../models/list.model');
+const MessageModel = require('../models/message.model');
+const TemplateModel = require('../models/template.model');
+const QueueModel = require('../models/queue.model');
+const campaignService = require('./campaign.service');
+const { getOffset, normalizeTimezone } = require('../utils/timezone');
+const logger = require('../config/logger');
+
+const TRIGGER_TYPES = ['list_subscribed', 'tag_added', 'custom_event', 'date_anniversary'];
+
+const STEP_TYPES = ['delay', 'condition', 'send_email', 'add_to_list', 'update_field', 'unsubscribe'];
+
+const DELAY_UNITS = { minutes: 60 * 1000, hours: 60 * 60 * 1000, days: 24 * 60 * 60 * 1000 };
+
+const CONDITION_CHECKS = ['opened', 'not_opened', 'clicked', 'not_clicked', 'field'];
+
+const FIELD_OPERATORS = ['equals', 'not_equals', 'contains', 'is_set', 'is_not_set'];
+
+// Contact columns a condition can read and an update_field step can write;
+// other field names are custom fields of the workflow's list
+const CONTACT_FIELDS = ['email', 'first_name', 'last_name'];
+
+/**
+ * Workflow Service
+ * Runs automations: a trigger (list subscription, tag, custom event or a
+ * yearly date field) enrolls a subscriber of the workflow's list, who then
+ * goes through the workflow's steps in order.
+ *
+ * Each enrollment's progress is stored in the database and driven by
+ * 'workflow_step' jobs in the job queue: a job runs steps until a delay,
+ * which schedules the job for the following step. Send steps send through a
+ * campaign with status 'automation', so tracking, unsubscribe links and
+ * bounce handling work as for broadcasts.
+ */
+
+class WorkflowService {
+  constructor() {
+    this.defaultTimezone = normalizeTimezone(process.env.DEFAULT_TIMEZONE) || 'UTC';
+    this.lastAnniversaryCheck = null;
+  }
+
+  /**
+   * Validate a workflow's trigger and steps
+   * @param {Object} workflow - { trigger_type, trigger_config }
+   * @param {Array<Object>} steps - Steps ({ step_type, config })
+   * @returns {Array<string>} Errors; empty if valid
+   */
+  validate(workflow, steps) {
+    const errors = [];
+    const triggerConfig = workflow.trigger_config || {};
+
+    if (!TRIGGER_TYPES.includes(workflow.trigger_type)) {
+      errors.push(`Trigger must be one of ${TRIGGER_TYPES.join(', ')}`);
+    } else if (workflow.trigger_type === 'tag_added' && !triggerConfig.tag) {
+      errors.push('A tag_added trigger needs a tag');
+    } else if (workflow.trigger_type === 'custom_event' && !triggerConfig.event) {
+      errors.push('A custom_event trigger needs an event name');
+    } else if (workflow.trigger_type === 'date_anniversary') {
+      if (!triggerConfig.field) {
+        errors.push('A date_anniversary trigger needs a date field');
+      }
+      if (triggerConfig.hour !== undefined && !(Number.isInteger(triggerConfig.hour) && triggerConfig.hour >= 0 && triggerConfig.hour <= 23)) {
+        errors.push('The anniversary hour must be between 0 and 23');
+      }
+    }
+
+    (steps || []).forEach((step, index) => {
+      const config = step.config || {};
+      const label = `Step ${index + 1}`;
+
+      switch (step.step_type) {
+        case 'delay':
+          if (!Number.isInteger(config.amount) || config.amount < 1 || !DELAY_UNITS[config.unit]) {
+            errors.push(`${label}: a delay needs a whole amount of ${Object.keys(DELAY_UNITS).join(', ')}`);
+          }
+          break;
+
+        case 'condition':
+          if (!CONDITION_CHECKS.includes(config.check)) {
+            errors.push(`${label}: a condition checks one of ${CONDITION_CHECKS.join(', ')}`);
+          } else if (config.check === 'field' && (!config.field || !FIELD_OPERATORS.includes(config.operator))) {
+            errors.push(`${label}: a field condition needs a field and one of ${FIELD_OPERATORS.join(', ')}`);
+          } else if (config.check !== 'field' && !steps.slice(0, index).some(previous => previous.step_type === 'send_email')) {
+            errors.push(`${label}: an ${config.check} condition needs a send_email step before it`);
+          }
+          if (config.else !== undefined && !['exit', 'skip_next'].includes(config.else)) {
+            errors.push(`${label}: else must be exit or skip_next`);
+          }
+          break;
+
+        case 'send_email':
+          if (!config.template_id || !TemplateModel.getById(config.template_id)) {
+            errors.push(`${label}: template ${config.template_id || ''} not found`.trim());
+          }
+          break;
+
+        case 'add_to_list':
+          if (!config.list_id || !ListModel.getById(config.list_id)) {
+            errors.push(`${label}: list ${config.list_id || ''} not found`.trim());
+          }
+          break;
+
+        case 'update_field':
+          if (!config.field || config.field === 'email') {
+            errors.push(`${label}: an update needs a field other than email`);
+          }
+          break;
+
+        case 'unsubscribe':
+          if (config.scope !== undefined && !['list', 'all'].includes(config.scope)) {
+            errors.push(`${label}: unsubscribe scope must be list or all`);
+          }
+          break;
+
+        default:
+          errors.push(`${label}: type must be one of ${STEP_TYPES.join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Get a workflow with its steps
+   * @param {number} id - Workflow ID
+   * @returns {Object|null}
+   */
+  getWorkflow(id) {
+    const workflow = WorkflowModel.getById(id);
+
+    return workflow ? { ...workflow, steps: WorkflowModel.getSteps(id) } : null;
+  }
+
+  /**
+   * Create or update a workflow and its steps
+   * Send steps get (or keep) a campaign with status 'automation' that sends
+   * their emails.
+   * @param {number|null} id - Workflow ID, or null to create one
+   * @param {Object} data - Workflow fields and optionally steps
+   * @returns {Object} Saved workflow with steps
+   */
+  saveWorkflow(id, data) {
+    try {
+      const { steps, ...fields } = data;
+      const workflow = id ? WorkflowModel.update(id, fields) : WorkflowModel.create(fields);
+
+      if (steps) {
+        const existing = new Map(WorkflowModel.getSteps(workflow.id).map(step => [step.id, step]));
+
+        const saved = steps.map((step, index) => {
+          const previous = step.id ? existing.get(step.id) : null;
+          const campaignId = step.step_type === 'send_email'
+            ? this.saveStepCampaign(workflow, step, index, previous ? previous.campaign_id : null)
+            : null;
+
+          return { ...step, id: previous ? previous.id : null, campaign_id: campaignId };
+        });
+
+        WorkflowModel.saveSteps(workflow.id, saved);
+
+        // Campaigns of send steps that were removed or changed type
+        const kept = new Set(saved.map(step => step.campaign_id).filter(Boolean));
+        for (const step of existing.values()) {
+          if (step.campaign_id && !kept.has(step.campaign_id)) {
+            QueueModel.deletePendingForCampaign(step.campaign_id);
+            CampaignModel.delete(step.campaign_id);
+          }
+        }
+      } else if (id) {
+        // Sender changes apply to the existing send steps
+        WorkflowModel.getSteps(workflow.id)
+          .filter(step => step.step_type === 'send_email')
+          .forEach(step => this.saveStepCampaign(workflow, step, step.position, step.campaign_id));
+      }
+
+      return this.getWorkflow(workflow.id);
+    } catch (error) {
+      logger.error(`Error saving workflow ${id || '(new)'}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update the campaign a send step sends through
+   * @param {Object} workflow - Workflow
+   * @param {Object} step - Send step ({ config: { template_id, subject } })
+   * @param {number} position - Step position
+   * @param {number|null} campaignId - The step's current campaign
+   * @returns {number} Campaign ID
+   */
+  saveStepCampaign(workflow, step, position, campaignId) {
+    const fields = {
+      name: `${workflow.name} - Step ${position + 1}`,
+      template_id: step.config.template_id,
+      list_id: workflow.list_id,
+      from_email: workflow.from_email,
+      from_name: workflow.from_name,
+      reply_to: workflow.reply_to || workflow.from_email,
+      smtp_config_id: workflow.smtp_config_id || null,
+      subject: step.config.subject || null
+    };
+
+    if (campaignId && CampaignModel.getById(campaignId)) {
+      CampaignModel.update(campaignId, fields);
+      return campaignId;
+    }
+
+    return CampaignModel.create({ ...fields, status: 'automation' }).id;
+  }
+
+  /**
+   * Delete a workflow, its pending jobs and the campaigns its send steps used
+   * @param {number} id - Workflow ID
+   * @returns {boolean} True if the workflow existed
+   */
+  deleteWorkflow(id) {
+    try {
+      const campaignIds = WorkflowModel.getSteps(id).map(step => step.campaign_id).filter(Boolean);
+
+      QueueModel.deletePendingForWorkflow(id);
+      const deleted = WorkflowModel.delete(id);
+
+      for (const campaignId of campaignIds) {
+        QueueModel.deletePendingForCampaign(campaignId);
+        CampaignModel.delete(campaignId);
+      }
+
+      return deleted;
+    } catch (error) {
+      logger.error(`Error deleting workflow ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Activate a draft workflow, or resume a paused one
+   * Contacts who were waiting while it was paused continue where they were.
+   * @param {number} id - Workflow ID
+   * @returns {Object} Workflow with steps
+   */
+  activateWorkflow(id) {
+    try {
+      const workflow = this.getWorkflow(id);
+
+      if (!workflow) {
+        throw new Error(`Workflow ${id} not found`);
+      }
+
+      if (workflow.status === 'active') {
+        throw new Error('Workflow is already active');
+      }
+
+      if (workflow.steps.length === 0) {
+        throw new Error('Workflow needs at least one step');
+      }
+
+      const errors = this.validate(workflow, workflow.steps);
+      if (errors.length > 0) {
+        throw new Error(`Workflow is invalid: ${errors.join('; ')}`);
+      }
+
+      WorkflowModel.update(workflow.id, { status: 'active', activated_at: workflow.activated_at || new Date().toISOString() });
+
+      const now = Date.now();
+      const waiting = WorkflowModel.getActiveEnrollments(workflow.id);
+
+      for (const enrollment of waiting) {
+        const runAt = enrollment.next_run_at && new Date(enrollment.next_run_at).getTime() > now
+          ? enrollment.next_run_at
+          : new Date(now).toISOString();
+
+        this.enqueueStep(workflow.id, enrollment.id, enrollment.current_step_id, runAt);
+      }
+
+      logger.info(`Workflow ${id} activated${waiting.length > 0 ? `, ${waiting.length} enrollments resumed` : ''}`);
+      return this.getWorkflow(id);
+    } catch (error) {
+      logger.error(`Error activating workflow ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause a workflow
+   * Nobody is enrolled and enrolled contacts stop where they are until it is
+   * activated again; emails already queued still go out.
+   * @param {number} id - Workflow ID
+   * @returns {Object} Workflow with steps
+   */
+  pauseWorkflow(id) {
+    try {
+      const workflow = WorkflowModel.getById(id);
+
+      if (!workflow) {
+        throw new Error(`Workflow ${id} not found`);
+      }
+
+      if (workflow.status !== 'active') {
+        throw new Error('Only active workflows can be paused');
+      }
+
+      WorkflowModel.update(id, { status: 'paused' });
+      QueueModel.deletePendingForWorkflow(id);
+
+      logger.info(`Workflow ${id} paused`);
+      return this.getWorkflow(id);
+    } catch (error) {
+      logger.error(`Error pausing workflow ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a step of an enrollment
+   * @param {number} workflowId - Workflow ID
+   * @param {number} enrollmentId - Enrollment ID
+   * @param {number} stepId - Step to run
+   * @param {string} runAt - When to run it (ISO string)
+   */
+  enqueueStep(workflowId, enrollmentId, stepId, runAt) {
+    QueueModel.enqueue({
+      job_type: 'workflow_step',
+      job_data: { workflowId, enrollmentId, stepId },
+      scheduled_at: runAt,
+      max_retries: 1
+    });
+  }
+
+  /**
+   * Enroll a contact in a workflow
+   * Only active subscribers of the workflow's list are enrolled, and only
+   * once unless the workflow allows re-entry.
+   * @param {Object} workflow - Workflow
+   * @param {number} contactId - Contact ID
+   * @param {Object} options - { triggerKey, triggerData }
+   * @returns {number|null} Enrollment ID, or null if the contact was not enrolled
+   */
+  enrollContact(workflow, contactId, options = {}) {
+    const subscriber = ListModel.getSubscriber(workflow.list_id, contactId);
+
+    if (!subscriber || subscriber.subscription_status !== 'subscribed' || subscriber.status !== 'active') {
+      return null;
+    }
+
+    if (!options.triggerKey && workflow.allow_reentry !== 1 && WorkflowModel.hasEnrollment(workflow.id, contactId)) {
+      return null;
+    }
+
+    const [firstStep] = WorkflowModel.getSteps(workflow.id);
+
+    if (!firstStep) {
+      return null;
+    }
+
+    const enrollmentId = WorkflowModel.enroll(workflow.id, contactId, {
+      stepId: firstStep.id,
+      triggerKey: options.triggerKey,
+      triggerData: options.triggerData
+    });
+
+    if (enrollmentId) {
+      this.enqueueStep(workflow.id, enrollmentId, firstStep.id, new Date().toISOString());
+      logger.info(`Contact ${contactId} enrolled in workflow ${workflow.id}`);
+    }
+
+    return enrollmentId;
+  }
+
+  /**
+   * Enroll a contact in the active workflows a trigger matches
+   * Errors are logged, so a failing workflow never breaks the action that
+   * triggered it.
+   * @param {string} triggerType - Trigger type
+   * @param {number} contactId - Contact ID
+   * @param {Function} matches - Whether a workflow's trigger matches
+   * @param {Object} triggerData - Stored with the enrollment
+   * @returns {Array<number>} IDs of the workflows the contact was enrolled in
+   */
+  trigger(triggerType, contactId, matches, triggerData = {}) {
+    const enrolled = [];
+
+    try {
+      for (const workflow of WorkflowModel.getActiveByTrigger(triggerType)) {
+        if (matches(workflow) && this.enrollContact(workflow, contactId, { triggerData })) {
+          enrolled.push(workflow.id);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error running ${triggerType} workflows for contact ${contactId}:`, error);
+    }
+
+    return enrolled;
+  }
+
+  /**
+   * A contact subscribed to a list
+   * @param {number} listId - List ID
+   * @param {number} contactId - Contact ID
+   * @returns {Array<number>} Workflows the contact was enrolled in
+   */
+  handleListSubscribed(listId, contactId) {
+    return this.trigger('list_subscribed', contactId, workflow => workflow.list_id === Number(listId), { list_id: Number(listId) });
+  }
+
+  /**
+   * A contact was tagged
+   * @param {number} contactId - Contact ID
+   * @param {string} tag - Tag
+   * @returns {Array<number>} Workflows the contact was enrolled in
+   */
+  handleTagAdded(contactId, tag) {
+    return this.trigger('tag_added', contactId,
+      workflow => String(workflow.trigger_config.tag).toLowerCase() === tag.toLowerCase(), { tag });
+  }
+
+  /**
+   * A custom event was reported for a contact
+   * @param {number} contactId - Contact ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Array<number>} Workflows the contact was enrolled in
+   */
+  handleEvent(contactId, event, data = {}) {
+    return this.trigger('custom_event', contactId, workflow => workflow.trigger_config.event === event, { event, data });
+  }
+
+  /**
+   * Enroll the subscribers whose date field has its anniversary today
+   * Dates are read as "YYYY-MM-DD" (or "MM-DD"); "today" is in DEFAULT_TIMEZONE
+   * and enrollment waits for the workflow's hour (default 9). A contact is
+   * enrolled once a year; February 29 is celebrated on February 28 in
+   * other years. Runs at most once an hour.
+   * @param {Date} now - Current time
+   * @returns {number} Number of enrollments
+   */
+  checkAnniversaries(now = new Date()) {
+    const local = new Date(now.getTime() + getOffset(now, this.defaultTimezone));
+    const hourKey = local.toISOString().slice(0, 13);
+
+    if (this.lastAnniversaryCheck === hourKey) {
+      return 0;
+    }
+    this.lastAnniversaryCheck = hourKey;
+
+    const year = local.getUTCFullYear();
+    const today = local.toISOString().slice(5, 10);
+    const isLeapYear = new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+    let enrolled = 0;
+
+    for (const workflow of WorkflowModel.getActiveByTrigger('date_anniversary')) {
+      const { field, hour = 9 } = workflow.trigger_config;
+
+      if (local.getUTCHours() < hour) {
+        continue;
+      }
+
+      for (const subscriber of ListModel.getSubscribers(workflow.list_id)) {
+        const value = ['subscribed_at', 'created_at'].includes(field)
+          ? subscriber[field]
+          : subscriber.custom_field_values[field];
+        const match = String(value || '').match(/^(?:(\d{4})-)?(\d{2})-(\d{2})/);
+
+        if (!match || Number(match[1]) === year) {
+          continue;
+        }
+
+        const monthDay = `${match[2]}-${match[3]}`;
+
+        if (monthDay === today || (monthDay === '02-29' && today === '02-28' && !isLeapYear)) {
+          const enrollmentId = this.enrollContact(workflow, subscriber.contact_id, {
+            triggerKey: `anniversary:${year}`,
+            triggerData: { field, date: value }
+          });
+
+          if (enrollmentId) {
+            enrolled++;
+          }
+        }
+      }
+    }
+
+    return enrolled;
+  }
+
+  /**
+   * Process a workflow_step job
+   * @param {Object} job - Job ({ job_data: { enrollmentId, stepId } })
+   */
+  processStepJob(job) {
+    const { enrollmentId, stepId } = job.job_data;
+
+    this.runEnrollment(enrollmentId, stepId);
+    QueueModel.markCompleted(job.id);
+  }
+
+  /**
+   * Run an enrollment's steps from a step until a delay or the end
+   * Jobs that no longer match the enrollment's current step are ignored.
+   * @param {number} enrollmentId - Enrollment ID
+   * @param {number} stepId - Step the job was queued for
+   */
+  runEnrollment(enrollmentId, stepId) {
+    const enrollment = WorkflowModel.getEnrollment(enrollmentId);
+
+    if (!enrollment || enrollment.status !== 'active' || enrollment.current_step_id !== stepId) {
+      return;
+    }
+
+    // Paused workflows queue the step again when they are activated
+    const workflow = WorkflowModel.getById(enrollment.workflow_id);
+
+    if (!workflow || workflow.status !== 'active') {
+      return;
+    }
+
+    const steps = WorkflowModel.getSteps(workflow.id);
+    let index = steps.findIndex(step => step.id === stepId);
+
+    if (index === -1) {
+      WorkflowModel.updateEnrollment(enrollment.id, { status: 'exited', error_message: 'Step was removed from the workflow' });
+      return;
+    }
+
+    while (index < steps.length) {
+      const step = steps[index];
+      let outcome;
+
+      try {
+        outcome = this.runStep(workflow, enrollment, step, steps);
+      } catch (error) {
+        logger.error(`Workflow ${workflow.id} step ${step.id} failed for enrollment ${enrollment.id}:`, error);
+        WorkflowModel.logStepEvent(enrollment.id, step.id, 'failed', { detail: error.message });
+        WorkflowModel.updateEnrollment(enrollment.id, { status: 'failed', error_message: error.message });
+        return;
+      }
+
+      WorkflowModel.logStepEvent(enrollment.id, step.id, outcome.status, {
+        messageId: outcome.messageId,
+        detail: outcome.detail
+      });
+
+      if (outcome.status === 'exited') {
+        WorkflowModel.updateEnrollment(enrollment.id, { status: 'exited', error_message: outcome.detail });
+        return;
+      }
+
+      if (outcome.waitUntil && steps[index + 1]) {
+        const nextStep = steps[index + 1];
+
+        WorkflowModel.updateEnrollment(enrollment.id, { current_step_id: nextStep.id, next_run_at: outcome.waitUntil });
+        this.enqueueStep(workflow.id, enrollment.id, nextStep.id, outcome.waitUntil);
+        return;
+      }
+
+      if (outcome.skipNext && steps[index + 1]) {
+        WorkflowModel.logStepEvent(enrollment.id, steps[index + 1].id, 'skipped', { detail: 'Condition not met' });
+        index++;
+      }
+
+      index++;
+    }
+
+    WorkflowModel.updateEnrollment(enrollment.id, { status: 'completed', current_step_id: null, next_run_at: null });
+    logger.info(`Workflow ${workflow.id} completed for contact ${enrollment.contact_id}`);
+  }
+
+  /**
+   * Run one step for an enrollment
+   * @param {Object} workflow - Workflow
+   * @param {Object} enrollment - Enrollment
+   * @param {Object} step - Step
+   * @param {Array<Object>} steps - All of the workflow's steps
+   * @returns {Object} { status: completed|skipped|exited, waitUntil, skipNext, messageId, detail }
+   */
+  runStep(workflow, enrollment, step, steps) {
+    const { config } = step;
+    const contactId = enrollment.contact_id;
+
+    switch (step.step_type) {
+      case 'delay':
+        return {
+          status: 'completed',
+          waitUntil: new Date(Date.now() + config.amount * DELAY_UNITS[config.unit]).toISOString()
+        };
+
+      case 'condition': {
+        if (this.evaluateCondition(workflow, enrollment, step, steps)) {
+          return { status: 'completed', detail: 'Condition met' };
+        }
+
+        return config.else === 'skip_next'
+          ? { status: 'completed', skipNext: true, detail: 'Condition not met' }
+          : { status: 'exited', detail: 'Condition not met' };
+      }
+
+      case 'send_email': {
+        if (!step.campaign_id) {
+          throw new Error('Send step has no campaign');
+        }
+
+        const message = campaignService.sendToContact(step.campaign_id, contactId);
+
+        return message
+          ? { status: 'completed', messageId: message.id }
+          : { status: 'exited', detail: 'Contact is no longer subscribed' };
+      }
+
+      case 'add_to_list': {
+        const existing = ListModel.getSubscriber(config.list_id, contactId);
+
+        if (existing && existing.subscription_status === 'subscribed') {
+          return { status: 'skipped', detail: 'Already subscribed' };
+        }
+
+        ListModel.addSubscriber(config.list_id, contactId, existing ? existing.custom_field_values : {});
+        this.handleListSubscribed(config.list_id, contactId);
+        return { status: 'completed' };
+      }
+
+      case 'update_field':
+        if (CONTACT_FIELDS.includes(config.field)) {
+          ContactModel.setField(contactId, config.field, config.value ?? null);
+        } else {
+          ListModel.setCustomFieldValue(workflow.list_id, contactId, config.field, config.value ?? null);
+        }
+        return { status: 'completed' };
+
+      case 'unsubscribe':
+        if (config.scope === 'all') {
+          ContactModel.updateStatus(contactId, 'unsubscribed');
+        } else {
+          ListModel.removeSubscriber(workflow.list_id, contactId);
+        }
+        return { status: 'completed' };
+
+      default:
+        throw new Error(`Unknown step type ${step.step_type}`);
+    }
+  }
+
+  /**
+   * Evaluate a condition step
+   * Open and click checks look at the email of the closest send step before
+   * the condition, so they usually follow a delay.
+   * @param {Object} workflow - Workflow
+   * @param {Object} enrollment - Enrollment
+   * @param {Object} step - Condition step
+   * @param {Array<Object>} steps - All of the workflow's steps
+   * @returns {boolean}
+   */
+  evaluateCondition(workflow, enrollment, step, steps) {
+    const { check, field, operator, value } = step.config;
+
+    if (check === 'field') {
+      const subscriber = ListModel.getSubscriber(workflow.list_id, enrollment.contact_id) || {};
+      const actual = CONTACT_FIELDS.includes(field)
+        ? subscriber[field]
+        : (subscriber.custom_field_values || {})[field];
+      const isSet = actual !== undefined && actual !== null && actual !== '';
+      const normalized = String(actual ?? '').toLowerCase();
+      const expected = String(value ?? '').toLowerCase();
+
+      switch (operator) {
+        case 'equals': return normalized === expected;
+        case 'not_equals': return normalized !== expected;
+        case 'contains': return isSet && normalized.includes(expected);
+        case 'is_set': return isSet;
+        case 'is_not_set': return !isSet;
+        default: return false;
+      }
+    }
+
+    const sendStep = steps
+      .slice(0, steps.findIndex(candidate => candidate.id === step.id))
+      .reverse()
+      .find(candidate => candidate.step_type === 'send_email');
+    const messageId = sendStep ? WorkflowModel.getStepMessageId(enrollment.id, sendStep.id) : null;
+    const eventType = check.endsWith('opened') ? 'opened' : 'clicked';
+    const happened = messageId ? MessageModel.hasEvent(messageId, eventType) : false;
+
+    return check.startsWith('not_') ? !happened : happened;
+  }
+
+  /**
+   * Get per-step stats of a workflow
+   * @param {number} id - Workflow ID
+   * @returns {Object|null} { workflow, enrollments, steps: [{ ...step, stats }] }
+   */
+  getStats(id) {
+    const workflow = this.getWorkflow(id);
+
+    if (!workflow) {
+      return null;
+    }
+
+    const statsByStep = new Map(WorkflowModel.getStepStats(id).map(row => [row.step_id, row]));
+    const rate = (count, total) => (total > 0 ? ((count / total) * 100).toFixed(2) : '0.00');
+
+    return {
+      workflow: { id: workflow.id, name: workflow.name, status: workflow.status },
+      enrollments: WorkflowModel.countEnrollments(id),
+      steps: workflow.steps.map(step => {
+        const { step_id: stepId, ...stats } = statsByStep.get(step.id);
+
+        return {
+          ...step,
+          stats: step.step_type === 'send_email'
+            ? { ...stats, openRate: rate(stats.opened, stats.sent), clickRate: rate(stats.clicked, stats.sent) }
+            : { completed: stats.completed, skipped: stats.skipped, failed: stats.failed, exited: stats.exited, waiting: stats.waiting }
+        };
+      })
+    };
+  }
+}
+
+module.exports = new WorkflowService();
@@ -225,6 +225,77 @@ function compareCampaigns(campaignsData) {
   });
 }
 
+/**
+ * Report a campaign together with its follow-ups to non-openers
+ * Combined figures count contacts rather than messages, so a contact who opened
+ * only the follow-up counts once, as an open the follow-up added.
+ * @param {Array} campaignsData - Array of { campaign, messages, events }, original campaign first
+ * @returns {Object} Combined metrics and per-campaign metrics
+ */
+function calculateFollowUpMetrics(campaignsData) {
+  const recipients = new Set();
+  const openers = new Set();
+  const clickers = new Set();
+  let originalOpeners = new Set();
+
+  const campaigns = campaignsData.map(({ campaign, messages, events }, index) => {
+    const contactByMessage = new Map(messages.map(m => [m.id, m.contact_id]));
+    const campaignOpeners = new Set();
+
+    messages
+      .filter(m => ['sent', 'delivered'].includes(m.status))
+      .forEach(m => recipients.add(m.contact_id));
+
+    events.forEach(event => {
+      const contactId = contactByMessage.get(event.message_id);
+
+      if (event.event_type === 'opened') {
+        openers.add(contactId);
+        campaignOpeners.add(contactId);
+      } else if (event.event_type === 'clicked') {
+        clickers.add(contactId);
+      }
+    });
+
+    if (index === 0) {
+      originalOpeners = campaignOpeners;
+    }
+
+    // Rates are per sent message here, to match the combined rates
+    const metrics = calculateCampaignMetrics(campaign, messages, events);
+    const sentRate = count => metrics.sent > 0 ? parseFloat(((count / metrics.sent) * 100).toFixed(2)) : 0;
+
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      status: campaign.status,
+      parentCampaignId: campaign.parent_campaign_id,
+      subject: campaign.subject,
+      scheduledAt: campaign.scheduled_at,
+      startedAt: campaign.started_at,
+      sent: metrics.sent,
+      uniqueOpens: metrics.uniqueOpens,
+      openRate: sentRate(metrics.uniqueOpens),
+      uniqueClicks: metrics.uniqueClicks,
+      clickRate: sentRate(metrics.uniqueClicks)
+    };
+  });
+
+  const rate = count => recipients.size > 0 ? parseFloat(((count / recipients.size) * 100).toFixed(2)) : 0;
+
+  return {
+    campaigns,
+    combined: {
+      recipients: recipients.size,
+      uniqueOpens: openers.size,
+      openRate: rate(openers.size),
+      uniqueClicks: clickers.size,
+      clickRate: rate(clickers.size),
+      addedOpens: openers.size - originalOpeners.size
+    }
+  };
+}
+
 /**
  * Calculate engagement score for a contact
  * @param {Array} contactEvents - Events for a specific contact
@@ -291,6 +362,7 @@ module.exports = {
   parseUserAgent,
   getDeviceBreakdown,
   compareCampaigns,
+  calculateFollowUpMetrics,
   calculateEngagementScore,
   formatMetricsForExport
 };
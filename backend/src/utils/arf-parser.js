@@ -0,0 +1,55 @@
+/**
+ * Abuse Reporting Format Parser
+ *
+ * Parses RFC 5965 feedback loop reports (multipart/report; report-type=feedback-report)
+ * Extracts:
+ *   - Feedback-Type, User-Agent, Source-IP and Arrival-Date of the report
+ *   - Original-Mail-From (the VERP return path) and Original-Rcpt-To
+ *   - Message-ID, X-Message-ID and X-Campaign-ID of the reported message
+ */
+
+const { parseEntity, parseHeaders, findParts, extractAddress } = require('./dsn-parser');
+
+/**
+ * Parse an RFC 5965 feedback report
+ * @param {string} raw - Raw message
+ * @returns {Object|null} Parsed report, or null if the message is not an ARF report
+ */
+function parseArf(raw) {
+  if (!raw) return null;
+
+  const message = parseEntity(raw);
+  const reportPart = findParts(message, 'message/feedback-report')[0];
+
+  if (!reportPart) {
+    return null;
+  }
+
+  const fields = parseHeaders(`${reportPart.body.trim()}\n\n`).headers;
+  const first = name => (fields[name] || [])[0] || null;
+
+  // The reported message, in full or headers only
+  const originalPart = findParts(message, 'message/rfc822')[0] || findParts(message, 'text/rfc822-headers')[0];
+  const original = originalPart ? parseHeaders(originalPart.body).headers : {};
+  const originalHeader = name => (original[name] || [])[0] || null;
+
+  const originalMailFrom = first('original-mail-from') || originalHeader('return-path');
+
+  return {
+    feedbackType: (first('feedback-type') || 'abuse').toLowerCase(),
+    userAgent: first('user-agent'),
+    reportingMta: first('reporting-mta') ? first('reporting-mta').replace(/^[^;]*;\s*/, '') : null,
+    sourceIp: first('source-ip'),
+    arrivalDate: first('arrival-date') || first('received-date'),
+    originalMailFrom: originalMailFrom ? extractAddress(originalMailFrom) : null,
+    originalRcptTo: (fields['original-rcpt-to'] || []).map(extractAddress),
+    originalMessageId: originalHeader('message-id'),
+    originalRecordId: parseInt(originalHeader('x-message-id')) || null,
+    originalCampaignId: parseInt(originalHeader('x-campaign-id')) || null,
+    subject: originalHeader('subject')
+  };
+}
+
+module.exports = {
+  parseArf
+};
@@ -0,0 +1,67 @@
+/**
+ * Confirmation Token Utility
+ *
+ * Signed tokens for double opt-in confirmation links. A token names the list
+ * and contact and when it was issued, and carries an HMAC of those, so links
+ * cannot be forged for other subscriptions:
+ *   <listId>.<contactId>.<issuedAt>.<signature>
+ * Tokens expire after CONFIRMATION_TOKEN_TTL_HOURS (default 7 days).
+ */
+
+const crypto = require('crypto');
+
+const CONFIRMATION_SECRET = process.env.CONFIRMATION_SECRET || process.env.ENCRYPTION_KEY || 'confirmation-development-secret';
+const CONFIRMATION_TOKEN_TTL_HOURS = parseInt(process.env.CONFIRMATION_TOKEN_TTL_HOURS) || 7 * 24;
+
+/**
+ * Sign a token payload
+ * @param {string} payload - Payload
+ * @returns {string} Signature
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', CONFIRMATION_SECRET).update(payload).digest('hex').slice(0, 32);
+}
+
+/**
+ * Create a confirmation token for a subscription
+ * @param {number} listId - List ID
+ * @param {number} contactId - Contact ID
+ * @param {Date} issuedAt - Issue time (optional)
+ * @returns {string} Token
+ */
+function createToken(listId, contactId, issuedAt = new Date()) {
+  const payload = `${listId}.${contactId}.${Math.floor(issuedAt.getTime() / 1000)}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a confirmation token
+ * @param {string} token - Token
+ * @param {Date} now - Current time (optional)
+ * @returns {Object} { valid, listId, contactId, reason }
+ */
+function verifyToken(token, now = new Date()) {
+  const match = String(token || '').match(/^(\d+)\.(\d+)\.(\d+)\.([0-9a-f]{32})$/);
+
+  if (!match) {
+    return { valid: false, reason: 'Invalid confirmation link' };
+  }
+
+  const [, listId, contactId, issuedAt, signature] = match;
+  const expected = sign(`${listId}.${contactId}.${issuedAt}`);
+
+  if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { valid: false, reason: 'Invalid confirmation link' };
+  }
+
+  if (now.getTime() - parseInt(issuedAt) * 1000 > CONFIRMATION_TOKEN_TTL_HOURS * 60 * 60 * 1000) {
+    return { valid: false, reason: 'This confirmation link has expired, please subscribe again' };
+  }
+
+  return { valid: true, listId: parseInt(listId), contactId: parseInt(contactId) };
+}
+
+module.exports = {
+  createToken,
+  verifyToken
+};
@@ -1,4 +1,5 @@
 const logger = require('../config/logger');
+const { htmlToText } = require('./html-to-text');
 
 /**
  * Content Validation Utility for Email Compliance
@@ -231,7 +232,7 @@ function validatePlainText(plainText, html) {
   }
 
   // Check if plain text is too different from HTML
-  const htmlText = html.replace(/<[^>]+>/g, '').trim();
+  const htmlText = htmlToText(html, { linkFootnotes: false });
   const similarity = calculateSimilarity(plainText, htmlText);
 
   if (similarity < 0.5) {
@@ -419,6 +420,7 @@ function getContentHealthScore(content) {
 module.exports = {
   validateEmailContent,
   validateSubject,
+  validatePlainText,
   countSpamWords,
   calculateLinkRatio,
   calculateImageRatio,
@@ -0,0 +1,193 @@
+/**
+ * Delivery Status Notification Parser
+ *
+ * Parses RFC 3464 bounce messages (multipart/report; report-type=delivery-status)
+ * Extracts:
+ *   - Per-recipient Action, Status (enhanced code, e.g. 5.1.1) and Diagnostic-Code
+ *   - The addresses the bounce was delivered to (VERP return path)
+ *   - Message-ID of the original message, when included
+ */
+
+/**
+ * Split a message into unfolded headers and body
+ * @param {string} raw - Raw message or MIME part
+ * @returns {Object} { headers, body } - headers maps lowercased names to arrays of values
+ */
+function parseHeaders(raw) {
+  const text = raw.replace(/\r\n/g, '\n');
+  const separator = text.indexOf('\n\n');
+  const headerText = separator === -1 ? text : text.slice(0, separator);
+  const body = separator === -1 ? '' : text.slice(separator + 2);
+
+  const headers = {};
+  const lines = headerText.replace(/\n[ \t]+/g, ' ').split('\n');
+
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+
+    const name = line.slice(0, colon).trim().toLowerCase();
+    (headers[name] = headers[name] || []).push(line.slice(colon + 1).trim());
+  }
+
+  return { headers, body };
+}
+
+/**
+ * Get a parameter of a structured header value
+ * @param {string} value - Header value, e.g. 'multipart/report; boundary="abc"'
+ * @param {string} name - Parameter name
+ * @returns {string|null} Parameter value
+ */
+function getParam(value, name) {
+  const match = (value || '').match(new RegExp(`;\\s*${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ * @param {string} body - Encoded body
+ * @param {string} encoding - Transfer encoding
+ * @returns {string} Decoded body
+ */
+function decodeBody(body, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    case 'quoted-printable':
+      return body
+        .replace(/=\n/g, '')
+        .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    default:
+      return body;
+  }
+}
+
+/**
+ * Parse a MIME entity and, for multiparts, its parts
+ * @param {string} raw - Raw message or MIME part
+ * @returns {Object} { headers, contentType, body, parts }
+ */
+function parseEntity(raw) {
+  const { headers, body } = parseHeaders(raw);
+  const contentTypeHeader = (headers['content-type'] || ['text/plain'])[0];
+  const contentType = contentTypeHeader.split(';')[0].trim().toLowerCase();
+  const entity = { headers, contentType, contentTypeHeader, body, parts: [] };
+
+  const boundary = contentType.startsWith('multipart/') ? getParam(contentTypeHeader, 'boundary') : null;
+
+  if (boundary) {
+    const delimiter = `--${boundary}`;
+    const sections = body.split(new RegExp(`^${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*$`, 'm'));
+
+    // First section is the preamble, last is the epilogue
+    entity.parts = sections.slice(1, -1).map(section => parseEntity(section.replace(/^\n/, '')));
+  } else {
+    entity.body = decodeBody(body, (headers['content-transfer-encoding'] || [])[0]);
+  }
+
+  return entity;
+}
+
+/**
+ * Find all parts with a content type, depth first
+ * @param {Object} entity - Parsed entity
+ * @param {string} contentType - Content type to look for
+ * @returns {Array<Object>} Matching parts
+ */
+function findParts(entity, contentType) {
+  const found = entity.contentType === contentType ? [entity] : [];
+  return found.concat(...entity.parts.map(part => findParts(part, contentType)));
+}
+
+/**
+ * Parse a message/delivery-status body into field groups
+ * @param {string} text - delivery-status body
+ * @returns {Array<Object>} Field groups; the first is per-message, the rest per-recipient
+ */
+function parseStatusGroups(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .trim()
+    .split(/\n\s*\n/)
+    .map(group => parseHeaders(`${group}\n\n`).headers);
+}
+
+/**
+ * Strip the address type from a DSN address field ("rfc822; user@example.com")
+ * @param {string} value - Field value
+ * @returns {string|null} Address
+ */
+function stripAddressType(value) {
+  if (!value) return null;
+  return value.replace(/^[^;]*;\s*/, '').replace(/^<|>$/g, '').trim().toLowerCase();
+}
+
+/**
+ * Extract the bare address from a header value ('"Bounces" <a@b.com>')
+ * @param {string} value - Header value
+ * @returns {string} Address
+ */
+function extractAddress(value) {
+  const match = value.match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+/**
+ * Parse an RFC 3464 delivery status notification
+ * @param {string} raw - Raw message
+ * @returns {Object|null} Parsed DSN, or null if the message is not a DSN
+ */
+function parseDsn(raw) {
+  if (!raw) return null;
+
+  const message = parseEntity(raw);
+  const statusPart = findParts(message, 'message/delivery-status')[0];
+
+  if (!statusPart) {
+    return null;
+  }
+
+  const [messageFields, ...recipientGroups] = parseStatusGroups(statusPart.body);
+
+  const recipients = recipientGroups
+    .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+    .map(fields => {
+      const first = name => (fields[name] || [])[0] || null;
+      const diagnosticCode = first('diagnostic-code');
+
+      return {
+        recipient: stripAddressType(first('final-recipient') || first('original-recipient')),
+        action: (first('action') || '').toLowerCase(),
+        status: (first('status') || '').match(/\d\.\d{1,3}\.\d{1,3}/)?.[0] || null,
+        diagnosticCode: diagnosticCode ? diagnosticCode.replace(/^smtp;\s*/i, '') : null,
+        remoteMta: stripAddressType(first('remote-mta'))
+      };
+    });
+
+  // Headers of the original message (text/rfc822-headers or message/rfc822)
+  const originalPart = findParts(message, 'text/rfc822-headers')[0] || findParts(message, 'message/rfc822')[0];
+  const original = originalPart ? parseHeaders(originalPart.body).headers : {};
+
+  const deliveredTo = ['x-original-to', 'delivered-to', 'envelope-to', 'to']
+    .flatMap(name => message.headers[name] || [])
+    .flatMap(value => value.split(','))
+    .map(extractAddress)
+    .filter(Boolean);
+
+  return {
+    reportingMta: stripAddressType((messageFields['reporting-mta'] || [])[0]),
+    recipients,
+    deliveredTo,
+    originalMessageId: (original['message-id'] || [])[0] || null,
+    subject: (message.headers.subject || [])[0] || null
+  };
+}
+
+module.exports = {
+  parseDsn,
+  parseEntity,
+  parseHeaders,
+  findParts,
+  extractAddress
+};
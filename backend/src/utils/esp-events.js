@@ -0,0 +1,357 @@
+/**
+ * Email Service Provider Event Parser
+ *
+ * Normalizes the event webhooks of relays that report deliveries, bounces,
+ * complaints and unsubscribes themselves: Amazon SES (through SNS), SendGrid,
+ * Mailgun and Postmark. Each provider event becomes one event per recipient:
+ *   - type: delivered, bounced, complained or unsubscribed
+ *   - Message-ID, X-Message-ID, X-Campaign-ID and X-Transactional-ID of the
+ *     original message, when the provider reports them
+ *   - bounceType when the provider has classified the bounce (hard or soft)
+ *
+ * Providers that do not echo message headers echo metadata set when sending
+ * instead; metadataHeaders builds the headers that carry our IDs to them.
+ */
+
+const PROVIDERS = ['ses', 'sendgrid', 'mailgun', 'postmark'];
+
+// Our headers and the metadata keys they are passed to providers as
+const METADATA_KEYS = {
+  'X-Message-ID': 'message_record_id',
+  'X-Campaign-ID': 'campaign_id',
+  'X-Transactional-ID': 'transactional_id'
+};
+
+// SMTP hosts of each provider, for picking the metadata headers a relay understands
+const PROVIDER_HOSTS = {
+  ses: /^email-smtp\.[a-z0-9-]+\.amazonaws\.com$/i,
+  sendgrid: /(^|\.)sendgrid\.net$/i,
+  mailgun: /(^|\.)mailgun\.org$/i,
+  postmark: /(^|\.)postmarkapp\.com$/i
+};
+
+// Postmark bounce types, by how we count them
+const POSTMARK_HARD_BOUNCES = ['HardBounce', 'BadEmailAddress'];
+const POSTMARK_SOFT_BOUNCES = ['SoftBounce', 'Transient', 'DnsError', 'Blocked'];
+
+/**
+ * Get the provider an SMTP host belongs to
+ * @param {string} host - SMTP host
+ * @returns {string|null} Provider or null
+ */
+function getProviderForHost(host) {
+  if (!host) {
+    return null;
+  }
+
+  return PROVIDERS.find(provider => PROVIDER_HOSTS[provider].test(host.trim())) || null;
+}
+
+/**
+ * Build the headers that pass our message IDs to a provider as metadata
+ * SES echoes the original headers, so it needs none.
+ * @param {string} host - SMTP host of the relay
+ * @param {Object} headers - Headers of the message
+ * @returns {Object} Headers to add
+ */
+function metadataHeaders(host, headers) {
+  const metadata = {};
+
+  for (const [header, key] of Object.entries(METADATA_KEYS)) {
+    if (headers[header]) {
+      metadata[key] = String(headers[header]);
+    }
+  }
+
+  if (Object.keys(metadata).length === 0) {
+    return {};
+  }
+
+  switch (getProviderForHost(host)) {
+    case 'sendgrid':
+      return { 'X-SMTPAPI': JSON.stringify({ unique_args: metadata }) };
+
+    case 'mailgun':
+      return { 'X-Mailgun-Variables': JSON.stringify(metadata) };
+
+    case 'postmark':
+      return Object.fromEntries(
+        Object.entries(metadata).map(([key, value]) => [`X-PM-Metadata-${key}`, value])
+      );
+
+    default:
+      return {};
+  }
+}
+
+/**
+ * Build a normalized event
+ * @param {Object} fields - Event fields
+ * @param {Object} metadata - Provider metadata or headers keyed by METADATA_KEYS values
+ * @returns {Object} Event
+ */
+function buildEvent(fields, metadata = {}) {
+  return {
+    type: fields.type,
+    recipient: fields.recipient ? String(fields.recipient).trim().toLowerCase() : null,
+    originalMessageId: fields.originalMessageId || null,
+    originalRecordId: parseInt(metadata.message_record_id) || null,
+    originalCampaignId: parseInt(metadata.campaign_id) || null,
+    originalTransactionalId: parseInt(metadata.transactional_id) || null,
+    bounceType: fields.bounceType || null,
+    code: fields.code ? String(fields.code) : null,
+    reason: fields.reason || null,
+    feedbackType: fields.feedbackType || null,
+    occurredAt: fields.occurredAt || new Date().toISOString(),
+    providerEventId: fields.providerEventId ? String(fields.providerEventId) : null
+  };
+}
+
+/**
+ * Convert a Unix timestamp in seconds to ISO 8601
+ * @param {number|string} seconds - Unix timestamp
+ * @returns {string|null}
+ */
+function fromUnix(seconds) {
+  const value = parseFloat(seconds);
+  return Number.isFinite(value) ? new Date(value * 1000).toISOString() : null;
+}
+
+/**
+ * Parse an SES notification (the Message of an SNS notification)
+ * Handles both event publishing (eventType) and feedback notifications (notificationType).
+ * @param {Object} notification - SES notification
+ * @returns {Array<Object>} Events
+ */
+function parseSes(notification) {
+  const type = notification.eventType || notification.notificationType;
+  const mail = notification.mail || {};
+
+  // Original headers are only included when the identity is set up to include them
+  const keysByHeader = Object.fromEntries(
+    Object.entries(METADATA_KEYS).map(([header, key]) => [header.toLowerCase(), key])
+  );
+
+  const headers = {};
+  for (const header of mail.headers || []) {
+    const key = keysByHeader[String(header.name).toLowerCase()];
+    if (key) {
+      headers[key] = header.value;
+    }
+  }
+
+  const originalMessageId = mail.commonHeaders?.messageId || null;
+
+  switch (type) {
+    case 'Delivery':
+      return (notification.delivery?.recipients || mail.destination || []).map(recipient => buildEvent({
+        type: 'delivered',
+        recipient,
+        originalMessageId,
+        reason: notification.delivery?.smtpResponse,
+        occurredAt: notification.delivery?.timestamp
+      }, headers));
+
+    case 'Bounce': {
+      const bounce = notification.bounce || {};
+
+      return (bounce.bouncedRecipients || []).map(recipient => buildEvent({
+        type: 'bounced',
+        recipient: recipient.emailAddress,
+        originalMessageId,
+        bounceType: bounce.bounceType === 'Permanent' ? 'hard' : 'soft',
+        code: recipient.status,
+        reason: recipient.diagnosticCode || `${bounce.bounceType} bounce (${bounce.bounceSubType})`,
+        occurredAt: bounce.timestamp,
+        providerEventId: bounce.feedbackId
+      }, headers));
+    }
+
+    case 'Complaint': {
+      const complaint = notification.complaint || {};
+
+      return (complaint.complainedRecipients || []).map(recipient => buildEvent({
+        type: 'complained',
+        recipient: recipient.emailAddress,
+        originalMessageId,
+        feedbackType: complaint.complaintFeedbackType || 'abuse',
+        occurredAt: complaint.timestamp,
+        providerEventId: complaint.feedbackId
+      }, headers));
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parse a SendGrid Event Webhook post (an array of events)
+ * Custom arguments (X-SMTPAPI unique_args) are top-level fields of each event.
+ * @param {Array<Object>} events - SendGrid events
+ * @returns {Array<Object>} Events
+ */
+function parseSendgrid(events) {
+  return (Array.isArray(events) ? events : []).flatMap(event => {
+    const fields = {
+      recipient: event.email,
+      originalMessageId: event['smtp-id'],
+      occurredAt: fromUnix(event.timestamp),
+      providerEventId: event.sg_event_id
+    };
+
+    switch (event.event) {
+      case 'delivered':
+        return [buildEvent({ ...fields, type: 'delivered', reason: event.response }, event)];
+
+      case 'bounce':
+        return [buildEvent({
+          ...fields,
+          type: 'bounced',
+          // 'blocked' bounces are rejections of the message, not the address
+          bounceType: event.type === 'blocked' ? 'soft' : 'hard',
+          code: event.status,
+          reason: event.reason
+        }, event)];
+
+      case 'spamreport':
+        return [buildEvent({ ...fields, type: 'complained', feedbackType: 'abuse' }, event)];
+
+      case 'unsubscribe':
+      case 'group_unsubscribe':
+        return [buildEvent({ ...fields, type: 'unsubscribed' }, event)];
+
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Parse a Mailgun webhook post
+ * Temporary failures are skipped; Mailgun keeps retrying those itself.
+ * @param {Object} body - Mailgun webhook body ({ signature, 'event-data' })
+ * @returns {Array<Object>} Events
+ */
+function parseMailgun(body) {
+  const event = body['event-data'] || {};
+  const status = event['delivery-status'] || {};
+
+  const fields = {
+    recipient: event.recipient,
+    originalMessageId: event.message?.headers?.['message-id'],
+    occurredAt: fromUnix(event.timestamp),
+    providerEventId: event.id
+  };
+  const metadata = event['user-variables'] || {};
+
+  switch (event.event) {
+    case 'delivered':
+      return [buildEvent({ ...fields, type: 'delivered', reason: status.message }, metadata)];
+
+    case 'failed':
+      if (event.severity !== 'permanent') {
+        return [];
+      }
+
+      // Mailgun does not say whether the address is bad; classify by the SMTP code
+      return [buildEvent({
+        ...fields,
+        type: 'bounced',
+        code: status['enhanced-code'] || status.code,
+        reason: status.description || status.message || event.reason
+      }, metadata)];
+
+    case 'complained':
+      return [buildEvent({ ...fields, type: 'complained', feedbackType: 'abuse' }, metadata)];
+
+    case 'unsubscribed':
+      return [buildEvent({ ...fields, type: 'unsubscribed' }, metadata)];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parse a Postmark webhook post
+ * Postmark reports its own MessageID, so messages are matched by metadata.
+ * @param {Object} body - Postmark webhook body
+ * @returns {Array<Object>} Events
+ */
+function parsePostmark(body) {
+  const metadata = body.Metadata || {};
+
+  switch (body.RecordType) {
+    case 'Delivery':
+      return [buildEvent({
+        type: 'delivered',
+        recipient: body.Recipient,
+        reason: body.Details,
+        occurredAt: body.DeliveredAt
+      }, metadata)];
+
+    case 'Bounce': {
+      const fields = { recipient: body.Email, occurredAt: body.BouncedAt, providerEventId: body.ID };
+
+      if (body.Type === 'SpamComplaint') {
+        return [buildEvent({ ...fields, type: 'complained', feedbackType: 'abuse' }, metadata)];
+      }
+
+      if (body.Type === 'Unsubscribe') {
+        return [buildEvent({ ...fields, type: 'unsubscribed' }, metadata)];
+      }
+
+      const bounceType = POSTMARK_HARD_BOUNCES.includes(body.Type)
+        ? 'hard'
+        : (POSTMARK_SOFT_BOUNCES.includes(body.Type) ? 'soft' : null);
+
+      // Auto-responders, challenge messages and the like are not bounces
+      if (!bounceType) {
+        return [];
+      }
+
+      return [buildEvent({
+        ...fields,
+        type: 'bounced',
+        bounceType,
+        code: body.TypeCode,
+        reason: body.Details || body.Description
+      }, metadata)];
+    }
+
+    case 'SpamComplaint':
+      return [buildEvent({
+        type: 'complained',
+        recipient: body.Email,
+        feedbackType: 'abuse',
+        occurredAt: body.BouncedAt,
+        providerEventId: body.ID
+      }, metadata)];
+
+    case 'SubscriptionChange':
+      // Suppressions for bounces and complaints arrive as their own events
+      if (!body.SuppressSending || body.SuppressionReason !== 'ManualSuppression') {
+        return [];
+      }
+
+      return [buildEvent({
+        type: 'unsubscribed',
+        recipient: body.Recipient,
+        occurredAt: body.ChangedAt
+      }, metadata)];
+
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  getProviderForHost,
+  metadataHeaders,
+  parseSes,
+  parseSendgrid,
+  parseMailgun,
+  parsePostmark
+};
@@ -0,0 +1,179 @@
+/**
+ * HTML to Plain Text Utility
+ *
+ * Builds the text/plain part of an email from its HTML body
+ * Keeps:
+ *   - Links as numbered footnotes: "Read more [1]" ... "[1] https://..."
+ *   - Headings, paragraphs and line breaks as separate lines
+ *   - List items as "* item" (or "1. item" in ordered lists)
+ *   - Image alt text and horizontal rules
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  euro: '€',
+  pound: '£'
+};
+
+const BLOCK_TAGS = 'p|div|section|article|header|footer|table|thead|tbody|tfoot|tr|blockquote|pre|address|center|ul|ol';
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Read an attribute value from a tag's attribute string
+ * @param {string} attributes - Attribute string, e.g. ' href="..." class="x"'
+ * @param {string} name - Attribute name
+ * @returns {string|null} Decoded value
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+
+  if (!match) return null;
+
+  return decodeEntities(match[1] ?? match[2] ?? match[3]).trim();
+}
+
+/**
+ * Strip tags and collapse whitespace of an inline fragment
+ * @param {string} html - HTML fragment
+ * @returns {string} Text
+ */
+function inlineText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert an email's HTML body to plain text
+ * @param {string} html - HTML content
+ * @param {Object} options - Conversion options
+ * @param {boolean} options.linkFootnotes - List link URLs as footnotes (default: true)
+ * @returns {string} Plain text
+ */
+function htmlToText(html, options = {}) {
+  if (!html) return '';
+
+  const { linkFootnotes = true } = options;
+  const links = [];
+  let text = html;
+
+  // Content that never renders as text
+  text = text
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '');
+
+  // Images become their alt text; spacer/tracking images have none
+  text = text.replace(/<img\b([^>]*)>/gi, (match, attributes) => {
+    const alt = getAttribute(attributes, 'alt');
+    return alt ? ` ${alt} ` : '';
+  });
+
+  // Links become "text [n]" with the URL listed at the end
+  text = text.replace(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi, (match, attributes, content) => {
+    const href = (getAttribute(attributes, 'href') || '').replace(/^mailto:/i, '');
+    const label = inlineText(content);
+
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+      return label;
+    }
+
+    // The URL itself is the link text, no footnote needed
+    if (!label || label === href) {
+      return href;
+    }
+
+    if (!linkFootnotes) {
+      return label;
+    }
+
+    let index = links.indexOf(href);
+    if (index === -1) {
+      links.push(href);
+      index = links.length - 1;
+    }
+
+    return `${label} [${index + 1}]`;
+  });
+
+  // Headings on their own lines, separated from the surrounding text
+  text = text.replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (match, level, content) => {
+    const heading = inlineText(content);
+    return heading ? `\n\n${level === '1' ? heading.toUpperCase() : heading}\n\n` : '';
+  });
+
+  // Ordered lists are numbered, everything else is bulleted
+  text = text.replace(/<ol\b[^>]*>([\s\S]*?)<\/ol\s*>/gi, (match, content) => {
+    let number = 0;
+    return `\n${content.replace(/\s*<li\b[^>]*>/gi, () => `\n${++number}. `)}\n`;
+  });
+  text = text.replace(/\s*<li\b[^>]*>/gi, '\n* ');
+
+  // Line and block structure
+  text = text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr\b[^>]*>/gi, '\n\n----------\n\n')
+    .replace(/<\/(td|th)\s*>/gi, ' ')
+    .replace(new RegExp(`<\\/?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n\n');
+
+  // Remaining inline tags
+  text = decodeEntities(text.replace(/<[^>]+>/g, ''));
+
+  // Whitespace: collapse runs within lines, keep at most one blank line
+  text = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (links.length > 0) {
+    text += '\n\n' + links.map((href, i) => `[${i + 1}] ${href}`).join('\n');
+  }
+
+  return text;
+}
+
+module.exports = {
+  htmlToText,
+  decodeEntities
+};
@@ -0,0 +1,98 @@
+/**
+ * Mail Drop Directory Utility
+ *
+ * Reads raw messages that an inbound MTA delivered to a directory
+ * Supports:
+ *   - Maildir: files in new/ are processed and moved to cur/
+ *   - Plain directories of .eml files, moved to processed/
+ *   - mbox files (starting with a "From " line), split into messages
+ * Files that cannot be processed are moved to failed/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+/**
+ * Split an mbox file into raw messages
+ * @param {string} content - mbox content
+ * @returns {Array<string>} Raw messages
+ */
+function splitMbox(content) {
+  return content
+    .replace(/\r\n/g, '\n')
+    .split(/^From .*$/m)
+    .map(message => message.replace(/^\n/, '').replace(/^>(>*From )/gm, '$1'))
+    .filter(message => message.trim().length > 0);
+}
+
+/**
+ * Move a file, creating the target directory if needed
+ * @param {string} filePath - File to move
+ * @param {string} targetDir - Target directory
+ * @param {string} fileName - New file name
+ */
+function moveFile(filePath, targetDir, fileName) {
+  try {
+    fs.mkdirSync(targetDir, { recursive: true });
+    fs.renameSync(filePath, path.join(targetDir, fileName));
+  } catch (error) {
+    logger.error(`Error moving mail file ${filePath}:`, error);
+  }
+}
+
+/**
+ * Process every message waiting in a drop directory
+ * @param {string} dropDir - Drop directory
+ * @param {Function} processMessage - Called with each raw message; returns { status }
+ * @returns {Object} { files, messages, processed, ignored, failed }
+ */
+function processDropDirectory(dropDir, processMessage) {
+  const stats = { files: 0, messages: 0, processed: 0, ignored: 0, failed: 0 };
+
+  if (!fs.existsSync(dropDir)) {
+    return stats;
+  }
+
+  const isMaildir = fs.existsSync(path.join(dropDir, 'new'));
+  const inbox = isMaildir ? path.join(dropDir, 'new') : dropDir;
+  const doneDir = path.join(dropDir, isMaildir ? 'cur' : 'processed');
+
+  const files = fs.readdirSync(inbox, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => entry.name);
+
+  for (const file of files) {
+    const filePath = path.join(inbox, file);
+    stats.files++;
+
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const messages = content.startsWith('From ') ? splitMbox(content) : [content];
+
+      for (const raw of messages) {
+        const result = processMessage(raw);
+        stats.messages++;
+
+        if (result.status === 'processed') {
+          stats.processed++;
+        } else {
+          stats.ignored++;
+        }
+      }
+
+      moveFile(filePath, doneDir, isMaildir ? `${file}:2,S` : file);
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Error processing mail file ${filePath}:`, error);
+      moveFile(filePath, path.join(dropDir, 'failed'), file);
+    }
+  }
+
+  return stats;
+}
+
+module.exports = {
+  processDropDirectory,
+  splitMbox
+};
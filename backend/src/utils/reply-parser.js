@@ -0,0 +1,141 @@
+/**
+ * Reply Parser
+ *
+ * Parses inbound replies to campaign messages
+ * Extracts:
+ *   - Sender, subject and the addresses the reply was delivered to
+ *   - Message-ID, In-Reply-To and References for threading
+ *   - Text and HTML bodies (text falls back to the HTML converted to text)
+ *   - Whether the reply is an auto-reply (RFC 3834 headers, vendor
+ *     headers and out-of-office subjects)
+ */
+
+const { parseEntity, findParts, extractAddress } = require('./dsn-parser');
+const { htmlToText } = require('./html-to-text');
+
+// Subjects used by out-of-office and autoresponder messages
+const AUTO_REPLY_SUBJECTS = /^\s*(auto(matic)?[ -]?(reply|response|answer)|autoreply|auto:|out of (the )?office|away from (the )?office|on vacation|vacation (reply|response)|abwesenheit|réponse automatique|respuesta automática|risposta automatica)/i;
+
+/**
+ * Decode RFC 2047 encoded words ("=?UTF-8?B?...?=")
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+function decodeWords(value) {
+  if (!value) return value;
+
+  return value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'binary');
+
+      return /^(us-ascii|iso-8859-1|latin1)$/i.test(charset) ? bytes.toString('latin1') : bytes.toString('utf8');
+    });
+}
+
+/**
+ * Split an address header into display name and address
+ * @param {string} value - Header value, e.g. '"Jane Doe" <jane@example.com>'
+ * @returns {Object} { name, email }
+ */
+function parseMailbox(value) {
+  if (!value) return { name: null, email: null };
+
+  const match = value.match(/^\s*"?([^"<]*?)"?\s*<[^>]+>/);
+  return {
+    name: match && match[1].trim() ? decodeWords(match[1].trim()) : null,
+    email: extractAddress(value)
+  };
+}
+
+/**
+ * Detect auto-replies
+ * @param {Object} headers - Parsed headers
+ * @param {string} subject - Decoded subject
+ * @returns {string|null} Detection reason, or null for a human reply
+ */
+function detectAutoReply(headers, subject) {
+  const first = name => (headers[name] || [])[0] || null;
+
+  const autoSubmitted = first('auto-submitted');
+  if (autoSubmitted && autoSubmitted.toLowerCase() !== 'no') {
+    return 'auto-submitted';
+  }
+
+  if (first('x-autoreply') || first('x-autorespond') || first('x-autoresponder')) {
+    return 'autoreply-header';
+  }
+
+  if (/^(auto_reply|bulk|junk)$/i.test(first('precedence') || '')) {
+    return 'precedence';
+  }
+
+  if (AUTO_REPLY_SUBJECTS.test(subject || '')) {
+    return 'subject';
+  }
+
+  return null;
+}
+
+/**
+ * Find the first body part of a content type that is not an attachment
+ * @param {Object} entity - Parsed message
+ * @param {string} contentType - Content type
+ * @returns {Object|null} Part
+ */
+function findBody(entity, contentType) {
+  return findParts(entity, contentType)
+    .find(part => !/^\s*attachment/i.test((part.headers['content-disposition'] || [])[0] || '')) || null;
+}
+
+/**
+ * Parse an inbound reply
+ * @param {string} raw - Raw message
+ * @returns {Object|null} Parsed reply, or null for delivery and feedback reports
+ */
+function parseReply(raw) {
+  if (!raw) return null;
+
+  const message = parseEntity(raw);
+
+  // Bounces and complaints are handled by their own processors
+  if (message.contentType === 'multipart/report') {
+    return null;
+  }
+
+  const headers = message.headers;
+  const first = name => (headers[name] || [])[0] || null;
+  const subject = decodeWords(first('subject')) || '';
+  const from = parseMailbox(first('from'));
+
+  const textPart = findBody(message, 'text/plain');
+  const htmlPart = findBody(message, 'text/html');
+  const html = htmlPart ? htmlPart.body : null;
+
+  const deliveredTo = ['x-original-to', 'delivered-to', 'envelope-to', 'to', 'cc']
+    .flatMap(name => headers[name] || [])
+    .flatMap(value => value.split(','))
+    .map(extractAddress)
+    .filter(Boolean);
+
+  return {
+    fromEmail: from.email,
+    fromName: from.name,
+    subject,
+    deliveredTo,
+    messageId: first('message-id'),
+    inReplyTo: first('in-reply-to'),
+    references: (first('references') || '').match(/<[^>]+>/g) || [],
+    date: first('date'),
+    text: textPart ? textPart.body.trim() : (html ? htmlToText(html) : ''),
+    html,
+    autoReplyReason: detectAutoReply(headers, subject)
+  };
+}
+
+module.exports = {
+  parseReply,
+  detectAutoReply
+};
@@ -0,0 +1,367 @@
+/**
+ * RRULE Utility
+ *
+ * Parses iCalendar recurrence rules (RFC 5545) and expands them into
+ * occurrence instants in an IANA timezone, so "every Tuesday at 10:00" stays
+ * at 10:00 local time across DST changes.
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT,
+ * UNTIL, BYDAY (with ordinals such as 1MO or -1FR for MONTHLY and YEARLY),
+ * BYMONTHDAY, BYMONTH, BYHOUR, BYMINUTE and WKST=MO.
+ */
+
+const { parseLocalDateTime, zonedTimeToUtc } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Indexed like Date#getUTCDay
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Stop looking after this many days, e.g. for a rule like BYMONTH=2;BYMONTHDAY=30
+const MAX_SCAN_DAYS = 366 * 10;
+
+/**
+ * Parse a comma-separated list of integers within a range
+ * @param {string} key - Rule part name, for errors
+ * @param {string} value - Part value
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @param {boolean} allowNegative - Also allow -max..-min
+ * @returns {Array<number>}
+ */
+function parseNumberList(key, value, min, max, allowNegative = false) {
+  return value.split(',').map(item => {
+    const number = Number(item);
+    const magnitude = Math.abs(number);
+
+    if (!Number.isInteger(number) || magnitude < min || magnitude > max || (number < 0 && !allowNegative)) {
+      throw new Error(`Invalid ${key} value "${item}"`);
+    }
+
+    return number;
+  });
+}
+
+/**
+ * Parse an RRULE
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=TU;BYHOUR=10;BYMINUTE=0", optionally prefixed with "RRULE:"
+ * @returns {Object} { freq, interval, count, until, byDay, byMonthDay, byMonth, byHour, byMinute }
+ * @throws {Error} If the rule is invalid or uses unsupported parts
+ */
+function parseRRule(value) {
+  const text = String(value || '').trim().replace(/^RRULE:/i, '');
+
+  if (!text) {
+    throw new Error('RRULE is empty');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    byHour: [],
+    byMinute: []
+  };
+
+  for (const part of text.split(';').filter(Boolean)) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const partValue = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(partValue)) {
+          throw new Error(`Unsupported FREQ "${rawValue}"; use ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = partValue;
+        break;
+
+      case 'INTERVAL':
+        [rule.interval] = parseNumberList(key, partValue, 1, 1000);
+        break;
+
+      case 'COUNT':
+        [rule.count] = parseNumberList(key, partValue, 1, 10000);
+        break;
+
+      case 'UNTIL': {
+        const match = partValue.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) {
+          throw new Error(`Invalid UNTIL "${rawValue}"; use YYYYMMDD or YYYYMMDDTHHMMSSZ`);
+        }
+        const [, year, month, day, hour, minute, second, utc] = match;
+        rule.until = {
+          // A date without a time includes the whole day
+          local: hour ? `${year}-${month}-${day}T${hour}:${minute}:${second}` : `${year}-${month}-${day}T23:59:59`,
+          utc: Boolean(utc)
+        };
+        break;
+      }
+
+      case 'BYDAY':
+        rule.byDay = partValue.split(',').map(item => {
+          const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          const ordinal = match && match[1] ? parseInt(match[1]) : null;
+
+          if (!match || ordinal === 0 || Math.abs(ordinal) > 5) {
+            throw new Error(`Invalid BYDAY value "${item}"`);
+          }
+
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseNumberList(key, partValue, 1, 31, true);
+        break;
+
+      case 'BYMONTH':
+        rule.byMonth = parseNumberList(key, partValue, 1, 12);
+        break;
+
+      case 'BYHOUR':
+        rule.byHour = parseNumberList(key, partValue, 0, 23).sort((a, b) => a - b);
+        break;
+
+      case 'BYMINUTE':
+        rule.byMinute = parseNumberList(key, partValue, 0, 59).sort((a, b) => a - b);
+        break;
+
+      case 'WKST':
+        if (partValue !== 'MO') {
+          throw new Error('Only WKST=MO is supported');
+        }
+        break;
+
+      default:
+        throw new Error(`Unsupported RRULE part "${rawKey}"`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('RRULE needs a FREQ');
+  }
+
+  if (rule.count && rule.until) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+
+  if ((rule.freq === 'DAILY' || rule.freq === 'WEEKLY') && rule.byDay.some(day => day.ordinal !== null)) {
+    throw new Error(`BYDAY ordinals such as 1MO need FREQ=MONTHLY or FREQ=YEARLY`);
+  }
+
+  return rule;
+}
+
+/**
+ * Check if a string is a supported RRULE
+ * @param {string} value - RRULE
+ * @returns {boolean}
+ */
+function isValidRRule(value) {
+  try {
+    parseRRule(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check if a day of a month matches the rule's BYMONTHDAY and BYDAY
+ * @param {Object} rule - Parsed rule
+ * @param {Date} day - Calendar day (UTC midnight)
+ * @param {number} defaultDay - Day of month used when the rule has neither
+ * @returns {boolean}
+ */
+function matchesDayOfMonth(rule, day, defaultDay) {
+  const date = day.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+
+  if (rule.byMonthDay.length > 0) {
+    const onMonthDay = rule.byMonthDay.some(monthDay => monthDay > 0
+      ? monthDay === date
+      : daysInMonth + monthDay + 1 === date);
+
+    return onMonthDay && (rule.byDay.length === 0 || rule.byDay.some(({ weekday }) => weekday === day.getUTCDay()));
+  }
+
+  if (rule.byDay.length > 0) {
+    return rule.byDay.some(({ weekday, ordinal }) => {
+      if (weekday !== day.getUTCDay()) {
+        return false;
+      }
+
+      if (ordinal === null) {
+        return true;
+      }
+
+      return ordinal > 0
+        ? Math.ceil(date / 7) === ordinal
+        : Math.ceil((daysInMonth - date + 1) / 7) === -ordinal;
+    });
+  }
+
+  return date === defaultDay;
+}
+
+/**
+ * Check if a calendar day has occurrences
+ * @param {Object} rule - Parsed rule
+ * @param {Date} day - Calendar day (UTC midnight)
+ * @param {Date} start - Calendar day of DTSTART (UTC midnight)
+ * @returns {boolean}
+ */
+function matchesDay(rule, day, start) {
+  const month = day.getUTCMonth() + 1;
+
+  if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) {
+    return false;
+  }
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const days = Math.round((day - start) / DAY_MS);
+
+      return days % rule.interval === 0 &&
+        (rule.byMonthDay.length === 0 || matchesDayOfMonth(rule, day, day.getUTCDate())) &&
+        (rule.byDay.length === 0 || rule.byDay.some(({ weekday }) => weekday === day.getUTCDay()));
+    }
+
+    case 'WEEKLY': {
+      // Weeks start on Monday
+      const monday = date => date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+      const weeks = Math.round((monday(day) - monday(start)) / (7 * DAY_MS));
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(({ weekday }) => weekday) : [start.getUTCDay()];
+
+      return weeks % rule.interval === 0 && weekdays.includes(day.getUTCDay());
+    }
+
+    case 'MONTHLY': {
+      const months = (day.getUTCFullYear() - start.getUTCFullYear()) * 12 + (day.getUTCMonth() - start.getUTCMonth());
+
+      return months % rule.interval === 0 && matchesDayOfMonth(rule, day, start.getUTCDate());
+    }
+
+    case 'YEARLY': {
+      const years = day.getUTCFullYear() - start.getUTCFullYear();
+
+      if (years % rule.interval !== 0) {
+        return false;
+      }
+
+      if (rule.byMonth.length === 0 && month !== start.getUTCMonth() + 1) {
+        return false;
+      }
+
+      return matchesDayOfMonth(rule, day, start.getUTCDate());
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Format a calendar day and time as a local date-time string
+ * @param {Date} day - Calendar day (UTC midnight)
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @returns {string} "YYYY-MM-DDTHH:mm"
+ */
+function formatLocal(day, hour, minute) {
+  return `${day.toISOString().slice(0, 10)}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Expand a rule into occurrence instants
+ * COUNT counts from DTSTART, so occurrences before `after` still use it up.
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @param {Object} options - Expansion options
+ * @param {string} options.start - DTSTART wall-clock time, "YYYY-MM-DDTHH:mm"
+ * @param {string} options.timezone - IANA timezone of DTSTART and the rule
+ * @param {Date} options.after - Only return occurrences after this instant (optional)
+ * @param {string} options.endsOn - Last day of the series, "YYYY-MM-DD", inclusive (optional)
+ * @param {number} options.limit - Maximum number of occurrences (default 10)
+ * @returns {Array<Date>} Occurrences in chronological order
+ */
+function getOccurrences(rrule, options) {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const { start, timezone, after = null, endsOn = null, limit = 10 } = options;
+  const local = parseLocalDateTime(start);
+
+  if (!local) {
+    throw new Error('Start must be in YYYY-MM-DDTHH:mm format');
+  }
+
+  const startDay = new Date(Date.UTC(local.year, local.month - 1, local.day));
+  const startInstant = zonedTimeToUtc(start, timezone);
+
+  if (!startInstant) {
+    throw new Error(`Invalid timezone "${timezone}"`);
+  }
+
+  const ends = [
+    rule.until && (rule.until.utc ? new Date(`${rule.until.local}Z`) : zonedTimeToUtc(rule.until.local, timezone)),
+    endsOn && zonedTimeToUtc(`${endsOn}T23:59:59`, timezone)
+  ].filter(Boolean);
+  const endInstant = ends.length > 0 ? Math.min(...ends) : null;
+
+  const hours = rule.byHour.length > 0 ? rule.byHour : [local.hour];
+  const minutes = rule.byMinute.length > 0 ? rule.byMinute : [local.minute];
+
+  // Without COUNT the days before `after` need not be walked; a day of margin
+  // covers timezones ahead of UTC
+  const firstDay = !rule.count && after
+    ? Math.max(startDay.getTime(), Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate()) - DAY_MS)
+    : startDay.getTime();
+
+  const occurrences = [];
+  let count = 0;
+
+  for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+    const day = new Date(firstDay + i * DAY_MS);
+
+    if (!matchesDay(rule, day, startDay)) {
+      continue;
+    }
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const instant = zonedTimeToUtc(formatLocal(day, hour, minute), timezone);
+
+        if (instant < startInstant) {
+          continue;
+        }
+
+        count++;
+
+        if ((rule.count && count > rule.count) || (endInstant !== null && instant > endInstant)) {
+          return occurrences;
+        }
+
+        if (!after || instant > after) {
+          occurrences.push(instant);
+
+          if (occurrences.length >= limit) {
+            return occurrences;
+          }
+        }
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  parseRRule,
+  isValidRRule,
+  getOccurrences
+};
@@ -0,0 +1,132 @@
+/**
+ * Timezone Utility
+ *
+ * Converts wall-clock times in IANA timezones (e.g. "America/New_York") to
+ * UTC instants with the Intl API, so DST rules come from the runtime's
+ * timezone database.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter for a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return formatters.get(timezone);
+}
+
+/**
+ * Check if a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalize a timezone name to its canonical spelling
+ * @param {string} timezone - Timezone name, any case
+ * @returns {string|null} Canonical name, or null if invalid
+ */
+function normalizeTimezone(timezone) {
+  if (!isValidTimezone(timezone)) {
+    return null;
+  }
+
+  return getFormatter(timezone).resolvedOptions().timeZone;
+}
+
+/**
+ * Get a timezone's UTC offset at an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getOffset(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = parseInt(value);
+  }
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parse a wall-clock date and time without a timezone
+ * @param {string} value - "YYYY-MM-DDTHH:mm" or "YYYY-MM-DD HH:mm[:ss]"
+ * @returns {Object|null} { year, month, day, hour, minute, second }
+ */
+function parseLocalDateTime(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return { year, month, day, hour, minute, second: second || 0 };
+}
+
+/**
+ * Get the UTC instant of a wall-clock time in a timezone
+ * Times skipped by a DST change move forward (02:30 on a spring-forward night
+ * becomes 03:30); repeated times resolve to their first occurrence.
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:mm"
+ * @param {string} timezone - IANA timezone
+ * @returns {Date|null} Instant, or null if the input is invalid
+ */
+function zonedTimeToUtc(localDateTime, timezone) {
+  const local = parseLocalDateTime(localDateTime);
+
+  if (!local || !isValidTimezone(timezone)) {
+    return null;
+  }
+
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+
+  // Around a DST change the offsets before and after it both apply to some wall-clock times
+  const before = getOffset(new Date(wallClock - DAY_MS), timezone);
+  const after = getOffset(new Date(wallClock + DAY_MS), timezone);
+
+  const candidates = [wallClock - before, wallClock - after]
+    .filter(instant => wallClock - getOffset(new Date(instant), timezone) === instant);
+
+  // A time in a DST gap matches neither; the offset from before the gap moves it forward
+  return new Date(candidates.length > 0 ? Math.min(...candidates) : wallClock - before);
+}
+
+module.exports = {
+  isValidTimezone,
+  normalizeTimezone,
+  getOffset,
+  parseLocalDateTime,
+  zonedTimeToUtc
+};
@@ -83,6 +83,15 @@ function addUnsubscribeFooter(htmlContent, unsubscribeToken) {
   return htmlContent + footer;
 }
 
+/**
+ * Add unsubscribe footer to a hand-written plain text body
+ */
+function addUnsubscribeTextFooter(textContent, unsubscribeToken) {
+  const unsubscribeUrl = `https://${TRACKING_DOMAIN}/track/unsubscribe/${unsubscribeToken}`;
+
+  return `${textContent.trimEnd()}\n\n--\nDon't want to receive these emails? Unsubscribe: ${unsubscribeUrl}\n`;
+}
+
 /**
  * Process email HTML with all tracking features
  */
@@ -101,6 +110,43 @@ function processEmailHtml(htmlContent, campaignId, trackingToken, unsubscribeTok
   return processedHtml;
 }
 
+/**
+ * Add open and click tracking to a transactional message's HTML
+ * Transactional messages have no campaign, so their links are kept on the
+ * message (the click URL carries the link's index) instead of in links.
+ * @returns {Object} { html, links }
+ */
+function processTransactionalHtml(htmlContent, trackingToken, options = {}) {
+  const { trackOpens = true, trackClicks = true } = options;
+  const links = [];
+  let processedHtml = htmlContent;
+
+  if (trackClicks) {
+    processedHtml = processedHtml.replace(/href=["']([^"']+)["']/gi, (match, url) => {
+      if (url.startsWith('#') || url.startsWith('mailto:') || url.startsWith('tel:')) {
+        return match;
+      }
+
+      let index = links.indexOf(url);
+      if (index === -1) {
+        index = links.push(url) - 1;
+      }
+
+      return `href="https://${TRACKING_DOMAIN}/track/transactional/click/${trackingToken}/${index}"`;
+    });
+  }
+
+  if (trackOpens) {
+    const pixel = `<img src="https://${TRACKING_DOMAIN}/track/transactional/open/${trackingToken}.png" width="1" height="1" alt="" style="display:block;border:0;" />`;
+
+    processedHtml = processedHtml.includes('</body>')
+      ? processedHtml.replace('</body>', `${pixel}</body>`)
+      : processedHtml + pixel;
+  }
+
+  return { html: processedHtml, links };
+}
+
 /**
  * Generate email headers for compliance and tracking
  */
@@ -116,6 +162,32 @@ function generateTrackingHeaders(campaignId, listId, unsubscribeToken) {
   };
 }
 
+/**
+ * Add the message's tracking token to a click's destination URL so the
+ * landing page can report conversions (see /track/conversion/:token)
+ * Disabled unless CONVERSION_TOKEN_PARAM names the query parameter.
+ */
+function appendConversionToken(url, trackingToken) {
+  const param = process.env.CONVERSION_TOKEN_PARAM;
+
+  if (!param) {
+    return url;
+  }
+
+  try {
+    const destination = new URL(url);
+
+    if (!['http:', 'https:'].includes(destination.protocol)) {
+      return url;
+    }
+
+    destination.searchParams.set(param, trackingToken);
+    return destination.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
 /**
  * Detect if user agent is a bot/prefetch
  */
@@ -164,8 +236,11 @@ module.exports = {
   injectTrackingPixel,
   rewriteLinks,
   addUnsubscribeFooter,
+  addUnsubscribeTextFooter,
   processEmailHtml,
+  processTransactionalHtml,
   generateTrackingHeaders,
+  appendConversionToken,
   isBot,
   getClientIp,
   createTrackingPixel
@@ -0,0 +1,132 @@
+/**
+ * VERP (Variable Envelope Return Path) Utility
+ *
+ * Encodes the messages row ID into each message's envelope sender so that
+ * asynchronous bounces identify the message they belong to:
+ *   bounces+m123-1a2b3c4d@bounces.example.com
+ * The suffix is an HMAC of the ID, so forged bounces for other messages
+ * are ignored. VERP is off unless VERP_DOMAIN is set.
+ *
+ * Reply tracking uses the same scheme for the Reply-To header, so replies
+ * identify the message they answer:
+ *   reply+m123-1a2b3c4d@replies.example.com
+ * Reply tracking is off unless REPLY_DOMAIN is set.
+ */
+
+const crypto = require('crypto');
+
+const VERP_DOMAIN = process.env.VERP_DOMAIN || null;
+const VERP_LOCAL_PART = process.env.VERP_LOCAL_PART || 'bounces';
+const VERP_SECRET = process.env.VERP_SECRET || process.env.ENCRYPTION_KEY || 'verp-development-secret';
+const REPLY_DOMAIN = process.env.REPLY_DOMAIN || null;
+const REPLY_LOCAL_PART = process.env.REPLY_LOCAL_PART || 'reply';
+
+/**
+ * Sign a message ID
+ * @param {number} messageId - Message ID
+ * @returns {string} Short signature
+ */
+function sign(messageId) {
+  return crypto.createHmac('sha256', VERP_SECRET).update(String(messageId)).digest('hex').slice(0, 8);
+}
+
+/**
+ * Build a signed per-message address
+ * @param {string} localPart - Local part before the +tag
+ * @param {string} domain - Address domain
+ * @param {number} messageId - Message ID (messages.id)
+ * @returns {string} Address
+ */
+function buildAddress(localPart, domain, messageId) {
+  return `${localPart}+m${messageId}-${sign(messageId)}@${domain}`;
+}
+
+/**
+ * Extract the message ID from a signed per-message address
+ * @param {string} localPart - Expected local part before the +tag
+ * @param {string} address - Address to parse
+ * @returns {number|null} Message ID, or null if the address is not valid
+ */
+function parseAddress(localPart, address) {
+  if (!address) {
+    return null;
+  }
+
+  const match = String(address).toLowerCase().match(/([a-z0-9._-]+)\+m(\d+)-([0-9a-f]{8})@/);
+
+  if (!match || match[1] !== localPart.toLowerCase()) {
+    return null;
+  }
+
+  const messageId = parseInt(match[2]);
+  return sign(messageId) === match[3] ? messageId : null;
+}
+
+/**
+ * Check if VERP return paths are enabled
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return Boolean(VERP_DOMAIN);
+}
+
+/**
+ * Build the VERP return path for a message
+ * @param {number} messageId - Message ID (messages.id)
+ * @returns {string|null} Return path address, or null if VERP is disabled
+ */
+function createReturnPath(messageId) {
+  if (!isEnabled() || !messageId) {
+    return null;
+  }
+
+  return buildAddress(VERP_LOCAL_PART, VERP_DOMAIN, messageId);
+}
+
+/**
+ * Extract the message ID from a VERP address
+ * @param {string} address - Address a bounce was delivered to
+ * @returns {number|null} Message ID, or null if the address is not a valid VERP address
+ */
+function parseReturnPath(address) {
+  return parseAddress(VERP_LOCAL_PART, address);
+}
+
+/**
+ * Check if per-message reply addresses are enabled
+ * @returns {boolean}
+ */
+function isReplyTrackingEnabled() {
+  return Boolean(REPLY_DOMAIN);
+}
+
+/**
+ * Build the Reply-To address for a message
+ * @param {number} messageId - Message ID (messages.id)
+ * @returns {string|null} Reply address, or null if reply tracking is disabled
+ */
+function createReplyAddress(messageId) {
+  if (!isReplyTrackingEnabled() || !messageId) {
+    return null;
+  }
+
+  return buildAddress(REPLY_LOCAL_PART, REPLY_DOMAIN, messageId);
+}
+
+/**
+ * Extract the message ID from a reply address
+ * @param {string} address - Address a reply was delivered to
+ * @returns {number|null} Message ID, or null if the address is not a valid reply address
+ */
+function parseReplyAddress(address) {
+  return parseAddress(REPLY_LOCAL_PART, address);
+}
+
+module.exports = {
+  isEnabled,
+  createReturnPath,
+  parseReturnPath,
+  isReplyTrackingEnabled,
+  createReplyAddress,
+  parseReplyAddress
+};
@@ -7,9 +7,14 @@ import Templates from './pages/Templates'
 import Lists from './pages/Lists'
 import Contacts from './pages/Contacts'
 import Campaigns from './pages/Campaigns'
+import RecurringCampaigns from './pages/RecurringCampaigns'
+import Workflows from './pages/Workflows'
+import SignupForms from './pages/SignupForms'
 import Analytics from './pages/Analytics'
 import Settings from './pages/Settings'
 import Unsubscribe from './pages/Unsubscribe'
+import Confirm from './pages/Confirm'
+import Subscribe from './pages/Subscribe'
 import AppLayout from './components/Layout/AppLayout'
 import { getToken } from './utils/auth'
 
@@ -45,6 +50,8 @@ function App() {
       <Routes>
         <Route path="/login" element={<Login onLogin={handleLogin} />} />
         <Route path="/unsubscribe" element={<Unsubscribe />} />
+        <Route path="/confirm" element={<Confirm />} />
+        <Route path="/subscribe/:id" element={<Subscribe />} />
         <Route path="*" element={<Navigate to="/login" replace />} />
       </Routes>
     )
@@ -55,6 +62,8 @@ function App() {
     <Routes>
       {/* Public routes */}
       <Route path="/unsubscribe" element={<Unsubscribe />} />
+      <Route path="/confirm" element={<Confirm />} />
+      <Route path="/subscribe/:id" element={<Subscribe />} />
 
       {/* Protected routes */}
       <Route path="/" element={<Navigate to="/dashboard" replace />} />
@@ -83,6 +92,21 @@ function App() {
           <Campaigns />
         </AppLayout>
       } />
+      <Route path="/recurring" element={
+        <AppLayout onLogout={handleLogout}>
+          <RecurringCampaigns />
+        </AppLayout>
+      } />
+      <Route path="/workflows" element={
+        <AppLayout onLogout={handleLogout}>
+          <Workflows />
+        </AppLayout>
+      } />
+      <Route path="/signup-forms" element={
+        <AppLayout onLogout={handleLogout}>
+          <SignupForms />
+        </AppLayout>
+      } />
       <Route path="/analytics" element={
         <AppLayout onLogout={handleLogout}>
           <Analytics />
@@ -7,6 +7,9 @@ import {
   TeamOutlined,
   MailOutlined,
   SendOutlined,
+  SyncOutlined,
+  BranchesOutlined,
+  FormOutlined,
   BarChartOutlined,
   SettingOutlined,
   LogoutOutlined,
@@ -47,6 +50,21 @@ const AppLayout = ({ children, onLogout }) => {
       icon: <SendOutlined />,
       label: <Link to="/campaigns">Campaigns</Link>,
     },
+    {
+      key: '/recurring',
+      icon: <SyncOutlined />,
+      label: <Link to="/recurring">Recurring</Link>,
+    },
+    {
+      key: '/workflows',
+      icon: <BranchesOutlined />,
+      label: <Link to="/workflows">Workflows</Link>,
+    },
+    {
+      key: '/signup-forms',
+      icon: <FormOutlined />,
+      label: <Link to="/signup-forms">Signup Forms</Link>,
+    },
     {
       key: '/analytics',
       icon: <BarChartOutlined />,
@@ -0,0 +1,328 @@
+import { useState, useEffect } from 'react';
+import {
+  Table,
+  Button,
+  Modal,
+  Form,
+  Input,
+  InputNumber,
+  DatePicker,
+  Checkbox,
+  message,
+  Space,
+  Tag,
+  Popconfirm,
+  Alert,
+  Typography
+} from 'antd';
+import {
+  PlusOutlined,
+  EditOutlined,
+  DeleteOutlined,
+  StopOutlined
+} from '@ant-design/icons';
+import dayjs from 'dayjs';
+import api from '../../utils/api';
+
+const { Paragraph } = Typography;
+
+const STATUS_COLORS = {
+  active: 'success',
+  expired: 'warning',
+  revoked: 'error'
+};
+
+/**
+ * ApiKeys Component
+ * Manages the scoped API keys integrations authenticate with
+ */
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingKey, setEditingKey] = useState(null);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [form] = Form.useForm();
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, []);
+
+  const fetchApiKeys = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/api-keys');
+      setApiKeys(response.data.apiKeys || []);
+      setScopes(response.data.scopes || []);
+    } catch (error) {
+      message.error('Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = () => {
+    setEditingKey(null);
+    form.resetFields();
+    setModalVisible(true);
+  };
+
+  const handleEdit = (apiKey) => {
+    setEditingKey(apiKey);
+    form.setFieldsValue({
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      rate_limit: apiKey.rate_limit,
+      expires_at: apiKey.expires_at ? dayjs(apiKey.expires_at) : null
+    });
+    setModalVisible(true);
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await api.post(`/api-keys/${id}/revoke`);
+      message.success('API key revoked');
+      fetchApiKeys();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await api.delete(`/api-keys/${id}`);
+      message.success('API key deleted');
+      fetchApiKeys();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to delete API key');
+    }
+  };
+
+  const handleSubmit = async (values) => {
+    try {
+      setLoading(true);
+
+      const data = {
+        ...values,
+        expires_at: values.expires_at ? values.expires_at.toISOString() : null
+      };
+
+      if (editingKey) {
+        await api.put(`/api-keys/${editingKey.id}`, data);
+        message.success('API key updated');
+      } else {
+        const response = await api.post('/api-keys', data);
+        setCreatedKey(response.data.key);
+      }
+
+      setModalVisible(false);
+      form.resetFields();
+      fetchApiKeys();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to save API key');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (date) => (date ? dayjs(date).format('YYYY-MM-DD HH:mm') : '-');
+
+  const columns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      render: (text) => <strong>{text}</strong>
+    },
+    {
+      title: 'Key',
+      dataIndex: 'key_prefix',
+      key: 'key_prefix',
+      render: (prefix) => <code>{prefix}…</code>
+    },
+    {
+      title: 'Scopes',
+      dataIndex: 'scopes',
+      key: 'scopes',
+      render: (keyScopes) => (
+        <Space size={[0, 4]} wrap>
+          {keyScopes.map(scope => <Tag key={scope}>{scope}</Tag>)}
+        </Space>
+      )
+    },
+    {
+      title: 'Rate Limit',
+      dataIndex: 'rate_limit',
+      key: 'rate_limit',
+      width: 110,
+      render: (rate) => `${rate}/min`
+    },
+    {
+      title: 'Last Used',
+      dataIndex: 'last_used_at',
+      key: 'last_used_at',
+      render: formatDate
+    },
+    {
+      title: 'Expires',
+      dataIndex: 'expires_at',
+      key: 'expires_at',
+      render: (date) => (date ? formatDate(date) : 'Never')
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      width: 100,
+      render: (status) => (
+        <Tag color={STATUS_COLORS[status]}>
+          {status.charAt(0).toUpperCase() + status.slice(1)}
+        </Tag>
+      )
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 180,
+      render: (_, record) => (
+        <Space size="small">
+          {record.status !== 'revoked' && (
+            <>
+              <Button
+                size="small"
+                icon={<EditOutlined />}
+                onClick={() => handleEdit(record)}
+              />
+              <Popconfirm
+                title="Revoke this API key? Integrations using it will stop working."
+                onConfirm={() => handleRevoke(record.id)}
+                okText="Yes"
+                cancelText="No"
+              >
+                <Button size="small" icon={<StopOutlined />}>
+                  Revoke
+                </Button>
+              </Popconfirm>
+            </>
+          )}
+          <Popconfirm
+            title="Delete this API key?"
+            onConfirm={() => handleDelete(record.id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button
+              size="small"
+              danger
+              icon={<DeleteOutlined />}
+            />
+          </Popconfirm>
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <div>
+      <div style={{ marginBottom: 16 }}>
+        <Button
+          type="primary"
+          icon={<PlusOutlined />}
+          onClick={handleCreate}
+        >
+          Create API Key
+        </Button>
+      </div>
+
+      <Alert
+        message="API Keys"
+        description="Keys let other systems call the API without signing in. Send a key as a Bearer token; it can only reach endpoints covered by its scopes, and each key has its own per-minute rate limit."
+        type="info"
+        showIcon
+        style={{ marginBottom: 16 }}
+      />
+
+      <Table
+        columns={columns}
+        dataSource={apiKeys}
+        rowKey="id"
+        loading={loading}
+        pagination={false}
+      />
+
+      <Modal
+        title={editingKey ? 'Edit API Key' : 'Create API Key'}
+        open={modalVisible}
+        onCancel={() => {
+          setModalVisible(false);
+          form.resetFields();
+        }}
+        onOk={() => form.submit()}
+        confirmLoading={loading}
+      >
+        <Form
+          form={form}
+          layout="vertical"
+          onFinish={handleSubmit}
+          initialValues={{ scopes: [], rate_limit: 100 }}
+        >
+          <Form.Item
+            name="name"
+            label="Name"
+            rules={[{ required: true, message: 'Please enter a name' }]}
+          >
+            <Input placeholder="e.g., CRM sync" />
+          </Form.Item>
+
+          <Form.Item
+            name="scopes"
+            label="Scopes"
+            rules={[{ required: true, message: 'Please select at least one scope' }]}
+          >
+            <Checkbox.Group options={scopes} />
+          </Form.Item>
+
+          <Form.Item
+            name="rate_limit"
+            label="Requests per Minute"
+            rules={[{ required: true, message: 'Please enter a rate limit' }]}
+          >
+            <InputNumber min={1} style={{ width: '100%' }} />
+          </Form.Item>
+
+          <Form.Item
+            name="expires_at"
+            label="Expires"
+            extra="Leave blank for a key that does not expire"
+          >
+            <DatePicker showTime style={{ width: '100%' }} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="API Key Created"
+        open={!!createdKey}
+        onCancel={() => setCreatedKey(null)}
+        footer={[
+          <Button key="done" type="primary" onClick={() => setCreatedKey(null)}>
+            Done
+          </Button>
+        ]}
+      >
+        <Alert
+          message="Copy this key now. It will not be shown again."
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+        />
+        <Paragraph copyable code>
+          {createdKey}
+        </Paragraph>
+      </Modal>
+    </div>
+  );
+};
+
+export default ApiKeys;
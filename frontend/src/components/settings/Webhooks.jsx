@@ -0,0 +1,450 @@
+import { useState, useEffect } from 'react';
+import {
+  Table,
+  Button,
+  Modal,
+  Form,
+  Input,
+  DatePicker,
+  Checkbox,
+  Switch,
+  message,
+  Space,
+  Tag,
+  Tooltip,
+  Popconfirm,
+  Alert,
+  Typography
+} from 'antd';
+import {
+  PlusOutlined,
+  EditOutlined,
+  DeleteOutlined,
+  HistoryOutlined,
+  RedoOutlined
+} from '@ant-design/icons';
+import dayjs from 'dayjs';
+import api from '../../utils/api';
+
+const { Paragraph } = Typography;
+
+const formatDate = (date) => (date ? dayjs(date).format('YYYY-MM-DD HH:mm') : '-');
+
+/**
+ * Webhooks Component
+ * Manages the endpoints notified of opens, clicks, bounces and unsubscribes
+ */
+const Webhooks = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingWebhook, setEditingWebhook] = useState(null);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [deliveriesWebhook, setDeliveriesWebhook] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveriesLoading, setDeliveriesLoading] = useState(false);
+  const [replayWebhook, setReplayWebhook] = useState(null);
+  const [form] = Form.useForm();
+  const [replayForm] = Form.useForm();
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, []);
+
+  const fetchWebhooks = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/webhooks');
+      setWebhooks(response.data.webhooks || []);
+      setEvents(response.data.events || []);
+    } catch (error) {
+      message.error('Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = () => {
+    setEditingWebhook(null);
+    form.resetFields();
+    setModalVisible(true);
+  };
+
+  const handleEdit = (webhook) => {
+    setEditingWebhook(webhook);
+    form.setFieldsValue({
+      name: webhook.name,
+      url: webhook.url,
+      events: webhook.events,
+      is_active: webhook.is_active
+    });
+    setModalVisible(true);
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await api.delete(`/webhooks/${id}`);
+      message.success('Webhook deleted');
+      fetchWebhooks();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to delete webhook');
+    }
+  };
+
+  const handleSubmit = async (values) => {
+    try {
+      setLoading(true);
+
+      if (editingWebhook) {
+        await api.put(`/webhooks/${editingWebhook.id}`, values);
+        message.success('Webhook updated');
+      } else {
+        const response = await api.post('/webhooks', values);
+        setCreatedSecret(response.data.secret);
+      }
+
+      setModalVisible(false);
+      form.resetFields();
+      fetchWebhooks();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to save webhook');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showDeliveries = async (webhook) => {
+    setDeliveriesWebhook(webhook);
+    try {
+      setDeliveriesLoading(true);
+      const response = await api.get(`/webhooks/${webhook.id}/deliveries`, { params: { limit: 100 } });
+      setDeliveries(response.data.deliveries || []);
+    } catch (error) {
+      message.error('Failed to load deliveries');
+    } finally {
+      setDeliveriesLoading(false);
+    }
+  };
+
+  const showReplay = (webhook) => {
+    setReplayWebhook(webhook);
+    replayForm.setFieldsValue({
+      since: dayjs().subtract(1, 'day'),
+      event_types: webhook.events
+    });
+  };
+
+  const handleReplay = async (values) => {
+    try {
+      // Large windows are replayed a page at a time
+      let queued = 0;
+      let afterId = null;
+
+      do {
+        const response = await api.post(`/webhooks/${replayWebhook.id}/replay`, {
+          since: values.since.toISOString(),
+          event_types: values.event_types,
+          ...(afterId ? { after_id: afterId } : {})
+        });
+        queued += response.data.queued;
+        afterId = response.data.truncated ? response.data.next_after_id : null;
+      } while (afterId);
+
+      message.success(`${queued} events queued for delivery`);
+      setReplayWebhook(null);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to replay events');
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      render: (text) => <strong>{text}</strong>
+    },
+    {
+      title: 'URL',
+      dataIndex: 'url',
+      key: 'url',
+      ellipsis: true
+    },
+    {
+      title: 'Events',
+      dataIndex: 'events',
+      key: 'events',
+      render: (webhookEvents) => (
+        <Space size={[0, 4]} wrap>
+          {webhookEvents.map(event => <Tag key={event}>{event}</Tag>)}
+        </Space>
+      )
+    },
+    {
+      title: 'Last Success',
+      dataIndex: 'last_success_at',
+      key: 'last_success_at',
+      render: formatDate
+    },
+    {
+      title: 'Failures',
+      dataIndex: 'failure_count',
+      key: 'failure_count',
+      width: 90,
+      render: (count) => (count > 0 ? <Tag color="warning">{count}</Tag> : 0)
+    },
+    {
+      title: 'Status',
+      dataIndex: 'is_active',
+      key: 'is_active',
+      width: 100,
+      render: (isActive, record) => {
+        if (isActive) {
+          return <Tag color="success">Active</Tag>;
+        }
+
+        return (
+          <Tooltip title={record.disabled_reason}>
+            <Tag color={record.disabled_at ? 'error' : 'default'}>Disabled</Tag>
+          </Tooltip>
+        );
+      }
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 200,
+      render: (_, record) => (
+        <Space size="small">
+          <Tooltip title="Deliveries">
+            <Button
+              size="small"
+              icon={<HistoryOutlined />}
+              onClick={() => showDeliveries(record)}
+            />
+          </Tooltip>
+          <Tooltip title={record.is_active ? 'Replay events' : 'Enable the webhook to replay events'}>
+            <Button
+              size="small"
+              icon={<RedoOutlined />}
+              disabled={!record.is_active}
+              onClick={() => showReplay(record)}
+            />
+          </Tooltip>
+          <Button
+            size="small"
+            icon={<EditOutlined />}
+            onClick={() => handleEdit(record)}
+          />
+          <Popconfirm
+            title="Delete this webhook and its delivery log?"
+            onConfirm={() => handleDelete(record.id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button
+              size="small"
+              danger
+              icon={<DeleteOutlined />}
+            />
+          </Popconfirm>
+        </Space>
+      )
+    }
+  ];
+
+  const deliveryColumns = [
+    {
+      title: 'Time',
+      dataIndex: 'created_at',
+      key: 'created_at',
+      width: 150,
+      render: formatDate
+    },
+    {
+      title: 'Event',
+      dataIndex: 'event_type',
+      key: 'event_type',
+      render: (type, record) => `${type} #${record.webhook_event_id}`
+    },
+    {
+      title: 'Attempt',
+      dataIndex: 'attempt',
+      key: 'attempt',
+      width: 80
+    },
+    {
+      title: 'Result',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status, record) => (
+        <Tooltip title={record.error_message}>
+          <Tag color={status === 'succeeded' ? 'success' : 'error'}>
+            {record.response_code || status}
+          </Tag>
+        </Tooltip>
+      )
+    },
+    {
+      title: 'Duration',
+      dataIndex: 'duration_ms',
+      key: 'duration_ms',
+      render: (ms) => (ms !== null ? `${ms} ms` : '-')
+    }
+  ];
+
+  return (
+    <div>
+      <div style={{ marginBottom: 16 }}>
+        <Button
+          type="primary"
+          icon={<PlusOutlined />}
+          onClick={handleCreate}
+        >
+          Add Webhook
+        </Button>
+      </div>
+
+      <Alert
+        message="Webhooks"
+        description="Endpoints receive a signed POST for each event they subscribe to. Verify the X-Webhook-Signature header: an HMAC-SHA256 of &quot;<X-Webhook-Timestamp>.<body>&quot; with the webhook's secret. Failed deliveries are retried with backoff, and an endpoint that keeps failing for a day is disabled."
+        type="info"
+        showIcon
+        style={{ marginBottom: 16 }}
+      />
+
+      <Table
+        columns={columns}
+        dataSource={webhooks}
+        rowKey="id"
+        loading={loading}
+        pagination={false}
+      />
+
+      <Modal
+        title={editingWebhook ? 'Edit Webhook' : 'Add Webhook'}
+        open={modalVisible}
+        onCancel={() => {
+          setModalVisible(false);
+          form.resetFields();
+        }}
+        onOk={() => form.submit()}
+        confirmLoading={loading}
+      >
+        <Form
+          form={form}
+          layout="vertical"
+          onFinish={handleSubmit}
+          initialValues={{ events: [], is_active: true }}
+        >
+          <Form.Item
+            name="name"
+            label="Name"
+            rules={[{ required: true, message: 'Please enter a name' }]}
+          >
+            <Input placeholder="e.g., CRM" />
+          </Form.Item>
+
+          <Form.Item
+            name="url"
+            label="Endpoint URL"
+            rules={[
+              { required: true, message: 'Please enter the endpoint URL' },
+              { type: 'url', message: 'Please enter a valid URL' }
+            ]}
+          >
+            <Input placeholder="https://example.com/webhooks/email" />
+          </Form.Item>
+
+          <Form.Item
+            name="events"
+            label="Events"
+            rules={[{ required: true, message: 'Please select at least one event' }]}
+          >
+            <Checkbox.Group options={events} />
+          </Form.Item>
+
+          <Form.Item
+            name="is_active"
+            label="Active"
+            valuePropName="checked"
+            extra={editingWebhook?.disabled_reason ? `Disabled: ${editingWebhook.disabled_reason}` : ''}
+          >
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="Webhook Created"
+        open={!!createdSecret}
+        onCancel={() => setCreatedSecret(null)}
+        footer={[
+          <Button key="done" type="primary" onClick={() => setCreatedSecret(null)}>
+            Done
+          </Button>
+        ]}
+      >
+        <Alert
+          message="Copy the signing secret now. It will not be shown again."
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+        />
+        <Paragraph copyable code>
+          {createdSecret}
+        </Paragraph>
+      </Modal>
+
+      <Modal
+        title={`Deliveries: ${deliveriesWebhook?.name || ''}`}
+        open={!!deliveriesWebhook}
+        onCancel={() => setDeliveriesWebhook(null)}
+        footer={null}
+        width={800}
+      >
+        <Table
+          columns={deliveryColumns}
+          dataSource={deliveries}
+          rowKey="id"
+          loading={deliveriesLoading}
+          size="small"
+          pagination={{ pageSize: 20 }}
+        />
+      </Modal>
+
+      <Modal
+        title={`Replay Events: ${replayWebhook?.name || ''}`}
+        open={!!replayWebhook}
+        onCancel={() => setReplayWebhook(null)}
+        onOk={() => replayForm.submit()}
+        okText="Replay"
+      >
+        <Form
+          form={replayForm}
+          layout="vertical"
+          onFinish={handleReplay}
+        >
+          <Form.Item
+            name="since"
+            label="Resend Events Since"
+            rules={[{ required: true, message: 'Please pick a start time' }]}
+          >
+            <DatePicker showTime style={{ width: '100%' }} />
+          </Form.Item>
+
+          <Form.Item
+            name="event_types"
+            label="Events"
+            rules={[{ required: true, message: 'Please select at least one event' }]}
+          >
+            <Checkbox.Group options={replayWebhook?.events || []} />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Webhooks;
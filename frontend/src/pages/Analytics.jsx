@@ -12,7 +12,8 @@ import {
   message,
   Spin,
   Empty,
-  Tag
+  Tag,
+  Statistic
 } from 'antd';
 import { ReloadOutlined, LinkOutlined } from '@ant-design/icons';
 import api from '../utils/api';
@@ -252,6 +253,80 @@ const Analytics = () => {
                   {/* Metrics Cards */}
                   <MetricsCards metrics={campaignAnalytics} loading={loading} />
 
+                  {/* Original campaign and its follow-ups to non-openers */}
+                  {campaignAnalytics?.followUps && (
+                    <Card title="Combined With Follow-ups">
+                      <Row gutter={16} style={{ marginBottom: 16 }}>
+                        <Col span={6}>
+                          <Statistic title="Recipients" value={campaignAnalytics.followUps.combined.recipients} />
+                        </Col>
+                        <Col span={6}>
+                          <Statistic
+                            title="Opened Any"
+                            value={campaignAnalytics.followUps.combined.uniqueOpens}
+                            suffix={`/ ${campaignAnalytics.followUps.combined.openRate}%`}
+                          />
+                        </Col>
+                        <Col span={6}>
+                          <Statistic
+                            title="Clicked Any"
+                            value={campaignAnalytics.followUps.combined.uniqueClicks}
+                            suffix={`/ ${campaignAnalytics.followUps.combined.clickRate}%`}
+                          />
+                        </Col>
+                        <Col span={6}>
+                          <Statistic
+                            title="Opens Added by Follow-ups"
+                            value={campaignAnalytics.followUps.combined.addedOpens}
+                            valueStyle={{ color: '#3f8600' }}
+                            prefix="+"
+                          />
+                        </Col>
+                      </Row>
+                      <Table
+                        dataSource={campaignAnalytics.followUps.campaigns}
+                        rowKey="id"
+                        size="small"
+                        pagination={false}
+                        columns={[
+                          {
+                            title: 'Campaign',
+                            key: 'name',
+                            render: (_, record) => (
+                              <Space>
+                                {record.name}
+                                <Tag>{record.parentCampaignId ? 'Follow-up' : 'Original'}</Tag>
+                                {record.id === campaignAnalytics.campaignId && <Tag color="blue">Viewing</Tag>}
+                              </Space>
+                            )
+                          },
+                          {
+                            title: 'Status',
+                            dataIndex: 'status',
+                            key: 'status'
+                          },
+                          {
+                            title: 'Sent',
+                            dataIndex: 'sent',
+                            key: 'sent'
+                          },
+                          {
+                            title: 'Open Rate',
+                            dataIndex: 'openRate',
+                            key: 'openRate',
+                            render: (rate) => `${rate}%`
+                          },
+                          {
+                            title: 'Click Rate',
+                            dataIndex: 'clickRate',
+                            key: 'clickRate',
+                            render: (rate) => `${rate}%`
+                          }
+                        ]}
+                      />
+                    </Card>
+                  )}
+
                   {/* Timeline Chart */}
                   <Card
                     title="Engagement Timeline"
@@ -20,7 +20,9 @@ import {
   Tooltip,
   Tabs,
   Divider,
-  DatePicker
+  DatePicker,
+  Switch,
+  Radio
 } from 'antd';
 import {
   SendOutlined,
@@ -35,7 +37,15 @@ import {
   LineChartOutlined,
   LinkOutlined,
   StopOutlined,
-  CalendarOutlined
+  CalendarOutlined,
+  ExperimentOutlined,
+  MinusCircleOutlined,
+  TrophyOutlined,
+  PauseCircleOutlined,
+  PlayCircleOutlined,
+  CloseCircleOutlined,
+  RetweetOutlined,
+  SyncOutlined
 } from '@ant-design/icons';
 import api from '../utils/api';
 import dayjs from 'dayjs';
@@ -49,6 +59,7 @@ const Campaigns = () => {
   const [campaigns, setCampaigns] = useState([]);
   const [templates, setTemplates] = useState([]);
   const [lists, setLists] = useState([]);
+  const [smtpConfigs, setSmtpConfigs] = useState([]);
   const [loading, setLoading] = useState(false);
   const [isModalVisible, setIsModalVisible] = useState(false);
   const [currentStep, setCurrentStep] = useState(0);
@@ -60,14 +71,23 @@ const Campaigns = () => {
   const [campaignStats, setCampaignStats] = useState(null);
   const [campaignEvents, setCampaignEvents] = useState([]);
   const [campaignLinks, setCampaignLinks] = useState([]);
+  const [campaignReplies, setCampaignReplies] = useState([]);
   const [eventsLoading, setEventsLoading] = useState(false);
   const [scheduleModalVisible, setScheduleModalVisible] = useState(false);
   const [scheduleForm] = Form.useForm();
+  const [abTestModalVisible, setAbTestModalVisible] = useState(false);
+  const [abTestForm] = Form.useForm();
+  const [hasAbTest, setHasAbTest] = useState(false);
+  const [campaignAbTest, setCampaignAbTest] = useState(null);
+  const [followUpModalVisible, setFollowUpModalVisible] = useState(false);
+  const [followUpForm] = Form.useForm();
+  const [followUpAudience, setFollowUpAudience] = useState(null);
 
   useEffect(() => {
     fetchCampaigns();
     fetchTemplates();
     fetchLists();
+    fetchSmtpConfigs();
   }, []);
 
   const fetchCampaigns = async () => {
@@ -100,6 +120,15 @@ const Campaigns = () => {
     }
   };
 
+  const fetchSmtpConfigs = async () => {
+    try {
+      const response = await api.get('/smtp-configs');
+      setSmtpConfigs(response.data.configs || []);
+    } catch (error) {
+      message.error('Failed to fetch SMTP configurations');
+    }
+  };
+
   const showModal = (campaign = null) => {
     if (campaign) {
       setEditingCampaign(campaign);
@@ -109,7 +138,10 @@ const Campaigns = () => {
         list_id: campaign.list_id,
         from_name: campaign.from_name,
         from_email: campaign.from_email,
-        reply_to: campaign.reply_to
+        reply_to: campaign.reply_to,
+        smtp_config_id: campaign.smtp_config_id,
+        sandbox: campaign.sandbox === 1,
+        track_replies: campaign.track_replies === 1
       });
     } else {
       setEditingCampaign(null);
@@ -184,14 +216,24 @@ const Campaigns = () => {
   const showScheduleModal = (campaign) => {
     setSelectedCampaign(campaign);
     scheduleForm.resetFields();
+    scheduleForm.setFieldsValue({ delivery: 'once' });
     setScheduleModalVisible(true);
   };
 
   const handleScheduleCampaign = async (values) => {
     try {
-      const scheduledAt = values.scheduled_at.toISOString();
-      await api.post(`/campaigns/${selectedCampaign.id}/schedule`, { scheduled_at: scheduledAt });
-      message.success('Campaign scheduled successfully!');
+      // Local time is sent as a wall-clock time and resolved per recipient timezone
+      const body = values.delivery === 'local_time'
+        ? { local_send_time: values.scheduled_at.format('YYYY-MM-DDTHH:mm') }
+        : {
+          scheduled_at: values.scheduled_at.toISOString(),
+          send_time_optimization: values.delivery === 'best_time'
+        };
+      const response = await api.post(`/campaigns/${selectedCampaign.id}/schedule`, body);
+      const zones = response.data.zones;
+      message.success(zones
+        ? `Campaign scheduled across ${zones.length} timezone${zones.length === 1 ? '' : 's'}`
+        : 'Campaign scheduled successfully!');
       setScheduleModalVisible(false);
       fetchCampaigns();
     } catch (error) {
@@ -209,6 +251,74 @@ const Campaigns = () => {
     }
   };
 
+  const handlePauseCampaign = async (id) => {
+    try {
+      await api.post(`/campaigns/${id}/pause`);
+      message.success('Campaign paused');
+      fetchCampaigns();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to pause campaign');
+    }
+  };
+
+  const handleResumeCampaign = async (id) => {
+    try {
+      await api.post(`/campaigns/${id}/resume`);
+      message.success('Campaign resumed');
+      fetchCampaigns();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to resume campaign');
+    }
+  };
+
+  const handleAbortCampaign = async (id) => {
+    try {
+      const response = await api.post(`/campaigns/${id}/abort`);
+      message.success(`Campaign aborted, ${response.data.cancelled} unsent emails cancelled`);
+      fetchCampaigns();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to abort campaign');
+    }
+  };
+
+  const fetchFollowUpAudience = async (campaignId, excludeClickers) => {
+    try {
+      setFollowUpAudience(null);
+      const response = await api.get(`/campaigns/${campaignId}/follow-up/audience`, {
+        params: { exclude_clickers: excludeClickers }
+      });
+      setFollowUpAudience(response.data.audience);
+    } catch (error) {
+      message.error('Failed to count non-openers');
+    }
+  };
+
+  const showFollowUpModal = (campaign) => {
+    setSelectedCampaign(campaign);
+    followUpForm.resetFields();
+    followUpForm.setFieldsValue({
+      name: `${campaign.name} (non-openers)`,
+      delay_hours: 24,
+      exclude_clickers: false
+    });
+    fetchFollowUpAudience(campaign.id, false);
+    setFollowUpModalVisible(true);
+  };
+
+  const handleCreateFollowUp = async (values) => {
+    try {
+      const response = await api.post(`/campaigns/${selectedCampaign.id}/follow-up`, {
+        ...values,
+        delay_hours: Number(values.delay_hours)
+      });
+      message.success(`Follow-up scheduled for ${new Date(response.data.campaign.scheduled_at).toLocaleString()}`);
+      setFollowUpModalVisible(false);
+      fetchCampaigns();
+    } catch (error) {
+      message.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.error || 'Failed to create follow-up');
+    }
+  };
+
   const showTestEmailModal = (campaign) => {
     setSelectedCampaign(campaign);
     setTestEmailModal(true);
@@ -226,6 +336,77 @@ const Campaigns = () => {
     }
   };
 
+  const showAbTestModal = async (campaign) => {
+    setSelectedCampaign(campaign);
+    abTestForm.resetFields();
+
+    try {
+      const response = await api.get(`/campaigns/${campaign.id}/ab-test`);
+      setHasAbTest(true);
+      abTestForm.setFieldsValue({
+        test_percentage: response.data.test_percentage,
+        winner_metric: response.data.winner_metric,
+        wait_hours: response.data.wait_hours,
+        variants: response.data.variants.map(variant => ({
+          name: variant.name,
+          subject: variant.subject,
+          from_name: variant.from_name,
+          template_id: variant.template_id
+        }))
+      });
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        message.error('Failed to fetch A/B test');
+        return;
+      }
+      setHasAbTest(false);
+      abTestForm.setFieldsValue({
+        test_percentage: 20,
+        winner_metric: 'open_rate',
+        wait_hours: 4,
+        variants: [{ name: 'A' }, { name: 'B' }]
+      });
+    }
+
+    setAbTestModalVisible(true);
+  };
+
+  const handleSaveAbTest = async (values) => {
+    try {
+      await api.put(`/campaigns/${selectedCampaign.id}/ab-test`, {
+        ...values,
+        test_percentage: Number(values.test_percentage),
+        wait_hours: Number(values.wait_hours)
+      });
+      message.success('A/B test saved');
+      setAbTestModalVisible(false);
+    } catch (error) {
+      message.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.error || 'Failed to save A/B test');
+    }
+  };
+
+  const handleDeleteAbTest = async () => {
+    try {
+      await api.delete(`/campaigns/${selectedCampaign.id}/ab-test`);
+      message.success('A/B test removed');
+      setAbTestModalVisible(false);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to remove A/B test');
+    }
+  };
+
+  const handleSendAbTestWinner = async (variantId = null) => {
+    try {
+      const response = await api.post(`/campaigns/${selectedCampaign.id}/ab-test/winner`, variantId ? { variant_id: variantId } : {});
+      message.success(response.data.message);
+      const abTestResponse = await api.get(`/campaigns/${selectedCampaign.id}/ab-test`);
+      setCampaignAbTest(abTestResponse.data);
+      fetchCampaigns();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to send A/B test winner');
+    }
+  };
+
   const showStatsModal = async (campaign) => {
     try {
       setSelectedCampaign(campaign);
@@ -244,6 +425,16 @@ const Campaigns = () => {
       const linksResponse = await api.get(`/campaigns/${campaign.id}/links`);
       setCampaignLinks(linksResponse.data.links || []);
 
+      // Fetch replies
+      const repliesResponse = await api.get(`/campaigns/${campaign.id}/replies?limit=500`);
+      setCampaignReplies(repliesResponse.data.replies || []);
+
+      // Fetch A/B test results, if the campaign has a test
+      const abTestResponse = await api.get(`/campaigns/${campaign.id}/ab-test`, {
+        validateStatus: (status) => status === 200 || status === 404
+      });
+      setCampaignAbTest(abTestResponse.status === 200 ? abTestResponse.data : null);
+
       setEventsLoading(false);
     } catch (error) {
       message.error('Failed to fetch campaign statistics');
@@ -257,13 +448,38 @@ const Campaigns = () => {
       scheduled: { color: 'blue', text: 'Scheduled' },
       sending: { color: 'processing', text: 'Sending' },
       sent: { color: 'success', text: 'Sent' },
-      paused: { color: 'warning', text: 'Paused' }
+      paused: { color: 'warning', text: 'Paused' },
+      cancelled: { color: 'error', text: 'Cancelled' }
     };
 
     const config = statusConfig[status] || statusConfig.draft;
     return <Tag color={config.color}>{config.text}</Tag>;
   };
 
+  const replyColumns = [
+    {
+      title: 'From',
+      key: 'from',
+      render: (_, record) => (
+        <Space direction="vertical" size="small">
+          <Text>{record.from_name || `${record.first_name || ''} ${record.last_name || ''}`}</Text>
+          <Text type="secondary" style={{ fontSize: '12px' }}>{record.from_email}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Subject',
+      dataIndex: 'subject',
+      key: 'subject',
+      ellipsis: true
+    },
+    {
+      title: 'Received',
+      key: 'received',
+      render: (_, record) => new Date(record.received_at || record.created_at).toLocaleString()
+    }
+  ];
+
   const columns = [
     {
       title: 'Name',
@@ -275,6 +491,16 @@ const Campaigns = () => {
           <Text type="secondary" style={{ fontSize: '12px' }}>
             {record.template_name} → {record.list_name}
           </Text>
+          {record.parent_campaign_id && (
+            <Tag icon={<RetweetOutlined />} color="cyan">
+              Follow-up of {campaigns.find(c => c.id === record.parent_campaign_id)?.name || `#${record.parent_campaign_id}`}
+            </Tag>
+          )}
+          {record.recurring_campaign_id && (
+            <Tag icon={<SyncOutlined />} color="geekblue">
+              Recurring: {record.recurring_campaign_name}
+            </Tag>
+          )}
         </Space>
       )
     },
@@ -282,7 +508,12 @@ const Campaigns = () => {
       title: 'Status',
       dataIndex: 'status',
       key: 'status',
-      render: (status) => getStatusTag(status)
+      render: (status, record) => (
+        <Space size="small">
+          {getStatusTag(status)}
+          {record.sandbox === 1 && <Tag color="purple">Sandbox</Tag>}
+        </Space>
+      )
     },
     {
       title: 'Progress',
@@ -353,6 +584,13 @@ const Campaigns = () => {
                   onClick={() => showScheduleModal(record)}
                 />
               </Tooltip>
+              <Tooltip title="A/B Test">
+                <Button
+                  icon={<ExperimentOutlined />}
+                  size="small"
+                  onClick={() => showAbTestModal(record)}
+                />
+              </Tooltip>
               <Popconfirm
                 title="Send this campaign now?"
                 description="This will queue emails for all subscribers in the list."
@@ -372,7 +610,9 @@ const Campaigns = () => {
           )}
           {record.status === 'scheduled' && (
             <>
-              <Tooltip title={`Scheduled for ${new Date(record.scheduled_at).toLocaleString()}`}>
+              <Tooltip title={record.local_send_time
+                ? `Scheduled for ${dayjs(record.local_send_time).format('YYYY-MM-DD HH:mm')} recipient local time`
+                : `Scheduled for ${new Date(record.scheduled_at).toLocaleString()}`}>
                 <Tag icon={<ClockCircleOutlined />} color="blue">
                   Scheduled
                 </Tag>
@@ -393,7 +633,52 @@ const Campaigns = () => {
               </Popconfirm>
             </>
           )}
-          {(record.status === 'sending' || record.status === 'sent') && (
+          {record.status === 'sending' && (
+            <Tooltip title="Pause Sending">
+              <Button
+                icon={<PauseCircleOutlined />}
+                size="small"
+                onClick={() => handlePauseCampaign(record.id)}
+              />
+            </Tooltip>
+          )}
+          {record.status === 'paused' && (
+            <Tooltip title="Resume Sending">
+              <Button
+                icon={<PlayCircleOutlined />}
+                type="primary"
+                size="small"
+                onClick={() => handleResumeCampaign(record.id)}
+              />
+            </Tooltip>
+          )}
+          {(record.status === 'sending' || (record.status === 'paused' && record.started_at)) && (
+            <Popconfirm
+              title="Abort this campaign?"
+              description="Emails that have not been sent yet are cancelled. This cannot be undone."
+              onConfirm={() => handleAbortCampaign(record.id)}
+              okText="Yes, Abort"
+              cancelText="No"
+            >
+              <Tooltip title="Abort Campaign">
+                <Button
+                  icon={<CloseCircleOutlined />}
+                  danger
+                  size="small"
+                />
+              </Tooltip>
+            </Popconfirm>
+          )}
+          {record.status === 'sent' && (
+            <Tooltip title="Resend to Non-Openers">
+              <Button
+                icon={<RetweetOutlined />}
+                size="small"
+                onClick={() => showFollowUpModal(record)}
+              />
+            </Tooltip>
+          )}
+          {(['sending', 'sent', 'cancelled'].includes(record.status) || (record.status === 'paused' && record.started_at)) && (
             <Tooltip title="View Statistics">
               <Button
                 icon={<EyeOutlined />}
@@ -508,6 +793,35 @@ const Campaigns = () => {
           >
             <Input placeholder="Optional (defaults to from email)" />
           </Form.Item>
+          <Form.Item
+            name="smtp_config_id"
+            label="SMTP Relay"
+            extra="Leave empty to send through the active SMTP configuration"
+          >
+            <Select placeholder="Active configuration" allowClear>
+              {smtpConfigs.map((config) => (
+                <Option key={config.id} value={config.id}>
+                  {config.name} ({config.host}){config.is_active ? ' - active' : ''}
+                </Option>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            name="sandbox"
+            label="Sandbox Mode"
+            valuePropName="checked"
+            extra="Capture every message locally instead of sending it"
+          >
+            <Switch />
+          </Form.Item>
+          <Form.Item
+            name="track_replies"
+            label="Track Replies"
+            valuePropName="checked"
+            extra="Send each message with its own reply address so replies are recorded against the campaign"
+          >
+            <Switch />
+          </Form.Item>
         </>
       )
     }
@@ -683,8 +997,231 @@ const Campaigns = () => {
                     />
                   </Card>
                 </Col>
+                {campaignStats.stats.paused > 0 && (
+                  <Col span={8}>
+                    <Card>
+                      <Statistic
+                        title="Paused"
+                        value={campaignStats.stats.paused}
+                        prefix={<PauseCircleOutlined />}
+                        valueStyle={{ color: '#faad14' }}
+                        suffix={`/ ${campaignStats.stats.pausedPercentage}%`}
+                      />
+                    </Card>
+                  </Col>
+                )}
+                {campaignStats.stats.cancelled > 0 && (
+                  <Col span={8}>
+                    <Card>
+                      <Statistic
+                        title="Cancelled"
+                        value={campaignStats.stats.cancelled}
+                        prefix={<CloseCircleOutlined />}
+                        valueStyle={{ color: '#8c8c8c' }}
+                        suffix={`/ ${campaignStats.stats.cancelledPercentage}%`}
+                      />
+                    </Card>
+                  </Col>
+                )}
               </Row>
 
+              {campaignStats.deliveryPlan?.mode === 'local_time' && (
+                <>
+                  <Divider />
+
+                  <Title level={5}>
+                    {campaignStats.deliveryPlan.projected ? 'Projected Delivery' : 'Planned Delivery'}
+                    {` (${dayjs(campaignStats.deliveryPlan.localSendTime).format('YYYY-MM-DD HH:mm')} Recipient Local Time)`}
+                  </Title>
+                  <Table
+                    dataSource={campaignStats.deliveryPlan.zones}
+                    rowKey="timezone"
+                    size="small"
+                    pagination={false}
+                    columns={[
+                      {
+                        title: 'Timezone',
+                        dataIndex: 'timezone',
+                        key: 'timezone'
+                      },
+                      {
+                        title: 'Sends At',
+                        dataIndex: 'sendAt',
+                        key: 'sendAt',
+                        render: (sendAt) => dayjs(sendAt).format('YYYY-MM-DD HH:mm')
+                      },
+                      {
+                        title: 'Planned',
+                        dataIndex: 'planned',
+                        key: 'planned'
+                      },
+                      {
+                        title: 'Sent',
+                        key: 'sent',
+                        render: (_, record) => (
+                          <Progress
+                            percent={Math.round((record.sent / record.planned) * 100)}
+                            size="small"
+                            format={() => `${record.sent}/${record.planned}`}
+                          />
+                        )
+                      }
+                    ]}
+                  />
+                </>
+              )}
+
+              {campaignStats.deliveryPlan?.mode === 'send_time_optimization' && (
+                <>
+                  <Divider />
+
+                  <Title level={5}>
+                    {campaignStats.deliveryPlan.projected ? 'Projected Delivery (Best Time)' : 'Planned Delivery (Best Time)'}
+                  </Title>
+                  <Table
+                    dataSource={campaignStats.deliveryPlan.distribution}
+                    rowKey="hour"
+                    size="small"
+                    pagination={false}
+                    columns={[
+                      {
+                        title: 'Hour',
+                        dataIndex: 'hour',
+                        key: 'hour',
+                        render: (hour) => dayjs(hour).format('ddd HH:00')
+                      },
+                      {
+                        title: 'Planned',
+                        dataIndex: 'planned',
+                        key: 'planned'
+                      },
+                      {
+                        title: 'Sent',
+                        key: 'sent',
+                        render: (_, record) => (
+                          <Progress
+                            percent={Math.round((record.sent / record.planned) * 100)}
+                            size="small"
+                            format={() => `${record.sent}/${record.planned}`}
+                          />
+                        )
+                      }
+                    ]}
+                  />
+                </>
+              )}
+
+              {campaignAbTest && (
+                <>
+                  <Divider />
+
+                  <Title level={5}>
+                    A/B Test ({campaignAbTest.test_percentage}% of list, winner by {{
+                      open_rate: 'open rate',
+                      click_rate: 'click rate',
+                      conversion_rate: 'conversion rate'
+                    }[campaignAbTest.winner_metric]})
+                  </Title>
+                  <Space style={{ marginBottom: 12 }} wrap>
+                    {campaignAbTest.status === 'testing' && (
+                      <>
+                        <Tag icon={<ClockCircleOutlined />} color="processing">
+                          Winner picked {dayjs(campaignAbTest.decide_at).format('YYYY-MM-DD HH:mm')}
+                        </Tag>
+                        <Popconfirm
+                          title="End the test now?"
+                          description="The leading variant is sent to the rest of the list."
+                          onConfirm={() => handleSendAbTestWinner()}
+                          okText="Yes, Send"
+                          cancelText="Cancel"
+                        >
+                          <Button size="small" type="primary" icon={<TrophyOutlined />}>
+                            Send Winner Now
+                          </Button>
+                        </Popconfirm>
+                      </>
+                    )}
+                    {campaignAbTest.status === 'completed' && (
+                      <Tag icon={<TrophyOutlined />} color="success">
+                        {campaignAbTest.winner_reason === 'no_data'
+                          ? 'No engagement during the test, first variant sent'
+                          : `Winner ${campaignAbTest.winner_reason === 'manual' ? 'chosen' : 'picked'} ${dayjs(campaignAbTest.decided_at).format('YYYY-MM-DD HH:mm')}`}
+                      </Tag>
+                    )}
+                    {campaignAbTest.significance && (
+                      <Tooltip title={`z = ${campaignAbTest.significance.zScore}, p = ${campaignAbTest.significance.pValue}`}>
+                        <Tag color={campaignAbTest.significance.significant ? 'green' : 'default'}>
+                          {campaignAbTest.significance.significant
+                            ? `${campaignAbTest.significance.leader} leads ${campaignAbTest.significance.runnerUp} with ${campaignAbTest.significance.confidence}% confidence`
+                            : `${campaignAbTest.significance.leader} vs ${campaignAbTest.significance.runnerUp} not significant yet (${campaignAbTest.significance.confidence}% confidence)`}
+                        </Tag>
+                      </Tooltip>
+                    )}
+                  </Space>
+                  <Table
+                    dataSource={campaignAbTest.variants}
+                    rowKey="id"
+                    size="small"
+                    pagination={false}
+                    columns={[
+                      {
+                        title: 'Variant',
+                        key: 'name',
+                        render: (_, record) => (
+                          <Space>
+                            <Text strong>{record.name}</Text>
+                            {record.isWinner && <TrophyOutlined style={{ color: '#faad14' }} />}
+                          </Space>
+                        )
+                      },
+                      {
+                        title: 'Subject',
+                        key: 'subject',
+                        ellipsis: true,
+                        render: (_, record) => record.subject || record.template_name || <Text type="secondary">Campaign default</Text>
+                      },
+                      {
+                        title: 'Sent',
+                        dataIndex: 'sent',
+                        key: 'sent'
+                      },
+                      {
+                        title: 'Open Rate',
+                        dataIndex: 'openRate',
+                        key: 'openRate',
+                        render: (rate) => `${rate}%`
+                      },
+                      {
+                        title: 'Click Rate',
+                        dataIndex: 'clickRate',
+                        key: 'clickRate',
+                        render: (rate) => `${rate}%`
+                      },
+                      {
+                        title: 'Conversion Rate',
+                        dataIndex: 'conversionRate',
+                        key: 'conversionRate',
+                        render: (rate) => `${rate}%`
+                      },
+                      ...(campaignAbTest.status === 'testing' ? [{
+                        title: '',
+                        key: 'actions',
+                        render: (_, record) => (
+                          <Popconfirm
+                            title={`Send variant ${record.name} to the rest of the list?`}
+                            onConfirm={() => handleSendAbTestWinner(record.id)}
+                            okText="Yes, Send"
+                            cancelText="Cancel"
+                          >
+                            <Button size="small">Pick</Button>
+                          </Popconfirm>
+                        )
+                      }] : [])
+                    ]}
+                  />
+                </>
+              )}
+
               <Divider />
 
               <Title level={5}>Engagement Metrics</Title>
@@ -747,7 +1284,9 @@ const Campaigns = () => {
                       const config = {
                         opened: { color: 'blue', text: 'Opened' },
                         clicked: { color: 'purple', text: 'Clicked' },
-                        unsubscribed: { color: 'orange', text: 'Unsubscribed' }
+                        unsubscribed: { color: 'orange', text: 'Unsubscribed' },
+                        replied: { color: 'green', text: 'Replied' },
+                        complained: { color: 'red', text: 'Complained' }
                       };
                       const { color, text } = config[type] || { color: 'default', text: type };
                       return <Tag color={color}>{text}</Tag>;
@@ -825,6 +1364,38 @@ const Campaigns = () => {
                 ]}
               />
             </Tabs.TabPane>
+
+            <Tabs.TabPane tab={`Replies (${campaignReplies.filter(r => !r.is_auto_reply).length})`} key="4">
+              <Table
+                dataSource={campaignReplies.filter(r => !r.is_auto_reply)}
+                rowKey="id"
+                loading={eventsLoading}
+                size="small"
+                pagination={{ pageSize: 10 }}
+                columns={replyColumns}
+                expandable={{
+                  expandedRowRender: (record) => (
+                    <Text style={{ whiteSpace: 'pre-wrap' }}>{record.text_body}</Text>
+                  )
+                }}
+              />
+            </Tabs.TabPane>
+
+            <Tabs.TabPane tab={`Auto-Replies (${campaignReplies.filter(r => r.is_auto_reply).length})`} key="5">
+              <Table
+                dataSource={campaignReplies.filter(r => r.is_auto_reply)}
+                rowKey="id"
+                loading={eventsLoading}
+                size="small"
+                pagination={{ pageSize: 10 }}
+                columns={replyColumns}
+                expandable={{
+                  expandedRowRender: (record) => (
+                    <Text style={{ whiteSpace: 'pre-wrap' }}>{record.text_body}</Text>
+                  )
+                }}
+              />
+            </Tabs.TabPane>
           </Tabs>
         )}
       </Modal>
@@ -842,19 +1413,41 @@ const Campaigns = () => {
           onFinish={handleScheduleCampaign}
           layout="vertical"
         >
+          <Form.Item
+            name="delivery"
+            label="Delivery"
+          >
+            <Radio.Group>
+              <Space direction="vertical">
+                <Radio value="once">All at once</Radio>
+                <Radio value="best_time">At each contact's best time</Radio>
+                <Radio value="local_time">At this time in each recipient's timezone</Radio>
+              </Space>
+            </Radio.Group>
+          </Form.Item>
           <Form.Item
             name="scheduled_at"
             label="Schedule Date and Time"
+            dependencies={['delivery']}
+            extra={
+              <Form.Item noStyle shouldUpdate={(prev, next) => prev.delivery !== next.delivery}>
+                {({ getFieldValue }) => ({
+                  best_time: 'Each contact gets the email at the hour they usually open email, within 24 hours of this time',
+                  local_time: 'Contacts without a known timezone get the email at this time in the default timezone'
+                })[getFieldValue('delivery')]}
+              </Form.Item>
+            }
             rules={[
               { required: true, message: 'Please select a date and time' },
-              {
+              ({ getFieldValue }) => ({
                 validator: (_, value) => {
-                  if (!value || value.isAfter(dayjs())) {
+                  // A local time may still be ahead in timezones west of this one
+                  if (!value || getFieldValue('delivery') === 'local_time' || value.isAfter(dayjs())) {
                     return Promise.resolve();
                   }
                   return Promise.reject(new Error('Please select a future date and time'));
                 }
-              }
+              })
             ]}
           >
             <DatePicker
@@ -875,6 +1468,208 @@ const Campaigns = () => {
           </Form.Item>
         </Form>
       </Modal>
+
+      {/* A/B Test Modal */}
+      <Modal
+        title={`A/B Test - ${selectedCampaign?.name}`}
+        open={abTestModalVisible}
+        onCancel={() => setAbTestModalVisible(false)}
+        footer={null}
+        width={800}
+      >
+        <Form
+          form={abTestForm}
+          onFinish={handleSaveAbTest}
+          layout="vertical"
+        >
+          <Row gutter={16}>
+            <Col span={8}>
+              <Form.Item
+                name="test_percentage"
+                label="Test Group (% of list)"
+                rules={[{ required: true, message: 'Please enter the test group size' }]}
+                extra="Split evenly between the variants"
+              >
+                <Input type="number" min={1} max={100} suffix="%" />
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item
+                name="winner_metric"
+                label="Pick Winner By"
+                rules={[{ required: true }]}
+              >
+                <Select>
+                  <Option value="open_rate">Open rate</Option>
+                  <Option value="click_rate">Click rate</Option>
+                  <Option value="conversion_rate">Conversion rate</Option>
+                </Select>
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item
+                name="wait_hours"
+                label="Wait Before Picking"
+                rules={[{ required: true, message: 'Please enter the wait time' }]}
+                extra="The winner goes to the rest of the list"
+              >
+                <Input type="number" min={1} max={168} suffix="hours" />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Divider orientation="left">Variants</Divider>
+          <Text type="secondary" style={{ display: 'block', marginBottom: 12 }}>
+            Empty fields use the campaign's subject, from name and template.
+          </Text>
+
+          <Form.List name="variants">
+            {(fields, { add, remove }) => (
+              <>
+                {fields.map(({ key, name, ...restField }) => (
+                  <Row gutter={8} key={key} align="top">
+                    <Col span={4}>
+                      <Form.Item
+                        {...restField}
+                        name={[name, 'name']}
+                        rules={[{ required: true, whitespace: true, message: 'Name required' }]}
+                      >
+                        <Input placeholder="Name" maxLength={50} />
+                      </Form.Item>
+                    </Col>
+                    <Col span={8}>
+                      <Form.Item {...restField} name={[name, 'subject']}>
+                        <Input placeholder="Subject line" />
+                      </Form.Item>
+                    </Col>
+                    <Col span={5}>
+                      <Form.Item {...restField} name={[name, 'from_name']}>
+                        <Input placeholder="From name" />
+                      </Form.Item>
+                    </Col>
+                    <Col span={5}>
+                      <Form.Item {...restField} name={[name, 'template_id']}>
+                        <Select placeholder="Template" allowClear>
+                          {templates.map(template => (
+                            <Option key={template.id} value={template.id}>
+                              {template.name}
+                            </Option>
+                          ))}
+                        </Select>
+                      </Form.Item>
+                    </Col>
+                    <Col span={2}>
+                      {fields.length > 2 && (
+                        <Button
+                          type="text"
+                          icon={<MinusCircleOutlined />}
+                          onClick={() => remove(name)}
+                        />
+                      )}
+                    </Col>
+                  </Row>
+                ))}
+                {fields.length < 5 && (
+                  <Form.Item>
+                    <Button
+                      type="dashed"
+                      block
+                      icon={<PlusOutlined />}
+                      onClick={() => add({ name: String.fromCharCode(65 + fields.length) })}
+                    >
+                      Add Variant
+                    </Button>
+                  </Form.Item>
+                )}
+              </>
+            )}
+          </Form.List>
+
+          <Form.Item>
+            <Space>
+              <Button type="primary" htmlType="submit" icon={<ExperimentOutlined />}>
+                Save A/B Test
+              </Button>
+              {hasAbTest && (
+                <Popconfirm
+                  title="Remove the A/B test?"
+                  description="The campaign is sent to the whole list as usual."
+                  onConfirm={handleDeleteAbTest}
+                  okText="Yes"
+                  cancelText="No"
+                >
+                  <Button danger>Remove Test</Button>
+                </Popconfirm>
+              )}
+              <Button onClick={() => setAbTestModalVisible(false)}>Cancel</Button>
+            </Space>
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      {/* Resend to Non-Openers Modal */}
+      <Modal
+        title={`Resend to Non-Openers - ${selectedCampaign?.name}`}
+        open={followUpModalVisible}
+        onCancel={() => setFollowUpModalVisible(false)}
+        footer={null}
+        width={500}
+      >
+        <Form
+          form={followUpForm}
+          onFinish={handleCreateFollowUp}
+          onValuesChange={(changed) => {
+            if ('exclude_clickers' in changed) {
+              fetchFollowUpAudience(selectedCampaign.id, changed.exclude_clickers);
+            }
+          }}
+          layout="vertical"
+        >
+          <Form.Item
+            name="name"
+            label="Campaign Name"
+            rules={[{ required: true, message: 'Please enter a campaign name' }]}
+          >
+            <Input />
+          </Form.Item>
+          <Form.Item
+            name="subject"
+            label="New Subject Line"
+            extra="Leave empty to reuse the original subject"
+          >
+            <Input placeholder="e.g. In case you missed it: ..." maxLength={500} />
+          </Form.Item>
+          <Form.Item
+            name="delay_hours"
+            label="Send After"
+            rules={[{ required: true, message: 'Please enter a delay' }]}
+            extra="Contacts who open the original in the meantime are left out"
+          >
+            <Input type="number" min={0} max={720} suffix="hours" />
+          </Form.Item>
+          <Form.Item
+            name="exclude_clickers"
+            label="Also Skip Contacts Who Clicked"
+            valuePropName="checked"
+            extra="Clicks can happen without a tracked open when images are blocked"
+          >
+            <Switch />
+          </Form.Item>
+          <Text type="secondary" style={{ display: 'block', marginBottom: 16 }}>
+            {followUpAudience === null
+              ? 'Counting non-openers...'
+              : `${followUpAudience} contact${followUpAudience === 1 ? '' : 's'} would get the follow-up right now. Bounced and unsubscribed contacts are excluded.`}
+          </Text>
+          <Form.Item>
+            <Space>
+              <Button type="primary" htmlType="submit" icon={<RetweetOutlined />} disabled={followUpAudience === 0}>
+                Schedule Follow-up
+              </Button>
+              <Button onClick={() => setFollowUpModalVisible(false)}>Cancel</Button>
+            </Space>
+          </Form.Item>
+        </Form>
+      </Modal>
     </div>
   );
 };
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Card, Button, Result, Spin } from 'antd';
+import { CheckCircleOutlined, CloseCircleOutlined } from '@ant-design/icons';
+import api from '../utils/api';
+
+const pageStyle = {
+  minHeight: '100vh',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  background: '#f0f2f5',
+  padding: '20px'
+};
+
+const Confirm = () => {
+  const [searchParams] = useSearchParams();
+  const [loading, setLoading] = useState(false);
+  const [confirmed, setConfirmed] = useState(null);
+  const [error, setError] = useState(null);
+
+  const token = searchParams.get('token');
+
+  const handleConfirm = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await api.post('/public/confirm', { token });
+      setConfirmed(response.data);
+    } catch (err) {
+      console.error('Confirm subscription error:', err);
+      setError(
+        err.response?.data?.error ||
+        'An error occurred while confirming your subscription. The link may be invalid or expired.'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div style={pageStyle}>
+        <Card style={{ maxWidth: 600, width: '100%' }}>
+          <Result
+            status="error"
+            title="Invalid Confirmation Link"
+            subTitle="The confirmation link you followed appears to be invalid or incomplete."
+          />
+        </Card>
+      </div>
+    );
+  }
+
+  if (confirmed) {
+    return (
+      <div style={pageStyle}>
+        <Card style={{ maxWidth: 600, width: '100%' }}>
+          <Result
+            icon={<CheckCircleOutlined style={{ color: '#52c41a' }} />}
+            status="success"
+            title={confirmed.alreadyConfirmed ? 'Already Confirmed' : 'Subscription Confirmed'}
+            subTitle={
+              <p>
+                You are subscribed to <strong>{confirmed.list.name}</strong>.
+                Thank you for confirming!
+              </p>
+            }
+          />
+        </Card>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div style={pageStyle}>
+        <Card style={{ maxWidth: 600, width: '100%' }}>
+          <Result
+            icon={<CloseCircleOutlined style={{ color: '#ff4d4f' }} />}
+            status="error"
+            title="Confirmation Failed"
+            subTitle={error}
+          />
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div style={pageStyle}>
+      <Card
+        style={{ maxWidth: 600, width: '100%' }}
+        title={
+          <div style={{ textAlign: 'center', fontSize: '24px', fontWeight: 'bold' }}>
+            Confirm Your Subscription
+          </div>
+        }
+      >
+        <div style={{ textAlign: 'center', padding: '20px 0' }}>
+          {loading ? (
+            <>
+              <Spin size="large" />
+              <p style={{ marginTop: 20, color: '#666' }}>
+                Confirming your subscription...
+              </p>
+            </>
+          ) : (
+            <>
+              <p style={{ fontSize: '16px', color: '#666', marginBottom: 30 }}>
+                Please confirm that you want to receive emails from this list.
+              </p>
+
+              <Button
+                type="primary"
+                size="large"
+                onClick={handleConfirm}
+                style={{ minWidth: 200 }}
+              >
+                Yes, Subscribe Me
+              </Button>
+            </>
+          )}
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default Confirm;
@@ -1,13 +1,13 @@
 import { useState, useEffect } from 'react'
 import {
-  Table, Button, Modal, Form, Input, Select, Space, Typography, Popconfirm, message, Tag, Upload, Dropdown, Card, Statistic, Row, Col, Progress
+  Table, Button, Modal, Form, Input, Select, Space, Typography, Popconfirm, message, Tag, Upload, Dropdown, Card, Statistic, Row, Col, Progress, Tooltip
 } from 'antd'
 import {
-  PlusOutlined, EditOutlined, DeleteOutlined, UploadOutlined, DownloadOutlined, ToolOutlined, StarOutlined, ClearOutlined
+  PlusOutlined, EditOutlined, DeleteOutlined, UploadOutlined, DownloadOutlined, ToolOutlined, StarOutlined, ClearOutlined, MessageOutlined
 } from '@ant-design/icons'
 import api from '../utils/api'
 
-const { Title } = Typography
+const { Title, Text } = Typography
 
 const Contacts = () => {
   const [contacts, setContacts] = useState([])
@@ -19,6 +19,9 @@ const Contacts = () => {
   const [editingContact, setEditingContact] = useState(null)
   const [hygieneStats, setHygieneStats] = useState(null)
   const [engagementScores, setEngagementScores] = useState([])
+  const [repliesModalVisible, setRepliesModalVisible] = useState(false)
+  const [repliesContact, setRepliesContact] = useState(null)
+  const [contactReplies, setContactReplies] = useState([])
   const [form] = Form.useForm()
 
   useEffect(() => {
@@ -118,10 +121,10 @@ const Contacts = () => {
   const handleExport = () => {
     try {
       const csv = []
-      csv.push('email,first_name,last_name,status')
+      csv.push('email,first_name,last_name,status,timezone')
 
       contacts.forEach(contact => {
-        csv.push(`${contact.email},${contact.first_name || ''},${contact.last_name || ''},${contact.status}`)
+        csv.push(`${contact.email},${contact.first_name || ''},${contact.last_name || ''},${contact.status},${contact.timezone || ''}`)
       })
 
       const blob = new Blob([csv.join('\n')], { type: 'text/csv' })
@@ -209,6 +212,17 @@ const Contacts = () => {
     }
   }
 
+  const handleViewReplies = async (contact) => {
+    try {
+      const response = await api.get(`/contacts/${contact.id}/replies?limit=500`)
+      setRepliesContact(contact)
+      setContactReplies(response.data.replies)
+      setRepliesModalVisible(true)
+    } catch (error) {
+      message.error('Failed to load replies')
+    }
+  }
+
   const hygieneMenuItems = [
     {
       key: 'stats',
@@ -269,6 +283,16 @@ const Contacts = () => {
         return <Tag color={colors[status]}>{status.toUpperCase()}</Tag>
       },
     },
+    {
+      title: 'Timezone',
+      dataIndex: 'timezone',
+      key: 'timezone',
+      render: (timezone, record) => timezone ? (
+        <Tooltip title={`Source: ${record.timezone_source}`}>
+          <span>{timezone}</span>
+        </Tooltip>
+      ) : '-',
+    },
     {
       title: 'Created',
       dataIndex: 'created_at',
@@ -287,6 +311,13 @@ const Contacts = () => {
           >
             Edit
           </Button>
+          <Button
+            type="link"
+            icon={<MessageOutlined />}
+            onClick={() => handleViewReplies(record)}
+          >
+            Replies
+          </Button>
           <Popconfirm
             title="Are you sure you want to delete this contact?"
             onConfirm={() => handleDelete(record.id)}
@@ -380,6 +411,14 @@ const Contacts = () => {
             </Select>
           </Form.Item>
 
+          <Form.Item
+            name="timezone"
+            label="Timezone"
+            extra="IANA timezone used for local-time scheduling. Left empty, it is inferred from where the contact opens emails."
+          >
+            <Input placeholder="America/New_York" allowClear />
+          </Form.Item>
+
           <Form.Item>
             <Space>
               <Button type="primary" htmlType="submit">
@@ -400,12 +439,12 @@ const Contacts = () => {
         footer={null}
       >
         <div style={{ marginBottom: 16 }}>
-          <p>CSV file should have headers: email, first_name, last_name, status</p>
+          <p>CSV file should have headers: email, first_name, last_name, status, and optionally timezone</p>
           <p><strong>Example:</strong></p>
           <pre style={{ background: '#f5f5f5', padding: 8 }}>
-            email,first_name,last_name,status{'\n'}
-            john@example.com,John,Doe,active{'\n'}
-            jane@example.com,Jane,Smith,active
+            email,first_name,last_name,status,timezone{'\n'}
+            john@example.com,John,Doe,active,America/New_York{'\n'}
+            jane@example.com,Jane,Smith,active,Europe/London
           </pre>
         </div>
 
@@ -543,6 +582,64 @@ const Contacts = () => {
           ]}
         />
       </Modal>
+
+      <Modal
+        title={`Replies from ${repliesContact?.email}`}
+        open={repliesModalVisible}
+        onCancel={() => setRepliesModalVisible(false)}
+        width={900}
+        footer={[
+          <Button key="close" onClick={() => setRepliesModalVisible(false)}>
+            Close
+          </Button>
+        ]}
+      >
+        <Table
+          dataSource={contactReplies}
+          rowKey="id"
+          pagination={{ pageSize: 10 }}
+          size="small"
+          expandable={{
+            expandedRowRender: (record) => (
+              <Text style={{ whiteSpace: 'pre-wrap' }}>{record.text_body}</Text>
+            )
+          }}
+          columns={[
+            {
+              title: 'Subject',
+              dataIndex: 'subject',
+              key: 'subject',
+              ellipsis: true
+            },
+            {
+              title: 'Campaign',
+              dataIndex: 'campaign_name',
+              key: 'campaign_name',
+              render: (name) => name || '-'
+            },
+            {
+              title: 'Type',
+              dataIndex: 'is_auto_reply',
+              key: 'is_auto_reply',
+              filters: [
+                { text: 'Reply', value: 0 },
+                { text: 'Auto-reply', value: 1 }
+              ],
+              onFilter: (value, record) => record.is_auto_reply === value,
+              render: (isAutoReply) => (
+                <Tag color={isAutoReply ? 'default' : 'green'}>
+                  {isAutoReply ? 'Auto-reply' : 'Reply'}
+                </Tag>
+              )
+            },
+            {
+              title: 'Received',
+              key: 'received',
+              render: (_, record) => new Date(record.received_at || record.created_at).toLocaleString()
+            }
+          ]}
+        />
+      </Modal>
     </div>
   )
 }
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react'
 import {
-  Table, Button, Modal, Form, Input, Space, Typography, Popconfirm, message, Tag, Card, Row, Col, Select, DatePicker, Divider
+  Table, Button, Modal, Form, Input, Space, Typography, Popconfirm, message, Tag, Card, Row, Col, Select, DatePicker, Divider, Switch
 } from 'antd'
 import { PlusOutlined, EditOutlined, DeleteOutlined, TeamOutlined, SettingOutlined, FilterOutlined } from '@ant-design/icons'
 import api from '../utils/api'
@@ -25,10 +25,12 @@ const Lists = () => {
   const [allContacts, setAllContacts] = useState([])
   const [subscribersLoading, setSubscribersLoading] = useState(false)
   const [selectedContacts, setSelectedContacts] = useState([])
+  const [templates, setTemplates] = useState([])
   const [form] = Form.useForm()
 
   useEffect(() => {
     loadLists()
+    loadTemplates()
   }, [])
 
   const loadLists = async () => {
@@ -43,6 +45,15 @@ const Lists = () => {
     }
   }
 
+  const loadTemplates = async () => {
+    try {
+      const response = await api.get('/templates')
+      setTemplates(response.data.templates || [])
+    } catch (error) {
+      message.error('Failed to load templates')
+    }
+  }
+
   const handleAdd = () => {
     setEditingList(null)
     setCustomFields([])
@@ -55,6 +66,8 @@ const Lists = () => {
     form.setFieldsValue({
       name: list.name,
       description: list.description,
+      double_opt_in: !!list.double_opt_in,
+      confirmation_template_id: list.confirmation_template_id,
     })
     setCustomFields(
       Object.entries(list.custom_fields || {}).map(([key, value]) => ({
@@ -112,6 +125,8 @@ const Lists = () => {
 
       const payload = {
         ...values,
+        double_opt_in: !!values.double_opt_in,
+        confirmation_template_id: values.confirmation_template_id || null,
         custom_fields: customFieldsObj,
       }
 
@@ -263,12 +278,23 @@ const Lists = () => {
       title: 'Subscribers',
       dataIndex: 'subscriber_count',
       key: 'subscriber_count',
-      render: (count) => (
-        <Tag color="blue">
-          <TeamOutlined /> {count}
-        </Tag>
+      render: (count, record) => (
+        <Space size={4}>
+          <Tag color="blue">
+            <TeamOutlined /> {count}
+          </Tag>
+          {record.pending_count > 0 && (
+            <Tag color="orange">{record.pending_count} pending</Tag>
+          )}
+        </Space>
       ),
     },
+    {
+      title: 'Opt-in',
+      dataIndex: 'double_opt_in',
+      key: 'double_opt_in',
+      render: (doubleOptIn) => doubleOptIn ? <Tag color="green">Double</Tag> : <Tag>Single</Tag>,
+    },
     {
       title: 'Custom Fields',
       dataIndex: 'custom_fields',
@@ -367,6 +393,41 @@ const Lists = () => {
             <TextArea rows={3} placeholder="Description of this email list" />
           </Form.Item>
 
+          <Row gutter={16}>
+            <Col span={8}>
+              <Form.Item
+                name="double_opt_in"
+                label="Double Opt-in"
+                valuePropName="checked"
+                tooltip="Public signups stay pending until they confirm from a link emailed to them"
+              >
+                <Switch />
+              </Form.Item>
+            </Col>
+            <Col span={16}>
+              <Form.Item
+                noStyle
+                shouldUpdate={(prev, curr) => prev.double_opt_in !== curr.double_opt_in}
+              >
+                {({ getFieldValue }) => getFieldValue('double_opt_in') && (
+                  <Form.Item
+                    name="confirmation_template_id"
+                    label="Confirmation Email Template"
+                    tooltip="Use {{confirmation_url}} for the confirmation link; a default email is sent when empty"
+                  >
+                    <Select placeholder="Default confirmation email" allowClear>
+                      {templates.map(template => (
+                        <Select.Option key={template.id} value={template.id}>
+                          {template.name}
+                        </Select.Option>
+                      ))}
+                    </Select>
+                  </Form.Item>
+                )}
+              </Form.Item>
+            </Col>
+          </Row>
+
           <Card title="Custom Fields" size="small" style={{ marginBottom: 16 }}>
             {customFields.map((field, index) => (
               <Row gutter={8} key={index} style={{ marginBottom: 8 }}>
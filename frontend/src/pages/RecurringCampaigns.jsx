@@ -0,0 +1,485 @@
+import { useState, useEffect } from 'react'
+import {
+  Table, Button, Modal, Form, Input, InputNumber, Select, Space, Typography, Popconfirm, message, Tag,
+  DatePicker, Checkbox, Radio, Tooltip, List
+} from 'antd'
+import {
+  PlusOutlined, EditOutlined, DeleteOutlined, HistoryOutlined, PauseCircleOutlined,
+  PlayCircleOutlined, StepForwardOutlined
+} from '@ant-design/icons'
+import dayjs from 'dayjs'
+import api from '../utils/api'
+
+const { Title, Text } = Typography
+
+const WEEKDAYS = [
+  { label: 'Mon', value: 'MO' },
+  { label: 'Tue', value: 'TU' },
+  { label: 'Wed', value: 'WE' },
+  { label: 'Thu', value: 'TH' },
+  { label: 'Fri', value: 'FR' },
+  { label: 'Sat', value: 'SA' },
+  { label: 'Sun', value: 'SU' },
+]
+
+const FREQUENCY_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }
+
+const STATUS_COLORS = { active: 'green', paused: 'orange', ended: 'default' }
+
+const OCCURRENCE_COLORS = { sent: 'green', pending: 'blue', skipped: 'default', missed: 'orange', failed: 'red' }
+
+// Rules the simple editor can build; anything else is edited as a raw RRULE
+const SIMPLE_RRULE = /^FREQ=(DAILY|WEEKLY|MONTHLY)(?:;INTERVAL=(\d+))?(?:;BYDAY=((?:MO|TU|WE|TH|FR|SA|SU)(?:,(?:MO|TU|WE|TH|FR|SA|SU))*))?$/
+
+const parseSimpleRRule = (rrule) => {
+  const match = (rrule || '').replace(/^RRULE:/i, '').match(SIMPLE_RRULE)
+  if (!match || (match[3] && match[1] !== 'WEEKLY')) {
+    return null
+  }
+  return { frequency: match[1], interval: parseInt(match[2] || '1'), weekdays: match[3] ? match[3].split(',') : [] }
+}
+
+const buildSimpleRRule = ({ frequency, interval, weekdays }) => {
+  let rrule = `FREQ=${frequency}`
+  if (interval > 1) {
+    rrule += `;INTERVAL=${interval}`
+  }
+  if (frequency === 'WEEKLY' && weekdays?.length) {
+    rrule += `;BYDAY=${weekdays.join(',')}`
+  }
+  return rrule
+}
+
+const describeRRule = (rrule) => {
+  const simple = parseSimpleRRule(rrule)
+  if (!simple) {
+    return rrule
+  }
+  const unit = FREQUENCY_UNITS[simple.frequency]
+  let text = simple.interval > 1 ? `Every ${simple.interval} ${unit}s` : `Every ${unit}`
+  if (simple.weekdays.length) {
+    text += ` on ${simple.weekdays.map(day => WEEKDAYS.find(w => w.value === day).label).join(', ')}`
+  }
+  return text
+}
+
+const RecurringCampaigns = () => {
+  const [series, setSeries] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [lists, setLists] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [modalVisible, setModalVisible] = useState(false)
+  const [editingSeries, setEditingSeries] = useState(null)
+  const [historySeries, setHistorySeries] = useState(null)
+  const [form] = Form.useForm()
+
+  useEffect(() => {
+    loadSeries()
+    loadOptions()
+  }, [])
+
+  const loadSeries = async () => {
+    setLoading(true)
+    try {
+      const response = await api.get('/recurring-campaigns')
+      setSeries(response.data.recurringCampaigns)
+    } catch (error) {
+      message.error('Failed to load recurring campaigns')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadOptions = async () => {
+    try {
+      const [templatesResponse, listsResponse] = await Promise.all([api.get('/templates'), api.get('/lists')])
+      setTemplates(templatesResponse.data.templates)
+      setLists(listsResponse.data.lists)
+    } catch (error) {
+      message.error('Failed to load templates and lists')
+    }
+  }
+
+  const handleAdd = () => {
+    setEditingSeries(null)
+    form.resetFields()
+    form.setFieldsValue({
+      mode: 'simple',
+      frequency: 'WEEKLY',
+      interval: 1,
+      weekdays: [],
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    })
+    setModalVisible(true)
+  }
+
+  const handleEdit = (record) => {
+    const simple = parseSimpleRRule(record.rrule)
+    setEditingSeries(record)
+    form.resetFields()
+    form.setFieldsValue({
+      ...record,
+      start_at: dayjs(record.start_at),
+      ends_on: record.ends_on ? dayjs(record.ends_on) : null,
+      mode: simple ? 'simple' : 'custom',
+      frequency: simple?.frequency || 'WEEKLY',
+      interval: simple?.interval || 1,
+      weekdays: simple?.weekdays || [],
+    })
+    setModalVisible(true)
+  }
+
+  const handleSubmit = async (values) => {
+    const { mode, frequency, interval, weekdays, ...fields } = values
+    const data = {
+      ...fields,
+      rrule: mode === 'simple' ? buildSimpleRRule({ frequency, interval, weekdays }) : fields.rrule,
+      start_at: values.start_at.format('YYYY-MM-DDTHH:mm'),
+      ends_on: values.ends_on ? values.ends_on.format('YYYY-MM-DD') : null,
+    }
+
+    try {
+      if (editingSeries) {
+        await api.put(`/recurring-campaigns/${editingSeries.id}`, data)
+        message.success('Recurring campaign updated successfully')
+      } else {
+        await api.post('/recurring-campaigns', data)
+        message.success('Recurring campaign created successfully')
+      }
+      setModalVisible(false)
+      loadSeries()
+    } catch (error) {
+      message.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.error || 'Failed to save recurring campaign')
+    }
+  }
+
+  const handleAction = async (record, action, successMessage) => {
+    try {
+      await api.post(`/recurring-campaigns/${record.id}/${action}`)
+      message.success(successMessage)
+      loadSeries()
+    } catch (error) {
+      message.error(error.response?.data?.error || `Failed to ${action} recurring campaign`)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    try {
+      await api.delete(`/recurring-campaigns/${id}`)
+      message.success('Recurring campaign deleted successfully')
+      loadSeries()
+    } catch (error) {
+      message.error('Failed to delete recurring campaign')
+    }
+  }
+
+  const showHistory = async (record) => {
+    try {
+      const response = await api.get(`/recurring-campaigns/${record.id}`)
+      setHistorySeries(response.data)
+    } catch (error) {
+      message.error('Failed to load occurrence history')
+    }
+  }
+
+  const columns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      render: (text, record) => (
+        <Space direction="vertical" size="small">
+          <Text strong>{text}</Text>
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {record.template_name} → {record.list_name}
+          </Text>
+        </Space>
+      ),
+    },
+    {
+      title: 'Schedule',
+      key: 'schedule',
+      render: (_, record) => (
+        <Space direction="vertical" size="small">
+          <Tooltip title={record.rrule}>
+            <Text>{describeRRule(record.rrule)} at {record.start_at.slice(11)}</Text>
+          </Tooltip>
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {record.timezone}{record.ends_on ? `, until ${record.ends_on}` : ''}
+          </Text>
+        </Space>
+      ),
+    },
+    {
+      title: 'Next Send',
+      dataIndex: 'next_run_at',
+      key: 'next_run_at',
+      render: (date, record) => (record.status === 'active' && date ? dayjs(date).format('YYYY-MM-DD HH:mm') : '-'),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status) => <Tag color={STATUS_COLORS[status]}>{status.toUpperCase()}</Tag>,
+    },
+    {
+      title: 'Sent / Skipped',
+      key: 'occurrences',
+      render: (_, record) => `${record.sent_occurrences} / ${record.skipped_occurrences}`,
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Space>
+          <Button type="link" icon={<HistoryOutlined />} onClick={() => showHistory(record)}>
+            History
+          </Button>
+          <Button type="link" icon={<EditOutlined />} onClick={() => handleEdit(record)}>
+            Edit
+          </Button>
+          {record.status === 'active' && (
+            <>
+              <Popconfirm
+                title="Skip the next send?"
+                onConfirm={() => handleAction(record, 'skip', 'Next send skipped')}
+                okText="Yes"
+                cancelText="No"
+              >
+                <Button type="link" icon={<StepForwardOutlined />}>
+                  Skip Next
+                </Button>
+              </Popconfirm>
+              <Button
+                type="link"
+                icon={<PauseCircleOutlined />}
+                onClick={() => handleAction(record, 'pause', 'Recurring campaign paused')}
+              >
+                Pause
+              </Button>
+            </>
+          )}
+          {record.status === 'paused' && (
+            <Button
+              type="link"
+              icon={<PlayCircleOutlined />}
+              onClick={() => handleAction(record, 'resume', 'Recurring campaign resumed')}
+            >
+              Resume
+            </Button>
+          )}
+          <Popconfirm
+            title="Delete this recurring campaign? Campaigns it already sent are kept."
+            onConfirm={() => handleDelete(record.id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button type="link" danger icon={<DeleteOutlined />}>
+              Delete
+            </Button>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ]
+
+  const occurrenceColumns = [
+    {
+      title: 'Scheduled For',
+      dataIndex: 'scheduled_for',
+      key: 'scheduled_for',
+      render: (date) => dayjs(date).format('YYYY-MM-DD HH:mm'),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status, record) => (
+        <Tooltip title={record.error_message}>
+          <Tag color={OCCURRENCE_COLORS[status]}>{status.toUpperCase()}</Tag>
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'Campaign',
+      key: 'campaign',
+      render: (_, record) => record.campaign_name
+        ? <Text>{record.campaign_name} <Tag>{record.campaign_status}</Tag></Text>
+        : '-',
+    },
+  ]
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+        <Title level={2}>Recurring Campaigns</Title>
+        <Button type="primary" icon={<PlusOutlined />} onClick={handleAdd}>
+          New Recurring Campaign
+        </Button>
+      </div>
+
+      <Table
+        columns={columns}
+        dataSource={series}
+        rowKey="id"
+        loading={loading}
+        pagination={{ pageSize: 10 }}
+      />
+
+      <Modal
+        title={editingSeries ? 'Edit Recurring Campaign' : 'New Recurring Campaign'}
+        open={modalVisible}
+        onCancel={() => setModalVisible(false)}
+        width={700}
+        footer={null}
+      >
+        <Form form={form} layout="vertical" onFinish={handleSubmit}>
+          <Form.Item name="name" label="Name" rules={[{ required: true, message: 'Please enter a name' }]}>
+            <Input placeholder="Weekly Newsletter" />
+          </Form.Item>
+
+          <Space style={{ display: 'flex' }} align="start">
+            <Form.Item name="template_id" label="Template" rules={[{ required: true, message: 'Please select a template' }]}>
+              <Select placeholder="Select template" style={{ width: 300 }}>
+                {templates.map(template => (
+                  <Select.Option key={template.id} value={template.id}>{template.name}</Select.Option>
+                ))}
+              </Select>
+            </Form.Item>
+            <Form.Item name="list_id" label="List" rules={[{ required: true, message: 'Please select a list' }]}>
+              <Select placeholder="Select list" style={{ width: 300 }}>
+                {lists.map(list => (
+                  <Select.Option key={list.id} value={list.id}>{list.name}</Select.Option>
+                ))}
+              </Select>
+            </Form.Item>
+          </Space>
+
+          <Form.Item name="subject" label="Subject" extra="Optional. Leave empty to use the template's subject.">
+            <Input />
+          </Form.Item>
+
+          <Space style={{ display: 'flex' }} align="start">
+            <Form.Item
+              name="from_email"
+              label="From Email"
+              rules={[{ required: true, type: 'email', message: 'Please enter a valid email' }]}
+            >
+              <Input style={{ width: 300 }} />
+            </Form.Item>
+            <Form.Item name="from_name" label="From Name" rules={[{ required: true, message: 'Please enter a from name' }]}>
+              <Input style={{ width: 300 }} />
+            </Form.Item>
+          </Space>
+
+          <Form.Item name="reply_to" label="Reply-To" rules={[{ type: 'email', message: 'Please enter a valid email' }]}>
+            <Input />
+          </Form.Item>
+
+          <Form.Item name="mode" label="Repeat">
+            <Radio.Group>
+              <Radio value="simple">Simple</Radio>
+              <Radio value="custom">Custom RRULE</Radio>
+            </Radio.Group>
+          </Form.Item>
+
+          <Form.Item noStyle shouldUpdate={(prev, curr) => prev.mode !== curr.mode || prev.frequency !== curr.frequency}>
+            {({ getFieldValue }) => (getFieldValue('mode') === 'simple' ? (
+              <>
+                <Space align="start">
+                  <Form.Item name="frequency" label="Frequency">
+                    <Select style={{ width: 150 }}>
+                      <Select.Option value="DAILY">Daily</Select.Option>
+                      <Select.Option value="WEEKLY">Weekly</Select.Option>
+                      <Select.Option value="MONTHLY">Monthly</Select.Option>
+                    </Select>
+                  </Form.Item>
+                  <Form.Item name="interval" label={`Every N ${FREQUENCY_UNITS[getFieldValue('frequency')]}s`}>
+                    <InputNumber min={1} max={1000} />
+                  </Form.Item>
+                </Space>
+                {getFieldValue('frequency') === 'WEEKLY' && (
+                  <Form.Item name="weekdays" label="On" extra="Leave empty to repeat on the start date's weekday.">
+                    <Checkbox.Group options={WEEKDAYS} />
+                  </Form.Item>
+                )}
+              </>
+            ) : (
+              <Form.Item
+                name="rrule"
+                label="RRULE"
+                rules={[{ required: true, message: 'Please enter an RRULE' }]}
+                extra="e.g. FREQ=MONTHLY;BYDAY=1MO (first Monday of the month)"
+              >
+                <Input placeholder="FREQ=WEEKLY;BYDAY=TU" />
+              </Form.Item>
+            ))}
+          </Form.Item>
+
+          <Space style={{ display: 'flex' }} align="start">
+            <Form.Item
+              name="start_at"
+              label="Starts"
+              rules={[{ required: true, message: 'Please select the first send time' }]}
+              extra="The time of day is used for every send."
+            >
+              <DatePicker showTime={{ format: 'HH:mm' }} format="YYYY-MM-DD HH:mm" />
+            </Form.Item>
+            <Form.Item name="timezone" label="Timezone" rules={[{ required: true, message: 'Please enter a timezone' }]}>
+              <Input placeholder="America/New_York" style={{ width: 200 }} />
+            </Form.Item>
+            <Form.Item name="ends_on" label="Ends On" extra="Optional.">
+              <DatePicker />
+            </Form.Item>
+          </Space>
+
+          <Form.Item>
+            <Space>
+              <Button type="primary" htmlType="submit">
+                {editingSeries ? 'Update' : 'Create'}
+              </Button>
+              <Button onClick={() => setModalVisible(false)}>
+                Cancel
+              </Button>
+            </Space>
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title={historySeries ? `${historySeries.name} - History` : 'History'}
+        open={!!historySeries}
+        onCancel={() => setHistorySeries(null)}
+        width={800}
+        footer={[
+          <Button key="close" onClick={() => setHistorySeries(null)}>
+            Close
+          </Button>,
+        ]}
+      >
+        {historySeries && (
+          <>
+            <Title level={5}>Upcoming</Title>
+            <List
+              size="small"
+              dataSource={historySeries.upcoming}
+              locale={{ emptyText: historySeries.status === 'ended' ? 'The series has ended' : 'No upcoming sends' }}
+              renderItem={(date) => <List.Item>{dayjs(date).format('dddd, YYYY-MM-DD HH:mm')}</List.Item>}
+              style={{ marginBottom: 24 }}
+            />
+            <Title level={5}>Past Sends</Title>
+            <Table
+              columns={occurrenceColumns}
+              dataSource={historySeries.occurrences}
+              rowKey="id"
+              size="small"
+              pagination={{ pageSize: 10 }}
+            />
+          </>
+        )}
+      </Modal>
+    </div>
+  )
+}
+
+export default RecurringCampaigns
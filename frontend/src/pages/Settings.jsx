@@ -28,6 +28,8 @@ import {
   SettingOutlined
 } from '@ant-design/icons';
 import api from '../utils/api';
+import ApiKeys from '../components/settings/ApiKeys';
+import Webhooks from '../components/settings/Webhooks';
 
 const { TabPane } = Tabs;
 const { Title } = Typography;
@@ -180,6 +182,12 @@ function Settings() {
       width: 100,
       render: (rate) => `${rate}/hour`
     },
+    {
+      title: 'Priority',
+      dataIndex: 'priority',
+      key: 'priority',
+      width: 90
+    },
     {
       title: 'Status',
       dataIndex: 'is_active',
@@ -271,6 +279,14 @@ function Settings() {
           />
         </TabPane>
 
+        <TabPane tab="API Keys" key="api-keys">
+          <ApiKeys />
+        </TabPane>
+
+        <TabPane tab="Webhooks" key="webhooks">
+          <Webhooks />
+        </TabPane>
+
         <TabPane tab="General" key="general">
           <Card>
             <Alert
@@ -303,6 +319,7 @@ function Settings() {
             secure: false,
             auth_type: 'login',
             max_rate: 100,
+            priority: 0,
             is_active: false
           }}
         >
@@ -412,6 +429,14 @@ function Settings() {
             <InputNumber min={1} max={10000} style={{ width: '100%' }} />
           </Form.Item>
 
+          <Form.Item
+            name="priority"
+            label="Failover Priority"
+            extra="Lower numbers are tried first when the active configuration is unavailable"
+          >
+            <InputNumber min={0} style={{ width: '100%' }} />
+          </Form.Item>
+
           <Form.Item
             name="is_active"
             label="Set as Active"
@@ -0,0 +1,413 @@
+import { useState, useEffect } from 'react'
+import {
+  Table, Button, Modal, Form, Input, Select, Space, Typography, Popconfirm, message, Tag, Checkbox,
+  Row, Col, Tabs, Statistic, Card
+} from 'antd'
+import {
+  PlusOutlined, EditOutlined, DeleteOutlined, CodeOutlined, BarChartOutlined, MinusCircleOutlined
+} from '@ant-design/icons'
+import api from '../utils/api'
+
+const { Title, Text, Paragraph } = Typography
+const { TextArea } = Input
+
+// Contact fields a form can ask for besides the list's custom fields
+const CONTACT_FIELDS = [
+  { value: 'first_name', label: 'First name' },
+  { value: 'last_name', label: 'Last name' },
+]
+
+const SignupForms = () => {
+  const [forms, setForms] = useState([])
+  const [lists, setLists] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [modalVisible, setModalVisible] = useState(false)
+  const [editingForm, setEditingForm] = useState(null)
+  const [embedForm, setEmbedForm] = useState(null)
+  const [statsForm, setStatsForm] = useState(null)
+  const [stats, setStats] = useState(null)
+  const [form] = Form.useForm()
+  const listId = Form.useWatch('list_id', form)
+
+  useEffect(() => {
+    loadForms()
+    loadLists()
+  }, [])
+
+  const loadForms = async () => {
+    setLoading(true)
+    try {
+      const response = await api.get('/signup-forms')
+      setForms(response.data.forms)
+    } catch (error) {
+      message.error('Failed to load signup forms')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadLists = async () => {
+    try {
+      const response = await api.get('/lists')
+      setLists(response.data.lists)
+    } catch (error) {
+      message.error('Failed to load lists')
+    }
+  }
+
+  const fieldOptions = () => {
+    const list = lists.find(l => l.id === listId)
+    return [
+      ...CONTACT_FIELDS,
+      ...Object.entries(list?.custom_fields || {}).map(([name, type]) => ({ value: name, label: `${name} (${type})` })),
+    ]
+  }
+
+  const handleAdd = () => {
+    setEditingForm(null)
+    form.resetFields()
+    form.setFieldsValue({ status: 'active', fields: [] })
+    setModalVisible(true)
+  }
+
+  const handleEdit = (record) => {
+    setEditingForm(record)
+    form.resetFields()
+    form.setFieldsValue(record)
+    setModalVisible(true)
+  }
+
+  const handleSubmit = async (values) => {
+    const data = { ...values, fields: (values.fields || []).filter(field => field?.name) }
+
+    try {
+      if (editingForm) {
+        await api.put(`/signup-forms/${editingForm.id}`, data)
+        message.success('Signup form updated successfully')
+      } else {
+        const response = await api.post('/signup-forms', data)
+        message.success('Signup form created successfully')
+        setEmbedForm(response.data)
+      }
+      setModalVisible(false)
+      loadForms()
+    } catch (error) {
+      message.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.error || 'Failed to save signup form')
+    }
+  }
+
+  const handleDelete = async (id) => {
+    try {
+      await api.delete(`/signup-forms/${id}`)
+      message.success('Signup form deleted successfully')
+      loadForms()
+    } catch (error) {
+      message.error('Failed to delete signup form')
+    }
+  }
+
+  const showEmbed = async (record) => {
+    try {
+      const response = await api.get(`/signup-forms/${record.id}`)
+      setEmbedForm(response.data)
+    } catch (error) {
+      message.error('Failed to load embed code')
+    }
+  }
+
+  const showStats = async (record) => {
+    try {
+      const response = await api.get(`/signup-forms/${record.id}/stats`)
+      setStatsForm(record)
+      setStats(response.data)
+    } catch (error) {
+      message.error('Failed to load signup form stats')
+    }
+  }
+
+  const columns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      render: (text, record) => (
+        <Space direction="vertical" size="small">
+          <Text strong>{text}</Text>
+          <Text type="secondary" style={{ fontSize: '12px' }}>{record.list_name}</Text>
+        </Space>
+      ),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status) => <Tag color={status === 'active' ? 'green' : 'default'}>{status.toUpperCase()}</Tag>,
+    },
+    {
+      title: 'Views',
+      dataIndex: 'views',
+      key: 'views',
+    },
+    {
+      title: 'Submissions',
+      dataIndex: 'submissions',
+      key: 'submissions',
+    },
+    {
+      title: 'Conversion',
+      dataIndex: 'conversion_rate',
+      key: 'conversion_rate',
+      render: (rate) => `${rate}%`,
+    },
+    {
+      title: 'Spam Blocked',
+      dataIndex: 'spam_blocked',
+      key: 'spam_blocked',
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Space>
+          <Button type="link" icon={<CodeOutlined />} onClick={() => showEmbed(record)}>
+            Embed
+          </Button>
+          <Button type="link" icon={<BarChartOutlined />} onClick={() => showStats(record)}>
+            Stats
+          </Button>
+          <Button type="link" icon={<EditOutlined />} onClick={() => handleEdit(record)}>
+            Edit
+          </Button>
+          <Popconfirm
+            title="Delete this signup form? Pages embedding it will stop working."
+            onConfirm={() => handleDelete(record.id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button type="link" danger icon={<DeleteOutlined />}>
+              Delete
+            </Button>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ]
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+        <Title level={2}>Signup Forms</Title>
+        <Button type="primary" icon={<PlusOutlined />} onClick={handleAdd}>
+          New Signup Form
+        </Button>
+      </div>
+
+      <Table
+        columns={columns}
+        dataSource={forms}
+        rowKey="id"
+        loading={loading}
+        pagination={{ pageSize: 10 }}
+      />
+
+      <Modal
+        title={editingForm ? 'Edit Signup Form' : 'New Signup Form'}
+        open={modalVisible}
+        onCancel={() => setModalVisible(false)}
+        width={700}
+        footer={null}
+      >
+        <Form form={form} layout="vertical" onFinish={handleSubmit}>
+          <Row gutter={16}>
+            <Col span={12}>
+              <Form.Item name="name" label="Name" rules={[{ required: true, message: 'Please enter a name' }]}>
+                <Input placeholder="Homepage footer" />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item name="list_id" label="List" rules={[{ required: true, message: 'Please select a list' }]}>
+                <Select placeholder="Select list" onChange={() => form.setFieldsValue({ fields: [] })}>
+                  {lists.map(list => (
+                    <Select.Option key={list.id} value={list.id}>
+                      {list.name}{list.double_opt_in ? ' (double opt-in)' : ''}
+                    </Select.Option>
+                  ))}
+                </Select>
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Form.Item name="title" label="Title" extra="Shown above the form. Defaults to the list name.">
+            <Input />
+          </Form.Item>
+
+          <Form.Item name="description" label="Description">
+            <TextArea rows={2} />
+          </Form.Item>
+
+          <Card title="Fields" size="small" style={{ marginBottom: 16 }} extra={<Text type="secondary">Email is always included</Text>}>
+            <Form.List name="fields">
+              {(items, { add, remove }) => (
+                <>
+                  {items.map(({ key, name }) => (
+                    <Row gutter={8} key={key} align="middle">
+                      <Col span={9}>
+                        <Form.Item name={[name, 'name']} rules={[{ required: true, message: 'Select a field' }]}>
+                          <Select placeholder="Field" options={fieldOptions()} />
+                        </Form.Item>
+                      </Col>
+                      <Col span={9}>
+                        <Form.Item name={[name, 'label']}>
+                          <Input placeholder="Label (optional)" />
+                        </Form.Item>
+                      </Col>
+                      <Col span={4}>
+                        <Form.Item name={[name, 'required']} valuePropName="checked">
+                          <Checkbox>Required</Checkbox>
+                        </Form.Item>
+                      </Col>
+                      <Col span={2}>
+                        <Form.Item>
+                          <MinusCircleOutlined onClick={() => remove(name)} />
+                        </Form.Item>
+                      </Col>
+                    </Row>
+                  ))}
+                  <Button type="dashed" onClick={() => add({ required: false })} block disabled={!listId}>
+                    + Add Field
+                  </Button>
+                </>
+              )}
+            </Form.List>
+          </Card>
+
+          <Row gutter={16}>
+            <Col span={12}>
+              <Form.Item name="button_text" label="Button Text">
+                <Input placeholder="Subscribe" />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item name="status" label="Status">
+                <Select>
+                  <Select.Option value="active">Active</Select.Option>
+                  <Select.Option value="disabled">Disabled</Select.Option>
+                </Select>
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Form.Item name="success_message" label="Success Message">
+            <Input placeholder="Thanks! Please check your inbox." />
+          </Form.Item>
+
+          <Form.Item
+            name="redirect_url"
+            label="Redirect URL"
+            extra="Optional. Subscribers are sent here after signing up instead of seeing the success message."
+            rules={[{ type: 'url', message: 'Please enter a valid URL' }]}
+          >
+            <Input placeholder="https://example.com/thanks" />
+          </Form.Item>
+
+          <Form.Item>
+            <Space>
+              <Button type="primary" htmlType="submit">
+                {editingForm ? 'Update' : 'Create'}
+              </Button>
+              <Button onClick={() => setModalVisible(false)}>
+                Cancel
+              </Button>
+            </Space>
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title={`Embed: ${embedForm?.name || ''}`}
+        open={!!embedForm}
+        onCancel={() => setEmbedForm(null)}
+        width={800}
+        footer={null}
+      >
+        {embedForm && (
+          <Tabs
+            items={[
+              {
+                key: 'js',
+                label: 'JavaScript',
+                children: (
+                  <>
+                    <Paragraph type="secondary">
+                      Paste this where the form should appear. The form is rendered from its current settings.
+                    </Paragraph>
+                    <Paragraph copyable={{ text: embedForm.snippets.js }}>
+                      <pre style={{ whiteSpace: 'pre-wrap' }}>{embedForm.snippets.js}</pre>
+                    </Paragraph>
+                  </>
+                ),
+              },
+              {
+                key: 'html',
+                label: 'HTML',
+                children: (
+                  <>
+                    <Paragraph type="secondary">
+                      Plain HTML you can style yourself. Regenerate it after changing the form's fields.
+                    </Paragraph>
+                    <Paragraph copyable={{ text: embedForm.snippets.html }}>
+                      <pre style={{ whiteSpace: 'pre-wrap', maxHeight: 400, overflow: 'auto' }}>{embedForm.snippets.html}</pre>
+                    </Paragraph>
+                  </>
+                ),
+              },
+              {
+                key: 'hosted',
+                label: 'Hosted Page',
+                children: (
+                  <Paragraph copyable>
+                    <a href={embedForm.urls.hosted} target="_blank" rel="noreferrer">{embedForm.urls.hosted}</a>
+                  </Paragraph>
+                ),
+              },
+            ]}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        title={`Stats: ${statsForm?.name || ''}`}
+        open={!!stats}
+        onCancel={() => setStats(null)}
+        width={700}
+        footer={null}
+      >
+        {stats && (
+          <>
+            <Row gutter={16} style={{ marginBottom: 16 }}>
+              <Col span={6}><Statistic title="Views" value={stats.views} /></Col>
+              <Col span={6}><Statistic title="Submissions" value={stats.submissions} /></Col>
+              <Col span={6}><Statistic title="Conversion" value={stats.conversion_rate} suffix="%" /></Col>
+              <Col span={6}><Statistic title="Spam Blocked" value={stats.spam_blocked} /></Col>
+            </Row>
+            <Text type="secondary">Last {stats.days} days</Text>
+            <Table
+              dataSource={[...stats.daily].reverse()}
+              rowKey="day"
+              size="small"
+              pagination={{ pageSize: 10 }}
+              columns={[
+                { title: 'Day', dataIndex: 'day', key: 'day' },
+                { title: 'Views', dataIndex: 'views', key: 'views' },
+                { title: 'Submissions', dataIndex: 'submissions', key: 'submissions' },
+                { title: 'Spam Blocked', dataIndex: 'spam_blocked', key: 'spam_blocked' },
+              ]}
+            />
+          </>
+        )}
+      </Modal>
+    </div>
+  )
+}
+
+export default SignupForms
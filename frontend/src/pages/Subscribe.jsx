@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { Card, Button, Result, Spin, Form, Input, InputNumber, Checkbox, Alert, Typography } from 'antd';
+import { CheckCircleOutlined } from '@ant-design/icons';
+import api from '../utils/api';
+
+const { Title, Paragraph } = Typography;
+
+const pageStyle = {
+  minHeight: '100vh',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  background: '#f0f2f5',
+  padding: '20px'
+};
+
+const renderInput = (field) => {
+  switch (field.type) {
+    case 'number':
+      return <InputNumber style={{ width: '100%' }} />;
+    case 'checkbox':
+      return <Checkbox>{field.label}</Checkbox>;
+    default:
+      return <Input type={field.type} />;
+  }
+};
+
+const Subscribe = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const [definition, setDefinition] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(searchParams.get('error'));
+  const [form] = Form.useForm();
+
+  const redirectedStatus = searchParams.get('status');
+
+  useEffect(() => {
+    if (redirectedStatus) {
+      setLoading(false);
+      return;
+    }
+
+    api.get(`/public/forms/${id}`)
+      .then(response => setDefinition(response.data))
+      .catch(() => setError('This signup form is not available.'))
+      .finally(() => setLoading(false));
+  }, [id, redirectedStatus]);
+
+  const handleSubmit = async (values) => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await api.post(`/public/forms/${id}/submit`, {
+        ...values,
+        _token: definition.token
+      });
+
+      if (definition.redirect_url) {
+        window.location.href = definition.redirect_url;
+        return;
+      }
+
+      setResult(response.data);
+    } catch (err) {
+      const fieldErrors = err.response?.data?.errors;
+
+      if (fieldErrors) {
+        form.setFields(Object.entries(fieldErrors).map(([name, message]) => ({ name, errors: [message] })));
+      } else {
+        setError(err.response?.data?.message || err.response?.data?.error || 'Something went wrong, please try again.');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={pageStyle}>
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  if (result || redirectedStatus) {
+    const pending = (result?.status || redirectedStatus) === 'pending';
+
+    return (
+      <div style={pageStyle}>
+        <Card style={{ maxWidth: 600, width: '100%' }}>
+          <Result
+            icon={<CheckCircleOutlined style={{ color: '#52c41a' }} />}
+            status="success"
+            title={pending ? 'Almost Done' : 'Thanks for Subscribing'}
+            subTitle={result?.message || (pending
+              ? 'Please check your inbox and click the link to confirm your subscription.'
+              : 'You have been subscribed.')}
+          />
+        </Card>
+      </div>
+    );
+  }
+
+  if (!definition) {
+    return (
+      <div style={pageStyle}>
+        <Card style={{ maxWidth: 600, width: '100%' }}>
+          <Result status="error" title="Signup Form Not Found" subTitle={error} />
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div style={pageStyle}>
+      <Card style={{ maxWidth: 600, width: '100%' }}>
+        <Title level={3}>{definition.title}</Title>
+        {definition.description && <Paragraph type="secondary">{definition.description}</Paragraph>}
+
+        {error && <Alert type="error" message={error} showIcon style={{ marginBottom: 16 }} />}
+
+        <Form form={form} layout="vertical" onFinish={handleSubmit}>
+          {definition.fields.map(field => (
+            <Form.Item
+              key={field.name}
+              name={field.name}
+              label={field.type === 'checkbox' ? null : field.label}
+              valuePropName={field.type === 'checkbox' ? 'checked' : 'value'}
+              rules={[{ required: field.required, message: `${field.label} is required` }]}
+            >
+              {renderInput(field)}
+            </Form.Item>
+          ))}
+
+          <div style={{ position: 'absolute', left: '-9999px' }} aria-hidden="true">
+            <Form.Item name={definition.honeypot}>
+              <Input tabIndex={-1} autoComplete="off" />
+            </Form.Item>
+          </div>
+
+          <Button type="primary" htmlType="submit" loading={submitting} block size="large">
+            {definition.button_text}
+          </Button>
+        </Form>
+      </Card>
+    </div>
+  );
+};
+
+export default Subscribe;
@@ -210,13 +210,23 @@ const Templates = () => {
           <Form.Item noStyle shouldUpdate={(prev, curr) => prev.type !== curr.type}>
             {({ getFieldValue }) =>
               getFieldValue('type') === 'html' ? (
-                <Form.Item
-                  name="body"
-                  label="Email Body"
-                  rules={[{ required: true, message: 'Please enter email body' }]}
-                >
-                  <ReactQuill theme="snow" modules={quillModules} style={{ height: 300, marginBottom: 50 }} />
-                </Form.Item>
+                <>
+                  <Form.Item
+                    name="body"
+                    label="Email Body"
+                    rules={[{ required: true, message: 'Please enter email body' }]}
+                  >
+                    <ReactQuill theme="snow" modules={quillModules} style={{ height: 300, marginBottom: 50 }} />
+                  </Form.Item>
+
+                  <Form.Item
+                    name="text_body"
+                    label="Plain Text Version"
+                    extra="Optional. Leave empty to generate it from the HTML body. Merge tags work here too."
+                  >
+                    <TextArea rows={6} placeholder="Plain text version of the email..." />
+                  </Form.Item>
+                </>
               ) : (
                 <Form.Item
                   name="body"
@@ -0,0 +1,635 @@
+import { useState, useEffect } from 'react'
+import {
+  Table, Button, Modal, Form, Input, InputNumber, Select, Space, Typography, Popconfirm, message, Tag,
+  Checkbox, Card, Statistic, Row, Col, ConfigProvider
+} from 'antd'
+import {
+  PlusOutlined, EditOutlined, DeleteOutlined, BarChartOutlined, PauseCircleOutlined,
+  PlayCircleOutlined, ArrowUpOutlined, ArrowDownOutlined, MinusCircleOutlined
+} from '@ant-design/icons'
+import api from '../utils/api'
+
+const { Title, Text } = Typography
+
+const STATUS_COLORS = { draft: 'default', active: 'green', paused: 'orange' }
+
+const TRIGGERS = {
+  list_subscribed: 'Subscribes to the list',
+  tag_added: 'Gets a tag',
+  custom_event: 'Custom event',
+  date_anniversary: 'Date anniversary',
+}
+
+const STEP_TYPES = {
+  send_email: 'Send email',
+  delay: 'Wait',
+  condition: 'Condition',
+  add_to_list: 'Add to list',
+  update_field: 'Update field',
+  unsubscribe: 'Unsubscribe',
+}
+
+const CONDITION_CHECKS = {
+  opened: 'Opened the previous email',
+  not_opened: 'Did not open the previous email',
+  clicked: 'Clicked in the previous email',
+  not_clicked: 'Did not click in the previous email',
+  field: 'Field value',
+}
+
+const FIELD_OPERATORS = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  contains: 'contains',
+  is_set: 'is set',
+  is_not_set: 'is not set',
+}
+
+const describeTrigger = (record) => {
+  const config = record.trigger_config || {}
+  switch (record.trigger_type) {
+    case 'tag_added':
+      return `Tagged "${config.tag}"`
+    case 'custom_event':
+      return `Event "${config.event}"`
+    case 'date_anniversary':
+      return `Anniversary of ${config.field}`
+    default:
+      return TRIGGERS[record.trigger_type]
+  }
+}
+
+const describeStep = (step, templates, lists) => {
+  const config = step.config || {}
+  switch (step.step_type) {
+    case 'send_email':
+      return `Send "${templates.find(t => t.id === config.template_id)?.name || config.template_id}"`
+    case 'delay':
+      return `Wait ${config.amount} ${config.unit}`
+    case 'condition':
+      return config.check === 'field'
+        ? `If ${config.field} ${FIELD_OPERATORS[config.operator]} ${config.value ?? ''}`.trim()
+        : `If ${CONDITION_CHECKS[config.check].toLowerCase()}`
+    case 'add_to_list':
+      return `Add to "${lists.find(l => l.id === config.list_id)?.name || config.list_id}"`
+    case 'update_field':
+      return `Set ${config.field} to "${config.value ?? ''}"`
+    case 'unsubscribe':
+      return config.scope === 'all' ? 'Unsubscribe from everything' : 'Unsubscribe from the list'
+    default:
+      return step.step_type
+  }
+}
+
+const Workflows = () => {
+  const [workflows, setWorkflows] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [lists, setLists] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [modalVisible, setModalVisible] = useState(false)
+  const [editingWorkflow, setEditingWorkflow] = useState(null)
+  const [stats, setStats] = useState(null)
+  const [form] = Form.useForm()
+
+  useEffect(() => {
+    loadWorkflows()
+    loadOptions()
+  }, [])
+
+  const loadWorkflows = async () => {
+    setLoading(true)
+    try {
+      const response = await api.get('/workflows')
+      setWorkflows(response.data.workflows)
+    } catch (error) {
+      message.error('Failed to load workflows')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadOptions = async () => {
+    try {
+      const [templatesResponse, listsResponse] = await Promise.all([api.get('/templates'), api.get('/lists')])
+      setTemplates(templatesResponse.data.templates)
+      setLists(listsResponse.data.lists)
+    } catch (error) {
+      message.error('Failed to load templates and lists')
+    }
+  }
+
+  const handleAdd = () => {
+    setEditingWorkflow(null)
+    form.resetFields()
+    form.setFieldsValue({
+      trigger_type: 'list_subscribed',
+      trigger_config: {},
+      steps: [{ step_type: 'send_email', config: {} }],
+    })
+    setModalVisible(true)
+  }
+
+  const handleEdit = async (record) => {
+    try {
+      const response = await api.get(`/workflows/${record.id}`)
+      setEditingWorkflow(response.data)
+      form.resetFields()
+      form.setFieldsValue({ ...response.data, allow_reentry: !!response.data.allow_reentry })
+      setModalVisible(true)
+    } catch (error) {
+      message.error('Failed to load workflow')
+    }
+  }
+
+  const handleSubmit = async (values) => {
+    const data = {
+      ...values,
+      allow_reentry: !!values.allow_reentry,
+      steps: (values.steps || []).map(step => ({ id: step.id, step_type: step.step_type, config: step.config || {} })),
+    }
+
+    // The audience and steps of an active workflow are locked
+    if (editingWorkflow?.status === 'active') {
+      delete data.list_id
+      delete data.trigger_type
+      delete data.trigger_config
+      delete data.steps
+    }
+
+    try {
+      if (editingWorkflow) {
+        await api.put(`/workflows/${editingWorkflow.id}`, data)
+        message.success('Workflow updated successfully')
+      } else {
+        await api.post('/workflows', data)
+        message.success('Workflow created successfully')
+      }
+      setModalVisible(false)
+      loadWorkflows()
+    } catch (error) {
+      const errors = error.response?.data?.errors
+      message.error(errors?.[0]?.msg || errors?.[0] || error.response?.data?.error || 'Failed to save workflow')
+    }
+  }
+
+  const handleAction = async (record, action, successMessage) => {
+    try {
+      await api.post(`/workflows/${record.id}/${action}`)
+      message.success(successMessage)
+      loadWorkflows()
+    } catch (error) {
+      message.error(error.response?.data?.error || `Failed to ${action} workflow`)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    try {
+      await api.delete(`/workflows/${id}`)
+      message.success('Workflow deleted successfully')
+      loadWorkflows()
+    } catch (error) {
+      message.error('Failed to delete workflow')
+    }
+  }
+
+  const showStats = async (record) => {
+    try {
+      const response = await api.get(`/workflows/${record.id}/stats`)
+      setStats(response.data)
+    } catch (error) {
+      message.error('Failed to load workflow stats')
+    }
+  }
+
+  const columns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      render: (text, record) => (
+        <Space direction="vertical" size="small">
+          <Text strong>{text}</Text>
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {record.list_name} · {record.step_count} steps
+          </Text>
+        </Space>
+      ),
+    },
+    {
+      title: 'Trigger',
+      key: 'trigger',
+      render: (_, record) => describeTrigger(record),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status) => <Tag color={STATUS_COLORS[status]}>{status.toUpperCase()}</Tag>,
+    },
+    {
+      title: 'In Progress / Enrolled',
+      key: 'enrollments',
+      render: (_, record) => `${record.active_enrollments} / ${record.total_enrollments}`,
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Space>
+          <Button type="link" icon={<BarChartOutlined />} onClick={() => showStats(record)}>
+            Stats
+          </Button>
+          <Button type="link" icon={<EditOutlined />} onClick={() => handleEdit(record)}>
+            Edit
+          </Button>
+          {record.status === 'active' ? (
+            <Button
+              type="link"
+              icon={<PauseCircleOutlined />}
+              onClick={() => handleAction(record, 'pause', 'Workflow paused')}
+            >
+              Pause
+            </Button>
+          ) : (
+            <Button
+              type="link"
+              icon={<PlayCircleOutlined />}
+              onClick={() => handleAction(record, 'activate', 'Workflow activated')}
+            >
+              Activate
+            </Button>
+          )}
+          <Popconfirm
+            title="Delete this workflow with its enrollments and stats?"
+            onConfirm={() => handleDelete(record.id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button type="link" danger icon={<DeleteOutlined />}>
+              Delete
+            </Button>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ]
+
+  const statsColumns = [
+    {
+      title: '#',
+      dataIndex: 'position',
+      key: 'position',
+      render: (position) => position + 1,
+    },
+    {
+      title: 'Step',
+      key: 'step',
+      render: (_, step) => describeStep(step, templates, lists),
+    },
+    {
+      title: 'Waiting',
+      key: 'waiting',
+      render: (_, step) => step.stats.waiting,
+    },
+    {
+      title: 'Completed',
+      key: 'completed',
+      render: (_, step) => step.stats.completed,
+    },
+    {
+      title: 'Skipped / Exited / Failed',
+      key: 'other',
+      render: (_, step) => `${step.stats.skipped} / ${step.stats.exited} / ${step.stats.failed}`,
+    },
+    {
+      title: 'Sent',
+      key: 'sent',
+      render: (_, step) => step.stats.sent ?? '-',
+    },
+    {
+      title: 'Opens',
+      key: 'opens',
+      render: (_, step) => (step.stats.openRate !== undefined ? `${step.stats.opened} (${step.stats.openRate}%)` : '-'),
+    },
+    {
+      title: 'Clicks',
+      key: 'clicks',
+      render: (_, step) => (step.stats.clickRate !== undefined ? `${step.stats.clicked} (${step.stats.clickRate}%)` : '-'),
+    },
+  ]
+
+  const renderStepConfig = (name, stepType, check) => {
+    switch (stepType) {
+      case 'send_email':
+        return (
+          <>
+            <Form.Item name={[name, 'config', 'template_id']} label="Template" rules={[{ required: true, message: 'Please select a template' }]}>
+              <Select placeholder="Select template" style={{ width: 250 }}>
+                {templates.map(template => (
+                  <Select.Option key={template.id} value={template.id}>{template.name}</Select.Option>
+                ))}
+              </Select>
+            </Form.Item>
+            <Form.Item name={[name, 'config', 'subject']} label="Subject">
+              <Input placeholder="Template's subject" style={{ width: 250 }} />
+            </Form.Item>
+          </>
+        )
+      case 'delay':
+        return (
+          <>
+            <Form.Item name={[name, 'config', 'amount']} label="Wait" rules={[{ required: true, message: 'Please enter an amount' }]}>
+              <InputNumber min={1} />
+            </Form.Item>
+            <Form.Item name={[name, 'config', 'unit']} label="Unit" initialValue="days">
+              <Select style={{ width: 120 }}>
+                <Select.Option value="minutes">Minutes</Select.Option>
+                <Select.Option value="hours">Hours</Select.Option>
+                <Select.Option value="days">Days</Select.Option>
+              </Select>
+            </Form.Item>
+          </>
+        )
+      case 'condition':
+        return (
+          <>
+            <Form.Item name={[name, 'config', 'check']} label="Continue if" rules={[{ required: true, message: 'Please select a check' }]}>
+              <Select style={{ width: 260 }}>
+                {Object.entries(CONDITION_CHECKS).map(([value, label]) => (
+                  <Select.Option key={value} value={value}>{label}</Select.Option>
+                ))}
+              </Select>
+            </Form.Item>
+            {check === 'field' && (
+              <>
+                <Form.Item name={[name, 'config', 'field']} label="Field" rules={[{ required: true, message: 'Please enter a field' }]}>
+                  <Input placeholder="first_name or custom field" style={{ width: 180 }} />
+                </Form.Item>
+                <Form.Item name={[name, 'config', 'operator']} label="Operator" initialValue="equals">
+                  <Select style={{ width: 140 }}>
+                    {Object.entries(FIELD_OPERATORS).map(([value, label]) => (
+                      <Select.Option key={value} value={value}>{label}</Select.Option>
+                    ))}
+                  </Select>
+                </Form.Item>
+                <Form.Item name={[name, 'config', 'value']} label="Value">
+                  <Input style={{ width: 140 }} />
+                </Form.Item>
+              </>
+            )}
+            <Form.Item name={[name, 'config', 'else']} label="Otherwise" initialValue="exit">
+              <Select style={{ width: 180 }}>
+                <Select.Option value="exit">Leave the workflow</Select.Option>
+                <Select.Option value="skip_next">Skip the next step</Select.Option>
+              </Select>
+            </Form.Item>
+          </>
+        )
+      case 'add_to_list':
+        return (
+          <Form.Item name={[name, 'config', 'list_id']} label="List" rules={[{ required: true, message: 'Please select a list' }]}>
+            <Select placeholder="Select list" style={{ width: 250 }}>
+              {lists.map(list => (
+                <Select.Option key={list.id} value={list.id}>{list.name}</Select.Option>
+              ))}
+            </Select>
+          </Form.Item>
+        )
+      case 'update_field':
+        return (
+          <>
+            <Form.Item name={[name, 'config', 'field']} label="Field" rules={[{ required: true, message: 'Please enter a field' }]}>
+              <Input placeholder="first_name or custom field" style={{ width: 200 }} />
+            </Form.Item>
+            <Form.Item name={[name, 'config', 'value']} label="Value">
+              <Input style={{ width: 200 }} />
+            </Form.Item>
+          </>
+        )
+      case 'unsubscribe':
+        return (
+          <Form.Item name={[name, 'config', 'scope']} label="From" initialValue="list">
+            <Select style={{ width: 200 }}>
+              <Select.Option value="list">The workflow's list</Select.Option>
+              <Select.Option value="all">Everything</Select.Option>
+            </Select>
+          </Form.Item>
+        )
+      default:
+        return null
+    }
+  }
+
+  const isActive = editingWorkflow?.status === 'active'
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+        <Title level={2}>Workflows</Title>
+        <Button type="primary" icon={<PlusOutlined />} onClick={handleAdd}>
+          New Workflow
+        </Button>
+      </div>
+
+      <Table
+        columns={columns}
+        dataSource={workflows}
+        rowKey="id"
+        loading={loading}
+        pagination={{ pageSize: 10 }}
+      />
+
+      <Modal
+        title={editingWorkflow ? 'Edit Workflow' : 'New Workflow'}
+        open={modalVisible}
+        onCancel={() => setModalVisible(false)}
+        width={900}
+        footer={null}
+      >
+        {isActive && (
+          <Text type="warning" style={{ display: 'block', marginBottom: 16 }}>
+            Pause the workflow to change its trigger, list or steps.
+          </Text>
+        )}
+        <Form form={form} layout="vertical" onFinish={handleSubmit}>
+          <Space style={{ display: 'flex' }} align="start">
+            <Form.Item name="name" label="Name" rules={[{ required: true, message: 'Please enter a name' }]}>
+              <Input placeholder="Welcome series" style={{ width: 400 }} />
+            </Form.Item>
+            <Form.Item name="list_id" label="List" rules={[{ required: true, message: 'Please select a list' }]}>
+              <Select placeholder="Select list" style={{ width: 300 }} disabled={isActive}>
+                {lists.map(list => (
+                  <Select.Option key={list.id} value={list.id}>{list.name}</Select.Option>
+                ))}
+              </Select>
+            </Form.Item>
+          </Space>
+
+          <Form.Item name="description" label="Description">
+            <Input.TextArea rows={2} />
+          </Form.Item>
+
+          <Space style={{ display: 'flex' }} align="start">
+            <Form.Item name="trigger_type" label="Trigger" rules={[{ required: true }]}>
+              <Select style={{ width: 250 }} disabled={isActive}>
+                {Object.entries(TRIGGERS).map(([value, label]) => (
+                  <Select.Option key={value} value={value}>{label}</Select.Option>
+                ))}
+              </Select>
+            </Form.Item>
+            <Form.Item noStyle shouldUpdate={(prev, curr) => prev.trigger_type !== curr.trigger_type}>
+              {({ getFieldValue }) => {
+                switch (getFieldValue('trigger_type')) {
+                  case 'tag_added':
+                    return (
+                      <Form.Item name={['trigger_config', 'tag']} label="Tag" rules={[{ required: true, message: 'Please enter a tag' }]}>
+                        <Input style={{ width: 200 }} disabled={isActive} />
+                      </Form.Item>
+                    )
+                  case 'custom_event':
+                    return (
+                      <Form.Item name={['trigger_config', 'event']} label="Event" rules={[{ required: true, message: 'Please enter an event name' }]}>
+                        <Input placeholder="purchase" style={{ width: 200 }} disabled={isActive} />
+                      </Form.Item>
+                    )
+                  case 'date_anniversary':
+                    return (
+                      <>
+                        <Form.Item
+                          name={['trigger_config', 'field']}
+                          label="Date Field"
+                          rules={[{ required: true, message: 'Please enter a field' }]}
+                          extra="A YYYY-MM-DD custom field, or subscribed_at"
+                        >
+                          <Input placeholder="birthday" style={{ width: 200 }} disabled={isActive} />
+                        </Form.Item>
+                        <Form.Item name={['trigger_config', 'hour']} label="Hour" initialValue={9}>
+                          <InputNumber min={0} max={23} disabled={isActive} />
+                        </Form.Item>
+                      </>
+                    )
+                  default:
+                    return null
+                }
+              }}
+            </Form.Item>
+          </Space>
+
+          <Form.Item name="allow_reentry" valuePropName="checked">
+            <Checkbox>Contacts can go through the workflow more than once</Checkbox>
+          </Form.Item>
+
+          <Space style={{ display: 'flex' }} align="start">
+            <Form.Item
+              name="from_email"
+              label="From Email"
+              rules={[{ required: true, type: 'email', message: 'Please enter a valid email' }]}
+            >
+              <Input style={{ width: 250 }} />
+            </Form.Item>
+            <Form.Item name="from_name" label="From Name" rules={[{ required: true, message: 'Please enter a from name' }]}>
+              <Input style={{ width: 250 }} />
+            </Form.Item>
+            <Form.Item name="reply_to" label="Reply-To" rules={[{ type: 'email', message: 'Please enter a valid email' }]}>
+              <Input style={{ width: 250 }} />
+            </Form.Item>
+          </Space>
+
+          <Title level={5}>Steps</Title>
+          <ConfigProvider componentDisabled={isActive}>
+            <Form.List name="steps">
+              {(fields, { add, remove, move }) => (
+                <>
+                  {fields.map(({ key, name }, index) => (
+                    <Card key={key} size="small" style={{ marginBottom: 8 }}>
+                      <Form.Item name={[name, 'id']} hidden>
+                        <Input />
+                      </Form.Item>
+                      <Space align="start" wrap>
+                        <Text strong style={{ display: 'inline-block', marginTop: 30 }}>{index + 1}.</Text>
+                        <Form.Item name={[name, 'step_type']} label="Type" rules={[{ required: true }]}>
+                          <Select style={{ width: 150 }}>
+                            {Object.entries(STEP_TYPES).map(([value, label]) => (
+                              <Select.Option key={value} value={value}>{label}</Select.Option>
+                            ))}
+                          </Select>
+                        </Form.Item>
+                        <Form.Item
+                          noStyle
+                          shouldUpdate={(prev, curr) => prev.steps?.[name]?.step_type !== curr.steps?.[name]?.step_type ||
+                            prev.steps?.[name]?.config?.check !== curr.steps?.[name]?.config?.check}
+                        >
+                          {({ getFieldValue }) => (
+                            <Space align="start" wrap>
+                              {renderStepConfig(name, getFieldValue(['steps', name, 'step_type']), getFieldValue(['steps', name, 'config', 'check']))}
+                            </Space>
+                          )}
+                        </Form.Item>
+                        {!isActive && (
+                          <Space style={{ marginTop: 30 }}>
+                            <Button size="small" icon={<ArrowUpOutlined />} disabled={index === 0} onClick={() => move(index, index - 1)} />
+                            <Button size="small" icon={<ArrowDownOutlined />} disabled={index === fields.length - 1} onClick={() => move(index, index + 1)} />
+                            <Button size="small" danger icon={<MinusCircleOutlined />} onClick={() => remove(name)} />
+                          </Space>
+                        )}
+                      </Space>
+                    </Card>
+                  ))}
+                  {!isActive && (
+                    <Button type="dashed" block icon={<PlusOutlined />} onClick={() => add({ step_type: 'delay', config: {} })} style={{ marginBottom: 16 }}>
+                      Add Step
+                    </Button>
+                  )}
+                </>
+              )}
+            </Form.List>
+          </ConfigProvider>
+
+          <Form.Item>
+            <Space>
+              <Button type="primary" htmlType="submit">
+                {editingWorkflow ? 'Update' : 'Create'}
+              </Button>
+              <Button onClick={() => setModalVisible(false)}>
+                Cancel
+              </Button>
+            </Space>
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title={stats ? `${stats.workflow.name} - Stats` : 'Stats'}
+        open={!!stats}
+        onCancel={() => setStats(null)}
+        width={1000}
+        footer={[
+          <Button key="close" onClick={() => setStats(null)}>
+            Close
+          </Button>,
+        ]}
+      >
+        {stats && (
+          <>
+            <Row gutter={16} style={{ marginBottom: 24 }}>
+              <Col span={5}><Statistic title="Enrolled" value={stats.enrollments.total} /></Col>
+              <Col span={5}><Statistic title="In Progress" value={stats.enrollments.active} /></Col>
+              <Col span={5}><Statistic title="Completed" value={stats.enrollments.completed} /></Col>
+              <Col span={5}><Statistic title="Exited" value={stats.enrollments.exited} /></Col>
+              <Col span={4}><Statistic title="Failed" value={stats.enrollments.failed} /></Col>
+            </Row>
+            <Table
+              columns={statsColumns}
+              dataSource={stats.steps}
+              rowKey="id"
+              size="small"
+              pagination={false}
+            />
+          </>
+        )}
+      </Modal>
+    </div>
+  )
+}
+
+export default Workflows